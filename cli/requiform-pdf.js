@@ -0,0 +1,225 @@
+/**
+ * @fileoverview requiform-pdf - renders requisition PDFs from exported form data in Node.
+ *
+ * Usage:
+ *   requiform-pdf input.json -o out.pdf [--locale de] [--template cardiology]
+ *                 [--config pdfConfig.json] [--branding config.json]
+ *                 [--qr-password <password>] [--pdfa] [--fillable] [--fonts <dir>]
+ *                 [--sections requisition,consent] [--copies profile.json]
+ *                 [--paper letter] [--orientation landscape]
+ *   requiform-pdf --blank -o blank.pdf [--locale de] [--template cardiology] [--paper letter]
+ *
+ * The input is a file saved from the app (or formStore.exportFormData()). The PDF is
+ * rendered by the same module as in the browser (src/services/pdf/pdfRenderer.js), so
+ * layouts can be regression-tested and PDFs generated server-side from LIS data. With
+ * --blank no input is read and the blank paper requisition of the template is written.
+ * The fingerprint of the form data printed on the PDF (see src/utils/formFingerprint.js)
+ * is written to stdout after the summary, e.g. to store it with the order in the LIS.
+ * Build with "npm run build:cli"; the result is dist-cli/requiform-pdf.js. The template
+ * fonts are read from public/fonts of the repository unless --fonts is given. Warnings,
+ * e.g. about template elements outside the printable area of the paper, go to stderr.
+ * If a QR code cannot be generated (e.g. with a wrong lab key), no PDF is written and the
+ * tool exits with status 1, so a requisition without its QR data is never printed by a script.
+ */
+
+/* global process */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import defaultBrandingConfig from '@/config/defaultBrandingConfig.json';
+import logService, { LogLevel } from '@/services/logService';
+import { renderBlankRequisitionPdf, renderRequisitionPdf, resolveQrEncryptionOptions } from '@/services/pdf/pdfRenderer';
+import { PDF_TEMPLATES, getPdfTemplate } from '@/services/pdf/pdfTemplates';
+import { PAPER_SIZES, PAGE_ORIENTATIONS } from '@/services/pdf/pdfPage';
+import { ALL_PDF_SECTIONS, sanitizePrintCopies, sanitizePrintPaper } from '@/utils/printProfiles';
+import { computeFormFingerprint } from '@/utils/formFingerprint';
+import { ORDER_ID_PATTERN } from '@/utils/qrContents';
+
+const USAGE = `Usage: requiform-pdf <input.json> -o <output.pdf> [options]
+       requiform-pdf --blank -o <output.pdf> [options]
+
+Options:
+  -o, --output <file>        PDF file to write (required)
+  -l, --locale <locale>      Language of the PDF texts: en (default) or de
+  -t, --template <id>        PDF template (defaults to the template saved in the form
+                             data or the one of the test category)
+  -c, --config <file>        PDF configuration file (overrides --template)
+  -b, --branding <file>      Deployment configuration with qrSigning/qrEncryption/pdfArchive
+      --qr-password <value>  Password for QR encryption in password mode
+      --pdfa                 Archive mode: PDF/A metadata and the form data as attachment
+      --fillable             Print empty values as fillable form fields
+      --fonts <dir>          Directory of the template font files (default: public/fonts)
+      --sections <list>      Sections to print, comma-separated (default: all): requisition,
+                             panelOverflow, phenotypes, pedigree, consent, geneAppendix
+      --copies <file>        Print profile ({name, copies}) or list of copies ({label, sections})
+                             to print one after another, each with its label as watermark
+      --paper <size>         Paper to print on: a4, letter or legal (default: the template's
+                             page, or the paper of the --copies profile)
+      --orientation <value>  Page orientation: portrait or landscape
+      --blank                Write the blank paper requisition of the template (no input;
+                             uses --locale, --template, --config, --fonts, --paper and
+                             --orientation)
+  -v, --verbose              Print debug output
+  -h, --help                 Show this help`;
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} path - File path
+ * @param {string} description - Description of the file for error messages
+ * @return {Promise<Object>} Parsed JSON
+ * @throws {Error} If the file cannot be read or is not valid JSON
+ */
+async function readJsonFile(path, description) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${description} "${path}": ${error.message}`);
+  }
+}
+
+/**
+ * Writes the PDF and prints the log entries and a summary.
+ * @param {string} path - Output file path
+ * @param {Uint8Array} pdfBytes - PDF bytes
+ */
+async function writeOutput(path, pdfBytes) {
+  await writeFile(path, pdfBytes);
+  // The log service keeps its entries in memory; those of the set level are printed here
+  logService.entries.forEach(entry => console.error(`${entry.level}: ${entry.displayMessage}`));
+  console.log(`Wrote ${path} (${pdfBytes.length} bytes)`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      locale: { type: 'string', short: 'l', default: 'en' },
+      template: { type: 'string', short: 't' },
+      config: { type: 'string', short: 'c' },
+      branding: { type: 'string', short: 'b' },
+      'qr-password': { type: 'string' },
+      pdfa: { type: 'boolean', default: false },
+      fillable: { type: 'boolean', default: false },
+      fonts: { type: 'string' },
+      sections: { type: 'string' },
+      copies: { type: 'string' },
+      paper: { type: 'string' },
+      orientation: { type: 'string' },
+      blank: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== (values.blank ? 0 : 1) || !values.output) {
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+  if (!['en', 'de'].includes(values.locale)) {
+    throw new Error(`Unsupported locale "${values.locale}" (use en or de).`);
+  }
+  if (values.paper && !PAPER_SIZES[values.paper]) {
+    throw new Error(`Unknown paper size "${values.paper}" (available: ${Object.keys(PAPER_SIZES).join(', ')}).`);
+  }
+  if (values.orientation && !PAGE_ORIENTATIONS.includes(values.orientation)) {
+    throw new Error(`Unknown orientation "${values.orientation}" (use ${PAGE_ORIENTATIONS.join(' or ')}).`);
+  }
+  logService.setLevel(values.verbose ? LogLevel.DEBUG : LogLevel.WARN);
+
+  const pdfConfig = values.config ? await readJsonFile(values.config, 'PDF configuration') : undefined;
+  if (values.template && !getPdfTemplate(values.template)) {
+    throw new Error(`Unknown PDF template "${values.template}" (available: ${PDF_TEMPLATES.map(template => template.template.id).join(', ')}).`);
+  }
+  // cli/ and dist-cli/ are both one level below the repository root
+  const fontDir = values.fonts || join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'fonts');
+  const loadFont = file => readFile(join(fontDir, file));
+
+  if (values.blank) {
+    const pdfBytes = await renderBlankRequisitionPdf({
+      pdfConfig,
+      templateId: values.template,
+      locale: values.locale,
+      paper: sanitizePrintPaper({ size: values.paper, orientation: values.orientation }) || undefined,
+      loadFont
+    });
+    await writeOutput(values.output, pdfBytes);
+    return;
+  }
+
+  const formData = await readJsonFile(positionals[0], 'form data');
+  // The app drops such order IDs on import; the PDF would silently carry a different one
+  const orderId = formData?.orderId;
+  if (orderId && (typeof orderId !== 'string' || !ORDER_ID_PATTERN.test(orderId))) {
+    throw new Error(`Invalid order ID in "${positionals[0]}" (4-64 letters, digits and "-").`);
+  }
+
+  // QR and archive settings are merged over the defaults like the external branding config of the app
+  const branding = values.branding ? await readJsonFile(values.branding, 'branding configuration') : {};
+  const qrSigning = { ...defaultBrandingConfig.qrSigning, ...branding.qrSigning };
+  const qrEncryption = resolveQrEncryptionOptions(
+    { ...defaultBrandingConfig.qrEncryption, ...branding.qrEncryption },
+    values['qr-password']
+  );
+  const archive = { ...defaultBrandingConfig.pdfArchive, ...branding.pdfArchive };
+  if (values.pdfa) archive.enabled = true;
+
+  // Sections and copies like the print dialog of the app, one complete copy by default
+  let copies;
+  let paper;
+  if (values.copies) {
+    const profile = await readJsonFile(values.copies, 'copies');
+    copies = sanitizePrintCopies(Array.isArray(profile) ? profile : profile.copies);
+    paper = Array.isArray(profile) ? null : sanitizePrintPaper(profile.paper);
+    if (copies.length === 0) {
+      throw new Error(`No copies with known sections in "${values.copies}".`);
+    }
+  } else if (values.sections) {
+    const sections = values.sections.split(',').map(section => section.trim()).filter(Boolean);
+    const unknown = sections.filter(section => !ALL_PDF_SECTIONS.includes(section));
+    if (unknown.length > 0 || sections.length === 0) {
+      throw new Error(`Unknown sections "${unknown.join(', ')}" (available: ${ALL_PDF_SECTIONS.join(', ')}).`);
+    }
+    copies = [{ label: '', sections }];
+  }
+
+  // --paper and --orientation take precedence over the paper of the profile
+  if (values.paper || values.orientation) {
+    paper = { ...paper, ...sanitizePrintPaper({ size: values.paper, orientation: values.orientation }) };
+  }
+
+  const missingQrCodes = new Map();
+  const pdfBytes = await renderRequisitionPdf(formData, {
+    pdfConfig,
+    templateId: values.template,
+    locale: values.locale,
+    qrSigning,
+    qrEncryption,
+    archive,
+    // Without --fillable the template's formFields setting applies
+    formFields: values.fillable || undefined,
+    copies,
+    paper: paper || undefined,
+    loadFont,
+    onWarning: ({ qrCode, message }) => missingQrCodes.set(qrCode, message)
+  });
+  if (missingQrCodes.size > 0) {
+    logService.entries.forEach(entry => console.error(`${entry.level}: ${entry.displayMessage}`));
+    const details = [...missingQrCodes].map(([qrCode, message]) => `${qrCode} (${message})`).join(', ');
+    throw new Error(`QR codes could not be generated: ${details}. No PDF was written.`);
+  }
+  await writeOutput(values.output, pdfBytes);
+  console.log(`Fingerprint: ${(await computeFormFingerprint(formData)).fingerprint}`);
+}
+
+main().catch((error) => {
+  console.error(`requiform-pdf: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -4,9 +4,9 @@ import pluginVue from "eslint-plugin-vue";
 
 /** @type {import('eslint').Linter.Config[]} */
 export default [
-  // Exclude any file under a vendor directory.
+  // Exclude any file under a vendor directory and the built CLI.
   {
-    ignores: ["**/vendor/**"],
+    ignores: ["**/vendor/**", "dist-cli/**"],
   },
   {
     files: ["**/*.{js,mjs,cjs,vue}"],
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Composable for generating the PDFs of a list of requisitions.
+ *
+ * The requisitions are read and validated by the batch PDF dialog (see
+ * utils/batchRequisitions.js). This composable renders them with the headless renderer,
+ * either into one merged PDF or as individual PDFs packed into a ZIP archive, both in
+ * the browser, and downloads the result.
+ *
+ * Key responsibilities:
+ * - Rendering every requisition with the configured QR signing and encryption
+ * - Naming the individual PDFs from a file name template
+ * - Reporting the progress and errors through the UI store, including the requisitions
+ *   whose PDF lacks QR codes that could not be generated
+ */
+
+import { useI18n } from 'vue-i18n';
+import { brandingConfig } from '@/services/brandingConfigService';
+import { renderRequisitionPdf, renderRequisitionBatchPdf, resolveQrEncryptionOptions } from '@/services/pdf/pdfRenderer';
+import { formatBatchFileName, createZipArchive } from '../utils/batchRequisitions';
+import { downloadPdfFile, downloadZipFile, fetchPdfFont } from '../utils/fileUtils';
+import { useUiStore } from '../stores/uiStore';
+import logService from '@/services/logService';
+
+// Output formats of a batch
+export const BATCH_OUTPUTS = {
+  MERGED: 'merged',
+  ZIP: 'zip'
+};
+
+/**
+ * Vue composable that provides batch PDF generation for the application.
+ *
+ * @returns {Object} Object containing the following:
+ *   @returns {Function} generateBatchPdf - Function to render and download the PDFs of requisitions
+ */
+export function useBatchPdf() {
+  const { t, locale } = useI18n();
+  const uiStore = useUiStore();
+
+  /**
+   * Renders the PDFs of a list of requisitions and downloads them as one merged PDF or as
+   * a ZIP archive of individual PDFs.
+   *
+   * @param {Object} batch - Batch to generate
+   * @param {Object[]} batch.requisitions - Form data of the (valid) requisitions
+   * @param {string} [batch.output='merged'] - Output format (see BATCH_OUTPUTS)
+   * @param {string} [batch.fileNameTemplate] - File name template of the individual PDFs (ZIP)
+   * @param {string} [batch.qrPassword] - Password for encrypting the QR codes (password mode)
+   * @param {number[]} [batch.rows] - Index of each requisition in the list read by the dialog, for
+   *   messages; the position in the batch by default
+   * @returns {Promise<boolean>} True if the file was downloaded with all QR codes, false otherwise
+   */
+  async function generateBatchPdf({ requisitions, output = BATCH_OUTPUTS.MERGED, fileNameTemplate, qrPassword, rows }) {
+    const total = requisitions.length;
+    // QR codes that could not be generated, by index of the requisition
+    const missingQrCodes = new Map();
+    const addMissingQrCode = (index, qrCode) => {
+      if (!missingQrCodes.has(index)) missingQrCodes.set(index, new Set());
+      missingQrCodes.get(index).add(qrCode);
+    };
+    try {
+      const options = {
+        locale: locale.value,
+        translate: t,
+        qrSigning: brandingConfig.qrSigning,
+        qrEncryption: resolveQrEncryptionOptions(brandingConfig.qrEncryption, qrPassword),
+        loadFont: fetchPdfFont
+      };
+      uiStore.setBatchPdfProgress({ done: 0, total });
+      const dateStr = new Date().toISOString().split('T')[0];
+
+      let downloaded;
+      if (output === BATCH_OUTPUTS.ZIP) {
+        const files = [];
+        for (const [index, requisition] of requisitions.entries()) {
+          // Individual PDFs are complete documents, archive mode applies as for a single PDF
+          const bytes = await renderRequisitionPdf(requisition, {
+            ...options,
+            archive: brandingConfig.pdfArchive,
+            onWarning: ({ qrCode }) => addMissingQrCode(index, qrCode)
+          });
+          files.push({ name: formatBatchFileName(fileNameTemplate, requisition, index, total), data: bytes });
+          uiStore.setBatchPdfProgress({ done: index + 1, total });
+        }
+        downloaded = downloadZipFile(createZipArchive(files), `requisitions-${dateStr}`);
+      } else {
+        const bytes = await renderRequisitionBatchPdf(requisitions, {
+          ...options,
+          onProgress: index => uiStore.setBatchPdfProgress({ done: index + 1, total }),
+          onWarning: ({ index, qrCode }) => addMissingQrCode(index, qrCode)
+        });
+        downloaded = downloadPdfFile(bytes, `requisitions-${dateStr}`);
+      }
+
+      if (!downloaded) {
+        uiStore.setBatchPdfError(t('batchPdfDialog.errors.download'));
+        return false;
+      }
+      if (missingQrCodes.size > 0) {
+        // The dialog stays open with the affected rows
+        const details = [...missingQrCodes].map(([index, qrCodes]) => t('batchPdfDialog.errors.qrCodesMissingRow', {
+          row: (rows?.[index] ?? index) + 1,
+          codes: [...qrCodes].map(qrCode => t(`pdfGenerator.qrCodeNames.${qrCode}`)).join(', ')
+        }));
+        logService.warn(`Batch of ${total} requisitions generated, ${missingQrCodes.size} without all QR codes.`);
+        uiStore.setBatchPdfError(t('batchPdfDialog.errors.qrCodesMissing', { rows: details.join('; ') }));
+        return false;
+      }
+      logService.info(`Batch of ${total} requisitions generated (${output}).`);
+      uiStore.showSnackbar(t('batchPdfDialog.messages.generated', { count: total }));
+      return true;
+    } catch (error) {
+      logService.error('Error generating the batch PDF:', error);
+      uiStore.setBatchPdfError(t('batchPdfDialog.errors.generation', { message: error.message }));
+      return false;
+    } finally {
+      uiStore.setBatchPdfProgress(null);
+    }
+  }
+
+  return {
+    generateBatchPdf,
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Composable for generating the blank paper requisition.
+ *
+ * While the systems are down, wards fill in a pre-printed requisition by hand. This
+ * composable renders the blank form of the current PDF template with the headless renderer
+ * (see renderBlankRequisitionPdf in services/pdf/pdfRenderer.js) and downloads it. The form
+ * lists the whole test catalog in the order and with the codes of the QR format, so filled
+ * forms can be keyed in quickly later.
+ */
+
+import { useI18n } from 'vue-i18n';
+import { renderBlankRequisitionPdf } from '@/services/pdf/pdfRenderer';
+import { downloadPdfFile, fetchPdfFont } from '../utils/fileUtils';
+import { useFormStore } from '../stores/formStore';
+import { useUiStore } from '../stores/uiStore';
+import logService from '@/services/logService';
+
+/**
+ * Vue composable that provides the blank paper form for the application.
+ *
+ * @returns {Object} Object containing the following:
+ *   @returns {Function} generateBlankFormPdf - Function to render and download the blank form
+ */
+export function useBlankFormPdf() {
+  const { t, locale } = useI18n();
+  const formStore = useFormStore();
+  const uiStore = useUiStore();
+
+  /**
+   * Renders the blank form with the PDF template of the current form and downloads it.
+   *
+   * @returns {Promise<boolean>} True if the file was downloaded, false otherwise
+   */
+  async function generateBlankFormPdf() {
+    try {
+      const bytes = await renderBlankRequisitionPdf({
+        templateId: formStore.pdfTemplate.id,
+        locale: locale.value,
+        translate: t,
+        loadFont: fetchPdfFont
+      });
+      if (!downloadPdfFile(bytes, `blank_requisition_${formStore.pdfTemplate.id}`)) {
+        uiStore.showSnackbar(t('pdfGenerator.blankForm.downloadError'));
+        return false;
+      }
+      logService.info(`Blank requisition form generated with template ${formStore.pdfTemplate.id}.`);
+      uiStore.showSnackbar(t('pdfGenerator.blankForm.generated'));
+      return true;
+    } catch (error) {
+      logService.error('Error generating the blank requisition form:', error);
+      uiStore.showSnackbar(t('pdfGenerator.blankForm.error', { message: error.message }));
+      return false;
+    }
+  }
+
+  return {
+    generateBlankFormPdf,
+  };
+}
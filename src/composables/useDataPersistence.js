@@ -7,19 +7,20 @@
  * 
  * Key responsibilities:
  * - Saving form data to JSON files
- * - Loading form data from JSON files
+ * - Loading form data from JSON files and archived requisition PDFs
  * - Processing and validating pasted data from different formats
  * - Validating data structure before import
  * - Providing feedback on import/export operations
  */
 
 import { ref } from 'vue';
-import { downloadJsonFile, readJsonFile } from '../utils/fileUtils';
+import { downloadJsonFile, readJsonFile, readPdfFormData } from '../utils/fileUtils';
 import { parsePastedData } from '../utils/dataParser';
 import { useUiStore } from '../stores/uiStore';
 import { useFormStore } from '../stores/formStore';
 import logService from '../services/logService'; // Import log service
 import { sanitizeParsedJson } from '../utils/jsonSanitizer'; // Import the sanitizer
+import { isEncryptedSignatures, encryptSignatures } from '../utils/signatures';
 
 /**
  * Vue composable that provides data persistence functionality for the application.
@@ -49,12 +50,20 @@ export function useDataPersistence() {
    * 3. Provides user feedback via the UI store
    * 
    * @param {string} fileName - Name to use for the saved file (without extension)
-   * @returns {boolean} True if save was successful, false otherwise
+   * @param {Object} [options={}] - Save options
+   * @param {string} [options.signaturePassword] - Password to encrypt the consent signatures with
+   * @returns {Promise<boolean>} True if save was successful, false otherwise
    */
-  function saveToFile(fileName) {
+  async function saveToFile(fileName, options = {}) {
     try {
       // Get the current form data
       const exportData = formStore.exportFormData();
+
+      // Only the signatures are encrypted, the file stays readable otherwise
+      const consentData = exportData.patientData?.personalInfo?.genDGConsentData;
+      if (options.signaturePassword && consentData?.signatures && !isEncryptedSignatures(consentData.signatures)) {
+        consentData.signatures = await encryptSignatures(consentData.signatures, options.signaturePassword);
+      }
       
       // Download as JSON file
       const result = downloadJsonFile(exportData, fileName);
@@ -76,9 +85,11 @@ export function useDataPersistence() {
   }
   
   /**
-   * Loads form data from a JSON file.
+   * Loads form data from a JSON file or from a requisition PDF. A PDF generated in archive
+   * mode carries the form data as attachment; values filled into the form fields of a
+   * fillable PDF are applied on top of it, or on top of the current form without attachment.
    * This function:
-   * 1. Reads and parses the selected file
+   * 1. Reads and parses the selected file (the attachment for PDFs)
    * 2. Validates that it contains proper RequiForm data
    * 3. Imports the data into the application state
    * 4. Provides user feedback on success or failure
@@ -97,7 +108,10 @@ export function useDataPersistence() {
       importedFile.value = file;
       
       // Read and parse the file
-      let jsonData = await readJsonFile(file); // Use 'let' as it will be reassigned
+      const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+      let jsonData = isPdf // Use 'let' as it will be reassigned
+        ? await readPdfFormData(file, formStore.exportFormData())
+        : await readJsonFile(file);
       
       // --- Sanitize Parsed JSON ---
       jsonData = sanitizeParsedJson(jsonData);
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Composable for checking requisition data against a printed fingerprint.
+ *
+ * Every generated PDF prints the fingerprint of its requisition data in the footer and
+ * carries it in the patient QR code (see utils/formFingerprint.js). This composable checks
+ * a fingerprint typed in from a printed requisition against:
+ * - a saved JSON file, whose fingerprint is computed
+ * - the QR codes scanned from an image or PDF: the fingerprint they carry and, for a
+ *   complete QR code, the fingerprint computed from its data
+ * - the current form, when no file is given
+ *
+ * The result is stored in the UI store and shown by VerifyFingerprintDialog.vue.
+ */
+
+import { useI18n } from 'vue-i18n';
+import { computeDataFingerprint, computeFormFingerprint, formatFingerprint, fingerprintsMatch, normalizeFingerprint } from '../utils/formFingerprint';
+import { readJsonFile } from '../utils/fileUtils';
+import { scanFile } from '../utils/qrScanner';
+import { sanitizeParsedJson } from '../utils/jsonSanitizer';
+import { QR_PAYLOAD_TYPES } from '../utils/qrService';
+import { SIGNATURE_STATUS } from '../utils/qrSignature';
+import { useQrRestore } from './useQrRestore';
+import { useUiStore } from '../stores/uiStore';
+import { useFormStore } from '../stores/formStore';
+import logService from '@/services/logService';
+
+/**
+ * Sources the data of a verification comes from.
+ * @type {Object<string, string>}
+ */
+export const FINGERPRINT_SOURCES = {
+  FORM: 'form',
+  FILE: 'file',
+  QR: 'qr'
+};
+
+/**
+ * Vue composable that provides the fingerprint verification for the application.
+ *
+ * @returns {Object} Object containing the following:
+ *   @returns {Function} verifyFingerprint - Function to check a file or the current form against a fingerprint
+ */
+export function useFingerprintVerify() {
+  const { t } = useI18n();
+  const uiStore = useUiStore();
+  const formStore = useFormStore();
+  const qrRestore = useQrRestore();
+
+  /**
+   * Reads the fingerprints of the QR codes in an image or PDF: the one they carry and
+   * the one computed from a complete QR code.
+   *
+   * @returns {Promise<{embedded: string, computed: string}|null>} Fingerprints (empty if not
+   *   available), null if the codes could not be read (the error is set in the UI store)
+   */
+  async function readQrFingerprints(file, password) {
+    const { payloads, incomplete, locked } = await qrRestore.decodeScannedCodes(await scanFile(file), password);
+    if (incomplete.length > 0) {
+      const { total, missing } = incomplete[0];
+      uiStore.setVerifyFingerprintError(t('scanQrDialog.errors.incompleteSeries', { missing: missing.join(', '), total }));
+      return null;
+    }
+    if (locked.length > 0) {
+      const { reason, keyId } = locked[0];
+      uiStore.setVerifyFingerprintError(t(`scanQrDialog.errors.${reason}`, { keyId: keyId || '-' }));
+      return null;
+    }
+    if (payloads.length === 0) {
+      uiStore.setVerifyFingerprintError(t('scanQrDialog.errors.noRequiFormCodes'));
+      return null;
+    }
+    // A forged code could carry any fingerprint
+    if (payloads.some(payload => payload.signature.status === SIGNATURE_STATUS.INVALID)) {
+      uiStore.setVerifyFingerprintError(t('verifyFingerprintDialog.errors.invalidSignature'));
+      return null;
+    }
+
+    const embedded = payloads.find(payload => payload.data.fingerprint)?.data.fingerprint || '';
+    const complete = payloads.find(payload => payload.type === QR_PAYLOAD_TYPES.COMPLETE);
+    const computed = complete ? (await computeDataFingerprint(complete.data)).fingerprint : '';
+    if (!embedded && !computed) {
+      uiStore.setVerifyFingerprintError(t('verifyFingerprintDialog.errors.noFingerprint'));
+      return null;
+    }
+    return { embedded: formatFingerprint(embedded), computed };
+  }
+
+  /**
+   * Checks a fingerprint against a JSON file, the QR codes of an image or PDF, or the
+   * current form. The result ({source, expected, computed, embedded, match}) is set in
+   * the UI store; the data matches if every fingerprint found equals the expected one.
+   *
+   * @param {string} fingerprint - Fingerprint as typed from the printed requisition
+   * @param {File|null} [file] - JSON file, image or PDF; the current form if not given
+   * @param {string} [password] - Password for password-encrypted QR codes
+   * @returns {Promise<boolean>} True if the verification ran (whatever its outcome), false on errors
+   */
+  async function verifyFingerprint(fingerprint, file, password) {
+    uiStore.setVerifyFingerprintError('');
+    uiStore.setVerifyFingerprintResult(null);
+    const expected = normalizeFingerprint(fingerprint);
+    if (!expected) {
+      uiStore.setVerifyFingerprintError(t('verifyFingerprintDialog.errors.invalidFingerprint'));
+      return false;
+    }
+
+    try {
+      let result;
+      const isJson = file && (file.type === 'application/json' || /\.json$/i.test(file.name || ''));
+      if (!file) {
+        // Same phenotypes as the PDF of the current form (see PdfGenerator.vue)
+        const { fingerprint: computed } = await computeFormFingerprint(formStore.exportFormData(), formStore.phenotypeDataObj);
+        result = { source: FINGERPRINT_SOURCES.FORM, computed, embedded: '' };
+      } else if (isJson) {
+        const { fingerprint: computed } = await computeFormFingerprint(sanitizeParsedJson(await readJsonFile(file)));
+        result = { source: FINGERPRINT_SOURCES.FILE, computed, embedded: '' };
+      } else {
+        const fingerprints = await readQrFingerprints(file, password);
+        if (!fingerprints) return false;
+        result = { source: FINGERPRINT_SOURCES.QR, ...fingerprints };
+      }
+
+      const found = [result.computed, result.embedded].filter(Boolean);
+      const match = found.every(value => fingerprintsMatch(value, expected));
+      uiStore.setVerifyFingerprintResult({ ...result, expected: formatFingerprint(expected), match });
+      logService.info(`[Fingerprint] ${match ? 'Match' : 'Mismatch'} for ${formatFingerprint(expected)} (${result.source})`);
+      return true;
+    } catch (error) {
+      logService.error('[Fingerprint] Error verifying the fingerprint:', error);
+      uiStore.setVerifyFingerprintError(t('verifyFingerprintDialog.errors.readFailed', { message: error.message }));
+      return false;
+    }
+  }
+
+  return {
+    verifyFingerprint,
+  };
+}
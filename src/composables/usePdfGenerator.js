@@ -45,9 +45,13 @@ export function usePdfGenerator() {
   
   /**
    * Triggers PDF generation
+   * @param {Object} [options={}] - Generation options
+   * @param {string} [options.qrPassword] - Password for encrypting the QR codes (password mode)
+   * @param {Object[]} [options.copies] - Copies with their sections and watermark (see utils/printProfiles.js)
+   * @param {Object} [options.paper] - Paper to print on ({size, orientation}, see services/pdf/pdfPage.js)
    * @returns {Promise<boolean>} Success status
    */
-  async function generatePdf() {
+  async function generatePdf(options = {}) {
     if (!pdfGeneratorRef.value) {
       console.error('PDF generator component reference not available');
       uiStore.showSnackbar('Could not generate PDF. Please try again.');
@@ -56,7 +60,7 @@ export function usePdfGenerator() {
     
     try {
       // Call the generatePdf method on the component
-      await pdfGeneratorRef.value.generatePdf();
+      await pdfGeneratorRef.value.generatePdf(options);
       return true;
     } catch (error) {
       console.error('Error generating PDF:', error);
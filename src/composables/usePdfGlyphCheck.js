@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Composable for warning about characters the requisition PDF cannot print.
+ *
+ * The PDF is printed with the standard fonts and the fallback fonts of the selected PDF
+ * template (see services/pdf/pdfFonts.js). This composable checks form values against
+ * these fonts, so the form can warn before a name is printed with missing glyphs.
+ *
+ * The font module and the font files are only loaded once a value contains characters
+ * outside ASCII and the standard fonts respectively; the check is shared by all fields.
+ */
+
+import { shallowRef } from 'vue';
+import { useI18n } from 'vue-i18n';
+import { getPdfTemplate } from '@/services/pdf/pdfTemplates';
+import { useFormStore } from '../stores/formStore';
+import { fetchPdfFont } from '../utils/fileUtils';
+import logService from '@/services/logService';
+
+// pdfFonts module, loaded on the first non-ASCII value
+const pdfFontsModule = shallowRef(null);
+// Loaded fonts of a template ({templateId, fonts, fallback}), loaded on the first value the
+// standard fonts cannot print
+const templateFonts = shallowRef(null);
+let moduleLoading = null;
+let fontsLoadingFor = null;
+
+/**
+ * Loads the font module (and with it jsPDF) once.
+ */
+function loadFontModule() {
+  if (moduleLoading) return;
+  moduleLoading = import('@/services/pdf/pdfFonts')
+    .then((module) => { pdfFontsModule.value = module; })
+    .catch((error) => {
+      moduleLoading = null;
+      logService.warn('[usePdfGlyphCheck] Font module could not be loaded:', error);
+    });
+}
+
+/**
+ * Loads the fonts of a template once (fonts that cannot be loaded are skipped by loadPdfFonts).
+ */
+function loadTemplateFonts(templateId) {
+  if (fontsLoadingFor === templateId) return;
+  fontsLoadingFor = templateId;
+  const fontsConfig = getPdfTemplate(templateId)?.fonts || {};
+  pdfFontsModule.value.loadPdfFonts(fontsConfig, fetchPdfFont).then((fonts) => {
+    templateFonts.value = { templateId, fonts, fallback: fontsConfig.fallback || [] };
+    fontsLoadingFor = null;
+  });
+}
+
+/**
+ * Vue composable that checks form values for characters the PDF fonts cannot print.
+ *
+ * @returns {Object} Object containing the following:
+ *   @returns {Function} getGlyphWarning - Returns a warning for a value with unprintable characters
+ */
+export function usePdfGlyphCheck() {
+  const { t } = useI18n();
+  const formStore = useFormStore();
+
+  /**
+   * Returns a warning for a form value with characters that no font of the selected PDF
+   * template can print. Reactive: the warning appears when the fonts have been loaded.
+   *
+   * @param {string} value - Form value
+   * @returns {string} Warning message, or an empty string
+   */
+  function getGlyphWarning(value) {
+    // eslint-disable-next-line no-control-regex
+    if (!value || typeof value !== 'string' || /^[\x00-\x7f]*$/.test(value)) return '';
+    if (!pdfFontsModule.value) {
+      loadFontModule();
+      return '';
+    }
+
+    const { isStandardFontCharacter, findUnsupportedCharacters } = pdfFontsModule.value;
+    if ([...value].every(isStandardFontCharacter)) return '';
+    const templateId = formStore.pdfTemplate.id;
+    if (templateFonts.value?.templateId !== templateId) {
+      loadTemplateFonts(templateId);
+      return '';
+    }
+
+    const characters = findUnsupportedCharacters(templateFonts.value.fonts, templateFonts.value.fallback, value);
+    return characters.length > 0
+      ? t('patientForm.warnings.unsupportedCharacters', { characters: characters.join(' ') })
+      : '';
+  }
+
+  return {
+    getGlyphWarning
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Composable for restoring form data from scanned QR codes.
+ *
+ * This composable takes the raw text of QR codes read from a printed requisition
+ * (see utils/qrScanner.js), identifies the payload type of each code and restores
+ * the patient information, selected tests, phenotypes and pedigree into the form store.
+ *
+ * Key responsibilities:
+ * - Reassembling multi-part QR code series
+ * - Decoding scanned QR code text into typed payloads
+ * - Decrypting encrypted payloads with a password or a configured lab key (qrEncryption)
+ * - Verifying payload signatures against the configured keys (qrSigning)
+ * - Decompressing compressed payloads
+ * - Merging several payloads (patient, phenotype, pedigree, complete) into one form
+ * - Importing the result through formStore.importFormData
+ * - Providing feedback on the restore operation
+ */
+
+import { useI18n } from 'vue-i18n';
+import { unpackQrPayload, buildFormDataFromQrPayloads, reassembleQrParts } from '../utils/qrService';
+import { verifyQrPayload, SIGNATURE_STATUS } from '../utils/qrSignature';
+import { parseEncryptedQrPayload, decryptQrPayload, findLabKey, QR_ENCRYPTION_MODES } from '../utils/qrEncryption';
+import { decompressQrPayload } from '../utils/qrCompression';
+import { brandingConfig } from '@/services/brandingConfigService';
+import { useUiStore } from '../stores/uiStore';
+import { useFormStore } from '../stores/formStore';
+import logService from '@/services/logService';
+import { sanitizeParsedJson } from '../utils/jsonSanitizer';
+
+/**
+ * Vue composable that provides QR code restore functionality for the application.
+ *
+ * @returns {Object} Object containing the following:
+ *   @returns {Function} decodeScannedCodes - Function to identify the payload of scanned codes
+ *   @returns {Function} restoreFromQrCodes - Function to restore the form from scanned codes
+ */
+export function useQrRestore() {
+  const { t } = useI18n();
+  const uiStore = useUiStore();
+  const formStore = useFormStore();
+
+  /**
+   * Decrypts a scanned payload if it is encrypted.
+   *
+   * @param {string} code - Reassembled QR code text
+   * @param {string} [password] - Password entered for password-encrypted codes
+   * @returns {Promise<{text: (string|null), locked: (Object|null)}>} The plain payload text, or
+   *   null and the reason it could not be decrypted ({mode, keyId, reason})
+   */
+  async function decryptScannedCode(code, password) {
+    const encrypted = parseEncryptedQrPayload(code);
+    if (!encrypted) return { text: code, locked: null };
+
+    const isLabKey = encrypted.mode === QR_ENCRYPTION_MODES.LAB_KEY;
+    const secret = isLabKey ? findLabKey(encrypted.keyId, brandingConfig.qrEncryption) : password;
+    const locked = { mode: encrypted.mode, keyId: encrypted.keyId };
+    if (!secret) {
+      return { text: null, locked: { ...locked, reason: isLabKey ? 'unknownKey' : 'passwordRequired' } };
+    }
+    try {
+      return { text: await decryptQrPayload(code, secret), locked: null };
+    } catch (error) {
+      logService.warn('[QR Restore] QR code could not be decrypted:', error.message);
+      return { text: null, locked: { ...locked, reason: 'decryptionFailed' } };
+    }
+  }
+
+  /**
+   * Decodes the raw text of scanned QR codes.
+   * Parts of multi-part series are reassembled first. The printing steps are then
+   * undone in reverse order: encrypted codes are decrypted, signatures verified and
+   * compressed payloads decompressed. Codes printed before compression moved in front
+   * of signing and encryption are compressed as a whole and decompressed first.
+   * Codes that are not RequiForm payloads are reported but do not stop the others.
+   * Each payload gets the result of its signature verification ({status, keyId, reason}).
+   *
+   * @param {string[]} codes - Raw QR code texts
+   * @param {string} [password] - Password for password-encrypted codes
+   * @returns {Promise<{payloads: Array<{type: string, data: Object, signature: Object}>, rejected: string[], incomplete: Array<Object>, locked: Array<Object>}>}
+   *   Decoded payloads, the texts that could not be decoded, series with missing parts
+   *   and encrypted codes that could not be decrypted
+   */
+  async function decodeScannedCodes(codes, password) {
+    const payloads = [];
+    const rejected = [];
+    const locked = [];
+    const { payloads: texts, incomplete } = reassembleQrParts(codes || []);
+
+    for (const scanned of texts) {
+      let unpacked;
+      try {
+        unpacked = await decompressQrPayload(scanned);
+      } catch (error) {
+        logService.warn('[QR Restore] Skipping QR code that could not be decompressed:', error.message);
+        rejected.push(scanned);
+        continue;
+      }
+      const { text: code, locked: lockedCode } = await decryptScannedCode(unpacked, password);
+      if (lockedCode) {
+        locked.push(lockedCode);
+        continue;
+      }
+      try {
+        const { status, keyId, reason } = await verifyQrPayload(code, brandingConfig.qrSigning);
+        const payload = await unpackQrPayload(code);
+        payload.data = sanitizeParsedJson(payload.data);
+        payload.signature = { status, keyId, reason };
+        payloads.push(payload);
+      } catch (error) {
+        logService.warn('[QR Restore] Skipping unrecognized QR code:', error.message);
+        rejected.push(code);
+      }
+    }
+
+    logService.debug(`[QR Restore] Decoded ${payloads.length} payload(s), rejected ${rejected.length}, incomplete series ${incomplete.length}, locked ${locked.length}`);
+    return { payloads, rejected, incomplete, locked };
+  }
+
+  /**
+   * Restores the form from scanned QR codes.
+   * The current form is replaced by the scanned data. Codes with an invalid signature,
+   * or signed with a key that is not configured, are not restored.
+   *
+   * @param {string[]} codes - Raw QR code texts
+   * @param {string} [password] - Password for password-encrypted codes
+   * @returns {Promise<boolean>} True if the form was restored, false otherwise
+   */
+  async function restoreFromQrCodes(codes, password) {
+    try {
+      const { payloads, incomplete, locked } = await decodeScannedCodes(codes, password);
+      if (incomplete.length > 0) {
+        const { total, missing } = incomplete[0];
+        uiStore.setScanQrError(t('scanQrDialog.errors.incompleteSeries', { missing: missing.join(', '), total }));
+        return false;
+      }
+      if (locked.length > 0) {
+        const { reason, keyId } = locked[0];
+        uiStore.setScanQrError(t(`scanQrDialog.errors.${reason}`, { keyId: keyId || '-' }));
+        return false;
+      }
+      if (payloads.length === 0) {
+        uiStore.setScanQrError(t('scanQrDialog.errors.noRequiFormCodes'));
+        return false;
+      }
+
+      const untrusted = payloads.find(payload => payload.signature.status === SIGNATURE_STATUS.INVALID);
+      if (untrusted) {
+        logService.warn('[QR Restore] Rejected QR payload with invalid signature:', untrusted.signature);
+        uiStore.setScanQrError(untrusted.signature.reason === 'unknownKey'
+          ? t('scanQrDialog.errors.unknownSigningKey', { keyId: untrusted.signature.keyId || '-' })
+          : t('scanQrDialog.errors.invalidSignature'));
+        return false;
+      }
+      const verified = payloads.every(payload => payload.signature.status === SIGNATURE_STATUS.VALID);
+
+      const { formData, phenotypeMap, pedigree, unknownPhenotypes } = buildFormDataFromQrPayloads(payloads);
+
+      if (!formStore.importFormData(formData, true)) {
+        uiStore.setScanQrError(t('scanQrDialog.errors.importFailed'));
+        return false;
+      }
+
+      // Phenotypes are restored in the category map format used by the phenotype selector
+      if (Object.keys(phenotypeMap).length > 0) {
+        formStore.updatePhenotypeDataObj(phenotypeMap);
+      }
+
+      // The pedigree drawer picks up pending pedigree data once it is shown
+      if (pedigree) {
+        formStore.setShowPedigree(true);
+        formStore.setPendingPedigreeData(pedigree);
+      }
+
+      let message = unknownPhenotypes.length > 0
+        ? t('scanQrDialog.messages.restoredWithUnknown', { count: unknownPhenotypes.length })
+        : t('scanQrDialog.messages.restored');
+      if (verified) {
+        message += ` ${t('scanQrDialog.messages.signatureVerified')}`;
+      }
+      uiStore.showSnackbar(message);
+      logService.info(`[QR Restore] Form restored from ${payloads.length} QR payload(s)`);
+      return true;
+    } catch (error) {
+      logService.error('[QR Restore] Error restoring form from QR codes:', error);
+      uiStore.setScanQrError(t('scanQrDialog.errors.importFailed'));
+      return false;
+    }
+  }
+
+  return {
+    decodeScannedCodes,
+    restoreFromQrCodes
+  };
+}
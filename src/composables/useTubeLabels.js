@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Composable for printing specimen tube labels for the current requisition.
+ *
+ * The labels carry the patient name, the birth date, the sample type and the order ID of
+ * the requisition as barcode, so the order ID is created here if the form has none yet; the
+ * requisition PDF and the saved form data then carry the same one. Depending on the layout of the label
+ * configuration (see services/labels/tubeLabels.js), the labels are downloaded as PDF for
+ * label sheets or as ZPL for Zebra thermal printers. The label renderers and the barcode
+ * encoder are only loaded when labels are printed.
+ */
+
+import { useI18n } from 'vue-i18n';
+import { getPdfTemplate } from '@/services/pdf/pdfTemplates';
+import { LABEL_FORMATS, buildTubeLabels, getLabelLayout } from '@/services/labels/tubeLabels';
+import { downloadPdfFile, downloadZplFile, fetchPdfFont } from '../utils/fileUtils';
+import { useFormStore } from '../stores/formStore';
+import { useUiStore } from '../stores/uiStore';
+import logService from '@/services/logService';
+
+/**
+ * Vue composable that provides the tube labels for the application.
+ *
+ * @returns {Object} Object containing the following:
+ *   @returns {Function} generateTubeLabels - Function to render and download the tube labels
+ */
+export function useTubeLabels() {
+  const { t, locale } = useI18n();
+  const formStore = useFormStore();
+  const uiStore = useUiStore();
+
+  /**
+   * Renders the tube labels of the current form and downloads them.
+   *
+   * @param {Object} settings - Label settings from the tube labels dialog
+   * @param {string} settings.layoutId - Label layout
+   * @param {string} settings.barcode - Barcode type of the order ID
+   * @param {Object<string, number>} settings.counts - Number of tubes by sample type ID
+   * @param {{row: number, column: number}} [settings.start] - First free label of the sheet
+   * @param {boolean} [settings.outlines=false] - Draw the label outlines (sheets only)
+   * @returns {Promise<boolean>} True if the file was downloaded, false otherwise
+   */
+  async function generateTubeLabels({ layoutId, barcode, counts, start, outlines = false }) {
+    uiStore.setTubeLabelsError('');
+    try {
+      const orderId = formStore.ensureOrderId();
+      const labels = buildTubeLabels(formStore.exportFormData(), counts, locale.value);
+      if (labels.length === 0) {
+        uiStore.setTubeLabelsError(t('tubeLabelsDialog.errors.noLabels'));
+        return false;
+      }
+
+      const layout = getLabelLayout(layoutId);
+      const fileName = `tube_labels_${orderId}`;
+      let downloaded;
+      if (layout.format === LABEL_FORMATS.ZPL) {
+        const { renderLabelZpl } = await import('@/services/labels/labelZpl');
+        downloaded = downloadZplFile(renderLabelZpl(labels, { layoutId, barcode }), fileName);
+      } else {
+        const { renderLabelSheetPdf } = await import('@/services/labels/labelSheetPdf');
+        const bytes = await renderLabelSheetPdf(labels, {
+          layoutId,
+          barcode,
+          start,
+          outlines,
+          fonts: getPdfTemplate(formStore.pdfTemplate.id)?.fonts,
+          loadFont: fetchPdfFont
+        });
+        downloaded = downloadPdfFile(bytes, fileName);
+      }
+      if (!downloaded) {
+        uiStore.setTubeLabelsError(t('tubeLabelsDialog.errors.downloadFailed'));
+        return false;
+      }
+
+      logService.info(`[TubeLabels] ${labels.length} labels generated with layout ${layout.id}.`);
+      uiStore.showSnackbar(t('tubeLabelsDialog.messages.generated', { count: labels.length }));
+      return true;
+    } catch (error) {
+      logService.error('[TubeLabels] Error generating the tube labels:', error);
+      uiStore.setTubeLabelsError(t('tubeLabelsDialog.errors.generateFailed', { message: error.message }));
+      return false;
+    }
+  }
+
+  return {
+    generateTubeLabels,
+  };
+}
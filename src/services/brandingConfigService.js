@@ -63,6 +63,21 @@ async function loadExternalConfig() {
     if (externalConfig.logoUrl) {
       activeConfig.logoUrl = externalConfig.logoUrl;
     }
+    // Merge QR signing settings (shallow merge, keys are replaced as a whole)
+    if (externalConfig.qrSigning) {
+      if (!activeConfig.qrSigning) activeConfig.qrSigning = {};
+      activeConfig.qrSigning = { ...activeConfig.qrSigning, ...externalConfig.qrSigning };
+    }
+    // Merge QR encryption settings (shallow merge)
+    if (externalConfig.qrEncryption) {
+      if (!activeConfig.qrEncryption) activeConfig.qrEncryption = {};
+      activeConfig.qrEncryption = { ...activeConfig.qrEncryption, ...externalConfig.qrEncryption };
+    }
+    // Merge PDF archive (PDF/A) settings (shallow merge)
+    if (externalConfig.pdfArchive) {
+      if (!activeConfig.pdfArchive) activeConfig.pdfArchive = {};
+      activeConfig.pdfArchive = { ...activeConfig.pdfArchive, ...externalConfig.pdfArchive };
+    }
     // Add merging logic for other properties if they are added later
 
     logService.info(`[Branding] Successfully merged external config from ${url}.`);
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Barcodes of the tube labels, encoded with bwip-js.
+ *
+ * bwip-js encodes a barcode and hands its shapes to a drawing context. The context of this
+ * module draws them as vector shapes into a jsPDF document, scaled into a box: the bars of
+ * a Code 128 barcode as filled rectangles, the modules of a DataMatrix code as one path
+ * filled with the even-odd rule (bwip-js outlines the dark areas and their holes). Only the
+ * named encoders are imported, so the bundle holds just these two symbologies.
+ */
+
+import { code128, datamatrix } from 'bwip-js';
+import { BARCODE_TYPES } from './tubeLabels';
+
+const ENCODERS = {
+  [BARCODE_TYPES.CODE128]: code128,
+  [BARCODE_TYPES.DATAMATRIX]: datamatrix
+};
+
+// bwip-js draws a module of a matrix code two units wide at scale 1
+const MATRIX_UNITS_PER_MODULE = 2;
+// Quiet zone of Code 128 on either side, in modules
+const CODE128_QUIET_ZONE = 10;
+
+/**
+ * Runs a bwip-js encoder with a drawing context.
+ */
+function encode(type, text, drawing) {
+  const encoder = ENCODERS[type];
+  if (!encoder) {
+    throw new Error(`Unknown barcode type "${type}".`);
+  }
+  return encoder({ bcid: type, text, scale: 1 }, drawing);
+}
+
+/**
+ * Creates a bwip-js drawing context that only takes the size of the barcode.
+ */
+function createMeasuringContext() {
+  let size = { width: 0, height: 0 };
+  return {
+    setopts() {},
+    scale(scaleX, scaleY) { return [scaleX, scaleY]; },
+    measure(text, font, width, height) { return { width: width * text.length, ascent: height, descent: 0 }; },
+    init(width, height) { size = { width, height }; },
+    line() {},
+    polygon() {},
+    hexagon() {},
+    ellipse() {},
+    fill() {},
+    text() {},
+    end() { return size; }
+  };
+}
+
+/**
+ * Returns the size of a barcode in modules, e.g. to choose the module width of a printer.
+ *
+ * @param {string} type - Barcode type (see BARCODE_TYPES)
+ * @param {string} text - Encoded text
+ * @return {{columns: number, rows: number}} Modules across (without quiet zone) and, for
+ *   DataMatrix, down (1 for Code 128)
+ * @throws {Error} If the type is not supported or the text cannot be encoded
+ */
+export function measureBarcode(type, text) {
+  const { width, height } = encode(type, text, createMeasuringContext());
+  if (type === BARCODE_TYPES.DATAMATRIX) {
+    return { columns: width / MATRIX_UNITS_PER_MODULE, rows: height / MATRIX_UNITS_PER_MODULE };
+  }
+  return { columns: width, rows: 1 };
+}
+
+/**
+ * Creates a bwip-js drawing context that draws into a box of a jsPDF document. The barcode
+ * is stretched to the box (Code 128, with its quiet zone inside the box) or fitted into it
+ * as a square at its top left (DataMatrix).
+ */
+function createPdfDrawingContext(doc, type, box) {
+  let scaleX = 1;
+  let scaleY = 1;
+  let offsetX = box.x;
+  const toX = x => offsetX + x * scaleX;
+  const toY = y => box.y + y * scaleY;
+
+  return {
+    setopts() {},
+    scale(sx, sy) { return [sx, sy]; },
+    measure(text, font, width, height) { return { width: width * text.length, ascent: height, descent: 0 }; },
+    init(width, height) {
+      if (type === BARCODE_TYPES.DATAMATRIX) {
+        scaleX = scaleY = Math.min(box.width / width, box.height / height);
+      } else {
+        scaleX = box.width / (width + 2 * CODE128_QUIET_ZONE);
+        scaleY = box.height / height;
+        offsetX = box.x + CODE128_QUIET_ZONE * scaleX;
+      }
+      doc.setFillColor('#000000');
+    },
+    // Bars: vertical lines in pixel coordinates, both end pixels included; a bar of width
+    // lineWidth covers the pixels from x0 - ceil(lineWidth / 2)
+    line(x0, y0, x1, y1, lineWidth) {
+      const left = x0 - Math.ceil(lineWidth / 2);
+      const top = Math.min(y0, y1);
+      doc.rect(toX(left), toY(top), lineWidth * scaleX, (Math.abs(y1 - y0) + 1) * scaleY, 'F');
+    },
+    polygon(points) {
+      points.forEach(([x, y], index) => {
+        if (index === 0) {
+          doc.moveTo(toX(x), toY(y));
+        } else {
+          doc.lineTo(toX(x), toY(y));
+        }
+      });
+      doc.close();
+    },
+    // Not used by Code 128 and DataMatrix
+    hexagon() {},
+    ellipse() {},
+    fill() {
+      doc.fillEvenOdd();
+    },
+    // The text is printed by the label, not by the barcode
+    text() {},
+    end() {}
+  };
+}
+
+/**
+ * Draws a barcode as vector shapes into a box of a jsPDF document.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {string} type - Barcode type (see BARCODE_TYPES)
+ * @param {string} text - Encoded text
+ * @param {{x: number, y: number, width: number, height: number}} box - Box in document units
+ * @throws {Error} If the type is not supported or the text cannot be encoded
+ */
+export function drawPdfBarcode(doc, type, text, box) {
+  encode(type, text, createPdfDrawingContext(doc, type, box));
+}
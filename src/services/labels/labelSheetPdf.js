@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tube labels as PDF for label sheets (Avery-style A4 sheets).
+ *
+ * The labels are placed on the grid of a sheet layout of data/labelConfig.json, row by row
+ * from the start position, so a sheet with labels already used can be printed on again.
+ * Labels that do not fit go on further sheets, which start at the first label. The PDF is
+ * in millimetres and must be printed at actual size.
+ *
+ * Like the requisition, names with characters the standard fonts cannot render are drawn
+ * with the embedded fallback fonts of the PDF template (see pdfFonts.js).
+ */
+
+import { jsPDF } from 'jspdf';
+import { drawText, loadPdfFonts, measureText, setPdfFonts } from '../pdf/pdfFonts';
+import { PAPER_SIZES } from '../pdf/pdfPage';
+import { drawPdfBarcode } from './labelBarcodes';
+import {
+  LABEL_FORMATS,
+  getLabelContentLayout,
+  getLabelLayout,
+  getLabelLineText,
+  getLabelsPerSheet,
+  getStartIndex
+} from './tubeLabels';
+
+const OUTLINE_COLOR = '#c0c0c0';
+
+/**
+ * Shortens a text with an ellipsis until it fits a width.
+ */
+function fitText(doc, text, width) {
+  if (measureText(doc, text) <= width) return text;
+  let shortened = text;
+  while (shortened.length > 1 && measureText(doc, `${shortened}…`) > width) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened.trimEnd()}…`;
+}
+
+/**
+ * Draws one label with its top left corner at x, y.
+ */
+function drawLabel(doc, label, content, x, y) {
+  content.lines.forEach((line) => {
+    const text = getLabelLineText(label, line);
+    if (!text) return;
+    doc.setFont('Helvetica', line.bold ? 'bold' : 'normal');
+    doc.setFontSize(line.fontSize);
+    drawText(doc, fitText(doc, text, line.width), x + line.x, y + line.y, { baseline: 'top', align: line.align });
+  });
+  const { type, ...box } = content.barcode;
+  drawPdfBarcode(doc, type, label.orderId, { ...box, x: x + box.x, y: y + box.y });
+}
+
+/**
+ * Renders tube labels on label sheets.
+ *
+ * @param {Object[]} labels - Labels (see buildTubeLabels in tubeLabels.js)
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.layoutId] - Sheet layout of the label configuration; the default layout if not given
+ * @param {string} [options.barcode] - Barcode type; the barcode of the layout if not given
+ * @param {{row: number, column: number}} [options.start] - First free label of the first sheet (1-based)
+ * @param {boolean} [options.outlines=false] - Draw the label outlines, for a test print on plain paper
+ * @param {Object} [options.fonts] - fonts setting of the PDF template, for fallback fonts
+ * @param {function(string): Promise<ArrayBuffer|Uint8Array>} [options.loadFont] - Loads a font file by file name
+ * @return {Promise<Uint8Array>} PDF bytes
+ * @throws {Error} If the layout is not a sheet layout, the start position is not on the
+ *   sheet or there are no labels
+ */
+export async function renderLabelSheetPdf(labels, options = {}) {
+  const layout = getLabelLayout(options.layoutId);
+  if (layout.format !== LABEL_FORMATS.SHEET) {
+    throw new Error(`Label layout "${layout.id}" is not a label sheet.`);
+  }
+  if (!labels.length) {
+    throw new Error('There are no labels to print.');
+  }
+  const paper = layout.sheet.paper || 'a4';
+  if (!PAPER_SIZES[paper]) {
+    throw new Error(`Unknown paper size "${paper}" of label layout "${layout.id}".`);
+  }
+
+  const content = getLabelContentLayout(layout, options.barcode);
+  const perSheet = getLabelsPerSheet(layout);
+  const startIndex = getStartIndex(layout, options.start);
+  const { columns, marginTop, marginLeft, pitchX, pitchY } = layout.sheet;
+
+  const doc = new jsPDF({ unit: 'mm', format: paper, orientation: 'portrait', floatPrecision: 3 });
+  doc.setProperties({ title: 'Specimen Tube Labels', creator: 'RequiForm' });
+  setPdfFonts(doc, await loadPdfFonts(options.fonts, options.loadFont), options.fonts?.fallback);
+
+  labels.forEach((label, index) => {
+    const position = (startIndex + index) % perSheet;
+    if (index > 0 && position === 0) doc.addPage();
+    const x = marginLeft + (position % columns) * pitchX;
+    const y = marginTop + Math.floor(position / columns) * pitchY;
+    if (options.outlines) {
+      doc.setDrawColor(OUTLINE_COLOR);
+      doc.setLineWidth(0.1);
+      doc.roundedRect(x, y, layout.label.width, layout.label.height, 1.5, 1.5);
+    }
+    drawLabel(doc, label, content, x, y);
+  });
+
+  return new Uint8Array(doc.output('arraybuffer'));
+}
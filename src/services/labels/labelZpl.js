@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Tube labels as ZPL for Zebra thermal printers.
+ *
+ * Each sample type becomes one label format (^XA … ^XZ) printed as often as there are tubes
+ * (^PQ). The content is placed like on the label sheets (see getLabelContentLayout in
+ * tubeLabels.js), converted to printer dots at the resolution of the layout. The barcodes
+ * are the printer's own (^BC Code 128, ^BX DataMatrix), with the module width chosen so the
+ * barcode fits its box; the text uses the scalable font 0 with UTF-8 encoding (^CI28).
+ */
+
+import { measureBarcode } from './labelBarcodes';
+import { BARCODE_TYPES, LABEL_FORMATS, getLabelContentLayout, getLabelLayout, getLabelLineText } from './tubeLabels';
+
+const MM_PER_INCH = 25.4;
+const MM_PER_POINT = 25.4 / 72;
+// Average character width of font 0 relative to its height, to shorten long lines
+const FONT_WIDTH_FACTOR = 0.55;
+// Quiet zone of Code 128 on either side, in modules
+const CODE128_QUIET_ZONE = 10;
+
+/**
+ * Escapes a field value for ^FH: the characters ^, ~ and _ as hexadecimal.
+ */
+function escapeField(text) {
+  return String(text).replace(/[\^~_]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Shortens a text to the number of characters that fit a width in font 0.
+ */
+function fitText(text, widthDots, heightDots) {
+  const maxLength = Math.max(1, Math.floor(widthDots / (heightDots * FONT_WIDTH_FACTOR)));
+  const characters = Array.from(text);
+  return characters.length > maxLength ? characters.slice(0, maxLength).join('') : text;
+}
+
+/**
+ * Returns the ZPL commands of the barcode of a label.
+ */
+function barcodeCommands(barcode, orderId, toDots) {
+  const { columns } = measureBarcode(barcode.type, orderId);
+  const boxWidth = toDots(barcode.width);
+  const boxHeight = toDots(barcode.height);
+  if (barcode.type === BARCODE_TYPES.DATAMATRIX) {
+    const moduleDots = Math.max(1, Math.floor(Math.min(boxWidth, boxHeight) / columns));
+    return `^FO${toDots(barcode.x)},${toDots(barcode.y)}^BXN,${moduleDots},200^FH^FD${escapeField(orderId)}^FS`;
+  }
+  // Code 128 centred in its box, with the quiet zone inside the box
+  const moduleDots = Math.max(1, Math.floor(boxWidth / (columns + 2 * CODE128_QUIET_ZONE)));
+  const x = toDots(barcode.x) + Math.floor((boxWidth - columns * moduleDots) / 2);
+  return `^FO${x},${toDots(barcode.y)}^BY${moduleDots}^BCN,${boxHeight},N,N,N,A^FH^FD${escapeField(orderId)}^FS`;
+}
+
+/**
+ * Returns the ZPL label format of one label, printed the given number of times.
+ */
+function labelFormat(layout, content, label, quantity) {
+  const dotsPerMm = layout.printer.dpi / MM_PER_INCH;
+  const toDots = mm => Math.round(mm * dotsPerMm);
+
+  const commands = [
+    '^XA',
+    '^CI28',
+    `^PW${toDots(layout.label.width)}`,
+    `^LL${toDots(layout.label.height)}`,
+    '^LH0,0'
+  ];
+  content.lines.forEach((line) => {
+    const text = getLabelLineText(label, line);
+    if (!text) return;
+    const height = toDots(line.fontSize * MM_PER_POINT);
+    const width = toDots(line.width);
+    // Centred lines are a one-line field block over the line width, centred at x
+    const x = line.align === 'center' ? toDots(line.x - line.width / 2) : toDots(line.x);
+    const block = line.align === 'center' ? `^FB${width},1,0,C,0` : '';
+    // Font 0 has no bold style, bold lines are printed wider
+    const font = line.bold ? `^A0N,${height},${Math.round(height * 1.1)}` : `^A0N,${height},${height}`;
+    commands.push(`^FO${x},${toDots(line.y)}${font}${block}^FH^FD${escapeField(fitText(text, width, height))}^FS`);
+  });
+  commands.push(barcodeCommands(content.barcode, label.orderId, toDots));
+  commands.push(`^PQ${quantity}`, '^XZ');
+  return commands.join('\n');
+}
+
+/**
+ * Renders tube labels as ZPL. Consecutive equal labels (the tubes of a sample type) become
+ * one label format with a print quantity.
+ *
+ * @param {Object[]} labels - Labels (see buildTubeLabels in tubeLabels.js)
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.layoutId] - ZPL layout of the label configuration; the default layout if not given
+ * @param {string} [options.barcode] - Barcode type; the barcode of the layout if not given
+ * @return {string} ZPL commands
+ * @throws {Error} If the layout is not a ZPL layout or there are no labels
+ */
+export function renderLabelZpl(labels, options = {}) {
+  const layout = getLabelLayout(options.layoutId);
+  if (layout.format !== LABEL_FORMATS.ZPL || !layout.printer?.dpi) {
+    throw new Error(`Label layout "${layout.id}" is not a ZPL layout with a printer resolution.`);
+  }
+  if (!labels.length) {
+    throw new Error('There are no labels to print.');
+  }
+
+  const content = getLabelContentLayout(layout, options.barcode);
+  const groups = [];
+  labels.forEach((label) => {
+    const last = groups[groups.length - 1];
+    if (last && JSON.stringify(last.label) === JSON.stringify(label)) {
+      last.quantity += 1;
+    } else {
+      groups.push({ label, quantity: 1 });
+    }
+  });
+  return `${groups.map(({ label, quantity }) => labelFormat(layout, content, label, quantity)).join('\n')}\n`;
+}
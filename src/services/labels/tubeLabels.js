@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Specimen tube labels for the current requisition.
+ *
+ * A label carries the patient name, the birth date, the sample type and the order ID as
+ * barcode (Code 128 or DataMatrix) and as text, so the tubes can be matched to the
+ * requisition, which prints the same order ID. The label layouts and sample types are
+ * defined in data/labelConfig.json, in millimetres:
+ *
+ *   {
+ *     "id": "avery-l7651",
+ *     "format": "sheet",
+ *     "label": { "width": 38.1, "height": 21.2, "padding": 1.5, "fontSize": 6 },
+ *     "sheet": { "paper": "a4", "columns": 5, "rows": 13, "marginTop": 10.7, "marginLeft": 4.75,
+ *                "pitchX": 40.6, "pitchY": 21.2 },
+ *     "barcode": "datamatrix"
+ *   }
+ *
+ * Layouts of the "sheet" format are printed as PDF on label sheets (see labelSheetPdf.js),
+ * layouts of the "zpl" format ("printer": { "dpi": 203 }) as ZPL for Zebra thermal printers
+ * (see labelZpl.js). Both place the content with getLabelContentLayout(), so a label looks
+ * the same on either.
+ */
+
+import labelConfig from '../../data/labelConfig.json';
+
+/**
+ * Output formats of the label layouts.
+ * @type {Object<string, string>}
+ */
+export const LABEL_FORMATS = {
+  SHEET: 'sheet',
+  ZPL: 'zpl'
+};
+
+/**
+ * Barcode types for the order ID.
+ * @type {Object<string, string>}
+ */
+export const BARCODE_TYPES = {
+  CODE128: 'code128',
+  DATAMATRIX: 'datamatrix'
+};
+
+/**
+ * Most labels printed at once, for a start position and all sample types.
+ * @type {number}
+ */
+export const MAX_LABELS = 500;
+
+// Line height relative to the font size
+const LINE_HEIGHT_FACTOR = 1.2;
+// Gap between text and barcode
+const CONTENT_GAP = 1;
+// Largest part of the label width a DataMatrix code takes
+const MATRIX_MAX_WIDTH_RATIO = 0.45;
+const MM_PER_POINT = 25.4 / 72;
+
+/**
+ * Label layouts of the label configuration.
+ * @type {Object[]}
+ */
+export const LABEL_LAYOUTS = labelConfig.layouts;
+
+/**
+ * Sample types of the label configuration ({id, names, defaultCount}).
+ * @type {Object[]}
+ */
+export const SAMPLE_TYPES = labelConfig.sampleTypes;
+
+/**
+ * Returns a label layout by ID.
+ *
+ * @param {string} [id] - Layout ID; the default layout of the configuration if not given
+ * @return {Object} Label layout
+ * @throws {Error} If there is no layout with the ID
+ */
+export function getLabelLayout(id) {
+  const layoutId = id || labelConfig.defaultLayout;
+  const layout = LABEL_LAYOUTS.find(candidate => candidate.id === layoutId);
+  if (!layout) {
+    throw new Error(`Unknown label layout "${layoutId}" (available: ${LABEL_LAYOUTS.map(candidate => candidate.id).join(', ')}).`);
+  }
+  return layout;
+}
+
+/**
+ * Returns the name of a label layout or sample type in a language.
+ *
+ * @param {Object} entry - Layout or sample type of the label configuration
+ * @param {string} locale - Language code
+ * @return {string} Name in the language, the English name or the ID
+ */
+export function getLabelName(entry, locale) {
+  return entry.names?.[locale] || entry.names?.en || entry.id;
+}
+
+/**
+ * Returns the number of labels per sheet of a sheet layout.
+ *
+ * @param {Object} layout - Label layout of the sheet format
+ * @return {number} Labels per sheet
+ */
+export function getLabelsPerSheet(layout) {
+  return layout.sheet.columns * layout.sheet.rows;
+}
+
+/**
+ * Builds the labels of a requisition: one per tube, in the order of the sample types.
+ *
+ * @param {Object} formData - Exported form data (formStore.exportFormData()) with an order ID
+ * @param {Object<string, number>} counts - Number of tubes by sample type ID
+ * @param {string} locale - Language of the sample type names
+ * @return {Object[]} Labels ({name, birthdate, sampleType, orderId})
+ * @throws {Error} If the form data has no order ID or there are too many labels
+ */
+export function buildTubeLabels(formData, counts, locale) {
+  const personalInfo = formData?.patientData?.personalInfo || formData?.personalInfo || {};
+  const orderId = formData?.orderId || '';
+  if (!orderId) {
+    throw new Error('Tube labels need the order ID of the requisition.');
+  }
+
+  const familyName = (personalInfo.lastName || personalInfo.familyName || '').trim();
+  const givenName = (personalInfo.firstName || personalInfo.givenName || '').trim();
+  const patient = {
+    name: [familyName, givenName].filter(Boolean).join(', '),
+    birthdate: (personalInfo.birthdate || '').trim(),
+    orderId
+  };
+
+  const labels = SAMPLE_TYPES.flatMap((sampleType) => {
+    const count = Math.max(0, Math.floor(Number(counts?.[sampleType.id]) || 0));
+    return Array.from({ length: count }, () => ({ ...patient, sampleType: getLabelName(sampleType, locale) }));
+  });
+  if (labels.length > MAX_LABELS) {
+    throw new Error(`Too many tube labels (${labels.length}, at most ${MAX_LABELS}).`);
+  }
+  return labels;
+}
+
+/**
+ * Places the content of a label, in millimetres from its top left corner.
+ *
+ * With a DataMatrix code, the code is square at the right and the name, birth date, sample
+ * type and order ID are lines of text at its left. With a Code 128 barcode, name, birth date
+ * and sample type are at the top, the barcode takes the full width below them and the order
+ * ID is printed centred under the barcode.
+ *
+ * @param {Object} layout - Label layout
+ * @param {string} [barcode] - Barcode type; the barcode of the layout if not given
+ * @return {{barcode: {type: string, x: number, y: number, width: number, height: number},
+ *   lines: Object[]}} Barcode box and text lines ({fields, x, y, width, fontSize, bold, align}),
+ *   y being the top of the line and fontSize in points
+ * @throws {Error} If the barcode type is not supported
+ */
+export function getLabelContentLayout(layout, barcode) {
+  const type = barcode || layout.barcode || BARCODE_TYPES.DATAMATRIX;
+  if (!Object.values(BARCODE_TYPES).includes(type)) {
+    throw new Error(`Unknown barcode type "${type}" (use ${Object.values(BARCODE_TYPES).join(' or ')}).`);
+  }
+  const { width, height, padding = 0, fontSize = 7 } = layout.label;
+  const inner = { x: padding, y: padding, width: width - 2 * padding, height: height - 2 * padding };
+
+  // Font size that fits the given number of lines into a height
+  const fitFontSize = (lines, available) => Math.min(fontSize, available / lines / LINE_HEIGHT_FACTOR / MM_PER_POINT);
+  const textLines = (fieldsList, x, y, lineWidth, size) => fieldsList.map((fields, index) => ({
+    fields,
+    x,
+    y: y + index * size * MM_PER_POINT * LINE_HEIGHT_FACTOR,
+    width: lineWidth,
+    fontSize: size,
+    bold: fields.includes('name'),
+    align: 'left'
+  }));
+
+  if (type === BARCODE_TYPES.DATAMATRIX) {
+    const side = Math.min(inner.height, inner.width * MATRIX_MAX_WIDTH_RATIO);
+    const textWidth = inner.width - side - CONTENT_GAP;
+    const size = fitFontSize(4, inner.height);
+    return {
+      barcode: { type, x: inner.x + inner.width - side, y: inner.y + (inner.height - side) / 2, width: side, height: side },
+      lines: textLines([['name'], ['birthdate'], ['sampleType'], ['orderId']], inner.x, inner.y, textWidth, size)
+    };
+  }
+
+  // Code 128: the text takes at most half of the height, the barcode at least the other half
+  const size = fitFontSize(3, inner.height / 2);
+  const lineHeight = size * MM_PER_POINT * LINE_HEIGHT_FACTOR;
+  const lines = textLines([['name'], ['birthdate', 'sampleType']], inner.x, inner.y, inner.width, size);
+  const barcodeY = inner.y + 2 * lineHeight + CONTENT_GAP / 2;
+  const orderIdY = inner.y + inner.height - lineHeight;
+  return {
+    barcode: { type, x: inner.x, y: barcodeY, width: inner.width, height: orderIdY - barcodeY },
+    lines: [...lines, { fields: ['orderId'], x: inner.x + inner.width / 2, y: orderIdY, width: inner.width, fontSize: size, bold: false, align: 'center' }]
+  };
+}
+
+/**
+ * Returns the text of a label line.
+ *
+ * @param {Object} label - Label ({name, birthdate, sampleType, orderId})
+ * @param {Object} line - Text line of getLabelContentLayout()
+ * @return {string} Text of the line's fields, separated by two spaces
+ */
+export function getLabelLineText(label, line) {
+  return line.fields.map(field => label[field]).filter(Boolean).join('  ');
+}
+
+/**
+ * Checks the start position of a label sheet.
+ *
+ * @param {Object} layout - Label layout of the sheet format
+ * @param {{row: number, column: number}} [start] - First label to print (1-based)
+ * @return {number} Index of the first label on the sheet (0-based, row by row)
+ * @throws {Error} If the position is not on the sheet
+ */
+export function getStartIndex(layout, start = {}) {
+  const row = Number(start.row || 1);
+  const column = Number(start.column || 1);
+  const { rows, columns } = layout.sheet;
+  if (!Number.isInteger(row) || !Number.isInteger(column) || row < 1 || row > rows || column < 1 || column > columns) {
+    throw new Error(`Start position row ${start.row}, column ${start.column} is not on the sheet (${rows} rows, ${columns} columns).`);
+  }
+  return (row - 1) * columns + column - 1;
+}
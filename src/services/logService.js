@@ -10,9 +10,9 @@ export const LogLevel = {
 const LOG_LEVEL_KEY = 'requiform_logLevel';
 const MAX_LOG_ENTRIES = 500; // Maximum number of log entries to keep
 
-// Get initial log level from localStorage or default to INFO
+// Get initial log level from localStorage (not available in Node) or default to INFO
 const getInitialLogLevel = () => {
-  const savedLevel = localStorage.getItem(LOG_LEVEL_KEY);
+  const savedLevel = typeof localStorage !== 'undefined' ? localStorage.getItem(LOG_LEVEL_KEY) : null;
   if (savedLevel !== null && LogLevel[savedLevel.toUpperCase()] !== undefined) {
     return LogLevel[savedLevel.toUpperCase()];
   }
@@ -84,7 +84,9 @@ const log = {
       state.currentLogLevel = level;
       const levelName = Object.keys(LogLevel).find(key => LogLevel[key] === level);
       if (levelName) {
-        localStorage.setItem(LOG_LEVEL_KEY, levelName);
+        if (typeof localStorage !== 'undefined') {
+          localStorage.setItem(LOG_LEVEL_KEY, levelName);
+        }
         log.info(`Log level set to ${levelName}`);
       }
     } else {
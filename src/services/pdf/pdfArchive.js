@@ -0,0 +1,279 @@
+/**
+ * @fileoverview PDF/A archive mode of the requisition PDF.
+ *
+ * applyPdfArchiveMode() adds what a PDF/A-3 archive needs to a jsPDF document before it is
+ * written:
+ * - XMP metadata matching the document information (title, creation tool, template
+ *   version, patient pseudonym) with the PDF/A identification and an extension schema
+ *   for the RequiForm properties
+ * - An sRGB output intent with an embedded ICC profile
+ * - Optionally the exported form data as an associated JSON file attachment
+ *   (AFRelationship /Data), which the Load Data dialog can restore the form from
+ *
+ * jsPDF has no API for these objects, so they are written from its document events
+ * ("postPutResources" for the objects, "putCatalog" for the catalog entries), the same
+ * way jsPDF's own plugins do.
+ *
+ * Note: jsPDF does not embed its standard fonts (Helvetica), which PDF/A requires.
+ * Validators report the fonts until an embedded font is used; all other parts follow
+ * PDF/A-3b.
+ */
+
+import { jsPDF } from 'jspdf';
+
+/**
+ * File name of the form data attachment.
+ * @type {string}
+ */
+export const PDF_FORM_DATA_ATTACHMENT = 'requiform-data.json';
+
+// Namespace and prefix of the RequiForm XMP properties
+const XMP_NAMESPACE = 'https://github.com/BerntPopp/RequiForm/ns/pdf/1.0/';
+const XMP_PREFIX = 'requiform';
+
+// RequiForm XMP properties with their descriptions for the PDF/A extension schema
+const XMP_PROPERTIES = [
+  ['pseudonym', 'Pseudonymous order ID of the patient'],
+  ['templateId', 'ID of the PDF template'],
+  ['templateVersion', 'Version of the PDF template']
+];
+
+const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+/**
+ * Converts a string to a binary string of its UTF-8 bytes, as written by jsPDF.
+ */
+function toUtf8BinaryString(text) {
+  return Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Escapes text for XML content.
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a PDF date (D:YYYYMMDDHHmmSS+HH'mm') to an XMP date (ISO 8601).
+ */
+function pdfDateToXmpDate(pdfDate) {
+  const match = /^D:(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})([+-])(\d{2})'(\d{2})'?$/.exec(pdfDate || '');
+  if (!match) return new Date().toISOString();
+  const [, year, month, day, hour, minute, second, sign, offsetHour, offsetMinute] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${sign}${offsetHour}:${offsetMinute}`;
+}
+
+/**
+ * Builds the ICC profile (version 2.1, display class) of the sRGB color space the
+ * document is drawn in. The tone curves are sampled from the sRGB transfer function,
+ * the colorants are the D50-adapted sRGB primaries.
+ *
+ * @return {string} Profile as binary string
+ */
+function buildSrgbIccProfile() {
+  const toFixed = value => Math.round(value * 65536);
+  const curve = Array.from({ length: 256 }, (_, index) => {
+    const value = index / 255;
+    const linear = value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    return Math.round(linear * 65535);
+  });
+  const ascii = text => Array.from(text, char => char.charCodeAt(0));
+  const uint32 = value => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  const uint16 = value => [(value >>> 8) & 0xff, value & 0xff];
+  const xyz = (x, y, z) => [...ascii('XYZ '), 0, 0, 0, 0, ...uint32(toFixed(x)), ...uint32(toFixed(y)), ...uint32(toFixed(z))];
+
+  const description = 'sRGB IEC61966-2.1';
+  const curveData = [...ascii('curv'), 0, 0, 0, 0, ...uint32(curve.length), ...curve.flatMap(uint16)];
+  const tags = [
+    ['desc', [...ascii('desc'), 0, 0, 0, 0, ...uint32(description.length + 1), ...ascii(description), 0,
+      ...new Array(4 + 4 + 2 + 1 + 67).fill(0)]],
+    ['cprt', [...ascii('text'), 0, 0, 0, 0, ...ascii('No copyright, use freely'), 0]],
+    ['wtpt', xyz(0.9642, 1, 0.8249)],
+    ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+    ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+    ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+    ['rTRC', curveData],
+    ['gTRC', curveData],
+    ['bTRC', curveData]
+  ];
+
+  // Tag data follows the header (128 bytes) and the tag table, each entry 4-byte aligned
+  const table = [...uint32(tags.length)];
+  const data = [];
+  let offset = 128 + 4 + tags.length * 12;
+  tags.forEach(([signature, bytes]) => {
+    table.push(...ascii(signature), ...uint32(offset), ...uint32(bytes.length));
+    const padded = [...bytes, ...new Array((4 - (bytes.length % 4)) % 4).fill(0)];
+    data.push(...padded);
+    offset += padded.length;
+  });
+
+  const header = [
+    ...uint32(offset), 0, 0, 0, 0, 0x02, 0x10, 0, 0, ...ascii('mntrRGB XYZ '),
+    ...uint16(2000), ...uint16(1), ...uint16(1), 0, 0, 0, 0, 0, 0, ...ascii('acsp'),
+    ...new Array(4 + 4 + 4 + 4 + 8 + 4).fill(0),
+    ...uint32(toFixed(0.9642)), ...uint32(toFixed(1)), ...uint32(toFixed(0.8249)),
+    ...new Array(4 + 16 + 28).fill(0)
+  ];
+  return String.fromCharCode(...header, ...table, ...data);
+}
+
+/**
+ * Builds the XMP metadata packet of the document.
+ */
+function buildXmpMetadata({ title, subject, keywords, creator, producer, createDate, pseudonym, templateId, templateVersion }) {
+  const alt = text => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+  const customProperties = { pseudonym, templateId, templateVersion };
+  const propertyDescriptions = XMP_PROPERTIES.map(([name, description]) => `
+            <rdf:li rdf:parseType="Resource">
+              <pdfaProperty:name>${name}</pdfaProperty:name>
+              <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+              <pdfaProperty:category>external</pdfaProperty:category>
+              <pdfaProperty:description>${escapeXml(description)}</pdfaProperty:description>
+            </rdf:li>`).join('');
+  const propertyValues = XMP_PROPERTIES
+    .filter(([name]) => customProperties[name])
+    .map(([name]) => `
+      <${XMP_PREFIX}:${name}>${escapeXml(customProperties[name])}</${XMP_PREFIX}:${name}>`).join('');
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+        xmlns:${XMP_PREFIX}="${XMP_NAMESPACE}">
+      <dc:format>application/pdf</dc:format>
+      <dc:title>${alt(title)}</dc:title>
+      <dc:description>${alt(subject)}</dc:description>
+      <xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${createDate}</xmp:CreateDate>
+      <pdf:Producer>${escapeXml(producer)}</pdf:Producer>
+      <pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>
+      <pdfaid:part>3</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>${propertyValues}
+    </rdf:Description>
+    <rdf:Description rdf:about=""
+        xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>RequiForm requisition</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>${XMP_NAMESPACE}</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>${XMP_PREFIX}</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>${propertyDescriptions}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Writes the archive objects when the document is written and returns their object numbers.
+ */
+function putArchiveObjects(doc, metadata, formData) {
+  const { internal } = doc;
+  const objects = {};
+
+  // XMP metadata must not be compressed
+  objects.metadata = internal.newObject();
+  internal.putStream({
+    data: toUtf8BinaryString(buildXmpMetadata(metadata)),
+    filters: [],
+    objectId: objects.metadata,
+    additionalKeyValues: [{ key: 'Type', value: '/Metadata' }, { key: 'Subtype', value: '/XML' }]
+  });
+  internal.write('endobj');
+
+  const profile = internal.newObject();
+  internal.putStream({
+    data: buildSrgbIccProfile(),
+    filters: ['FlateEncode'],
+    objectId: profile,
+    additionalKeyValues: [{ key: 'N', value: 3 }]
+  });
+  internal.write('endobj');
+
+  objects.outputIntent = internal.newObject();
+  internal.write(`<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (${OUTPUT_CONDITION}) `
+    + `/Info (${OUTPUT_CONDITION}) /RegistryName (http://www.color.org) /DestOutputProfile ${profile} 0 R >>`);
+  internal.write('endobj');
+
+  if (formData) {
+    const json = toUtf8BinaryString(JSON.stringify(formData, null, 2));
+    const file = internal.newObject();
+    internal.putStream({
+      data: json,
+      filters: ['FlateEncode'],
+      objectId: file,
+      additionalKeyValues: [
+        { key: 'Type', value: '/EmbeddedFile' },
+        { key: 'Subtype', value: '/application#2Fjson' },
+        { key: 'Params', value: `<< /Size ${json.length} /ModDate (${metadata.pdfDate}) >>` }
+      ]
+    });
+    internal.write('endobj');
+
+    objects.fileSpec = internal.newObject();
+    internal.write(`<< /Type /Filespec /F (${PDF_FORM_DATA_ATTACHMENT}) /UF (${PDF_FORM_DATA_ATTACHMENT}) `
+      + `/Desc (RequiForm form data) /AFRelationship /Data /EF << /F ${file} 0 R /UF ${file} 0 R >> >>`);
+    internal.write('endobj');
+  }
+  return objects;
+}
+
+/**
+ * Turns on the archive mode of a jsPDF document. Call it once before the document is
+ * output; the metadata must match the document properties set with doc.setProperties().
+ *
+ * @param {jsPDF} doc - Document
+ * @param {Object} metadata - Document metadata
+ * @param {string} metadata.title - Document title (Title)
+ * @param {string} [metadata.subject=''] - Document subject (Subject)
+ * @param {string} [metadata.keywords=''] - Document keywords (Keywords)
+ * @param {string} [metadata.creator='RequiForm'] - Creating application (Creator)
+ * @param {string} [metadata.pseudonym=''] - Pseudonym of the patient (e.g. the order ID)
+ * @param {string} [metadata.templateId=''] - ID of the PDF template
+ * @param {string} [metadata.templateVersion=''] - Version of the PDF template
+ * @param {Object|null} [formData=null] - Form data to attach as JSON file, none if null
+ */
+export function applyPdfArchiveMode(doc, metadata, formData = null) {
+  let objects = {};
+  const pdfDate = doc.getCreationDate();
+  const fullMetadata = {
+    subject: '',
+    keywords: '',
+    creator: 'RequiForm',
+    ...metadata,
+    producer: `jsPDF ${jsPDF.version}`,
+    pdfDate,
+    createDate: pdfDateToXmpDate(pdfDate)
+  };
+
+  doc.internal.events.subscribe('postPutResources', () => {
+    objects = putArchiveObjects(doc, fullMetadata, formData);
+  });
+  doc.internal.events.subscribe('putCatalog', () => {
+    doc.internal.write(`/Metadata ${objects.metadata} 0 R`);
+    doc.internal.write(`/OutputIntents [${objects.outputIntent} 0 R]`);
+    if (objects.fileSpec) {
+      doc.internal.write(`/Names << /EmbeddedFiles << /Names [(${PDF_FORM_DATA_ATTACHMENT}) ${objects.fileSpec} 0 R] >> >>`);
+      doc.internal.write(`/AF [${objects.fileSpec} 0 R]`);
+    }
+  });
+}
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Catalog pages of the blank paper requisition, the fallback form for wards
+ * while the systems are down (see renderBlankRequisitionPdf() in pdfRenderer.js).
+ *
+ * Every category, panel and phenotype of the test configuration is listed with a box to
+ * tick, in the order of tests.json, which is also the order of the QR payloads. The code
+ * of an entry in the QR format (category ID, test ID, HPO ID) is printed next to it in
+ * grey, so a filled-in form can be keyed in quickly. The pedigree page offers a grid to
+ * draw on, the symbol legend and an empty PED table.
+ */
+
+import { drawText } from './pdfFonts';
+import { getPanelSettings } from './pdfPanels';
+import { getPedigreePageLayout, renderBlankPedTable, renderPedigreeLegend } from './pdfPedigree';
+import { addSectionPage } from './pdfSections';
+
+// Value printed for the placeholders of the patient banner, to write on
+export const BLANK_VALUE = '_'.repeat(12);
+
+const CHECKBOX_SIZE = 8;
+const CODE_COLOR = '#808080';
+const CODE_FONT_SIZE = 7;
+const INSTRUCTION_FONT_SIZE = 8;
+// Indentation of the panels below their category
+const PANEL_INDENT = 14;
+// Catalog pages end above the patient banner
+const PAGE_BOTTOM_MARGIN = 60;
+const PHENOTYPE_ROW_HEIGHT = 14;
+// 5 mm grid of the pedigree drawing area
+const GRID_SPACING = 72 / 25.4 * 5;
+const GRID_COLOR = '#d9d9d9';
+// All symbols of the pedigree drawer, the legend of the hand-drawn pedigree
+const BLANK_PEDIGREE_LEGEND = {
+  diseases: [{ type: 'affected', colour: '#a9a9a9' }],
+  proband: true,
+  deceased: true,
+  consanguinity: true
+};
+
+/**
+ * Draws an empty box to tick, its bottom on the baseline y.
+ */
+function drawCheckbox(doc, x, y) {
+  doc.setDrawColor('#000000');
+  doc.setLineWidth(0.6);
+  doc.rect(x, y - CHECKBOX_SIZE + 1, CHECKBOX_SIZE, CHECKBOX_SIZE);
+  doc.setLineWidth(0.2);
+}
+
+/**
+ * Prints the QR code of an entry right-aligned at x.
+ */
+function drawCode(doc, code, x, y) {
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(CODE_FONT_SIZE);
+  doc.setTextColor(CODE_COLOR);
+  doc.text(code, x, y, { align: 'right' });
+  doc.setTextColor('#000000');
+}
+
+/**
+ * Prints an instruction line in small type.
+ */
+function drawInstruction(doc, text, x, y) {
+  doc.setFont('Helvetica', 'italic');
+  doc.setFontSize(INSTRUCTION_FONT_SIZE);
+  doc.setTextColor('#000000');
+  drawText(doc, text, x, y);
+}
+
+/**
+ * Returns the width of the widest code, so the names end before the code column.
+ */
+function getCodeColumnWidth(doc, codes) {
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(CODE_FONT_SIZE);
+  return Math.max(0, ...codes.map(code => doc.getTextWidth(code)));
+}
+
+/**
+ * Renders all categories and panels of the test configuration with boxes to tick, where
+ * the selected panels of a requisition are printed (panels in the template), continued on
+ * new pages like the panel list.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, config, tests, locale, t})
+ */
+export function renderBlankPanelCatalog(ctx) {
+  const { doc, config, tests, locale, t } = ctx;
+  const { baseY, maxHeight, spacing, offsetX, secondPageBaseY } = getPanelSettings(config);
+  const codeX = doc.internal.pageSize.getWidth() - 40;
+  const codeWidth = getCodeColumnWidth(doc, tests.categories.flatMap(category =>
+    [category.id, ...category.tests.map(test => test.id)]));
+  const nameX = offsetX + PANEL_INDENT + CHECKBOX_SIZE + 6;
+  const nameWidth = codeX - codeWidth - 10 - nameX;
+
+  let y = baseY;
+  // Moves to a new page unless the given number of lines fits
+  const ensureSpace = (lines) => {
+    if (y + spacing * (lines - 1) > maxHeight) {
+      doc.addPage();
+      y = secondPageBaseY;
+    }
+  };
+
+  drawInstruction(doc, t('pdfGenerator.blankForm.panelsInstruction'), offsetX, y);
+  y += spacing;
+  tests.categories.forEach((category) => {
+    // A category is not printed without its first panel
+    ensureSpace(2);
+    drawCheckbox(doc, offsetX, y);
+    doc.setFont('Helvetica', 'bold');
+    doc.setFontSize(12);
+    drawText(doc, category.titles?.[locale] || category.title, offsetX + CHECKBOX_SIZE + 6, y);
+    drawCode(doc, category.id, codeX, y);
+    y += spacing;
+
+    category.tests.forEach((test) => {
+      doc.setFont('Helvetica', 'normal');
+      doc.setFontSize(10);
+      const lines = doc.splitTextToSize(test.names?.[locale] || test.name, nameWidth);
+      ensureSpace(lines.length);
+      drawCheckbox(doc, offsetX + PANEL_INDENT, y);
+      drawCode(doc, test.id, codeX, y);
+      doc.setFont('Helvetica', 'normal');
+      doc.setFontSize(10);
+      lines.forEach((line) => {
+        drawText(doc, line, nameX, y);
+        y += spacing;
+      });
+    });
+  });
+  doc.setFontSize(12);
+}
+
+/**
+ * Renders all phenotypes of the test configuration on a new page, grouped by category,
+ * with boxes for present and absent and their HPO IDs.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, config, tests, locale, t})
+ */
+export function renderBlankPhenotypeCatalog(ctx) {
+  const { doc, config, tests, locale, t } = ctx;
+  const categories = tests.categories.filter(category => category.phenotypes?.length > 0);
+  if (categories.length === 0) return;
+
+  addSectionPage(ctx);
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(config.phenotypePage?.titleContents?.[locale] || 'Phenotype Data', 40, 40);
+  drawInstruction(doc, t('pdfGenerator.blankForm.phenotypesInstruction'), 40, 56);
+
+  const leftX = 40;
+  const absentX = leftX + CHECKBOX_SIZE + 10;
+  const nameX = absentX + CHECKBOX_SIZE + 10;
+  const codeX = doc.internal.pageSize.getWidth() - 40;
+  const codeWidth = getCodeColumnWidth(doc, categories.flatMap(category =>
+    category.phenotypes.map(phenotype => phenotype.hpo || '')));
+  const nameWidth = codeX - codeWidth - 10 - nameX;
+  const bottomY = doc.internal.pageSize.getHeight() - PAGE_BOTTOM_MARGIN;
+
+  let y = 80;
+  const ensureSpace = (height) => {
+    if (y + height > bottomY) {
+      doc.addPage();
+      y = 50;
+    }
+  };
+
+  categories.forEach((category) => {
+    // The title is not printed without the first phenotype
+    ensureSpace(PHENOTYPE_ROW_HEIGHT * 2 + 10);
+    doc.setFont('Helvetica', 'bold');
+    doc.setFontSize(11);
+    drawText(doc, category.titles?.[locale] || category.title, leftX, y);
+    // Column headers of the boxes: present and absent
+    y += 10;
+    doc.setFontSize(CODE_FONT_SIZE);
+    doc.text('+', leftX + CHECKBOX_SIZE / 2, y, { align: 'center' });
+    doc.text('-', absentX + CHECKBOX_SIZE / 2, y, { align: 'center' });
+    y += PHENOTYPE_ROW_HEIGHT;
+
+    category.phenotypes.forEach((phenotype) => {
+      doc.setFont('Helvetica', 'normal');
+      doc.setFontSize(10);
+      const lines = doc.splitTextToSize(phenotype.names?.[locale] || phenotype.name, nameWidth);
+      ensureSpace(PHENOTYPE_ROW_HEIGHT * lines.length);
+      drawCheckbox(doc, leftX, y);
+      drawCheckbox(doc, absentX, y);
+      drawCode(doc, phenotype.hpo || '', codeX, y);
+      doc.setFont('Helvetica', 'normal');
+      doc.setFontSize(10);
+      lines.forEach((line) => {
+        drawText(doc, line, nameX, y);
+        y += PHENOTYPE_ROW_HEIGHT;
+      });
+    });
+    y += 10;
+  });
+  doc.setFontSize(12);
+}
+
+/**
+ * Draws a light grid into the box of the pedigree drawing.
+ */
+function drawPedigreeGrid(doc, { x, y, width, height }) {
+  doc.setLineWidth(0.3);
+  doc.setDrawColor(GRID_COLOR);
+  for (let lineX = x + GRID_SPACING; lineX < x + width; lineX += GRID_SPACING) {
+    doc.line(lineX, y, lineX, y + height);
+  }
+  for (let lineY = y + GRID_SPACING; lineY < y + height; lineY += GRID_SPACING) {
+    doc.line(x, lineY, x + width, lineY);
+  }
+  doc.setDrawColor(CODE_COLOR);
+  doc.rect(x, y, width, height);
+  doc.setDrawColor('#000000');
+  doc.setLineWidth(0.2);
+}
+
+/**
+ * Renders the pedigree page of the blank form: a grid to draw the pedigree on, the legend
+ * of all pedigree symbols and an empty PED table, laid out like the pedigree page.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, config, t})
+ */
+export function renderBlankPedigreePage(ctx) {
+  const { doc, config, t } = ctx;
+  addSectionPage(ctx);
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('Family Pedigree', 40, 40);
+  drawInstruction(doc, t('pdfGenerator.blankForm.pedigreeInstruction'), 40, 56);
+
+  const layout = getPedigreePageLayout(config, true);
+  drawPedigreeGrid(doc, layout.drawing);
+  if (layout.legend.enabled) {
+    const legendY = Math.max(layout.legend.y, layout.drawing.y + layout.drawing.height + 20);
+    renderPedigreeLegend(ctx, BLANK_PEDIGREE_LEGEND, layout.legend.x, legendY);
+  }
+  if (layout.pedTable.enabled) {
+    renderBlankPedTable(ctx, layout.pedTable);
+  }
+}
+
+/**
+ * Returns the placeholder values of a section with every placeholder of its text elements
+ * set to BLANK_VALUE, e.g. for the patient banner of the blank form.
+ *
+ * @param {Object} section - Template section with elements
+ * @param {Object} mapping - Placeholder values
+ * @return {Object} Placeholder values
+ */
+export function blankSectionPlaceholders(section, mapping) {
+  const blankMapping = { ...mapping };
+  (section?.elements || []).forEach((element) => {
+    [element.content, ...Object.values(element.contents || {})]
+      .filter(template => typeof template === 'string')
+      .forEach((template) => {
+        for (const match of template.matchAll(/{{\s*(\w+)\s*}}/g)) {
+          blankMapping[match[1]] = BLANK_VALUE;
+        }
+      });
+  });
+  return blankMapping;
+}
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Renderers for the template elements of pdfConfig.json sections.
+ *
+ * A section (e.g. header or body) is a list of elements of the types text, image,
+ * rectangle, line and repeat. Text and image sources may contain {{placeholder}} markers
+ * that are replaced with values from a mapping object ({{panel.name}} for nested values).
+ *
+ * Every element can have a condition ("if", see pdfExpressions.js). A repeat element
+ * renders its elements once per item of a list ("each"), positioned relative to the
+ * repeat and moved down by "step" per item. Text with a "maxWidth" flows over several
+ * lines; elements below flowing text and repeats move down by the height they grow.
+ *
+ * Text is drawn with the font fallback of pdfFonts.js. These functions only draw on a
+ * jsPDF document and do not depend on the browser, so they are shared by the
+ * PdfGenerator component and the headless renderer.
+ */
+
+import logService from '@/services/logService';
+import { addTextFormField, getPlaceholderFieldName } from './pdfFormFields';
+import { drawText, measureText, setPdfFont } from './pdfFonts';
+import { evaluateTemplateExpression, isTemplateValueTrue, resolveTemplatePath } from './pdfExpressions';
+
+// Placeholder markers, with periods for nested values
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+/**
+ * Formats a placeholder value as text: lists are joined with commas, objects and
+ * missing values are empty.
+ */
+function formatTemplateValue(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item !== 'object').join(', ');
+  if (value === null || value === undefined || typeof value === 'object') return '';
+  return String(value);
+}
+
+/**
+ * Replaces {{placeholder}} markers in a template string with values from the mapping.
+ * Unknown placeholders are replaced with an empty string.
+ *
+ * @param {string} template - Template string
+ * @param {Object} mapping - Placeholder values
+ * @return {string} Resulting text
+ */
+export function mapTemplateString(template, mapping) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, path) =>
+    formatTemplateValue(resolveTemplatePath(mapping, path))
+  );
+}
+
+/**
+ * Checks whether template elements (including the elements of repeats) print a placeholder.
+ *
+ * @param {Object[]} elements - Template elements
+ * @param {string} name - Placeholder name (e.g. "page")
+ * @return {boolean} True if a text or image source contains {{name}}
+ */
+export function usesTemplatePlaceholder(elements, name) {
+  return (elements || []).some((element) => {
+    const templates = [element.content, element.source, ...Object.values(element.contents || {})];
+    const used = templates.some(template => typeof template === 'string'
+      && [...template.matchAll(PLACEHOLDER_PATTERN)].some(match => match[1] === name));
+    return used || usesTemplatePlaceholder(element.elements, name);
+  });
+}
+
+// Fill color of the marker drawn where an empty placeholder would be printed
+const EMPTY_FIELD_COLOR = '#fff176';
+const EMPTY_FIELD_WIDTH = 60;
+// Default width of the form field printed for an empty placeholder
+const FORM_FIELD_WIDTH = 150;
+// Outline of the box printed for an empty placeholder on blank forms
+const EMPTY_BOX_COLOR = '#808080';
+
+/**
+ * Finds the placeholders of a text template that have no value.
+ *
+ * @param {jsPDF} doc - PDF document (font and size of the text already set)
+ * @param {string} template - Template string of the text element
+ * @param {Object} mapping - Placeholder values
+ * @param {{x: number, y: number}} position - Position of the text element
+ * @return {{name: string, x: number}[]} Placeholder names and the x position their value would be printed at
+ */
+function findEmptyPlaceholders(doc, template, mapping, position) {
+  const placeholders = [];
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (formatTemplateValue(resolveTemplatePath(mapping, match[1])).trim() !== '') continue;
+    const prefix = mapTemplateString(template.slice(0, match.index), mapping);
+    placeholders.push({ name: match[1], x: position.x + measureText(doc, prefix) });
+  }
+  return placeholders;
+}
+
+/**
+ * Renders a text element, using the localized content for the locale if available.
+ * Characters the element's font cannot render are drawn with the template's fallback fonts.
+ * With maxWidth the text is wrapped, with lineHeight (default 1.2 times the font size)
+ * between the lines.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} element - Text element ({content, contents, position, style, maxWidth, lineHeight})
+ * @param {Object} mapping - Placeholder values
+ * @param {string} locale - Locale of the document
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.highlightEmpty=false] - Mark placeholders without a value
+ * @param {Object|null} [options.formFields=null] - Print placeholders without a value as form
+ *   fields ({width}; the element's fieldWidth takes precedence)
+ * @param {boolean} [options.boxEmpty=false] - Print a box to write in for placeholders without a
+ *   value, as wide as a form field (blank paper forms)
+ * @return {number} Height the text needs beyond its first line
+ */
+export function renderText(doc, element, mapping, locale, options = {}) {
+  // Use localized content if available, otherwise fall back to the default content
+  const template = element.contents && element.contents[locale] ? element.contents[locale] : element.content;
+  const text = mapTemplateString(template, mapping);
+
+  if (element.style) {
+    setPdfFont(doc, element.style.font || 'Helvetica', element.style.fontStyle || 'normal');
+    doc.setFontSize(element.style.fontSize || 12);
+    doc.setTextColor(element.style.color || '#000000');
+  }
+  const lines = element.maxWidth ? doc.splitTextToSize(text, element.maxWidth) : [text];
+  // Empty values are marked where they would be printed, which is only known for one line
+  if ((options.highlightEmpty || options.formFields || options.boxEmpty) && lines.length === 1) {
+    const fontSize = doc.getFontSize();
+    const top = element.position.y - fontSize * 0.8;
+    const width = element.fieldWidth || options.formFields?.width || FORM_FIELD_WIDTH;
+    findEmptyPlaceholders(doc, template, mapping, element.position).forEach(({ name, x }) => {
+      // The preview marks empty values, fillable PDFs get a form field, blank forms a box
+      if (options.highlightEmpty) {
+        doc.setFillColor(EMPTY_FIELD_COLOR);
+        doc.rect(x, top, EMPTY_FIELD_WIDTH, fontSize, 'F');
+      }
+      // Values of repeated elements (e.g. panel.name) are not form data
+      if (options.formFields && !name.includes('.')) {
+        addTextFormField(doc, getPlaceholderFieldName(name), { x, y: top - 1, width, height: fontSize + 2 }, fontSize);
+      }
+      if (options.boxEmpty && !name.includes('.')) {
+        doc.saveGraphicsState();
+        doc.setDrawColor(EMPTY_BOX_COLOR);
+        doc.setLineWidth(0.5);
+        doc.rect(x, top - 1, width, fontSize + 2, 'S');
+        doc.restoreGraphicsState();
+      }
+    });
+  }
+  const lineHeight = element.lineHeight || doc.getFontSize() * 1.2;
+  lines.forEach((line, index) => {
+    drawText(doc, line, element.position.x, element.position.y + index * lineHeight);
+  });
+  return (lines.length - 1) * lineHeight;
+}
+
+/**
+ * Renders an image element.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} element - Image element ({source, position, size})
+ * @param {Object} mapping - Placeholder values
+ */
+export function renderImage(doc, element, mapping) {
+  const imageData = mapTemplateString(element.source, mapping);
+  doc.addImage(
+    imageData,
+    'PNG',
+    element.position.x,
+    element.position.y,
+    element.size.width,
+    element.size.height
+  );
+}
+
+/**
+ * Renders a rectangle element.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} element - Rectangle element ({position, size, style})
+ */
+export function renderRectangle(doc, element) {
+  const { x, y } = element.position;
+  const { width, height } = element.size;
+  const style = element.style || {};
+  if (style.fill && style.fillColor) {
+    doc.setFillColor(style.fillColor);
+  }
+  if (style.borderColor) {
+    doc.setDrawColor(style.borderColor);
+  }
+  doc.setLineWidth(style.borderWidth || 1);
+  let rectStyle = 'S';
+  if (style.fill && style.fillColor) {
+    rectStyle = style.borderWidth ? 'DF' : 'F';
+  }
+  doc.rect(x, y, width, height, rectStyle);
+}
+
+/**
+ * Renders a line element.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} element - Line element ({start, end, style})
+ */
+export function renderLine(doc, element) {
+  const { x: startX, y: startY } = element.start;
+  const { x: endX, y: endY } = element.end;
+  const style = element.style || {};
+  doc.setLineWidth(style.lineWidth || 1);
+  if (style.color) {
+    doc.setDrawColor(style.color);
+  }
+  doc.line(startX, startY, endX, endY);
+}
+
+/**
+ * Returns the top of an element in the template layout.
+ */
+function getElementTop(element) {
+  if (element.position) return element.position.y;
+  if (element.start && element.end) return Math.min(element.start.y, element.end.y);
+  return 0;
+}
+
+/**
+ * Returns a copy of an element moved by dx and dy (the element itself if it is not moved).
+ */
+function moveElement(element, dx, dy) {
+  if (!dx && !dy) return element;
+  const move = point => ({ ...point, x: point.x + dx, y: point.y + dy });
+  const moved = { ...element };
+  if (element.position) moved.position = move(element.position);
+  if (element.start) moved.start = move(element.start);
+  if (element.end) moved.end = move(element.end);
+  return moved;
+}
+
+/**
+ * Renders a repeat element: its elements once per item of the "each" list, available to
+ * placeholders and conditions under the name "as" (default "item") with the 1-based
+ * "index". Item i is drawn "step" (default 14) plus the growth of the items before it
+ * below the repeat's position.
+ *
+ * @return {number} Height the items need beyond the one item the template reserves (negative without items)
+ */
+function renderRepeat(doc, element, mapping, locale, options) {
+  const items = evaluateTemplateExpression(element.each, mapping);
+  const name = element.as || 'item';
+  if (!/^[A-Za-z_]\w*$/.test(name)) {
+    throw new Error(`Invalid repeat item name "${name}".`);
+  }
+  const step = element.step || 14;
+  let height = 0;
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    const itemMapping = { ...mapping, [name]: item, index: index + 1 };
+    height += step + renderElements(doc, element.elements || [], itemMapping, locale, options, element.position.x, element.position.y + height);
+  });
+  return height - step;
+}
+
+/**
+ * Renders one element.
+ *
+ * @return {number} Height the element grew beyond its template layout
+ */
+function renderElement(doc, element, mapping, locale, options) {
+  switch (element.type) {
+    case 'text':
+      return renderText(doc, element, mapping, locale, options);
+    case 'image':
+      renderImage(doc, element, mapping);
+      return 0;
+    case 'rectangle':
+      renderRectangle(doc, element);
+      return 0;
+    case 'line':
+      renderLine(doc, element);
+      return 0;
+    case 'repeat':
+      return renderRepeat(doc, element, mapping, locale, options);
+    default:
+      logService.debug('Unknown element type:', element.type);
+      return 0;
+  }
+}
+
+/**
+ * Renders a list of elements moved by dx and dy. Elements whose condition is false are
+ * skipped; elements below a growing element move down by its growth.
+ *
+ * @return {number} Height the elements grew beyond their template layout
+ */
+function renderElements(doc, elements, mapping, locale, options, dx = 0, dy = 0) {
+  const growths = [];
+  let totalGrowth = null;
+  elements.forEach((element) => {
+    try {
+      if (element.if !== undefined && !isTemplateValueTrue(evaluateTemplateExpression(element.if, mapping))) return;
+      const top = getElementTop(element);
+      const shift = growths.filter(growth => top > growth.top).reduce((sum, growth) => sum + growth.height, 0);
+      const height = renderElement(doc, moveElement(element, dx, dy + shift), mapping, locale, options);
+      if (height) growths.push({ top, height });
+      totalGrowth = totalGrowth === null ? shift + height : Math.max(totalGrowth, shift + height);
+    } catch (error) {
+      logService.warn(`[pdfElements] Skipping ${element.type} element${element.id ? ` "${element.id}"` : ''}: ${error.message}`);
+    }
+  });
+  return totalGrowth || 0;
+}
+
+/**
+ * Renders all elements of a section.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} section - Section with an elements array
+ * @param {Object} mapping - Placeholder values and the data of conditions and repeats
+ * @param {string} locale - Locale of the document
+ * @param {Object} [options={}] - Rendering options (see renderText)
+ */
+export function renderSection(doc, section, mapping, locale, options = {}) {
+  if (!section || !section.elements) return;
+  renderElements(doc, section.elements, mapping, locale, options);
+}
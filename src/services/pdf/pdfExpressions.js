@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Expressions of the PDF template language.
+ *
+ * Template elements can be shown conditionally ("if") and repeated per list item
+ * ("each"). The expressions are parsed by this module and never evaluated as JavaScript:
+ *
+ *   consent.secondaryFindings == 'yes'
+ *   insurance && !(sex == 'female')
+ *   panels.length > 3
+ *
+ * Supported are field paths (segments separated by periods, own properties only),
+ * string, number and boolean literals, null, the comparisons == != < <= > >=, the logical
+ * operators && || ! and parentheses. == and != compare as text, so an empty field equals
+ * '' and null. An empty string, empty list, 0, false, null and a missing field are false.
+ */
+
+// Path segments that are never read
+const FORBIDDEN_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Tokens: number, quoted string, path, operator or parenthesis
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)|(==|!=|<=|>=|&&|\|\||[<>!()]))/y;
+
+const LITERAL_KEYWORDS = { true: true, false: false, null: null };
+
+// Parsed expressions by source text, templates are rendered many times by the preview
+const expressionCache = new Map();
+
+/**
+ * Creates the error of an invalid expression.
+ */
+function expressionError(expression, reason) {
+  return new Error(`Invalid template expression "${expression}": ${reason}`);
+}
+
+/**
+ * Splits an expression into tokens ({type, value}).
+ */
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      const rest = expression.slice(start);
+      if (!rest.trim()) break;
+      throw expressionError(expression, `unexpected character at position ${start + rest.search(/\S/) + 1}`);
+    }
+    const [, number, string, path, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number) });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (path !== undefined) {
+      // Own keywords only: "constructor" must not be taken for a literal of the prototype
+      tokens.push(Object.prototype.hasOwnProperty.call(LITERAL_KEYWORDS, path)
+        ? { type: 'literal', value: LITERAL_KEYWORDS[path] }
+        : { type: 'path', value: path });
+    } else {
+      tokens.push({ type: 'operator', value: operator });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses an expression into a syntax tree (recursive descent).
+ */
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+  const peek = () => tokens[index];
+  const takeOperator = (...operators) => {
+    const token = peek();
+    if (token?.type === 'operator' && operators.includes(token.value)) {
+      index++;
+      return token.value;
+    }
+    return null;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (takeOperator('||')) node = { type: 'or', left: node, right: parseAnd() };
+    return node;
+  }
+  function parseAnd() {
+    let node = parseNot();
+    while (takeOperator('&&')) node = { type: 'and', left: node, right: parseNot() };
+    return node;
+  }
+  function parseNot() {
+    if (takeOperator('!')) return { type: 'not', operand: parseNot() };
+    return parseComparison();
+  }
+  function parseComparison() {
+    const left = parsePrimary();
+    const operator = takeOperator('==', '!=', '<', '<=', '>', '>=');
+    return operator ? { type: 'compare', operator, left, right: parsePrimary() } : left;
+  }
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) throw expressionError(expression, 'unexpected end');
+    if (token.type === 'literal' || token.type === 'path') return token;
+    if (token.value === '(') {
+      const node = parseOr();
+      if (!takeOperator(')')) throw expressionError(expression, 'missing ")"');
+      return node;
+    }
+    throw expressionError(expression, `unexpected "${token.value}"`);
+  }
+
+  if (tokens.length === 0) throw expressionError(expression, 'empty expression');
+  const tree = parseOr();
+  if (index < tokens.length) throw expressionError(expression, `unexpected "${tokens[index].value}"`);
+  return tree;
+}
+
+/**
+ * Resolves a field path (e.g. "consent.secondaryFindings" or "panels.length") in the
+ * template data. Only own properties are read.
+ *
+ * @param {Object} data - Template data
+ * @param {string} path - Field path, segments separated by periods
+ * @return {*} Value, or undefined if the path does not exist
+ */
+export function resolveTemplatePath(data, path) {
+  let value = data;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined || FORBIDDEN_PATH_KEYS.includes(key)) return undefined;
+    if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Returns the truth value of a template value.
+ *
+ * @param {*} value - Value
+ * @return {boolean} False for empty strings and lists, 0, false, null and undefined
+ */
+export function isTemplateValueTrue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return !!value;
+}
+
+/**
+ * Compares two values with a comparison operator.
+ */
+function compare(operator, left, right) {
+  if (operator === '==' || operator === '!=') {
+    const equal = typeof left === 'number' && typeof right === 'number'
+      ? left === right
+      : String(left ?? '') === String(right ?? '');
+    return operator === '==' ? equal : !equal;
+  }
+  let a = Number(left);
+  let b = Number(right);
+  if (Number.isNaN(a) || Number.isNaN(b) || left === '' || right === '') {
+    a = String(left ?? '');
+    b = String(right ?? '');
+  }
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+/**
+ * Evaluates a syntax tree.
+ */
+function evaluateNode(node, data) {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'path': return resolveTemplatePath(data, node.value);
+    case 'not': return !isTemplateValueTrue(evaluateNode(node.operand, data));
+    case 'and': return isTemplateValueTrue(evaluateNode(node.left, data)) && isTemplateValueTrue(evaluateNode(node.right, data));
+    case 'or': return isTemplateValueTrue(evaluateNode(node.left, data)) || isTemplateValueTrue(evaluateNode(node.right, data));
+    default: return compare(node.operator, evaluateNode(node.left, data), evaluateNode(node.right, data));
+  }
+}
+
+/**
+ * Evaluates a template expression.
+ *
+ * @param {string} expression - Expression (see the module description)
+ * @param {Object} data - Template data the field paths refer to
+ * @return {*} Value of the expression (a field value for a plain path)
+ * @throws {Error} If the expression is invalid
+ */
+export function evaluateTemplateExpression(expression, data) {
+  const source = String(expression);
+  if (!expressionCache.has(source)) {
+    expressionCache.set(source, parse(source));
+  }
+  return evaluateNode(expressionCache.get(source), data);
+}
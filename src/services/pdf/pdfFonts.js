@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Embedded Unicode fonts of the requisition PDF.
+ *
+ * The standard PDF fonts (Helvetica) only cover the Windows-1252 character set, so names
+ * with e.g. Turkish, Polish, Cyrillic, Arabic or Vietnamese letters cannot be printed with
+ * them. A template lists TrueType fonts in "fonts" (bundled in public/fonts):
+ *
+ *   "fonts": {
+ *     "files": [{ "family": "NotoSans", "style": "normal", "file": "NotoSans-Regular.ttf" }],
+ *     "fallback": ["NotoSans"]
+ *   }
+ *
+ * Text drawn with drawText() keeps the font of the template and switches to the first
+ * fallback font that has a glyph for each character the font cannot render. A font is
+ * only embedded in a document when it is used, with Identity-H encoding, which makes jsPDF
+ * subset it to the glyphs of the document.
+ */
+
+import { jsPDF } from 'jspdf';
+import logService from '@/services/logService';
+
+// Characters of Windows-1252 (the encoding of the standard fonts) outside Latin-1
+const WIN_ANSI_EXTRA_CHARACTERS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+// Loaded font files by file name ({data: base64, metadata: parsed font}); the preview renders often
+const fontFileCache = new Map();
+
+// Font state of the documents: loaded fonts, fallback order, embedded fonts, unrenderable characters
+const documentFonts = new WeakMap();
+
+/**
+ * Returns whether a standard PDF font can render a character.
+ *
+ * @param {string} char - Character (one code point)
+ * @return {boolean} True for characters of the Windows-1252 character set
+ */
+export function isStandardFontCharacter(char) {
+  const code = char.codePointAt(0);
+  return code < 0x7f || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRA_CHARACTERS.includes(char);
+}
+
+/**
+ * Converts font file data to base64 for the virtual file system of jsPDF.
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Loads and parses a font file once.
+ */
+function loadFontFile(file, loadFont) {
+  if (!fontFileCache.has(file)) {
+    const loading = Promise.resolve(loadFont(file)).then((data) => {
+      const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      return { data: toBase64(bytes), metadata: jsPDF.API.TTFFont.open(bytes) };
+    });
+    // A failed file is loaded again next time
+    loading.catch(() => fontFileCache.delete(file));
+    fontFileCache.set(file, loading);
+  }
+  return fontFileCache.get(file);
+}
+
+/**
+ * Loads the font files of a template. Files that cannot be loaded are skipped with a
+ * warning, so the PDF is still rendered with the standard fonts.
+ *
+ * @param {Object} [fontsConfig] - fonts setting of the template ({files, fallback})
+ * @param {function(string): Promise<ArrayBuffer|Uint8Array>} [loadFont] - Loads a font file by file name
+ *   (fetchPdfFont() in the browser)
+ * @return {Promise<Object[]>} Loaded fonts ({family, style, file, data, metadata})
+ */
+export async function loadPdfFonts(fontsConfig, loadFont) {
+  const files = fontsConfig?.files || [];
+  if (!files.length || !loadFont) return [];
+
+  const fonts = await Promise.all(files.map(async (font) => {
+    try {
+      return { ...font, style: font.style || 'normal', ...await loadFontFile(font.file, loadFont) };
+    } catch (error) {
+      logService.warn(`[pdfFonts] Font ${font.file} could not be loaded: ${error.message}`);
+      return null;
+    }
+  }));
+  return fonts.filter(Boolean);
+}
+
+/**
+ * Returns the loaded font of a family in a style, falling back to the normal style.
+ */
+function findFont(fonts, family, style) {
+  const familyFonts = fonts.filter(font => font.family === family);
+  return familyFonts.find(font => font.style === style)
+    || familyFonts.find(font => font.style === 'normal')
+    || familyFonts[0]
+    || null;
+}
+
+/**
+ * Returns whether a loaded font has a glyph for a character.
+ */
+function fontHasGlyph(metadata, char) {
+  return char.codePointAt(0) < 0x20 || metadata.characterToGlyph(char.codePointAt(0)) !== 0;
+}
+
+/**
+ * Returns the characters of a text that neither the template's standard font nor one of
+ * the fallback fonts can render, without a PDF document (used for warnings in the form).
+ *
+ * @param {Object[]} fonts - Fonts loaded with loadPdfFonts
+ * @param {string[]} fallback - Fallback font families in order
+ * @param {string} text - Text to check
+ * @return {string[]} Unrenderable characters, each listed once
+ */
+export function findUnsupportedCharacters(fonts, fallback, text) {
+  const fallbackFonts = (fallback || []).map(family => findFont(fonts, family, 'normal')).filter(Boolean);
+  const unsupported = new Set();
+  for (const char of String(text || '')) {
+    if (isStandardFontCharacter(char) || /\s/.test(char)) continue;
+    if (!fallbackFonts.some(font => fontHasGlyph(font.metadata, char))) unsupported.add(char);
+  }
+  return [...unsupported];
+}
+
+/**
+ * Sets the fonts of a document. Fonts are embedded when they are first used. Setting the
+ * fonts again (for the next requisition of a batch PDF) keeps the fonts already embedded.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object[]} fonts - Fonts loaded with loadPdfFonts
+ * @param {string[]} [fallback=[]] - Font families used for characters the current font cannot render, in order
+ */
+export function setPdfFonts(doc, fonts, fallback = []) {
+  const previous = documentFonts.get(doc);
+  documentFonts.set(doc, {
+    fonts,
+    fallback: fallback.filter(family => fonts.some(font => font.family === family)),
+    embedded: previous?.embedded || new Set(),
+    missing: previous?.missing || new Set()
+  });
+}
+
+/**
+ * Returns the font state of a document (an empty one if no fonts were set).
+ */
+function getDocumentFonts(doc) {
+  if (!documentFonts.has(doc)) setPdfFonts(doc, []);
+  return documentFonts.get(doc);
+}
+
+/**
+ * Embeds a loaded font in a document if it is not embedded yet.
+ */
+function embedFont(doc, state, font) {
+  const key = `${font.file}|${font.family}|${font.style}`;
+  if (state.embedded.has(key)) return;
+  doc.addFileToVFS(font.file, font.data);
+  // Identity-H makes jsPDF subset the font to the glyphs used in the document
+  doc.addFont(font.file, font.family, font.style, 'Identity-H');
+  state.embedded.add(key);
+}
+
+/**
+ * Sets the font of a document, embedding it first if it is one of the template fonts.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {string} family - Font family (a standard font or a template font)
+ * @param {string} [style='normal'] - Font style
+ */
+export function setPdfFont(doc, family, style = 'normal') {
+  const state = getDocumentFonts(doc);
+  const font = state.fonts.find(candidate => candidate.family === family && candidate.style === style);
+  if (font) embedFont(doc, state, font);
+  doc.setFont(family, style);
+}
+
+/**
+ * Splits a text into runs of characters drawn with the same font: the current font of
+ * the document, or the first fallback font with a glyph for the character.
+ */
+function splitIntoRuns(doc, state, text) {
+  const current = doc.getFont();
+  const currentHasGlyph = current.isStandardFont || !current.metadata
+    ? isStandardFontCharacter
+    : char => fontHasGlyph(current.metadata, char);
+  const fallbackFonts = state.fallback.map(family => findFont(state.fonts, family, current.fontStyle));
+
+  const runs = [];
+  for (const char of text) {
+    const last = runs[runs.length - 1];
+    // Spaces stay in the run they are in
+    if (last && /\s/.test(char)) {
+      last.text += char;
+      continue;
+    }
+    let font = null;
+    let supported = currentHasGlyph(char);
+    if (!supported) {
+      font = fallbackFonts.find(candidate => fontHasGlyph(candidate.metadata, char)) || null;
+      supported = !!font;
+    }
+    if (!supported) state.missing.add(char);
+    if (last && last.font === font) {
+      last.text += char;
+    } else {
+      runs.push({ font, text: char });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Draws runs of text from x, switching fonts between runs.
+ */
+function drawRuns(doc, state, runs, x, y, options) {
+  const current = doc.getFont();
+  let runX = x;
+  runs.forEach((run) => {
+    if (run.font) {
+      embedFont(doc, state, run.font);
+      doc.setFont(run.font.family, run.font.style);
+    } else {
+      doc.setFont(current.fontName, current.fontStyle);
+    }
+    doc.text(run.text, runX, y, options);
+    runX += doc.getTextWidth(run.text);
+  });
+  doc.setFont(current.fontName, current.fontStyle);
+}
+
+/**
+ * Draws a line of text in the current font, falling back per character to the fallback
+ * fonts of the document. Characters no font can render are drawn in the current font
+ * and reported by getMissingCharacters().
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {string} text - Text (one line)
+ * @param {number} x - X position
+ * @param {number} y - Y position (baseline)
+ * @param {Object} [options] - Options of jsPDF's text(); align "center" and "right" are supported with fallback fonts
+ */
+export function drawText(doc, text, x, y, options) {
+  const state = getDocumentFonts(doc);
+  const runs = splitIntoRuns(doc, state, String(text));
+  if (runs.length <= 1 && !runs[0]?.font) {
+    doc.text(String(text), x, y, options);
+    return;
+  }
+
+  const { align, ...runOptions } = options || {};
+  let startX = x;
+  if (align === 'center' || align === 'right') {
+    const width = measureText(doc, text);
+    startX -= align === 'center' ? width / 2 : width;
+  }
+  drawRuns(doc, state, runs, startX, y, runOptions);
+}
+
+/**
+ * Measures the width of a line of text as drawn by drawText().
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {string} text - Text (one line)
+ * @return {number} Width in document units
+ */
+export function measureText(doc, text) {
+  const state = getDocumentFonts(doc);
+  const runs = splitIntoRuns(doc, state, String(text));
+  if (runs.length <= 1 && !runs[0]?.font) return doc.getTextWidth(String(text));
+
+  const current = doc.getFont();
+  const width = runs.reduce((sum, run) => {
+    if (run.font) {
+      embedFont(doc, state, run.font);
+      doc.setFont(run.font.family, run.font.style);
+    } else {
+      doc.setFont(current.fontName, current.fontStyle);
+    }
+    return sum + doc.getTextWidth(run.text);
+  }, 0);
+  doc.setFont(current.fontName, current.fontStyle);
+  return width;
+}
+
+/**
+ * Returns the characters drawn so far that no font of the document could render.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @return {string[]} Unrenderable characters
+ */
+export function getMissingCharacters(doc) {
+  return [...getDocumentFonts(doc).missing];
+}
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Fillable form fields (AcroForm) of the requisition PDF.
+ *
+ * With "formFields.enabled" in the PDF template, values that are empty when the PDF is
+ * generated are printed as form fields instead of blank text, so they can be completed
+ * in a PDF reader: text fields, date fields and yes/no check box pairs.
+ *
+ * The field name is the path of the value in the form data's patientData, with "/" as
+ * separator (periods separate field hierarchy levels in PDF field names), e.g.
+ * "personalInfo/insurance" or "personalInfo/genDGConsentData/form/questionMaterial/yes"
+ * for the "yes" box of a yes/no question. applyFormFieldValues() writes values filled in
+ * a PDF reader back into form data. Fields outside personalInfo (e.g. the names on the
+ * signature lines) are for the printout only and are not imported.
+ */
+
+import { AcroFormTextField, AcroFormCheckBox } from 'jspdf';
+import logService from '@/services/logService';
+
+/**
+ * Field name separator.
+ * @type {string}
+ */
+export const FORM_FIELD_SEPARATOR = '/';
+
+// Prefix of the fields that are imported back into the form data
+const IMPORTED_FIELD_PREFIX = `personalInfo${FORM_FIELD_SEPARATOR}`;
+
+// Template placeholders whose personalInfo field has another name
+const PLACEHOLDER_FIELDS = {
+  givenName: 'firstName',
+  familyName: 'lastName',
+  physicianName: 'referrer'
+};
+
+// Path segments that are never written (field names come from an untrusted PDF)
+const FORBIDDEN_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Date fields accept ISO dates; the maximum length fits YYYY-MM-DD and DD.MM.YYYY
+const DATE_FIELD_MAX_LENGTH = 10;
+
+/**
+ * Returns whether a field holds a date (its last path segment ends with "date").
+ *
+ * @param {string} name - Field name
+ * @return {boolean} True for date fields
+ */
+export function isDateFormField(name) {
+  return /date$/i.test(name.split(FORM_FIELD_SEPARATOR).pop());
+}
+
+/**
+ * Returns the field name of a template placeholder (e.g. "physicianName" becomes
+ * "personalInfo/referrer").
+ *
+ * @param {string} placeholder - Placeholder name
+ * @return {string} Field name
+ */
+export function getPlaceholderFieldName(placeholder) {
+  return `${IMPORTED_FIELD_PREFIX}${PLACEHOLDER_FIELDS[placeholder] || placeholder}`;
+}
+
+/**
+ * Adds a text field (a date field if the name says so) on the current page.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {string} name - Field name
+ * @param {{x: number, y: number, width: number, height: number}} rect - Field rectangle (y is the top edge)
+ * @param {number} [fontSize=10] - Font size of the entered text
+ */
+export function addTextFormField(doc, name, rect, fontSize = 10) {
+  const field = new AcroFormTextField();
+  field.fieldName = name;
+  field.x = rect.x;
+  field.y = rect.y;
+  field.width = rect.width;
+  field.height = rect.height;
+  field.fontSize = fontSize;
+  field.value = '';
+  if (isDateFormField(name)) {
+    field.maxLength = DATE_FIELD_MAX_LENGTH;
+  }
+  doc.addField(field);
+}
+
+/**
+ * Adds an unchecked check box on the current page.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {string} name - Field name
+ * @param {{x: number, y: number, size: number}} box - Position of the top left corner and size
+ */
+export function addCheckBoxFormField(doc, name, box) {
+  const field = new AcroFormCheckBox();
+  field.fieldName = name;
+  field.x = box.x;
+  field.y = box.y;
+  field.width = box.size;
+  field.height = box.size;
+  field.appearanceState = 'Off';
+  field.value = 'Off';
+  doc.addField(field);
+}
+
+/**
+ * Normalizes a date entered in a PDF reader to YYYY-MM-DD. Accepts ISO dates and
+ * German dates (DD.MM.YYYY).
+ *
+ * @param {string} value - Entered date
+ * @return {string} ISO date, or an empty string if the date is not recognized
+ */
+function normalizeDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const german = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(value);
+  if (german) {
+    return `${german[3]}-${german[2].padStart(2, '0')}-${german[1].padStart(2, '0')}`;
+  }
+  return '';
+}
+
+/**
+ * Sets a value in an object at a field path, creating missing objects.
+ */
+function setFieldPath(target, path, value) {
+  const keys = path.split(FORM_FIELD_SEPARATOR);
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Applies the values of filled form fields to form data. Empty fields are skipped,
+ * dates that are not recognized are skipped with a warning, and a yes/no question is
+ * answered by its checked box.
+ *
+ * @param {Object} formData - Exported form data to start from (not modified)
+ * @param {Object<string, string|boolean>} fieldValues - Values by field name; check boxes are true when checked
+ * @return {{formData: Object, count: number}} Form data with the values applied and the number of applied values
+ */
+export function applyFormFieldValues(formData, fieldValues) {
+  const result = JSON.parse(JSON.stringify(formData || {}));
+  result.patientData = result.patientData || {};
+  let count = 0;
+
+  Object.entries(fieldValues || {}).forEach(([name, value]) => {
+    if (!name.startsWith(IMPORTED_FIELD_PREFIX)) return;
+    if (name.split(FORM_FIELD_SEPARATOR).some(key => FORBIDDEN_PATH_KEYS.includes(key))) return;
+    if (typeof value === 'boolean') {
+      // Yes/no check box pair: the checked box answers the question
+      if (!value) return;
+      const separatorIndex = name.lastIndexOf(FORM_FIELD_SEPARATOR);
+      setFieldPath(result.patientData, name.slice(0, separatorIndex), name.slice(separatorIndex + 1));
+      count++;
+      return;
+    }
+
+    let text = String(value ?? '').trim();
+    if (!text) return;
+    if (isDateFormField(name)) {
+      const date = normalizeDate(text);
+      if (!date) {
+        logService.warn(`[pdfFormFields] Skipping unrecognized date "${text}" in field ${name}.`);
+        return;
+      }
+      text = date;
+    }
+    setFieldPath(result.patientData, name, text);
+    count++;
+  });
+
+  return { formData: result, count };
+}
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Paper size and orientation of the requisition PDF.
+ *
+ * The coordinates of a template are points on the paper named by its "page" block
+ * (A4 portrait for templates without one):
+ *
+ *   "page": { "size": "a4", "orientation": "portrait", "printableMargin": 0 }
+ *
+ * Printed on other paper (options.paper of the renderer, e.g. {size: 'letter'}), the
+ * template's "pageVariants" entry for that paper is used if there is one, keyed by size and
+ * orientation ("letter-landscape") or, for the template's orientation, by size ("letter").
+ * A variant overrides settings of the template like a template that extends another one
+ * (see pdfTemplates.js), and its coordinates are points on the paper it was written for:
+ *
+ *   "pageVariants": {
+ *     "letter": { "footer": { "elements": [{ "id": "address", "position": { "x": 40, "y": 760 } }] } }
+ *   }
+ *
+ * Without a variant the pages are laid out on the template's paper and scaled uniformly onto
+ * the paper to print on, centered. Elements with a fixed position that would fall outside
+ * the printable area (the paper minus printableMargin along every edge) are reported by
+ * checkPrintableArea().
+ */
+
+import { jsPDF } from 'jspdf';
+import { applyTemplateOverrides } from './pdfTemplates';
+import { usesTemplatePlaceholder } from './pdfElements';
+
+/**
+ * Supported paper sizes, width and height in points (portrait).
+ * @type {Object<string, number[]>}
+ */
+export const PAPER_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+
+export const PAGE_ORIENTATIONS = ['portrait', 'landscape'];
+
+const DEFAULT_PAGE = {
+  size: 'a4',
+  orientation: 'portrait',
+  printableMargin: 0
+};
+
+// Sections whose elements have fixed positions
+const POSITIONED_SECTIONS = ['header', 'body', 'footer', 'patientBanner'];
+
+/**
+ * Returns width and height of a paper in points.
+ *
+ * @throws {Error} If the size or orientation is not supported
+ */
+function getPaperDimensions({ size, orientation }) {
+  if (!PAPER_SIZES[size]) {
+    throw new Error(`Unknown paper size "${size}" (available: ${Object.keys(PAPER_SIZES).join(', ')}).`);
+  }
+  if (!PAGE_ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Unknown page orientation "${orientation}" (use portrait or landscape).`);
+  }
+  const [width, height] = PAPER_SIZES[size];
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Resolves how a template is printed on a paper: the template with the page variant for
+ * the paper applied, or the scale and offsets that fit its layout onto the paper.
+ *
+ * @param {Object} config - Resolved template
+ * @param {Object} [paper={}] - Paper to print on ({size, orientation}); defaults to the template's page
+ * @return {{config: Object, paper: Object, layout: {width: number, height: number}, variant: string,
+ *   scale: number, offsetX: number, offsetY: number}} Page layout: the template to render, the paper
+ *   ({size, orientation, width, height, printableMargin}), the size the pages are rendered in, the
+ *   applied variant (empty if none) and the transformation onto the paper
+ * @throws {Error} If the paper size or orientation is not supported
+ */
+export function resolvePageLayout(config, paper = {}) {
+  const page = { ...DEFAULT_PAGE, ...config.page };
+  const target = {
+    size: paper.size || page.size,
+    orientation: paper.orientation || page.orientation
+  };
+  const layout = getPaperDimensions(page);
+  const paperDimensions = getPaperDimensions(target);
+  const isTemplatePaper = target.size === page.size && target.orientation === page.orientation;
+
+  const variantKeys = [`${target.size}-${target.orientation}`];
+  if (target.orientation === page.orientation) variantKeys.push(target.size);
+  const variant = isTemplatePaper ? '' : variantKeys.find(key => config.pageVariants?.[key]) || '';
+
+  if (isTemplatePaper || variant) {
+    const variantConfig = variant ? applyTemplateOverrides(config, config.pageVariants[variant]) : config;
+    const variantPage = { ...page, ...variantConfig.page, ...target };
+    return {
+      config: { ...variantConfig, page: variantPage },
+      paper: { ...variantPage, ...paperDimensions },
+      layout: paperDimensions,
+      variant,
+      scale: 1,
+      offsetX: 0,
+      offsetY: 0
+    };
+  }
+
+  const scale = Math.min(paperDimensions.width / layout.width, paperDimensions.height / layout.height);
+  return {
+    config,
+    paper: { ...page, ...target, ...paperDimensions },
+    layout,
+    variant,
+    scale,
+    offsetX: (paperDimensions.width - layout.width * scale) / 2,
+    offsetY: (paperDimensions.height - layout.height * scale) / 2
+  };
+}
+
+/**
+ * Creates an empty PDF document with a first page in the size of the layout.
+ *
+ * @param {Object} pageLayout - Page layout (see resolvePageLayout)
+ * @return {jsPDF} PDF document
+ */
+export function createPdfDocument(pageLayout) {
+  const { width, height } = pageLayout.layout;
+  return new jsPDF({ orientation: width > height ? 'landscape' : 'portrait', unit: 'pt', format: [width, height] });
+}
+
+/**
+ * Adds a page in the size of the layout; the pages added after it without a format
+ * get the same size.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} pageLayout - Page layout (see resolvePageLayout)
+ */
+export function addLayoutPage(doc, pageLayout) {
+  const { width, height } = pageLayout.layout;
+  doc.addPage([width, height], width > height ? 'landscape' : 'portrait');
+}
+
+/**
+ * Scales the pages from firstPage to the last page onto the paper of the layout: the page
+ * size is set to the paper and the content and form fields are scaled and centered. Does
+ * nothing if the pages were laid out on the paper itself.
+ *
+ * @param {jsPDF} doc - PDF document, all pages from firstPage rendered
+ * @param {Object} pageLayout - Page layout (see resolvePageLayout)
+ * @param {number} [firstPage=1] - First page to scale
+ */
+export function fitPagesToPaper(doc, pageLayout, firstPage = 1) {
+  const { scale, offsetX, offsetY, paper } = pageLayout;
+  if (scale === 1 && offsetX === 0 && offsetY === 0) return;
+  const lastPage = doc.internal.getNumberOfPages();
+  // The content stream of a page is wrapped in a transformation to the paper
+  const transform = `q ${scale.toFixed(6)} 0 0 ${scale.toFixed(6)} ${offsetX.toFixed(2)} ${offsetY.toFixed(2)} cm`;
+  for (let page = firstPage; page <= lastPage; page++) {
+    doc.internal.pages[page].unshift(transform);
+    doc.internal.pages[page].push('Q');
+    doc.setPage(page);
+    doc.internal.pageSize.setWidth(paper.width);
+    doc.internal.pageSize.setHeight(paper.height);
+  }
+
+  // Form fields are annotations placed in page coordinates (y from the top); the offsets
+  // are the same on both sides since the layout is centered
+  const fields = doc.internal.acroformPlugin?.acroFormDictionaryRoot?.Fields || [];
+  fields
+    .filter(field => field.page >= firstPage && field.page <= lastPage)
+    .forEach((field) => {
+      field.x = field.x * scale + offsetX;
+      field.y = field.y * scale + offsetY;
+      field.width *= scale;
+      field.height *= scale;
+      if (field.fontSize) field.fontSize *= scale;
+    });
+}
+
+/**
+ * Returns the box an element covers in the layout, null for elements without a position.
+ * The width of text depends on its values, so text is checked at its start and, with
+ * maxWidth, the width it may flow over.
+ */
+function getElementBounds(element) {
+  if (element.type === 'line' && element.start && element.end) {
+    return {
+      left: Math.min(element.start.x, element.end.x),
+      top: Math.min(element.start.y, element.end.y),
+      right: Math.max(element.start.x, element.end.x),
+      bottom: Math.max(element.start.y, element.end.y)
+    };
+  }
+  if (!element.position) return null;
+  const { x, y } = element.position;
+  if (element.size) {
+    return { left: x, top: y, right: x + element.size.width, bottom: y + element.size.height };
+  }
+  if (element.type === 'text') {
+    // Ascent and descent of the first line around the baseline
+    const fontSize = element.style?.fontSize || 12;
+    return { left: x, top: y - fontSize * 0.8, right: x + (element.maxWidth || 0), bottom: y + fontSize * 0.2 };
+  }
+  return { left: x, top: y, right: x, bottom: y };
+}
+
+/**
+ * Checks whether the page number setting (pageNumber) is printed. A patient banner that
+ * shows {{page}} replaces it, so the page number is not printed twice.
+ *
+ * @param {Object} config - Template
+ * @return {boolean} True if the page number footer is printed
+ */
+export function printsPageNumberFooter(config) {
+  if (!config.pageNumber?.enabled) return false;
+  return !(config.patientBanner?.enabled && usesTemplatePlaceholder(config.patientBanner.elements, 'page'));
+}
+
+/**
+ * Lists the elements with a fixed position (the elements of header, body, footer and
+ * patient banner, the patient QR code, the page number and the patient banner QR code)
+ * with the box they cover in the layout.
+ */
+function getPositionedElements(config) {
+  const elements = [];
+  POSITIONED_SECTIONS.forEach((key) => {
+    if (key === 'patientBanner' && !config.patientBanner?.enabled) return;
+    (config[key]?.elements || []).forEach((element, index) => {
+      const bounds = getElementBounds(element);
+      if (bounds) elements.push({ name: `${key}.${element.id || `elements[${index}]`}`, bounds });
+    });
+  });
+  if (config.qr?.position) {
+    elements.push({ name: 'qr', bounds: getElementBounds({ position: config.qr.position, size: config.qr.size }) });
+  }
+  if (printsPageNumberFooter(config) && config.pageNumber.position) {
+    const fontSize = config.pageNumber.fontSize || 10;
+    elements.push({ name: 'pageNumber', bounds: getElementBounds({ type: 'text', position: config.pageNumber.position, style: { fontSize } }) });
+  }
+  const bannerQr = config.patientBanner?.enabled && config.patientBanner.qr;
+  if (bannerQr?.enabled && bannerQr.position) {
+    const size = bannerQr.size || 32;
+    elements.push({ name: 'patientBanner.qr', bounds: getElementBounds({ position: bannerQr.position, size: { width: size, height: size } }) });
+  }
+  return elements;
+}
+
+/**
+ * Finds the elements with a fixed position that would fall outside the printable area of
+ * the paper, after the layout was fitted onto it.
+ *
+ * @param {Object} pageLayout - Page layout (see resolvePageLayout)
+ * @return {Array<{name: string, bounds: Object}>} Elements outside the printable area, with
+ *   the box they cover on the paper ({left, top, right, bottom} in points from the top left)
+ */
+export function checkPrintableArea(pageLayout) {
+  const { config, paper, scale, offsetX, offsetY } = pageLayout;
+  const margin = paper.printableMargin || 0;
+  return getPositionedElements(config)
+    .map(({ name, bounds }) => ({
+      name,
+      bounds: {
+        left: bounds.left * scale + offsetX,
+        top: bounds.top * scale + offsetY,
+        right: bounds.right * scale + offsetX,
+        bottom: bounds.bottom * scale + offsetY
+      }
+    }))
+    .filter(({ bounds }) => bounds.left < margin || bounds.top < margin
+      || bounds.right > paper.width - margin || bounds.bottom > paper.height - margin);
+}
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Layout of the selected test panels and their gene lists.
+ *
+ * Layouts (panels.layout in the template):
+ * - "list": the genes of a panel as wrapped, comma-separated text (default)
+ * - "columns": the genes of a panel in a table with panels.geneColumns columns
+ * - "compact": panel names only; the gene lists are printed in an appendix
+ *
+ * Panels with more genes than panels.appendixGeneThreshold (0 = off) are printed compactly
+ * in every layout, so a big panel does not push the other panels onto extra pages. With
+ * panels.showGeneCount the number of genes follows the panel name, and with
+ * panels.highlightSharedGenes genes contained in several selected panels are printed bold.
+ */
+
+import { addSectionPage } from './pdfSections';
+
+export const PANEL_LAYOUTS = {
+  LIST: 'list',
+  COLUMNS: 'columns',
+  COMPACT: 'compact'
+};
+
+const GENE_FONT_SIZE = 10;
+const DEFAULT_GENE_COLUMNS = 6;
+// Minimum space between two gene columns
+const COLUMN_GAP = 8;
+// Bottom of the appendix pages, above the patient banner
+const APPENDIX_BOTTOM_MARGIN = 60;
+
+/**
+ * Returns the panel settings of a template with defaults.
+ *
+ * @param {Object} config - PDF template
+ * @return {Object} Panel settings (baseY, maxHeight, spacing, offsetX, secondPageBaseY, layout, ...)
+ */
+export function getPanelSettings(config) {
+  return {
+    baseY: 350,
+    maxHeight: 600,
+    spacing: 14,
+    offsetX: 60,
+    secondPageBaseY: 50,
+    layout: PANEL_LAYOUTS.LIST,
+    geneColumns: DEFAULT_GENE_COLUMNS,
+    showGeneCount: false,
+    highlightSharedGenes: false,
+    appendixGeneThreshold: 0,
+    ...config.panels
+  };
+}
+
+/**
+ * Checks whether the gene list of a panel is printed in the appendix.
+ */
+function isAppendixPanel(panel, settings) {
+  const geneCount = (panel.genes || []).length;
+  return geneCount > 0 && (settings.layout === PANEL_LAYOUTS.COMPACT
+    || (settings.appendixGeneThreshold > 0 && geneCount > settings.appendixGeneThreshold));
+}
+
+/**
+ * Returns the genes contained in more than one of the panels.
+ */
+function findSharedGenes(panels) {
+  const counts = new Map();
+  panels.forEach(panel => new Set(panel.genes || []).forEach(gene => counts.set(gene, (counts.get(gene) || 0) + 1)));
+  return new Set([...counts].filter(([, count]) => count > 1).map(([gene]) => gene));
+}
+
+/**
+ * Sets the font of a gene (bold italic for highlighted genes).
+ */
+function setGeneFont(doc, highlighted) {
+  doc.setFont('Helvetica', highlighted ? 'bolditalic' : 'italic');
+  doc.setFontSize(GENE_FONT_SIZE);
+  doc.setTextColor('#000000');
+}
+
+/**
+ * Lays out genes as comma-separated text wrapped at maxWidth.
+ *
+ * @return {Array<Array<{gene: string, text: string, x: number}>>} Lines of positioned genes
+ */
+function layoutGeneText(doc, genes, maxWidth, sharedGenes) {
+  const lines = [[]];
+  let x = 0;
+  genes.forEach((gene, index) => {
+    const text = index < genes.length - 1 ? `${gene}, ` : gene;
+    setGeneFont(doc, sharedGenes.has(gene));
+    const width = doc.getTextWidth(text);
+    if (x > 0 && x + doc.getTextWidth(gene) > maxWidth) {
+      lines.push([]);
+      x = 0;
+    }
+    lines[lines.length - 1].push({ gene, text, x });
+    x += width;
+  });
+  return lines;
+}
+
+/**
+ * Lays out genes in a table, row by row. Fewer columns are used if the widest gene does
+ * not fit into a column.
+ *
+ * @return {Array<Array<{gene: string, text: string, x: number}>>} Rows of positioned genes
+ */
+function layoutGeneColumns(doc, genes, maxWidth, columns) {
+  setGeneFont(doc, true);
+  const widestGene = Math.max(...genes.map(gene => doc.getTextWidth(gene)));
+  const columnCount = Math.max(1, Math.min(columns, Math.floor((maxWidth + COLUMN_GAP) / (widestGene + COLUMN_GAP))));
+  const columnWidth = maxWidth / columnCount;
+  const rows = [];
+  genes.forEach((gene, index) => {
+    if (index % columnCount === 0) rows.push([]);
+    rows[rows.length - 1].push({ gene, text: gene, x: (index % columnCount) * columnWidth });
+  });
+  return rows;
+}
+
+/**
+ * Draws one line of positioned genes.
+ */
+function drawGeneLine(doc, line, offsetX, y, sharedGenes) {
+  line.forEach(({ gene, text, x }) => {
+    setGeneFont(doc, sharedGenes.has(gene));
+    doc.text(text, offsetX + x, y);
+  });
+}
+
+function renderCategoryHeader(doc, categoryTitle, offsetX, y, spacing) {
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.setTextColor('#000000');
+  doc.text(categoryTitle, offsetX, y);
+  const textWidth = doc.getTextWidth(categoryTitle);
+  doc.line(offsetX, y + 2, offsetX + textWidth, y + 2);
+  return y + spacing;
+}
+
+/**
+ * Lays out a panel name wrapped at maxWidth, followed by the gene count and the appendix
+ * note if requested (on the last line of the name if it fits there).
+ *
+ * @return {{lines: string[], note: string, noteX: number, noteOnNewLine: boolean, height: number}}
+ *   Layout, height in lines
+ */
+function layoutPanelName(ctx, panel, maxWidth, { showGeneCount, inAppendix }) {
+  const { doc, t } = ctx;
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(12);
+  const lines = doc.splitTextToSize(panel.name, maxWidth);
+  const lastLineWidth = doc.getTextWidth(lines[lines.length - 1]);
+
+  const notes = [];
+  const geneCount = (panel.genes || []).length;
+  if (showGeneCount && geneCount > 0) notes.push(t('pdfGenerator.panels.geneCount', { count: geneCount }));
+  if (inAppendix) notes.push(t('pdfGenerator.panels.inAppendix'));
+  const note = notes.length > 0 ? `(${notes.join(', ')})` : '';
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(GENE_FONT_SIZE);
+  const noteOnNewLine = !!note && lastLineWidth + 4 + doc.getTextWidth(note) > maxWidth;
+  return {
+    lines,
+    note,
+    noteX: noteOnNewLine ? 0 : lastLineWidth + 4,
+    noteOnNewLine,
+    height: lines.length + (noteOnNewLine ? 1 : 0)
+  };
+}
+
+/**
+ * Draws a panel name laid out with layoutPanelName.
+ *
+ * @return {number} Y position below the name
+ */
+function drawPanelName(doc, nameLayout, offsetX, y, spacing) {
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.setTextColor('#000000');
+  nameLayout.lines.forEach((line, index) => doc.text(line, offsetX, y + index * spacing));
+  if (nameLayout.note) {
+    doc.setFont('Helvetica', 'normal');
+    doc.setFontSize(GENE_FONT_SIZE);
+    doc.text(nameLayout.note, offsetX + nameLayout.noteX, y + (nameLayout.height - 1) * spacing);
+  }
+  return y + nameLayout.height * spacing;
+}
+
+/**
+ * Lays out the genes of a panel for a layout.
+ */
+function layoutPanelGenes(doc, panel, layout, settings, maxWidth, sharedGenes) {
+  const genes = panel.genes || [];
+  if (genes.length === 0) return [];
+  return layout === PANEL_LAYOUTS.COLUMNS
+    ? layoutGeneColumns(doc, genes, maxWidth, settings.geneColumns || DEFAULT_GENE_COLUMNS)
+    : layoutGeneText(doc, genes, maxWidth, sharedGenes);
+}
+
+/**
+ * Renders the selected test panels grouped by category, adding pages as needed.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, config, tests, t})
+ * @param {string[]} selectedPanels - IDs of the selected panels
+ * @return {Object[]} Panels whose gene lists belong in the appendix (see renderGeneAppendix)
+ */
+export function renderPanels(ctx, selectedPanels) {
+  const { doc, config, tests, t } = ctx;
+  const settings = getPanelSettings(config);
+  const { baseY, maxHeight, spacing, offsetX, secondPageBaseY } = settings;
+  const groupedPanels = tests.categories
+    .map((category) => ({
+      categoryTitle: category.title,
+      id: category.id,
+      tests: category.tests.filter((test) => selectedPanels.includes(test.id))
+    }))
+    .filter((group) => group.tests.length > 0);
+  const allPanels = groupedPanels.flatMap(group => group.tests);
+  const sharedGenes = settings.highlightSharedGenes ? findSharedGenes(allPanels) : new Set();
+  const maxWidth = doc.internal.pageSize.getWidth() - offsetX - 40;
+  const appendixPanels = [];
+
+  let y = baseY;
+  groupedPanels.forEach((group) => {
+    if (y + spacing > maxHeight) {
+      doc.addPage();
+      y = secondPageBaseY;
+    }
+    y = renderCategoryHeader(doc, group.categoryTitle, offsetX, y, spacing);
+    group.tests.forEach((panel) => {
+      const inAppendix = isAppendixPanel(panel, settings);
+      const lines = inAppendix ? [] : layoutPanelGenes(doc, panel, settings.layout, settings, maxWidth, sharedGenes);
+      if (inAppendix) appendixPanels.push(panel);
+
+      const nameLayout = layoutPanelName(ctx, panel, maxWidth, { showGeneCount: settings.showGeneCount, inAppendix });
+      if (y + spacing * (nameLayout.height + lines.length) > maxHeight) {
+        doc.addPage();
+        y = secondPageBaseY;
+      }
+      y = drawPanelName(doc, nameLayout, offsetX, y, spacing);
+      lines.forEach((line) => {
+        drawGeneLine(doc, line, offsetX, y, sharedGenes);
+        y += spacing;
+      });
+    });
+  });
+
+  // Explain the highlighting if a printed gene is highlighted
+  const printedPanels = allPanels.filter(panel => !appendixPanels.includes(panel));
+  if (printedPanels.some(panel => (panel.genes || []).some(gene => sharedGenes.has(gene)))) {
+    if (y + spacing > maxHeight) {
+      doc.addPage();
+      y = secondPageBaseY;
+    }
+    doc.setFont('Helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(t('pdfGenerator.panels.sharedGenes'), offsetX, y);
+  }
+
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(12);
+  return appendixPanels;
+}
+
+/**
+ * Returns the panels whose gene lists belong in the appendix without rendering the panels,
+ * for PDFs printed without the requisition page.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({config, tests})
+ * @param {string[]} selectedPanels - IDs of the selected panels
+ * @return {Object[]} Panels whose gene lists belong in the appendix (see renderGeneAppendix)
+ */
+export function getAppendixPanels(ctx, selectedPanels) {
+  const settings = getPanelSettings(ctx.config);
+  return ctx.tests.categories
+    .flatMap(category => category.tests.filter(test => selectedPanels.includes(test.id)))
+    .filter(panel => isAppendixPanel(panel, settings));
+}
+
+/**
+ * Renders the gene lists of the panels printed compactly on appendix pages, in tables of
+ * panels.geneColumns columns.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, config, tests, t})
+ * @param {Object[]} panels - Panels returned by renderPanels or getAppendixPanels
+ * @param {string[]} selectedPanels - IDs of all selected panels (for the shared gene highlighting)
+ */
+export function renderGeneAppendix(ctx, panels, selectedPanels) {
+  if (panels.length === 0) return;
+  const { doc, config, tests, t } = ctx;
+  const settings = getPanelSettings(config);
+  const { spacing } = settings;
+  const sharedGenes = settings.highlightSharedGenes
+    ? findSharedGenes(tests.categories.flatMap(category => category.tests.filter(test => selectedPanels.includes(test.id))))
+    : new Set();
+  const leftX = 40;
+  const maxWidth = doc.internal.pageSize.getWidth() - 2 * leftX;
+  const bottom = doc.internal.pageSize.getHeight() - APPENDIX_BOTTOM_MARGIN;
+
+  addSectionPage(ctx);
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor('#000000');
+  doc.text(t('pdfGenerator.panels.appendixTitle'), leftX, 40);
+  let y = 70;
+
+  panels.forEach((panel) => {
+    const rows = layoutGeneColumns(doc, panel.genes, maxWidth, settings.geneColumns || DEFAULT_GENE_COLUMNS);
+    const nameLayout = layoutPanelName(ctx, panel, maxWidth, { showGeneCount: true, inAppendix: false });
+    // A panel starts on a new page if its name and first rows do not fit
+    if (y + spacing * (nameLayout.height + Math.min(rows.length, 3)) > bottom) {
+      doc.addPage();
+      y = 40;
+    }
+    y = drawPanelName(doc, nameLayout, leftX, y, spacing);
+    rows.forEach((row) => {
+      if (y > bottom) {
+        doc.addPage();
+        y = 40;
+      }
+      drawGeneLine(doc, row, leftX, y, sharedGenes);
+      y += spacing;
+    });
+    y += spacing / 2;
+  });
+
+  if (sharedGenes.size > 0 && panels.some(panel => panel.genes.some(gene => sharedGenes.has(gene)))) {
+    if (y > bottom) {
+      doc.addPage();
+      y = 40;
+    }
+    doc.setFont('Helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(t('pdfGenerator.panels.sharedGenes'), leftX, y);
+  }
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(12);
+}
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Pedigree page content of the requisition PDF: the pedigree drawing, its
+ * legend and the PED table (empty, to fill in by hand, on blank paper forms).
+ *
+ * The pedigree is drawn from the SVG of the pedigree drawer as vector graphics (svg2pdf.js),
+ * scaled to fit the configured box. The SVG is parsed with the browser's DOMParser, so
+ * without a DOM (the Node CLI) and for pedigrees given only as image the PNG image is used.
+ *
+ * Layout (pedigreePage in the template, all positions in pt):
+ *
+ *   "pedigreePage": {
+ *     "drawing": { "x": 40, "y": 70, "width": 330, "height": 400 },
+ *     "legend": { "enabled": true, "x": 40, "y": 495 },
+ *     "pedTable": { "enabled": true, "x": 390, "y": 80, "width": 165, "maxY": 640 }
+ *   }
+ */
+
+import logService from '@/services/logService';
+
+const DEFAULT_PAGE_LAYOUT = {
+  drawing: { x: 40, y: 70, width: 330, height: 400 },
+  legend: { enabled: true, x: 40, y: 495 },
+  pedTable: { enabled: true, x: 390, y: 80, width: 165, maxY: 640 }
+};
+
+// Size of the legend symbols
+const LEGEND_SYMBOL_SIZE = 9;
+const LEGEND_LINE_HEIGHT = 14;
+
+// Relative widths of the PED table columns
+const PED_COLUMNS = [
+  { key: 'family', width: 2.5 },
+  { key: 'individual', width: 1.5 },
+  { key: 'father', width: 2.5 },
+  { key: 'mother', width: 2.5 },
+  { key: 'sex', width: 2.3 },
+  { key: 'phenotype', width: 2.7 }
+];
+const PED_ROW_HEIGHT = 11;
+
+/**
+ * Returns the pedigree page layout of a template with defaults. Without a PED table the
+ * drawing uses the full page width by default.
+ *
+ * @param {Object} config - PDF template
+ * @param {boolean} hasPedTable - Whether a PED table is printed
+ * @return {{drawing: Object, legend: Object, pedTable: Object}} Layout
+ */
+export function getPedigreePageLayout(config, hasPedTable) {
+  const layout = config.pedigreePage || {};
+  const pedTable = { ...DEFAULT_PAGE_LAYOUT.pedTable, ...layout.pedTable };
+  const defaultDrawing = hasPedTable && pedTable.enabled
+    ? DEFAULT_PAGE_LAYOUT.drawing
+    : { ...DEFAULT_PAGE_LAYOUT.drawing, width: 515 };
+  return {
+    drawing: { ...defaultDrawing, ...layout.drawing },
+    legend: { ...DEFAULT_PAGE_LAYOUT.legend, ...layout.legend },
+    pedTable
+  };
+}
+
+/**
+ * Fits content of a size into a box, centered horizontally.
+ */
+function fitIntoBox(width, height, box, maxScale) {
+  const scale = Math.min(box.width / width, box.height / height, maxScale);
+  return {
+    x: box.x + (box.width - width * scale) / 2,
+    y: box.y,
+    width: width * scale,
+    height: height * scale
+  };
+}
+
+/**
+ * Draws the pedigree SVG as vector graphics into a box.
+ */
+async function drawPedigreeSvg(doc, svgMarkup, box) {
+  const svgElement = new DOMParser().parseFromString(svgMarkup, 'image/svg+xml').documentElement;
+  if (svgElement.nodeName !== 'svg') {
+    throw new Error('Invalid pedigree SVG');
+  }
+  const viewBox = (svgElement.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const width = viewBox[2] || Number.parseFloat(svgElement.getAttribute('width'));
+  const height = viewBox[3] || Number.parseFloat(svgElement.getAttribute('height'));
+  if (!(width > 0 && height > 0)) {
+    throw new Error('Pedigree SVG has no size');
+  }
+
+  const { svg2pdf } = await import('svg2pdf.js');
+  // Vector graphics can be enlarged, small pedigrees are shown up to 1.5 times their size
+  const area = fitIntoBox(width, height, box, 1.5);
+  await svg2pdf(svgElement, doc, area);
+  return area;
+}
+
+/**
+ * Draws the pedigree into a box: the SVG as vector graphics if possible, otherwise the PNG image.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} pedigree - Pedigree ({svg, imageDataUrl})
+ * @param {{x: number, y: number, width: number, height: number}} box - Box the pedigree is scaled into
+ * @return {Promise<{x: number, y: number, width: number, height: number}|null>} Drawn area, or null if nothing could be drawn
+ */
+export async function renderPedigreeDrawing(doc, pedigree, box) {
+  if (pedigree.svg && typeof DOMParser !== 'undefined') {
+    try {
+      return await drawPedigreeSvg(doc, pedigree.svg, box);
+    } catch (error) {
+      logService.warn('[pdfPedigree] Pedigree SVG could not be drawn, using the image:', error);
+    }
+  }
+  if (!pedigree.imageDataUrl) return null;
+
+  // Image size is read from the image data itself, so no DOM image is needed
+  const { width, height } = doc.getImageProperties(pedigree.imageDataUrl);
+  const area = fitIntoBox(width, height, box, 1);
+  doc.addImage(pedigree.imageDataUrl, 'PNG', area.x, area.y, area.width, area.height);
+  return area;
+}
+
+/**
+ * Draws an arrow pointing from (x1, y1) to (x2, y2).
+ */
+function drawArrow(doc, x1, y1, x2, y2) {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const [dx, dy] = [(x2 - x1) / length, (y2 - y1) / length];
+  const headLength = 4;
+  const headWidth = 2.5;
+  const [baseX, baseY] = [x2 - dx * headLength, y2 - dy * headLength];
+  doc.line(x1, y1, baseX, baseY);
+  doc.triangle(x2, y2, baseX - dy * headWidth, baseY + dx * headWidth, baseX + dy * headWidth, baseY - dx * headWidth, 'F');
+}
+
+/**
+ * Draws the symbol of a legend entry with its top left corner at (x, top).
+ */
+function drawLegendSymbol(doc, entry, x, top) {
+  const size = LEGEND_SYMBOL_SIZE;
+  doc.setDrawColor('#000000');
+  doc.setFillColor('#000000');
+  doc.setLineWidth(0.6);
+  switch (entry.type) {
+    case 'disease':
+      doc.setFillColor(entry.colour || '#a9a9a9');
+      doc.rect(x, top, size, size, 'FD');
+      break;
+    case 'proband':
+      doc.rect(x + size * 0.6, top, size, size);
+      drawArrow(doc, x - 2, top + size + 2, x + size * 0.5, top + size * 0.6);
+      break;
+    case 'deceased':
+      doc.rect(x, top, size, size);
+      doc.line(x - 2, top + size + 2, x + size + 2, top - 2);
+      break;
+    case 'consanguinity':
+      doc.rect(x, top + 1, size - 2, size - 2);
+      doc.circle(x + 21, top + size / 2, (size - 2) / 2);
+      doc.line(x + size - 2, top + size / 2 - 1.2, x + 21 - (size - 2) / 2, top + size / 2 - 1.2);
+      doc.line(x + size - 2, top + size / 2 + 1.2, x + 21 - (size - 2) / 2, top + size / 2 + 1.2);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Returns the entries of a pedigree legend.
+ */
+function getLegendEntries(legend, t) {
+  const entries = (legend.diseases || []).map(disease => ({
+    type: 'disease',
+    colour: disease.colour,
+    label: disease.type === 'affected'
+      ? t('pdfGenerator.pedigree.legend.affected')
+      : String(disease.type).replace(/_/g, ' ')
+  }));
+  ['proband', 'deceased', 'consanguinity'].forEach((type) => {
+    if (legend[type]) entries.push({ type, label: t(`pdfGenerator.pedigree.legend.${type}`) });
+  });
+  return entries;
+}
+
+/**
+ * Renders the legend of the symbols used in the pedigree: the disease colours, the
+ * proband arrow, and the deceased and consanguinity symbols.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, t})
+ * @param {Object} legend - Symbols used in the pedigree ({diseases: [{type, colour}], proband, deceased, consanguinity})
+ * @param {number} x - X position
+ * @param {number} y - Y position of the legend title (baseline)
+ * @return {number} Y position below the legend
+ */
+export function renderPedigreeLegend(ctx, legend, x, y) {
+  const { doc, t } = ctx;
+  const entries = getLegendEntries(legend || {}, t);
+  if (entries.length === 0) return y;
+
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor('#000000');
+  doc.text(t('pdfGenerator.pedigree.legend.title'), x, y);
+
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(9);
+  let lineY = y + LEGEND_LINE_HEIGHT + 2;
+  entries.forEach((entry) => {
+    drawLegendSymbol(doc, entry, x + 2, lineY - LEGEND_SYMBOL_SIZE + 1);
+    doc.text(entry.label, x + 34, lineY);
+    lineY += LEGEND_LINE_HEIGHT;
+  });
+  doc.setLineWidth(0.2);
+  doc.setDrawColor('#000000');
+  return lineY;
+}
+
+/**
+ * Returns the x positions of the PED table columns.
+ */
+function getPedColumnX(x, width) {
+  const unit = width / PED_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  const columnX = [];
+  PED_COLUMNS.reduce((offset, column) => {
+    columnX.push(x + offset);
+    return offset + column.width * unit;
+  }, 0);
+  return columnX;
+}
+
+/**
+ * Draws the title and the column headers of the PED table.
+ *
+ * @return {number} Baseline of the column headers
+ */
+function drawPedTableHeader(ctx, columnX, x, y, width) {
+  const { doc, t } = ctx;
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor('#000000');
+  doc.text(t('pdfGenerator.pedigree.table.title'), x, y);
+
+  const rowY = y + PED_ROW_HEIGHT + 4;
+  doc.setFontSize(7);
+  PED_COLUMNS.forEach((column, index) => doc.text(t(`pdfGenerator.pedigree.table.${column.key}`), columnX[index], rowY));
+  doc.setLineWidth(0.5);
+  doc.line(x, rowY + 3, x + width, rowY + 3);
+  doc.setFont('Helvetica', 'normal');
+  doc.setLineWidth(0.2);
+  return rowY;
+}
+
+/**
+ * Draws the key of the sex and phenotype codes below the last row.
+ *
+ * @return {number} Y position below the key
+ */
+function drawPedTableKey(ctx, x, rowY) {
+  const { doc, t } = ctx;
+  doc.setFontSize(7);
+  let keyY = rowY + PED_ROW_HEIGHT + 2;
+  doc.text(t('pdfGenerator.pedigree.table.sexKey'), x, keyY);
+  keyY += PED_ROW_HEIGHT - 2;
+  doc.text(t('pdfGenerator.pedigree.table.phenotypeKey'), x, keyY);
+  return keyY;
+}
+
+/**
+ * Renders the pedigree as PED table (family, individual, father and mother ID, sex and
+ * phenotype codes) with a key of the codes. Rows that do not fit above maxY are left out
+ * with a note.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, t})
+ * @param {Array<number[]>} rows - PED rows ([famId, indId, patId, matId, sex, phenotype])
+ * @param {{x: number, y: number, width: number, maxY: number}} table - Position and size
+ * @return {number} Y position below the table
+ */
+export function renderPedTable(ctx, rows, { x, y, width, maxY }) {
+  const { doc, t } = ctx;
+  if (!rows?.length) return y;
+
+  const columnX = getPedColumnX(x, width);
+  let rowY = drawPedTableHeader(ctx, columnX, x, y, width);
+
+  doc.setFontSize(8);
+  // The last lines are kept for the key
+  const lastRowY = maxY - 3 * PED_ROW_HEIGHT;
+  const printedRows = [];
+  for (const row of rows) {
+    if (rowY + PED_ROW_HEIGHT > lastRowY) break;
+    rowY += PED_ROW_HEIGHT;
+    printedRows.push(row);
+    row.slice(0, PED_COLUMNS.length).forEach((value, index) => doc.text(String(value), columnX[index], rowY));
+  }
+
+  if (printedRows.length < rows.length) {
+    doc.setFontSize(7);
+    rowY += PED_ROW_HEIGHT;
+    doc.text(t('pdfGenerator.pedigree.table.moreRows', { count: rows.length - printedRows.length }), x, rowY);
+  }
+  return drawPedTableKey(ctx, x, rowY);
+}
+
+/**
+ * Renders an empty PED table to fill in by hand (blank paper forms): the column headers,
+ * ruled rows with column separators down to maxY and the key of the codes.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, t})
+ * @param {{x: number, y: number, width: number, maxY: number}} table - Position and size
+ * @return {number} Y position below the table
+ */
+export function renderBlankPedTable(ctx, { x, y, width, maxY }) {
+  const { doc } = ctx;
+  const columnX = getPedColumnX(x, width);
+  const headerY = drawPedTableHeader(ctx, columnX, x, y, width);
+
+  // Rows are twice as high as printed rows, for handwriting
+  const rowHeight = PED_ROW_HEIGHT * 2;
+  const lastRowY = maxY - 3 * PED_ROW_HEIGHT;
+  let rowY = headerY + 3;
+  doc.setDrawColor('#808080');
+  while (rowY + rowHeight <= lastRowY) {
+    rowY += rowHeight;
+    doc.line(x, rowY, x + width, rowY);
+  }
+  columnX.slice(1).forEach(columnStart => doc.line(columnStart - 2, headerY + 3, columnStart - 2, rowY));
+  doc.setDrawColor('#000000');
+  return drawPedTableKey(ctx, x, rowY);
+}
@@ -0,0 +1,1223 @@
+/**
+ * @fileoverview Headless rendering of requisition PDFs.
+ *
+ * renderRequisitionPdf() takes the exported form data (formStore.exportFormData(), the
+ * same JSON as a saved file) and a PDF template (see pdfTemplates.js) and returns the
+ * PDF bytes. It does not read any reactive application state, so it runs in the browser
+ * (PdfGenerator.vue) as well as in Node (cli/requiform-pdf.js). renderRequisitionBatchPdf()
+ * renders a list of requisitions into one PDF, renderBlankRequisitionPdf() a blank paper
+ * requisition with the whole test catalog to tick (see pdfBlankForm.js).
+ *
+ * Document structure:
+ * 1. Header, body and footer sections of the template
+ * 2. Selected test panels grouped by category (see pdfPanels.js)
+ * 3. Patient QR code on page 1
+ * 4. Phenotype page with phenotype QR code
+ * 5. Pedigree page with legend, PED table and pedigree QR code (when a pedigree is given)
+ * 6. GenDG consent page (when the consent form was filled)
+ * 7. Appendix with the gene lists of compactly printed panels
+ * 8. Complete QR code page, which restores the whole form (when qr.complete is enabled)
+ * 9. Patient banner, page numbers and template/schema version footer on every page
+ *    (counted per requisition in batch PDFs and per copy), and the watermark of the copy
+ *
+ * With options.copies the document holds several copies of the requisition (e.g. lab,
+ * physician and patient copy), each with a selection of these sections (see pdfSections.js).
+ *
+ * Pages are laid out on the paper of the template (A4 portrait by default). For other paper
+ * (options.paper) the template's page variant is used, or the pages are scaled onto the
+ * paper; elements outside its printable area are reported once (see pdfPage.js).
+ *
+ * Characters the standard fonts cannot render (e.g. in non-Latin names) are drawn with the
+ * template's embedded fallback fonts (see pdfFonts.js).
+ *
+ * With formFields enabled in the template, values that are empty when the PDF is generated
+ * become fillable form fields (see pdfFormFields.js).
+ *
+ * The ID and version of the template are also stored in the document properties. In
+ * archive mode the document also gets PDF/A metadata and the form data as attachment
+ * (see pdfArchive.js).
+ */
+
+import defaultTestsData from '../../data/tests.json';
+import enMessages from '../../locales/en.json';
+import deMessages from '../../locales/de.json';
+import logService from '@/services/logService';
+import { mapTemplateString, renderSection } from './pdfElements';
+import { getPdfTemplateInfo, selectPdfTemplateForFormData } from './pdfTemplates';
+import { applyPdfArchiveMode } from './pdfArchive';
+import { FORM_FIELD_SEPARATOR, addTextFormField, addCheckBoxFormField } from './pdfFormFields';
+import { drawText, getMissingCharacters, loadPdfFonts, measureText, setPdfFont, setPdfFonts } from './pdfFonts';
+import { getAppendixPanels, renderGeneAppendix, renderPanels } from './pdfPanels';
+import { getPedigreePageLayout, renderPedigreeDrawing, renderPedigreeLegend, renderPedTable } from './pdfPedigree';
+import { formatSignedAt, renderSignature } from './pdfSignatures';
+import { addSectionPage, renderCopyWatermark } from './pdfSections';
+import { addLayoutPage, checkPrintableArea, createPdfDocument, fitPagesToPaper, printsPageNumberFooter, resolvePageLayout } from './pdfPage';
+import {
+  blankSectionPlaceholders,
+  renderBlankPanelCatalog,
+  renderBlankPedigreePage,
+  renderBlankPhenotypeCatalog
+} from './pdfBlankForm';
+import { QR_ENCRYPTION_MODES } from '../../utils/qrEncryption';
+import { SIGNERS, hasSignature, isEncryptedSignatures } from '../../utils/signatures';
+import { PDF_SECTIONS, resolvePrintCopies } from '../../utils/printProfiles';
+import { QR_CONTENT_MODES, ORDER_ID_PATTERN, getQrContentPolicy, applyPatientQrContentPolicy, generateOrderId } from '../../utils/qrContents';
+import { computeFormFingerprint, resolvePhenotypeMap } from '../../utils/formFingerprint';
+import {
+  generateQrCodeDataUrl,
+  generatePatientQrCode,
+  generatePhenotypeQrCode,
+  generatePedigreeQrCode,
+  generateCompleteQrCode,
+  buildCompleteQrData
+} from '../../utils/qrService';
+
+const MESSAGES = { en: enMessages, de: deMessages };
+
+/**
+ * Creates a translation function for the PDF texts from the bundled locale files.
+ * Used when no translation function (e.g. vue-i18n's t) is passed to the renderer.
+ *
+ * @param {string} locale - Locale ("en" or "de"); unknown locales fall back to English
+ * @return {function(string, Object=): string} Translation function (key, params)
+ */
+export function createPdfTranslator(locale) {
+  const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+  return (key, params = {}) => {
+    const message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES.en, key);
+    if (typeof message !== 'string') return key;
+    return message.replace(/{(\w+)}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+}
+
+/**
+ * Builds the QR encryption options from the deployment configuration (qrEncryption).
+ *
+ * @param {Object} [config] - Encryption configuration (qrEncryption)
+ * @param {string} [password] - Password entered for this PDF (password mode)
+ * @return {Object|null} Encryption options for the QR generators, or null if QR codes are not encrypted
+ * @throws {Error} If the password or the lab key for the configured mode is missing
+ */
+export function resolveQrEncryptionOptions(config, password) {
+  const encryption = config || {};
+  if (encryption.mode === QR_ENCRYPTION_MODES.PASSWORD) {
+    if (!password) {
+      throw new Error('A password is required to encrypt the QR codes.');
+    }
+    return { mode: encryption.mode, password };
+  }
+  if (encryption.mode === QR_ENCRYPTION_MODES.LAB_KEY) {
+    if (!encryption.labKey) {
+      throw new Error('No lab key is configured for QR encryption.');
+    }
+    return { mode: encryption.mode, labKey: encryption.labKey, keyId: encryption.keyId };
+  }
+  return null;
+}
+
+// Converts yes/no to localized labels
+function toYesNo(value, locale) {
+  if (locale === 'de') {
+    return value === 'yes' ? 'Ja' : value === 'no' ? 'Nein' : value;
+  }
+  return value === 'yes' ? 'Yes' : value === 'no' ? 'No' : value;
+}
+
+/**
+ * Renders a QR code series with its label at the configured QR position of the current page.
+ * A single QR code is placed exactly as configured. The parts of a multi-part series are
+ * laid out in reading order in a grid that ends at the configured position, each numbered "i/n".
+ * The optional legend is printed in small type between the label and the codes.
+ */
+function renderQrSeries(ctx, dataUrls, label, legend = '') {
+  if (!dataUrls || dataUrls.length === 0) return;
+  const { doc, config } = ctx;
+  const { position, size } = config.qr;
+  const spacing = config.qr.seriesSpacing ?? 10;
+  const captionHeight = dataUrls.length > 1 ? 10 : 0;
+  const total = dataUrls.length;
+  const maxColumns = Math.max(1, Math.floor((position.x + size.width - 40) / (size.width + spacing)));
+  const columns = Math.min(total, maxColumns);
+  const rows = Math.ceil(total / columns);
+  const rowHeight = size.height + spacing + captionHeight;
+  const leftX = position.x - (columns - 1) * (size.width + spacing);
+  const topY = position.y - (rows - 1) * rowHeight;
+  const seriesWidth = columns * (size.width + spacing) - spacing;
+
+  // Add the legend directly above the series, wrapped to its width
+  doc.setTextColor('#000000');
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(7);
+  const legendLines = legend && config.qr.legend !== false ? doc.splitTextToSize(legend, seriesWidth) : [];
+  legendLines.forEach((line, index) => {
+    doc.text(line, leftX, topY - 4 - (legendLines.length - 1 - index) * 8);
+  });
+
+  // Add QR code label ABOVE the legend and the (first row of the) series
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.text(label, leftX + seriesWidth / 2 - 40, topY - 10 - legendLines.length * 8);
+
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(8);
+  dataUrls.forEach((dataUrl, index) => {
+    const x = leftX + (index % columns) * (size.width + spacing);
+    const y = topY + Math.floor(index / columns) * rowHeight;
+    doc.addImage(dataUrl, 'PNG', x, y, size.width, size.height);
+    if (total > 1) {
+      doc.text(`${index + 1}/${total}`, x + size.width / 2, y + size.height + 8, { align: 'center' });
+    }
+  });
+}
+
+/**
+ * Builds the legend printed with a QR code, saying what the code contains.
+ * @param {Object} ctx - Render context
+ * @param {string[]} items - Localized descriptions of the contents
+ * @param {Object} [flags] - Transport protection of the code
+ * @param {boolean} [flags.signed=false] - The code is signed
+ * @param {boolean} [flags.encrypted=false] - The code is encrypted
+ * @returns {string} Legend text
+ */
+function buildQrLegend(ctx, items, { signed = false, encrypted = false } = {}) {
+  const { t } = ctx;
+  const flags = [
+    signed && t('pdfGenerator.qrLegend.signed'),
+    encrypted && t('pdfGenerator.qrLegend.encrypted')
+  ].filter(Boolean);
+  const legend = t('pdfGenerator.qrLegend.contains', { items: items.join(', ') });
+  return flags.length > 0 ? `${legend} (${flags.join(', ')})` : legend;
+}
+
+/**
+ * Describes the contents of the patient QR code for its legend.
+ * @param {Object} ctx - Render context
+ * @param {Object} policy - Patient QR content policy (see getQrContentPolicy)
+ * @param {string} [orderId] - Order ID carried in "orderId" mode
+ * @returns {string[]} Localized descriptions of the contents
+ */
+function describePatientQrContents(ctx, policy, orderId) {
+  const { t } = ctx;
+  if (policy.mode === QR_CONTENT_MODES.FULL) {
+    return [t('pdfGenerator.qrLegend.fullRecord')];
+  }
+  const fieldLabel = field => t(`pdfGenerator.qrLegend.fields.${field}`);
+  const items = [];
+  if (policy.mode === QR_CONTENT_MODES.ORDER_ID) {
+    items.push(t('pdfGenerator.qrLegend.orderId', { orderId }));
+  }
+  if (policy.mode === QR_CONTENT_MODES.HASHED) {
+    items.push(t('pdfGenerator.qrLegend.hashedId', { fields: policy.hashFields.map(fieldLabel).join('/') }));
+  }
+  return [...items, ...policy.fields.map(fieldLabel)];
+}
+
+/**
+ * Builds the options that fit QR code version and error correction level to the printed QR size.
+ * @returns {Object|null} Fit options for the QR generators, or null if no minimum module size is configured
+ */
+function getQrFitOptions(config) {
+  const { size, minModuleSize, minErrorCorrectionLevel } = config.qr;
+  if (!minModuleSize) return null;
+  return {
+    size: Math.min(size.width, size.height),
+    minModuleSize,
+    minErrorCorrectionLevel: minErrorCorrectionLevel || 'M'
+  };
+}
+
+/**
+ * Reports a QR code that could not be generated. The PDF is still rendered, but it lacks
+ * the machine-readable data (e.g. after an encryption or signing misconfiguration), so
+ * the caller is told through options.onWarning as well.
+ *
+ * @param {Object} ctx - Render context
+ * @param {string} qrCode - QR code that is missing (patient, phenotype, pedigree, complete, patientBanner)
+ * @param {Error} error - Error of the QR code generation
+ */
+function reportQrCodeFailure(ctx, qrCode, error) {
+  logService.error(`[pdfRenderer] The ${qrCode} QR code could not be generated and is missing from the PDF:`, error);
+  ctx.onWarning?.({ qrCode, message: error?.message || String(error) });
+}
+
+/**
+ * Generates the patient QR code (minimised per qr.contents) and adds it to page 1.
+ */
+async function renderPatientQrCode(ctx, personalInfo, selectedPanels, orderId) {
+  const { doc, config, qrSigning, qrEncryption, fingerprint } = ctx;
+  const policy = getQrContentPolicy('patient', config.qr?.contents);
+  if (!config.qr?.position || !config.qr?.size || policy.mode === QR_CONTENT_MODES.NONE) return;
+
+  try {
+    // Leave out what the deployment does not want in the QR code (qr.contents)
+    const patient = {
+      firstName: personalInfo.firstName || '',
+      lastName: personalInfo.lastName || '',
+      birthdate: personalInfo.birthdate || '',
+      sex: personalInfo.sex || '',
+      insurance: personalInfo.insurance || '',
+      insuranceId: personalInfo.insuranceId || '',
+      referrer: personalInfo.referrer || '',
+      diagnosis: personalInfo.diagnosis || ''
+    };
+    const contents = await applyPatientQrContentPolicy(patient, selectedPanels, policy, orderId);
+
+    const patientQrDataUrls = await generatePatientQrCode(contents.patient, {
+      selectedTests: contents.selectedTests,
+      fingerprint,
+      qrOptions: {
+        width: 128,
+        margin: 2,
+        color: {
+          dark: '#000000',
+          light: '#ffffff'
+        },
+        maxPartLength: config.qr.maxPartLength,
+        fit: getQrFitOptions(config)
+      },
+      signing: qrSigning,
+      encryption: qrEncryption,
+      compression: config.qr.compression !== false
+    });
+
+    doc.setPage(ctx.firstPage); // Ensure we are on the first page of the requisition
+
+    // Add the QR code (series) with its label and legend
+    renderQrSeries(ctx, patientQrDataUrls, 'Patient QR Code', buildQrLegend(
+      ctx,
+      [...describePatientQrContents(ctx, policy, orderId), ...(fingerprint ? [ctx.t('pdfGenerator.qrLegend.fingerprint')] : [])],
+      { signed: !!qrSigning?.enabled, encrypted: !!qrEncryption }
+    ));
+  } catch (qrError) {
+    reportQrCodeFailure(ctx, 'patient', qrError);
+  }
+}
+
+/**
+ * Builds the lists and consent answers that template conditions and repeat elements refer
+ * to (see pdfElements.js): consent.*, panels and phenotypes, localized where available.
+ */
+function buildTemplateData(ctx, personalInfo, selectedPanels, phenotypeMap) {
+  const { tests, locale } = ctx;
+  const consentForm = personalInfo.genDGConsentData?.form || {};
+  const consent = {
+    provided: personalInfo.genDGConsentData?.provided || '',
+    name: consentForm.consentName || '',
+    date: consentForm.consentDate || ''
+  };
+  Object.values(CONSENT_YES_NO_PLACEHOLDERS).forEach((key) => {
+    // questionSecondaryFindings becomes consent.secondaryFindings
+    const name = key.replace(/^question/, '');
+    consent[name.charAt(0).toLowerCase() + name.slice(1)] = consentForm[key] || '';
+  });
+
+  const panels = [];
+  const phenotypes = [];
+  tests.categories.forEach((category) => {
+    const categoryTitle = category.titles?.[locale] || category.title;
+    category.tests
+      .filter(test => selectedPanels.includes(test.id))
+      .forEach(test => panels.push({
+        id: test.id,
+        name: test.names?.[locale] || test.name,
+        category: categoryTitle,
+        genes: test.genes || [],
+        geneCount: (test.genes || []).length
+      }));
+    (category.phenotypes || [])
+      .filter(phenotype => phenotypeMap[category.id]?.[phenotype.id] && phenotypeMap[category.id][phenotype.id] !== 'no input')
+      .forEach(phenotype => phenotypes.push({
+        id: phenotype.id,
+        name: phenotype.names?.[locale] || phenotype.name,
+        hpo: phenotype.hpo || '',
+        state: phenotypeMap[category.id][phenotype.id],
+        category: categoryTitle
+      }));
+  });
+  return { consent, panels, phenotypes };
+}
+
+/**
+ * Renders the phenotype page with its QR code. No page is added without phenotypes.
+ */
+async function renderPhenotypePage(ctx, phenotypeMap) {
+  const { doc, config, tests, locale, qrSigning, qrEncryption, t } = ctx;
+  if (Object.keys(phenotypeMap).length === 0) {
+    logService.debug('[pdfRenderer] Skipping phenotype page: No meaningful phenotype data.');
+    return;
+  }
+
+  addSectionPage(ctx);
+  doc.setPage(doc.internal.getNumberOfPages());
+
+  // Add a title to the phenotype page, localized if available in pdfConfig
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(16);
+  const phenotypePageTitle = config.phenotypePage?.titleContents?.[locale] || 'Phenotype Data';
+  doc.text(phenotypePageTitle, 40, 40);
+
+  // --- QR Code Generation ---
+  const policy = getQrContentPolicy('phenotype', config.qr.contents);
+  try {
+    // Phenotypes with a known HPO ID, in the {id, present} format of the QR codec
+    const qrPhenotypes = [];
+    for (const catId in phenotypeMap) {
+      const category = tests.categories.find((c) => c.id === catId);
+      for (const phenId in phenotypeMap[catId]) {
+        const status = phenotypeMap[catId][phenId];
+        if (status === 'no input' || !category) continue;
+        const phenotype = category.phenotypes.find((p) => p.id === phenId);
+        if (phenotype && phenotype.hpo) {
+          qrPhenotypes.push({ id: phenotype.hpo, present: status === 'present' });
+        } else {
+          logService.warn(`Could not find HPO ID for ${catId}/${phenId} for QR code.`);
+        }
+      }
+    }
+
+    if (qrPhenotypes.length > 0 && policy.mode !== QR_CONTENT_MODES.NONE) {
+      logService.debug('Generating phenotype QR code with', qrPhenotypes.length, 'meaningful items');
+      const phenotypeQrDataUrls = await generatePhenotypeQrCode(qrPhenotypes, {
+        qrOptions: {
+          width: config.qr.size.width,
+          margin: 1,
+          errorCorrectionLevel: 'M',
+          maxPartLength: config.qr.maxPartLength,
+          fit: getQrFitOptions(config)
+        },
+        signing: qrSigning,
+        encryption: qrEncryption,
+        compression: config.qr.compression !== false
+      });
+
+      renderQrSeries(ctx, phenotypeQrDataUrls, 'Phenotype QR Code', buildQrLegend(
+        ctx,
+        [t('pdfGenerator.qrLegend.phenotypes')],
+        { signed: !!qrSigning?.enabled, encrypted: !!qrEncryption }
+      ));
+    } else {
+      logService.debug('No phenotype QR code: no phenotypes with HPO IDs or disabled by qr.contents.');
+    }
+  } catch (qrError) {
+    reportQrCodeFailure(ctx, 'phenotype', qrError);
+  }
+
+  // --- Phenotype Text Rendering ---
+  doc.setFontSize(12);
+  doc.setFont('Helvetica', 'normal');
+  let currentY = 70; // Start below the title, independent of the QR code
+  const leftMargin = 40;
+
+  for (const catId in phenotypeMap) {
+    const category = tests.categories.find((c) => c.id === catId);
+    if (!category || !category.phenotypes) continue;
+
+    const phenotypesToRender = category.phenotypes.filter(
+      (p) => phenotypeMap[catId]?.[p.id] && phenotypeMap[catId][p.id] !== 'no input'
+    );
+
+    if (phenotypesToRender.length > 0) {
+      doc.setFont('Helvetica', 'bold');
+      doc.text(category.title, leftMargin, currentY);
+      currentY += 16;
+      doc.setFont('Helvetica', 'normal');
+      phenotypesToRender.forEach((p) => {
+        const state = phenotypeMap[catId][p.id];
+        doc.text(`${p.name} (${p.hpo}): ${state}`, leftMargin, currentY);
+        currentY += 14;
+        if (currentY > doc.internal.pageSize.getHeight() - 40) {
+          doc.addPage();
+          currentY = 40;
+        }
+      });
+      currentY += 10; // Add space between categories
+    }
+  }
+}
+
+/**
+ * Renders the pedigree page with the pedigree drawing, its legend, the PED table and the
+ * pedigree QR code (see pdfPedigree.js).
+ */
+async function renderPedigreePage(ctx, pedigree) {
+  const { doc, config, qrEncryption, t } = ctx;
+  const policy = getQrContentPolicy('pedigree', config.qr.contents);
+  // Without structured (PED) data the QR code only references the printed image
+  const pedigreeQrData = pedigree.data || { hasImage: true };
+  let referenceOnly = policy.mode === QR_CONTENT_MODES.REFERENCE || !pedigree.data;
+
+  let pedigreeQrDataUrls = null;
+  if (policy.mode !== QR_CONTENT_MODES.NONE) {
+    try {
+      // Calculate QR code size based on data complexity
+      const estimatedDataSize = JSON.stringify(pedigreeQrData).length;
+      const qrSize = estimatedDataSize > 1000 ? 120 : estimatedDataSize > 500 ? 100 : 80;
+      pedigreeQrDataUrls = await generatePedigreeQrCode(referenceOnly ? { hasImage: true } : pedigreeQrData, {
+        qrOptions: {
+          width: qrSize,
+          margin: 1,
+          errorCorrectionLevel: 'M',
+          maxPartLength: config.qr.maxPartLength,
+          fit: getQrFitOptions(config)
+        },
+        encryption: qrEncryption,
+        compression: config.qr.compression !== false
+      });
+    } catch (qrError) {
+      // The PED data is missing from the PDF even if the image reference below is printed
+      reportQrCodeFailure(ctx, 'pedigree', qrError);
+      // If the PED format fails, try with just the image reference
+      try {
+        pedigreeQrDataUrls = await generatePedigreeQrCode({ hasImage: true }, {
+          qrOptions: {
+            width: 80,
+            margin: 1,
+            errorCorrectionLevel: 'M',
+            fit: getQrFitOptions(config)
+          },
+          encryption: qrEncryption,
+          compression: config.qr.compression !== false
+        });
+        referenceOnly = true;
+        logService.debug('Generated fallback pedigree QR code (image reference only)');
+      } catch (fallbackError) {
+        logService.error('[pdfRenderer] The fallback pedigree QR code could not be generated either:', fallbackError);
+      }
+    }
+  }
+
+  try {
+    addSectionPage(ctx);
+    doc.setPage(doc.internal.getNumberOfPages());
+
+    doc.setFont('Helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text('Family Pedigree', 40, 40);
+
+    const layout = getPedigreePageLayout(config, !!pedigree.pedRows?.length);
+    const area = await renderPedigreeDrawing(doc, pedigree, layout.drawing);
+    if (layout.legend.enabled) {
+      renderPedigreeLegend(ctx, pedigree.legend, layout.legend.x, Math.max(layout.legend.y, (area?.y || 0) + (area?.height || 0) + 20));
+    }
+    if (layout.pedTable.enabled) {
+      renderPedTable(ctx, pedigree.pedRows, layout.pedTable);
+    }
+
+    if (pedigreeQrDataUrls) {
+      renderQrSeries(ctx, pedigreeQrDataUrls, 'Pedigree QR Code', buildQrLegend(
+        ctx,
+        [t(referenceOnly ? 'pdfGenerator.qrLegend.pedigreeReference' : 'pdfGenerator.qrLegend.pedigree')],
+        { encrypted: !!qrEncryption }
+      ));
+    }
+  } catch (renderError) {
+    logService.debug('Error rendering pedigree:', renderError);
+  }
+}
+
+/**
+ * Renders the page with the complete QR code (qr.complete), which restores the whole form
+ * when scanned: patient data, tests, phenotypes, pedigree and the remaining requisition
+ * fields. It carries the full patient record, so it is left out when qr.contents minimises
+ * the patient QR code.
+ */
+async function renderCompleteQrPage(ctx, formData, phenotypeMap, pedigree, orderId) {
+  const { doc, config, qrSigning, qrEncryption, fingerprint, t } = ctx;
+  if (!config.qr?.complete || !config.qr.position || !config.qr.size) return;
+  if (getQrContentPolicy('patient', config.qr.contents).mode !== QR_CONTENT_MODES.FULL) {
+    logService.warn('[pdfRenderer] No complete QR code: qr.contents minimises the patient QR code');
+    return;
+  }
+
+  let completeQrDataUrls;
+  try {
+    const completeData = buildCompleteQrData({ ...formData, orderId }, phenotypeMap, pedigree?.data || null);
+    completeQrDataUrls = await generateCompleteQrCode({ ...completeData, fingerprint }, {
+      // Without structured (PED) data the QR code only references the printed pedigree
+      pedigreeFormat: pedigree && !pedigree.data ? 'i' : undefined,
+      qrOptions: {
+        width: 128,
+        margin: 2,
+        maxPartLength: config.qr.maxPartLength,
+        fit: getQrFitOptions(config)
+      },
+      signing: qrSigning,
+      encryption: qrEncryption,
+      compression: config.qr.compression !== false
+    });
+  } catch (qrError) {
+    reportQrCodeFailure(ctx, 'complete', qrError);
+    return;
+  }
+
+  addSectionPage(ctx);
+  doc.setPage(doc.internal.getNumberOfPages());
+
+  doc.setTextColor('#000000');
+  doc.setFont('Helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(t('pdfGenerator.completeQr.title'), 40, 40);
+  doc.setFont('Helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(doc.splitTextToSize(t('pdfGenerator.completeQr.instruction'), doc.internal.pageSize.getWidth() - 80), 40, 60);
+
+  renderQrSeries(ctx, completeQrDataUrls, 'Complete QR Code', buildQrLegend(
+    ctx,
+    [t('pdfGenerator.qrLegend.completeRecord'), ...(fingerprint ? [t('pdfGenerator.qrLegend.fingerprint')] : [])],
+    { signed: !!qrSigning?.enabled, encrypted: !!qrEncryption }
+  ));
+}
+
+// Markers printed for empty consent values of fillable PDFs, the form fields are placed on
+// them. Non-breaking spaces keep a marker on one line.
+const CONSENT_TEXT_MARKER = '_'.repeat(30);
+const CONSENT_BOX_MARKER = '[\u00a0\u00a0\u00a0]';
+const CONSENT_DATE_FIELD_WIDTH = 80;
+
+// Placeholders of the consent paragraphs that print yes/no answers, with their form fields
+const CONSENT_YES_NO_PLACEHOLDERS = {
+  zufallsbefundeLabel: 'questionSecondaryFindings',
+  materialLabel: 'questionMaterial',
+  extendedLabel: 'questionExtended',
+  researchLabel: 'questionResearch'
+};
+
+/**
+ * Returns the form field name of a consent form value.
+ */
+function getConsentFieldName(key, ...suffix) {
+  return ['personalInfo', 'genDGConsentData', 'form', key, ...suffix].join(FORM_FIELD_SEPARATOR);
+}
+
+/**
+ * Adds the form fields of the markers found in a printed line. Fields are taken from the
+ * front of pendingFields (in the order of their markers in the paragraph).
+ */
+function placeMarkerFields(doc, line, pendingFields, x, y) {
+  const fontSize = doc.getFontSize();
+  let searchFrom = 0;
+  while (pendingFields.length > 0) {
+    const index = line.indexOf(pendingFields[0].marker, searchFrom);
+    if (index < 0) return;
+    const field = pendingFields.shift();
+    const fieldX = x + measureText(doc, line.slice(0, index));
+    const markerWidth = measureText(doc, field.marker);
+    if (field.type === 'checkbox') {
+      addCheckBoxFormField(doc, field.name, { x: fieldX + (markerWidth - fontSize) / 2, y: y - fontSize * 0.8, size: fontSize });
+    } else {
+      addTextFormField(doc, field.name, { x: fieldX, y: y - fontSize * 0.8 - 1, width: markerWidth, height: fontSize + 2 }, fontSize);
+    }
+    searchFrom = index + field.marker.length;
+  }
+}
+
+/**
+ * Renders the consent page using paragraphs and signature area from pdfConfig.consent.
+ * In fillable PDFs, empty values, the consent date and the signature lines get form fields;
+ * blank paper forms print the markers of the empty values to write on.
+ * Signatures captured on screen are drawn above their lines with the time of signing.
+ */
+function renderConsentPage(ctx, consentData) {
+  const { doc, config, locale, t, formFields, blankForm } = ctx;
+  logService.debug('Rendering consent page...');
+  try {
+    if (!consentData || !consentData.form) {
+      logService.debug('Consent form data is missing');
+      return;
+    }
+
+    const consentFormData = consentData.form;
+    const consentConfig = config.consent;
+
+    // Map the form data to the placeholders used in pdfConfig.json
+    const mapping = { consentName: consentFormData.consentName || '' };
+    Object.entries(CONSENT_YES_NO_PLACEHOLDERS).forEach(([placeholder, key]) => {
+      mapping[placeholder] = toYesNo(consentFormData[key], locale) || '';
+    });
+
+    // Form fields of the empty values by placeholder, placed on the printed markers
+    const markerFields = {};
+    if (formFields || blankForm) {
+      if (!mapping.consentName) {
+        mapping.consentName = CONSENT_TEXT_MARKER;
+        if (formFields) {
+          markerFields.consentName = [{ marker: CONSENT_TEXT_MARKER, type: 'text', name: getConsentFieldName('consentName') }];
+        }
+      }
+      Object.entries(CONSENT_YES_NO_PLACEHOLDERS).forEach(([placeholder, key]) => {
+        if (mapping[placeholder]) return;
+        mapping[placeholder] = [CONSENT_BOX_MARKER, toYesNo('yes', locale), CONSENT_BOX_MARKER, toYesNo('no', locale)].join('\u00a0');
+        if (formFields) {
+          markerFields[placeholder] = ['yes', 'no'].map(answer =>
+            ({ marker: CONSENT_BOX_MARKER, type: 'checkbox', name: getConsentFieldName(key, answer) }));
+        }
+      });
+    }
+
+    addSectionPage(ctx);
+    doc.setFont('Helvetica', 'normal');
+    doc.setFontSize(10);
+    let currentY = consentConfig.startY || 40;
+    const leftX = 40;
+    const rightMargin = 40;
+    const maxWidth = doc.internal.pageSize.getWidth() - leftX - rightMargin;
+    const lineSpacing = consentConfig.lineSpacing || 5;
+    const paragraphSpacing = consentConfig.paragraphSpacing || 10;
+
+    // Render title with internationalization support
+    if (consentConfig.title) {
+      doc.setFont('Helvetica', 'bold');
+      doc.setFontSize(consentConfig.title.fontSize || 14);
+
+      const titleText = consentConfig.titleContents?.[locale] || consentConfig.title;
+      const titleLines = doc.splitTextToSize(titleText, maxWidth);
+      titleLines.forEach((line) => {
+        drawText(doc, line, leftX, currentY);
+        currentY += (consentConfig.title.fontSize || 14) * 0.5;
+      });
+      currentY += lineSpacing;
+      doc.setFont('Helvetica', 'normal');
+      doc.setFontSize(10);
+    }
+
+    // Render each paragraph, localized if available
+    const paragraphsToUse = consentConfig.paragraphsContents?.[locale] || consentConfig.paragraphs;
+    paragraphsToUse.forEach((paragraphTemplate) => {
+      const text = mapTemplateString(paragraphTemplate, mapping);
+      const pendingFields = Array.from(paragraphTemplate.matchAll(/{{\s*(\w+)\s*}}/g))
+        .flatMap(match => markerFields[match[1]] || []);
+      const lines = doc.splitTextToSize(text, maxWidth);
+      lines.forEach((line) => {
+        // Check for page break before rendering line
+        if (currentY + lineSpacing > doc.internal.pageSize.getHeight() - 60) {
+          doc.addPage();
+          currentY = consentConfig.startY || 40;
+        }
+        drawText(doc, line, leftX, currentY);
+        placeMarkerFields(doc, line, pendingFields, leftX, currentY);
+        currentY += doc.getFontSize() * 1.2;
+      });
+      currentY += paragraphSpacing;
+    });
+
+    // Start position for signature elements
+    let sigStartY = currentY + (consentConfig.signatureArea.marginTop || 20);
+
+    const lineStartX = consentConfig.signatureArea.lineStartX || leftX;
+    const patientLineEndX = consentConfig.signatureArea.patientLineEndX || lineStartX + 200;
+    const physicianLineStartX = consentConfig.signatureArea.physicianLineStartX || leftX + 250;
+    const physicianLineEndX = consentConfig.signatureArea.physicianLineEndX || physicianLineStartX + 200;
+
+    const sigArea = consentConfig.signatureAreaContents?.[locale] || consentConfig.signatureArea;
+
+    // Encrypted signatures (of a file saved with a password) are only printed once unlocked
+    const signaturesEncrypted = isEncryptedSignatures(consentData.signatures);
+    if (signaturesEncrypted) {
+      logService.info('Consent signatures are encrypted and not printed');
+    }
+    const signatures = (!signaturesEncrypted && consentData.signatures) || {};
+    const signed = SIGNERS.some(signer => hasSignature(signatures[signer]));
+    const signatureHeight = signed ? consentConfig.signatureArea.signatureHeight || 40 : 0;
+    // The date, the signatures, the lines and the labels are kept on one page
+    if (sigStartY + signatureHeight + doc.getFontSize() * 5 > doc.internal.pageSize.getHeight() - 40) {
+      doc.addPage();
+      sigStartY = consentConfig.startY || 40;
+    }
+
+    // Date text (using consent date from form data)
+    const dateLabel = locale === 'en' ? 'Date' : 'Datum';
+    if (formFields && !consentFormData.consentDate) {
+      doc.text(`${dateLabel}:`, lineStartX, sigStartY);
+      const fontSize = doc.getFontSize();
+      addTextFormField(doc, getConsentFieldName('consentDate'), {
+        x: lineStartX + doc.getTextWidth(`${dateLabel}: `),
+        y: sigStartY - fontSize * 0.8 - 1,
+        width: CONSENT_DATE_FIELD_WIDTH,
+        height: fontSize + 2
+      }, fontSize);
+    } else {
+      drawText(doc, `${dateLabel}: ${consentFormData.consentDate || '___________'}`, lineStartX, sigStartY);
+    }
+    sigStartY += doc.getFontSize() * 1.4;
+
+    // Patient and physician signature lines at the same height, labels below
+    const signatureLineY = sigStartY + signatureHeight;
+    const signerLines = {
+      patient: { startX: lineStartX, endX: patientLineEndX, label: sigArea.patientLabel },
+      physician: { startX: physicianLineStartX, endX: physicianLineEndX, label: sigArea.physicianLabel }
+    };
+    let hintY = signatureLineY + doc.getFontSize() * 2.4;
+    SIGNERS.forEach((signer) => {
+      const { startX, endX, label } = signerLines[signer];
+      const signature = signatures[signer];
+      if (renderSignature(doc, signature, { x: startX, y: sigStartY, width: endX - startX, height: signatureHeight - 2 })) {
+        const signedAt = formatSignedAt(signature.signedAt);
+        if (signedAt) {
+          const fontSize = doc.getFontSize();
+          doc.setFontSize(8);
+          doc.text(t('pdfGenerator.consent.signedAt', { date: signedAt }), startX, signatureLineY + fontSize * 2.4);
+          doc.setFontSize(fontSize);
+          hintY = signatureLineY + fontSize * 3.6;
+        }
+      } else if (formFields) {
+        // Name in block letters above the line (for the printout, not imported)
+        const fieldHeight = doc.getFontSize();
+        addTextFormField(doc, ['consent', `${signer}Name`].join(FORM_FIELD_SEPARATOR),
+          { x: startX, y: signatureLineY - fieldHeight, width: endX - startX, height: fieldHeight });
+      }
+      doc.line(startX, signatureLineY, endX, signatureLineY);
+      if (label) {
+        doc.text(label, startX, signatureLineY + doc.getFontSize() * 1.2);
+      }
+    });
+
+    if (sigArea.signHint) {
+      doc.text(sigArea.signHint, lineStartX, hintY);
+    }
+  } catch (error) {
+    logService.debug('Error during renderConsentPage:', error);
+  }
+}
+
+/**
+ * Renders the patient banner (patientBanner) on every page, so separated sheets can still
+ * be assigned to the patient: its elements, with the placeholders of the header sections
+ * (including {{copy}}, the label of the copy) plus {{orderId}}, {{page}} and {{pageCount}},
+ * and a compact QR code with the order ID (not on blank paper forms).
+ */
+async function renderPatientBanner(ctx, mapping, orderId) {
+  const { doc, config, locale } = ctx;
+  const banner = config.patientBanner;
+  if (!banner?.enabled) return;
+
+  let qrDataUrl = null;
+  if (banner.qr?.enabled && orderId && !ctx.blankForm) {
+    try {
+      qrDataUrl = await generateQrCodeDataUrl(orderId, { width: 128, margin: 1, errorCorrectionLevel: 'M' });
+    } catch (qrError) {
+      reportQrCodeFailure(ctx, 'patientBanner', qrError);
+    }
+  }
+
+  const pageCount = doc.internal.getNumberOfPages() - ctx.firstPage + 1;
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(ctx.firstPage + page - 1);
+    renderSection(doc, banner, { ...mapping, orderId, page, pageCount }, locale);
+    if (qrDataUrl) {
+      const { x, y } = banner.qr.position;
+      const size = banner.qr.size || 32;
+      // The alias makes jsPDF embed the image once for all pages. jsPDF keeps images by
+      // alias for the whole document, so it names the order ID: a batch PDF holds several.
+      doc.addImage(qrDataUrl, 'PNG', x, y, size, size, `patient-banner-qr-${orderId}`);
+    }
+  }
+}
+
+/**
+ * Adds page numbers (unless the patient banner shows them) and the schema version footer,
+ * with the fingerprint of the requisition data, to every page.
+ */
+function renderFooters(ctx) {
+  const { doc, config, tests, firstPage } = ctx;
+  const totalPages = doc.internal.getNumberOfPages() - firstPage + 1;
+  if (printsPageNumberFooter(config)) {
+    for (let p = 1; p <= totalPages; p++) {
+      doc.setPage(firstPage + p - 1);
+      const { x, y: posY } = config.pageNumber.position;
+      setPdfFont(doc, config.pageNumber.font || 'Helvetica', config.pageNumber.fontStyle || 'normal');
+      doc.setFontSize(config.pageNumber.fontSize || 10);
+      doc.setTextColor(config.pageNumber.color || '#000000');
+      doc.text(`Page ${p} of ${totalPages}`, x, posY);
+    }
+  }
+  const { id: templateId } = getPdfTemplateInfo(config);
+  const footerVersionText = [
+    `Template: ${templateId}`,
+    `PDF Schema: v${config.schema.version}`,
+    `Test Schema: v${tests.schema.version}`,
+    ...(ctx.fingerprint ? [`Fingerprint: ${ctx.fingerprint}`] : [])
+  ].join(' | ');
+  for (let p = 1; p <= totalPages; p++) {
+    doc.setPage(firstPage + p - 1);
+    doc.setFont('Helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor('#000000');
+    doc.text(footerVersionText, 40, doc.internal.pageSize.getHeight() - 10);
+  }
+}
+
+/**
+ * Creates the rendering context of one requisition (or one copy of it) in a document.
+ */
+function createRenderContext(doc, config, options, firstPage = 1, copy = resolvePrintCopies()[0]) {
+  const locale = options.locale || 'en';
+  return {
+    doc,
+    config,
+    tests: options.testsData || defaultTestsData,
+    locale,
+    t: options.translate || createPdfTranslator(locale),
+    qrSigning: options.qrSigning || null,
+    qrEncryption: options.qrEncryption || null,
+    // Called with QR codes that could not be generated (see reportQrCodeFailure)
+    onWarning: options.onWarning || null,
+    // Fillable form field settings, null for a plain PDF
+    formFields: (options.formFields ?? config.formFields?.enabled) ? { ...config.formFields } : null,
+    // First page of the requisition, page numbers and the patient banner count from here
+    firstPage,
+    // Sections of the copy and its watermark label
+    sections: new Set(copy.sections),
+    copyLabel: copy.label,
+    // Whether the first page is still empty (copies without the requisition page)
+    blankPage: false,
+    // Whether a blank paper form is printed (see renderBlankRequisitionPdf)
+    blankForm: false,
+    // Fingerprint of the requisition data (see utils/formFingerprint.js), empty for blank forms
+    fingerprint: ''
+  };
+}
+
+/**
+ * Returns the document properties of a template.
+ */
+function getDocumentProperties(config, title = 'Genetic Test Requisition') {
+  const templateInfo = getPdfTemplateInfo(config);
+  return {
+    title,
+    subject: `RequiForm template ${templateInfo.id} v${templateInfo.version}`,
+    keywords: `requiform-template:${templateInfo.id} requiform-template-version:${templateInfo.version}`,
+    creator: 'RequiForm'
+  };
+}
+
+/**
+ * Renders the pages of one requisition (the sections of one copy), starting on the current
+ * page of the document.
+ *
+ * @return {Promise<string>} Order ID printed on the pages, empty if none was needed
+ */
+async function renderRequisitionPages(ctx, formData, options) {
+  const { config, locale, sections } = ctx;
+  const templateInfo = getPdfTemplateInfo(config);
+  logService.debug(`[pdfRenderer] Starting PDF rendering with template ${templateInfo.id} v${templateInfo.version}...`);
+  setPdfFonts(ctx.doc, await loadPdfFonts(config.fonts, options.loadFont), config.fonts?.fallback);
+
+  const patientData = formData?.patientData || {};
+  const personalInfo = patientData.personalInfo || {};
+  const selectedPanels = patientData.selectedPanels || formData?.selectedPanels || [];
+  // The fingerprint resolves the phenotypes the same way (see utils/formFingerprint.js)
+  const phenotypeMap = resolvePhenotypeMap(formData || {}, options.phenotypeMap);
+  ctx.fingerprint = (await computeFormFingerprint(formData || {}, options.phenotypeMap)).fingerprint;
+
+  // Placeholder values of the template sections (legacy field names included) and the data
+  // of their conditions and repeat elements
+  const mapping = {
+    givenName: personalInfo.firstName || personalInfo.givenName || '',
+    familyName: personalInfo.lastName || personalInfo.familyName || '',
+    birthdate: personalInfo.birthdate || '',
+    sex: personalInfo.sex || '',
+    insurance: personalInfo.insurance || '',
+    physicianName: personalInfo.referrer || personalInfo.physicianName || '',
+    ...personalInfo,
+    ...buildTemplateData(ctx, personalInfo, selectedPanels, phenotypeMap),
+    ...config.header,
+    ...config.footer,
+    copy: ctx.copyLabel,
+    fingerprint: ctx.fingerprint
+  };
+
+  // A missing order ID is created for this document only (archived documents always carry
+  // one as patient pseudonym, the patient banner prints it). An order ID that does not match
+  // the QR payload schema is replaced, as the patient QR code could not be encoded with it.
+  const needsOrderId = getQrContentPolicy('patient', config.qr?.contents).mode === QR_CONTENT_MODES.ORDER_ID
+    || !!options.archive?.enabled
+    || !!config.patientBanner?.enabled;
+  const hasValidOrderId = typeof formData?.orderId === 'string' && ORDER_ID_PATTERN.test(formData.orderId);
+  if (formData?.orderId && !hasValidOrderId) {
+    logService.warn('[pdfRenderer] Ignoring invalid order ID of the form data');
+  }
+  const orderId = hasValidOrderId ? formData.orderId : (needsOrderId ? generateOrderId() : '');
+
+  let appendixPanels;
+  if (sections.has(PDF_SECTIONS.REQUISITION)) {
+    // 1. Header, body and footer sections
+    const sectionOptions = { highlightEmpty: !!options.highlightEmptyFields, formFields: ctx.formFields };
+    if (config.header) renderSection(ctx.doc, config.header, mapping, locale, sectionOptions);
+    if (config.body) renderSection(ctx.doc, config.body, mapping, locale, sectionOptions);
+    if (config.footer) renderSection(ctx.doc, config.footer, mapping, locale, sectionOptions);
+
+    // 2. Grouped test panels; gene lists of compactly printed panels go to the appendix
+    appendixPanels = renderPanels(ctx, selectedPanels);
+    if (!sections.has(PDF_SECTIONS.PANEL_OVERFLOW)) {
+      // The pages the panels continue on only hold panel text, no form fields
+      while (ctx.doc.internal.getNumberOfPages() > ctx.firstPage) {
+        ctx.doc.deletePage(ctx.doc.internal.getNumberOfPages());
+      }
+    }
+
+    // 3. Patient QR code on page 1
+    await renderPatientQrCode(ctx, personalInfo, selectedPanels, orderId);
+  } else {
+    // The first page is used by the first section printed
+    ctx.blankPage = true;
+    appendixPanels = getAppendixPanels(ctx, selectedPanels);
+  }
+
+  if (options.archive?.enabled) {
+    applyPdfArchiveMode(ctx.doc, {
+      ...getDocumentProperties(config),
+      pseudonym: orderId,
+      templateId: templateInfo.id,
+      templateVersion: templateInfo.version
+    }, options.archive.embedFormData ? { ...formData, orderId } : null);
+  }
+
+  // 4. Phenotype page
+  if (sections.has(PDF_SECTIONS.PHENOTYPES)) {
+    try {
+      await renderPhenotypePage(ctx, phenotypeMap);
+    } catch (phenotypeError) {
+      logService.debug('Error rendering phenotype page:', phenotypeError);
+    }
+  }
+
+  // 5. Pedigree page
+  if (sections.has(PDF_SECTIONS.PEDIGREE) && (options.pedigree?.svg || options.pedigree?.imageDataUrl)) {
+    await renderPedigreePage(ctx, options.pedigree);
+  }
+
+  // 6. Consent page if the consent form was filled
+  if (sections.has(PDF_SECTIONS.CONSENT)
+    && (patientData.consent?.dataProcessing || personalInfo.genDGConsentData?.provided === 'fill')) {
+    renderConsentPage(ctx, personalInfo.genDGConsentData);
+  }
+
+  // 7. Gene list appendix
+  if (sections.has(PDF_SECTIONS.GENE_APPENDIX)) {
+    renderGeneAppendix(ctx, appendixPanels, selectedPanels);
+  }
+
+  // 8. Complete QR code page
+  if (sections.has(PDF_SECTIONS.COMPLETE_QR)) {
+    await renderCompleteQrPage(ctx, formData || {}, phenotypeMap, options.pedigree, orderId);
+  }
+
+  if (ctx.blankPage) {
+    logService.warn(`[pdfRenderer] None of the sections ${[...sections].join(', ')} has content, the copy is an empty page`);
+  }
+
+  // 9. Patient banner, page numbers, footer version info and the watermark of the copy
+  await renderPatientBanner(ctx, mapping, orderId);
+  renderFooters(ctx);
+  renderCopyWatermark(ctx);
+  return orderId;
+}
+
+/**
+ * Logs the characters no font of the document could render.
+ */
+function logMissingCharacters(doc) {
+  const missingCharacters = getMissingCharacters(doc);
+  if (missingCharacters.length > 0) {
+    logService.warn(`[pdfRenderer] No font of the template can render the characters: ${missingCharacters.join(' ')}`);
+  }
+}
+
+// Template and paper combinations whose printable area was checked
+const checkedPageLayouts = new Set();
+
+/**
+ * Logs a warning for every element with a fixed position that falls outside the printable
+ * area of the paper, once per template and paper.
+ */
+function reportPrintableArea(pageLayout) {
+  const { id, version } = getPdfTemplateInfo(pageLayout.config);
+  const { size, orientation } = pageLayout.paper;
+  const key = `${id}@${version}:${size}-${orientation}`;
+  if (checkedPageLayouts.has(key)) return;
+  checkedPageLayouts.add(key);
+
+  logService.debug(`[pdfRenderer] Template ${id} on ${size} ${orientation} paper: ${pageLayout.variant
+    ? `page variant "${pageLayout.variant}"` : `scaled by ${pageLayout.scale.toFixed(3)}`}`);
+  checkPrintableArea(pageLayout).forEach(({ name, bounds }) => {
+    const box = [bounds.left, bounds.top, bounds.right, bounds.bottom].map(value => Math.round(value)).join(', ');
+    logService.warn(`[pdfRenderer] ${name} of template ${id} lies outside the printable area of ${size} ${orientation} paper (${box})`);
+  });
+}
+
+/**
+ * Renders a requisition PDF from exported form data.
+ *
+ * @param {Object} formData - Exported form data (formStore.exportFormData() or a saved file)
+ * @param {Object} [options={}] - Rendering options
+ * @param {Object} [options.pdfConfig] - PDF configuration to use instead of a registered template
+ * @param {string} [options.templateId] - Template ID; by default the template is selected from the form data
+ * @param {Object} [options.testsData] - Tests configuration (defaults to src/data/tests.json)
+ * @param {string} [options.locale='en'] - Locale of the localized texts ("en" or "de")
+ * @param {Function} [options.translate] - Translation function (key, params); defaults to the bundled locale files
+ * @param {Object} [options.phenotypeMap] - Phenotype category map of the form (formStore.phenotypeDataObj), used
+ *   instead of the phenotype list of the form data (see resolvePhenotypeMap)
+ * @param {Object} [options.pedigree] - Pedigree to print ({imageDataUrl: PNG data URL, data: PED data [2, rows]})
+ * @param {Object} [options.qrSigning] - Signing configuration (qrSigning)
+ * @param {Object|null} [options.qrEncryption] - Encryption options, see resolveQrEncryptionOptions
+ * @param {boolean} [options.highlightEmptyFields=false] - Mark template fields without a value (preview)
+ * @param {boolean} [options.formFields] - Print empty values as fillable form fields (defaults to the
+ *   template's formFields.enabled)
+ * @param {Object} [options.archive] - Archive mode ({enabled, embedFormData}): PDF/A metadata and,
+ *   with embedFormData, the form data attached as JSON file
+ * @param {function(string): Promise<ArrayBuffer|Uint8Array>} [options.loadFont] - Loads a font file of the
+ *   template's fonts by file name; without it only the standard fonts are used
+ * @param {Object[]} [options.copies] - Copies to print one after another, each with its sections and
+ *   watermark label ({label, sections}, see utils/printProfiles.js); one complete copy by default.
+ *   Form fields and archive metadata belong to the first copy.
+ * @param {Object} [options.paper] - Paper to print on ({size: 'a4'|'letter'|'legal', orientation:
+ *   'portrait'|'landscape'}, see pdfPage.js); defaults to the page of the template
+ * @param {function({qrCode: string, message: string}): void} [options.onWarning] - Called for every QR code
+ *   that could not be generated and is missing from the PDF (patient, phenotype, pedigree, complete or
+ *   patientBanner), e.g. after an encryption or signing error; once per copy
+ * @return {Promise<Uint8Array>} PDF bytes
+ */
+export async function renderRequisitionPdf(formData, options = {}) {
+  const pageLayout = resolvePageLayout(
+    options.pdfConfig || selectPdfTemplateForFormData(formData, options.templateId),
+    options.paper
+  );
+  const { config } = pageLayout;
+  reportPrintableArea(pageLayout);
+  const doc = createPdfDocument(pageLayout);
+  doc.setProperties(getDocumentProperties(config));
+
+  // All copies print the order ID of the first one
+  let copyFormData = formData;
+  for (const [index, copy] of resolvePrintCopies(options.copies).entries()) {
+    const copyOptions = index === 0 ? options : { ...options, archive: undefined, formFields: false };
+    if (index > 0) doc.addPage();
+    const ctx = createRenderContext(doc, config, copyOptions, doc.internal.getNumberOfPages(), copy);
+    const orderId = await renderRequisitionPages(ctx, copyFormData, copyOptions);
+    if (orderId) copyFormData = { ...copyFormData, orderId };
+  }
+  fitPagesToPaper(doc, pageLayout);
+  logMissingCharacters(doc);
+
+  logService.debug('[pdfRenderer] PDF rendering completed.');
+  return new Uint8Array(doc.output('arraybuffer'));
+}
+
+/**
+ * Renders several requisitions into one PDF. Every requisition starts on a new page with
+ * its own template (selected from its form data unless options.pdfConfig or
+ * options.templateId is given), page numbers and patient banner, on the paper of
+ * options.paper or of its template.
+ *
+ * Options are those of renderRequisitionPdf. Options that belong to a single form
+ * (phenotypeMap, pedigree) are not used, and archive mode is not applied, since the
+ * PDF/A metadata and the attached form data describe one requisition.
+ *
+ * @param {Object[]} formDataList - Exported form data of the requisitions
+ * @param {Object} [options={}] - Rendering options (see renderRequisitionPdf)
+ * @param {function(number): void} [options.onProgress] - Called with the index of each rendered requisition
+ * @param {function({index: number, qrCode: string, message: string}): void} [options.onWarning] - Called for
+ *   every QR code that is missing from the PDF (see renderRequisitionPdf), with the index of its requisition
+ * @return {Promise<Uint8Array>} PDF bytes
+ * @throws {Error} If the list is empty
+ */
+export async function renderRequisitionBatchPdf(formDataList, options = {}) {
+  if (!formDataList?.length) {
+    throw new Error('No requisitions to render.');
+  }
+  const { archive, onProgress, onWarning } = options;
+  const batchOptions = {
+    ...options, phenotypeMap: undefined, pedigree: undefined, archive: undefined, onProgress: undefined, onWarning: undefined
+  };
+  if (archive?.enabled) {
+    logService.info('[pdfRenderer] Archive mode is not applied to merged batch PDFs');
+  }
+
+  let doc;
+  for (const [index, formData] of formDataList.entries()) {
+    const pageLayout = resolvePageLayout(
+      batchOptions.pdfConfig || selectPdfTemplateForFormData(formData, batchOptions.templateId),
+      batchOptions.paper
+    );
+    const { config } = pageLayout;
+    reportPrintableArea(pageLayout);
+    if (index === 0) {
+      doc = createPdfDocument(pageLayout);
+      doc.setProperties(getDocumentProperties(config, 'Genetic Test Requisitions'));
+    } else {
+      addLayoutPage(doc, pageLayout);
+    }
+    const firstPage = doc.internal.getNumberOfPages();
+    const ctx = createRenderContext(doc, config, {
+      ...batchOptions,
+      onWarning: onWarning && (warning => onWarning({ ...warning, index }))
+    }, firstPage);
+    await renderRequisitionPages(ctx, formData, batchOptions);
+    fitPagesToPaper(doc, pageLayout, firstPage);
+    onProgress?.(index);
+  }
+  logMissingCharacters(doc);
+
+  logService.debug(`[pdfRenderer] Batch PDF with ${formDataList.length} requisitions completed.`);
+  return new Uint8Array(doc.output('arraybuffer'));
+}
+
+/**
+ * Renders a blank paper requisition, the fallback form for wards while the systems are
+ * down: the template's sections with boxes for the empty values, every category and panel
+ * of the test configuration and every phenotype with boxes to tick and their codes in the
+ * QR format, a pedigree page with a grid and an empty PED table, and the consent page.
+ *
+ * @param {Object} [options={}] - Rendering options
+ * @param {Object} [options.pdfConfig] - PDF configuration to use instead of a registered template
+ * @param {string} [options.templateId] - Template ID; the default template if not given
+ * @param {Object} [options.testsData] - Tests configuration (defaults to src/data/tests.json)
+ * @param {string} [options.locale='en'] - Locale of the localized texts ("en" or "de")
+ * @param {Function} [options.translate] - Translation function (key, params); defaults to the bundled locale files
+ * @param {Object} [options.paper] - Paper to print on (see renderRequisitionPdf)
+ * @param {function(string): Promise<ArrayBuffer|Uint8Array>} [options.loadFont] - Loads a font file
+ *   of the template's fonts by file name
+ * @return {Promise<Uint8Array>} PDF bytes
+ */
+export async function renderBlankRequisitionPdf(options = {}) {
+  const pageLayout = resolvePageLayout(
+    options.pdfConfig || selectPdfTemplateForFormData({}, options.templateId),
+    options.paper
+  );
+  const { config } = pageLayout;
+  reportPrintableArea(pageLayout);
+  const doc = createPdfDocument(pageLayout);
+  doc.setProperties(getDocumentProperties(config, 'Blank Genetic Test Requisition'));
+
+  const ctx = createRenderContext(doc, config, { ...options, formFields: false });
+  ctx.blankForm = true;
+  setPdfFonts(doc, await loadPdfFonts(config.fonts, options.loadFont), config.fonts?.fallback);
+
+  const mapping = {
+    ...buildTemplateData(ctx, {}, [], {}),
+    ...config.header,
+    ...config.footer,
+    copy: ''
+  };
+  const sectionOptions = { boxEmpty: true };
+  if (config.header) renderSection(doc, config.header, mapping, ctx.locale, sectionOptions);
+  if (config.body) renderSection(doc, config.body, mapping, ctx.locale, sectionOptions);
+  if (config.footer) renderSection(doc, config.footer, mapping, ctx.locale, sectionOptions);
+
+  renderBlankPanelCatalog(ctx);
+  renderBlankPhenotypeCatalog(ctx);
+  renderBlankPedigreePage(ctx);
+  if (config.consent) {
+    renderConsentPage(ctx, { form: {} });
+  }
+
+  // The patient banner gets lines to write on instead of the patient data
+  const bannerMapping = blankSectionPlaceholders(config.patientBanner, mapping);
+  await renderPatientBanner(ctx, bannerMapping, bannerMapping.orderId);
+  renderFooters(ctx);
+  fitPagesToPaper(doc, pageLayout);
+  logMissingCharacters(doc);
+
+  logService.debug('[pdfRenderer] Blank requisition PDF completed.');
+  return new Uint8Array(doc.output('arraybuffer'));
+}
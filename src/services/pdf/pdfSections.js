@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Sections and copies of the requisition PDF.
+ *
+ * A copy prints a selection of the sections (see utils/printProfiles.js). Sections that
+ * start on their own page use addSectionPage(), so a copy without the requisition page
+ * does not begin with an empty page. The label of a copy is printed diagonally across its
+ * pages as a translucent watermark:
+ *
+ *   "copyWatermark": { "fontSize": 72, "color": "#808080", "opacity": 0.15, "angle": 45 }
+ */
+
+const DEFAULT_WATERMARK = {
+  fontSize: 72,
+  color: '#808080',
+  opacity: 0.15,
+  angle: 45
+};
+
+// Share of the page diagonal a watermark may take, longer labels are printed smaller
+const MAX_WATERMARK_SHARE = 0.8;
+
+/**
+ * Starts the page of a section: a new page, or the still empty first page of a copy
+ * printed without its requisition page.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, blankPage})
+ */
+export function addSectionPage(ctx) {
+  if (ctx.blankPage) {
+    ctx.blankPage = false;
+    ctx.doc.setPage(ctx.doc.internal.getNumberOfPages());
+    return;
+  }
+  ctx.doc.addPage();
+}
+
+/**
+ * Prints the label of the copy as watermark, centered and rotated, on the pages of the copy.
+ *
+ * @param {Object} ctx - Rendering context of the renderer ({doc, config, firstPage, copyLabel})
+ */
+export function renderCopyWatermark(ctx) {
+  const { doc, config, firstPage, copyLabel } = ctx;
+  if (!copyLabel) return;
+  const settings = { ...DEFAULT_WATERMARK, ...config.copyWatermark };
+  const angle = settings.angle * Math.PI / 180;
+
+  for (let page = firstPage; page <= doc.internal.getNumberOfPages(); page++) {
+    doc.setPage(page);
+    const width = doc.internal.pageSize.getWidth();
+    const height = doc.internal.pageSize.getHeight();
+    doc.setFont('Helvetica', 'bold');
+    doc.setFontSize(settings.fontSize);
+    const maxWidth = Math.hypot(width, height) * MAX_WATERMARK_SHARE;
+    const textWidth = doc.getTextWidth(copyLabel);
+    const fontSize = textWidth > maxWidth ? settings.fontSize * maxWidth / textWidth : settings.fontSize;
+    doc.setFontSize(fontSize);
+    const halfWidth = Math.min(textWidth, maxWidth) / 2;
+    // jsPDF rotates text counterclockwise around its start; the start is moved so the
+    // middle of the text lies on the page center
+    const startX = width / 2 - halfWidth * Math.cos(angle) + fontSize * 0.35 * Math.sin(angle);
+    const startY = height / 2 + halfWidth * Math.sin(angle) + fontSize * 0.35 * Math.cos(angle);
+
+    doc.saveGraphicsState();
+    doc.setGState(new doc.GState({ opacity: settings.opacity }));
+    doc.setTextColor(settings.color);
+    doc.text(copyLabel, startX, startY, { angle: settings.angle });
+    doc.restoreGraphicsState();
+  }
+  doc.setTextColor('#000000');
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Handwritten signatures on the consent page.
+ *
+ * Signatures captured on screen (see utils/signatures.js) are drawn as vector strokes
+ * standing on the signature line, scaled to the available height with their aspect ratio
+ * kept, and are followed by the time they were signed.
+ */
+
+import { hasSignature } from '../../utils/signatures';
+
+const SIGNATURE_LINE_WIDTH = 0.8;
+
+/**
+ * Formats the time of a signature in the local time zone with its UTC offset,
+ * e.g. "2026-10-19 14:32 (UTC+02:00)".
+ *
+ * @param {string} signedAt - ISO date of the signature
+ * @return {string} Formatted time, empty for invalid dates
+ */
+export function formatSignedAt(signedAt) {
+  const date = new Date(signedAt);
+  if (!signedAt || Number.isNaN(date.getTime())) return '';
+  const pad = value => String(Math.abs(value)).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const zone = `UTC${offset < 0 ? '-' : '+'}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())} (${zone})`;
+}
+
+/**
+ * Draws a signature into a box, bottom-aligned so it stands on the signature line below.
+ *
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} signature - Signature ({strokes, width, height})
+ * @param {{x: number, y: number, width: number, height: number}} box - Box above the signature line
+ * @return {boolean} True if the signature was drawn
+ */
+export function renderSignature(doc, signature, box) {
+  if (!hasSignature(signature)) return false;
+
+  const scale = Math.min(box.width / signature.width, box.height / signature.height);
+  const offsetY = box.y + box.height - signature.height * scale;
+  doc.setDrawColor('#000000');
+  doc.setLineWidth(SIGNATURE_LINE_WIDTH);
+  doc.setLineCap('round');
+  doc.setLineJoin('round');
+  signature.strokes.forEach((stroke) => {
+    const [startX, startY] = [box.x + stroke[0][0] * scale, offsetY + stroke[0][1] * scale];
+    // Dots get a short segment, a path without length is not visible
+    const segments = stroke.length > 1
+      ? stroke.slice(1).map(([x, y], index) => [(x - stroke[index][0]) * scale, (y - stroke[index][1]) * scale])
+      : [[0.3, 0]];
+    doc.lines(segments, startX, startY, [1, 1], 'S', false);
+  });
+  doc.setLineCap('butt');
+  doc.setLineJoin('miter');
+  doc.setLineWidth(0.2);
+  return true;
+}
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Registry of the PDF templates.
+ *
+ * A template is a pdfConfig-style document (header, body, footer, panels, qr, consent, ...)
+ * with a "template" block that identifies it:
+ *
+ *   "template": {
+ *     "id": "cardiology",                 // Stable ID, stored in the exported JSON and the PDF
+ *     "name": "Cardiogenetics",           // Display name ("names" holds localized names)
+ *     "categories": ["cardiology"],       // Test categories that select this template automatically
+ *     "extends": "default"                // Optional base template
+ *   }
+ *
+ * The version of a template is its schema.version. A template that extends another one
+ * inherits all settings it does not define itself. Its header, body and footer elements
+ * are merged with those of the base: an element with the "id" of a base element replaces
+ * that element, other elements are added.
+ *
+ * The default template is src/data/pdfConfig.json; further templates live in
+ * src/data/pdfTemplates/ and are registered below.
+ */
+
+import defaultTemplate from '../../data/pdfConfig.json';
+import cardiologyTemplate from '../../data/pdfTemplates/cardiology.json';
+import testsData from '../../data/tests.json';
+import logService from '@/services/logService';
+
+/**
+ * ID of the template used when no other template applies.
+ * @type {string}
+ */
+export const DEFAULT_PDF_TEMPLATE_ID = 'default';
+
+// Template documents as written, in the order they are offered in the UI
+const TEMPLATE_SOURCES = [defaultTemplate, cardiologyTemplate];
+
+// Sections whose elements are merged by element ID when a template extends another one
+const MERGED_SECTIONS = ['header', 'body', 'footer', 'patientBanner'];
+
+/**
+ * Merges the elements of a section with those of the base template's section.
+ */
+function mergeSection(baseSection, section) {
+  if (!baseSection?.elements || !section?.elements) return section || baseSection;
+  const elements = baseSection.elements.map((element) => {
+    const override = element.id && section.elements.find(candidate => candidate.id === element.id);
+    return override ? { ...element, ...override } : element;
+  });
+  section.elements.forEach((element) => {
+    if (!element.id || !baseSection.elements.some(candidate => candidate.id === element.id)) {
+      elements.push(element);
+    }
+  });
+  return { ...baseSection, ...section, elements };
+}
+
+/**
+ * Applies the settings of a template document to a base template, as for a template that
+ * extends another one; also used for the page variants of a template (see pdfPage.js).
+ *
+ * @param {Object} base - Resolved base template
+ * @param {Object} overrides - Settings that replace those of the base; elements of the
+ *   header, body, footer and patient banner are merged by element ID
+ * @return {Object} Resulting template
+ */
+export function applyTemplateOverrides(base, overrides) {
+  const resolved = { ...base, ...overrides };
+  MERGED_SECTIONS.forEach((key) => {
+    if (key in overrides) resolved[key] = mergeSection(base[key], overrides[key]);
+  });
+  return resolved;
+}
+
+/**
+ * Resolves a template document, applying the template it extends.
+ */
+function resolveTemplate(source, seen = []) {
+  const baseId = source.template?.extends;
+  if (!baseId) return source;
+  const base = TEMPLATE_SOURCES.find(candidate => candidate.template?.id === baseId);
+  if (!base || seen.includes(baseId)) {
+    logService.warn(`[pdfTemplates] Template "${source.template.id}" extends unknown or circular template "${baseId}".`);
+    return source;
+  }
+  return applyTemplateOverrides(resolveTemplate(base, [...seen, source.template.id]), source);
+}
+
+/**
+ * All registered templates, resolved (with inherited settings).
+ * @type {Object[]}
+ */
+export const PDF_TEMPLATES = TEMPLATE_SOURCES.map(source => resolveTemplate(source));
+
+/**
+ * Returns the template with the given ID.
+ *
+ * @param {string} id - Template ID
+ * @return {Object|null} Resolved template, or null if there is none with this ID
+ */
+export function getPdfTemplate(id) {
+  return PDF_TEMPLATES.find(template => template.template?.id === id) || null;
+}
+
+/**
+ * Returns the ID and version of a template, as embedded in the PDF and the exported JSON.
+ *
+ * @param {Object} template - Resolved template
+ * @return {{id: string, version: string}} Template ID and version (schema.version)
+ */
+export function getPdfTemplateInfo(template) {
+  return {
+    id: template?.template?.id || DEFAULT_PDF_TEMPLATE_ID,
+    version: template?.schema?.version || ''
+  };
+}
+
+/**
+ * Returns the display name of a template in the given locale.
+ *
+ * @param {Object} template - Resolved template
+ * @param {string} locale - Locale ("en" or "de")
+ * @return {string} Template name
+ */
+export function getPdfTemplateName(template, locale) {
+  return template?.template?.names?.[locale] || template?.template?.name || template?.template?.id || '';
+}
+
+/**
+ * Determines the test category of the form data that selects the template automatically:
+ * the category chosen in the form, otherwise the category of the first selected test.
+ *
+ * @param {Object} formData - Exported form data
+ * @return {string} Category ID, or an empty string if there is none
+ */
+export function resolveTemplateCategory(formData) {
+  const patientData = formData?.patientData || {};
+  const category = patientData.category || formData?.category || patientData.personalInfo?.category;
+  if (category) return category;
+  const firstPanel = (patientData.selectedPanels || formData?.selectedPanels || [])[0];
+  return testsData.categories.find(cat => cat.tests.some(test => test.id === firstPanel))?.id || '';
+}
+
+/**
+ * Selects the template for a requisition: the template chosen by ID, otherwise the
+ * first template registered for the category, otherwise the default template.
+ *
+ * @param {Object} [selection={}] - Selection criteria
+ * @param {string} [selection.templateId] - Manually chosen template ID
+ * @param {string} [selection.category] - Test category of the requisition
+ * @return {Object} Resolved template
+ */
+export function selectPdfTemplate({ templateId = '', category = '' } = {}) {
+  if (templateId) {
+    const chosen = getPdfTemplate(templateId);
+    if (chosen) return chosen;
+    logService.warn(`[pdfTemplates] Unknown PDF template "${templateId}", selecting the template automatically.`);
+  }
+  return PDF_TEMPLATES.find(template => category && template.template?.categories?.includes(category))
+    || getPdfTemplate(DEFAULT_PDF_TEMPLATE_ID);
+}
+
+/**
+ * Selects the template for exported form data: the given template ID, otherwise the
+ * template chosen manually in the form (pdfTemplate with automatic: false), otherwise
+ * the template of the requisition's category.
+ *
+ * @param {Object} formData - Exported form data
+ * @param {string} [templateId=''] - Template ID that overrides the choice in the form data
+ * @return {Object} Resolved template
+ */
+export function selectPdfTemplateForFormData(formData, templateId = '') {
+  const saved = formData?.pdfTemplate;
+  return selectPdfTemplate({
+    templateId: templateId || (saved && saved.automatic === false ? saved.id : ''),
+    category: resolveTemplateCategory(formData)
+  });
+}
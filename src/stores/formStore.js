@@ -18,6 +18,9 @@ import { defineStore } from 'pinia';
 import { ref, computed } from 'vue';
 import { usePatientData } from '../composables/usePatientData';
 import logService from '@/services/logService'; // Import log service
+import { generateOrderId, ORDER_ID_PATTERN } from '../utils/qrContents';
+import { getPdfTemplate, getPdfTemplateInfo, selectPdfTemplate, resolveTemplateCategory } from '@/services/pdf/pdfTemplates';
+import { SIGNERS, hasSignature, sanitizeSignatures } from '../utils/signatures';
 
 /**
  * Pinia store for application-wide form data management.
@@ -49,8 +52,21 @@ export const useFormStore = defineStore('form', () => {
   const phenotypeDataObj = ref({});
   const showPedigree = ref(false);
   const pedigreeDataUrl = ref('');
+  const pedigreeDrawing = ref(null); // Pedigree SVG, legend and PED rows for the vector pedigree in the PDF
+  const pendingPedigreeData = ref(null); // PED data waiting to be loaded into the pedigree drawer
   const showValidation = ref(false);
   const showPhenotypePanel = ref(false); // Track if phenotype panel is visible
+  const orderId = ref(''); // Pseudonymous order ID, created when a QR code needs it
+  const pdfTemplateId = ref(''); // Manually chosen PDF template, empty for automatic selection
+  
+  // PDF template of the requisition, chosen manually or from the test category
+  const pdfTemplate = computed(() => {
+    const template = selectPdfTemplate({
+      templateId: pdfTemplateId.value,
+      category: resolveTemplateCategory({ patientData })
+    });
+    return { ...getPdfTemplateInfo(template), automatic: !pdfTemplateId.value };
+  });
   
   // Save data dialog state
   const saveDataName = computed(() => {
@@ -58,6 +74,12 @@ export const useFormStore = defineStore('form', () => {
     const dateStr = today.toISOString().split('T')[0];
     return `requiform-data-${dateStr}.json`;
   });
+
+  // Whether the consent was signed on screen (the signatures can be encrypted when saving)
+  const hasConsentSignatures = computed(() => {
+    const signatures = patientData.personalInfo.genDGConsentData?.signatures;
+    return SIGNERS.some(signer => hasSignature(signatures?.[signer]));
+  });
   
   /**
    * Synchronizes the legacy patient data format with the unified model.
@@ -189,6 +211,53 @@ export const useFormStore = defineStore('form', () => {
   function updatePedigreeDataUrl(url) {
     pedigreeDataUrl.value = url;
   }
+
+  /**
+   * Updates the pedigree drawing printed as vector graphics in the PDF.
+   *
+   * @param {Object|null} drawing - Pedigree drawing ({svg, legend, pedRows}) or null
+   * @returns {void}
+   */
+  function updatePedigreeDrawing(drawing) {
+    pedigreeDrawing.value = drawing;
+  }
+  
+  /**
+   * Queues pedigree data to be loaded into the pedigree drawer.
+   * Used when pedigree data is restored from an external source (e.g. a scanned QR code)
+   * while the drawer may not be mounted yet. The drawer clears the value once loaded.
+   * 
+   * @param {Array|null} data - Pedigree data in PED format ([2, rows]) or null to clear
+   * @returns {void}
+   */
+  function setPendingPedigreeData(data) {
+    pendingPedigreeData.value = data;
+  }
+  
+  /**
+   * Returns the order ID of the current form, creating a random one if none exists yet.
+   * The order ID stays the same until the form is reset, so repeated prints of the
+   * same requisition carry the same pseudonymous ID.
+   * 
+   * @returns {string} Order ID
+   */
+  function ensureOrderId() {
+    if (!orderId.value) {
+      orderId.value = generateOrderId();
+      logService.debug('formStore: Created order ID', orderId.value);
+    }
+    return orderId.value;
+  }
+  
+  /**
+   * Chooses the PDF template of the requisition.
+   * 
+   * @param {string} id - Template ID, or an empty string to select the template from the test category
+   * @returns {void}
+   */
+  function setPdfTemplateId(id) {
+    pdfTemplateId.value = id && getPdfTemplate(id) ? id : '';
+  }
   
   /**
    * Sets the showPedigree flag.
@@ -264,6 +333,10 @@ export const useFormStore = defineStore('form', () => {
     phenotypeDataObj.value = {};
     showPedigree.value = false;
     pedigreeDataUrl.value = '';
+    pedigreeDrawing.value = null;
+    pendingPedigreeData.value = null;
+    orderId.value = '';
+    pdfTemplateId.value = '';
     showValidation.value = false;
   }
   
@@ -294,6 +367,8 @@ export const useFormStore = defineStore('form', () => {
       selectedPanels: patientData.selectedPanels || [], // Export from unified model
       phenotypeData: convertPhenotypeDataToUnifiedFormat(phenotypeDataObj.value), // Use unified format
       showPedigree: showPedigree.value,
+      orderId: orderId.value,
+      pdfTemplate: pdfTemplate.value, // Template ID and version the PDF is printed with
       category: category // Include the category field for URL sharing
     };
   }
@@ -341,7 +416,7 @@ export const useFormStore = defineStore('form', () => {
       // 1. Personal Info
       const newPersonalInfo = {};
       const sourcePersonalInfo = sourcePatientData.personalInfo && typeof sourcePatientData.personalInfo === 'object' ? sourcePatientData.personalInfo : {};
-      const personalInfoFields = ['firstName', 'lastName', 'birthdate', 'sex', 'insurance', 'referrer', 'diagnosis', 'comments'];
+      const personalInfoFields = ['firstName', 'lastName', 'birthdate', 'sex', 'insurance', 'insuranceId', 'referrer', 'diagnosis', 'comments'];
       
       // Handle legacy field names
       if (!sourcePersonalInfo.firstName && sourcePersonalInfo.givenName) sourcePersonalInfo.firstName = sourcePersonalInfo.givenName;
@@ -356,6 +431,31 @@ export const useFormStore = defineStore('form', () => {
             newPersonalInfo[field] = ''; // Ensure all fields exist on the target object
         }
       });
+
+      // Requisition fields without a unified model equivalent (kept in personalInfo like PatientForm does)
+      ['orderingDate', 'familyHistory', 'parentalConsanguinity', 'variantDetails'].forEach(field => {
+        if (typeof sourcePersonalInfo[field] === 'string') {
+          newPersonalInfo[field] = sourcePersonalInfo[field].substring(0, 1000);
+        }
+      });
+      if (typeof sourcePersonalInfo.variantSegregationRequested === 'boolean') {
+        newPersonalInfo.variantSegregationRequested = sourcePersonalInfo.variantSegregationRequested;
+      }
+      const sourceConsent = sourcePersonalInfo.genDGConsentData;
+      if (sourceConsent && typeof sourceConsent === 'object') {
+        const consentForm = {};
+        ['consentName', 'consentDate', 'questionSecondaryFindings', 'questionMaterial', 'questionExtended', 'questionResearch'].forEach(field => {
+          if (typeof sourceConsent.form?.[field] === 'string') {
+            consentForm[field] = sourceConsent.form[field].substring(0, 200);
+          }
+        });
+        newPersonalInfo.genDGConsentData = {
+          provided: typeof sourceConsent.provided === 'string' ? sourceConsent.provided.substring(0, 50) : '',
+          form: consentForm,
+          // Signature strokes are validated point by point, encrypted ones are kept as they are
+          signatures: sanitizeSignatures(sourceConsent.signatures)
+        };
+      }
       logService.debug('formStore: Mapped newPersonalInfo:', newPersonalInfo);
       updatePersonalInfo(newPersonalInfo); // Use the store action to update
 
@@ -446,6 +546,27 @@ export const useFormStore = defineStore('form', () => {
         setShowPedigree(data.showPedigree); // Use action
       }
 
+      // 6. Order ID (pseudonymous QR codes)
+      if (typeof data.orderId === 'string' && ORDER_ID_PATTERN.test(data.orderId)) {
+        orderId.value = data.orderId;
+      }
+
+      // 7. Manually chosen PDF template
+      if (data.pdfTemplate && typeof data.pdfTemplate === 'object' && typeof data.pdfTemplate.id === 'string') {
+        const template = getPdfTemplate(data.pdfTemplate.id);
+        if (!template) {
+          logService.warn('formStore: Unknown PDF template in imported data:', data.pdfTemplate.id.substring(0, 50));
+        } else {
+          if (data.pdfTemplate.automatic === false) {
+            pdfTemplateId.value = data.pdfTemplate.id;
+          }
+          const { version } = getPdfTemplateInfo(template);
+          if (data.pdfTemplate.version && data.pdfTemplate.version !== version) {
+            logService.warn(`formStore: Imported data was printed with template ${data.pdfTemplate.id} v${String(data.pdfTemplate.version).substring(0, 20)}, current version is v${version}.`);
+          }
+        }
+      }
+
       // --- End Explicit Mapping --- 
 
       // Synchronize data models in both directions AFTER explicit mapping
@@ -510,9 +631,15 @@ export const useFormStore = defineStore('form', () => {
     phenotypeDataObj,
     showPedigree,
     pedigreeDataUrl,
+    pedigreeDrawing,
+    pendingPedigreeData,
+    orderId,
+    pdfTemplateId,
+    pdfTemplate,
     showValidation,
     showPhenotypePanel,
     saveDataName,
+    hasConsentSignatures,
     
     // Methods from usePatientData
     validateForm: performValidation,
@@ -557,6 +684,10 @@ export const useFormStore = defineStore('form', () => {
     updatePatientData,
     updatePhenotypeDataObj,
     updatePedigreeDataUrl,
+    updatePedigreeDrawing,
+    setPendingPedigreeData,
+    ensureOrderId,
+    setPdfTemplateId,
     updatePhenotypePanelState,
     setShowPedigree,
     togglePedigree,
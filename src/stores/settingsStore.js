@@ -7,6 +7,7 @@
  * 
  * Key responsibilities:
  * - Managing disclaimer acknowledgment state
+ * - Managing the saved print profiles (sections, copies and paper of the PDF)
  * - Persisting user preferences in localStorage
  * - Providing utilities for date formatting
  * - Enabling reset of user preferences
@@ -14,6 +15,22 @@
 
 import { defineStore } from 'pinia';
 import { ref } from 'vue';
+import { sanitizePrintProfile, sanitizePrintProfiles } from '../utils/printProfiles';
+import logService from '@/services/logService';
+
+/**
+ * Reads the saved print profiles from localStorage.
+ * 
+ * @returns {Array<{name: string, copies: Object[], paper?: Object}>} Valid saved profiles
+ */
+function loadPrintProfiles() {
+  try {
+    return sanitizePrintProfiles(JSON.parse(localStorage.getItem('printProfiles') || '[]'));
+  } catch (error) {
+    logService.warn('The saved print profiles could not be read:', error.message);
+    return [];
+  }
+}
 
 /**
  * Pinia store for managing user preferences and settings.
@@ -28,6 +45,9 @@ export const useSettingsStore = defineStore('settings', () => {
   const disclaimerAcknowledged = ref(localStorage.getItem('disclaimerAcknowledged') === 'true');
   const acknowledgmentTime = ref(localStorage.getItem('acknowledgmentTime') || '');
   
+  // Print profiles saved by the user
+  const printProfiles = ref(loadPrintProfiles());
+  
   /**
    * Gets the current ISO date string (YYYY-MM-DD).
    * This utility function formats the current date in a standardized format
@@ -76,13 +96,42 @@ export const useSettingsStore = defineStore('settings', () => {
     localStorage.removeItem('acknowledgmentTime');
   }
   
+  /**
+   * Saves a print profile, replacing a saved profile of the same name.
+   * 
+   * @param {Object} profile - Print profile ({name, copies, paper})
+   * @returns {boolean} True if the profile was valid and saved (not beyond the profile limit)
+   */
+  function savePrintProfile(profile) {
+    const validProfile = sanitizePrintProfile(profile);
+    if (!validProfile) return false;
+    
+    printProfiles.value = sanitizePrintProfiles([...printProfiles.value, validProfile]);
+    localStorage.setItem('printProfiles', JSON.stringify(printProfiles.value));
+    return printProfiles.value.some(saved => saved.name === validProfile.name);
+  }
+  
+  /**
+   * Deletes a saved print profile.
+   * 
+   * @param {string} name - Name of the profile
+   * @returns {void}
+   */
+  function deletePrintProfile(name) {
+    printProfiles.value = printProfiles.value.filter(profile => profile.name !== name);
+    localStorage.setItem('printProfiles', JSON.stringify(printProfiles.value));
+  }
+  
   return {
     // State
     disclaimerAcknowledged,
     acknowledgmentTime,
+    printProfiles,
     
     // Actions
     acknowledgeDisclaimer,
-    resetDisclaimerAcknowledgment
+    resetDisclaimerAcknowledgment,
+    savePrintProfile,
+    deletePrintProfile
   };
 });
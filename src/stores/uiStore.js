@@ -40,15 +40,35 @@ export const useUiStore = defineStore('ui', () => {
   const saveDataDialog = ref(false);
   const loadDataDialog = ref(false);
   const pasteDataDialog = ref(false);
+  const scanQrDialog = ref(false);
+  const qrPasswordDialog = ref(false);
+  const batchPdfDialog = ref(false);
+  const printDialog = ref(false);
+  const verifyFingerprintDialog = ref(false);
+  const tubeLabelsDialog = ref(false);
   const showDisclaimerModal = ref(false);
   
   // Log viewer state
   const LOG_VIEWER_VISIBLE_KEY = 'requiform_logViewerVisible';
   const showLogViewer = ref(localStorage.getItem(LOG_VIEWER_VISIBLE_KEY) === 'true');
   
+  // PDF preview pane state
+  const PDF_PREVIEW_VISIBLE_KEY = 'requiform_pdfPreviewVisible';
+  const showPdfPreview = ref(localStorage.getItem(PDF_PREVIEW_VISIBLE_KEY) === 'true');
+  
   // Error states
   const decryptionError = ref('');
   const loadDataError = ref('');
+  const scanQrError = ref('');
+  const batchPdfError = ref('');
+  const verifyFingerprintError = ref('');
+  const tubeLabelsError = ref('');
+  
+  // Progress of the batch PDF generation ({done, total}), null when not generating
+  const batchPdfProgress = ref(null);
+  
+  // Result of the last fingerprint verification, null before the first one
+  const verifyFingerprintResult = ref(null);
   
   // Pending encrypted data for decryption
   const pendingEncryptedValue = ref('');
@@ -252,6 +272,199 @@ export const useUiStore = defineStore('ui', () => {
     pasteDataDialog.value = false;
   }
   
+  /**
+   * Opens the scan QR code dialog.
+   * This function displays the dialog that reads requisition QR codes from an
+   * image, a PDF or the webcam. It also resets any previous error state.
+   * 
+   * @returns {void}
+   */
+  function openScanQrDialog() {
+    scanQrError.value = '';
+    scanQrDialog.value = true;
+  }
+  
+  /**
+   * Closes the scan QR code dialog.
+   * This function hides the scan QR code dialog and clears any error messages,
+   * typically called after a successful restore or when the user cancels.
+   * 
+   * @returns {void}
+   */
+  function closeScanQrDialog() {
+    scanQrDialog.value = false;
+    scanQrError.value = '';
+  }
+  
+  /**
+   * Sets the scan QR code error message.
+   * This function updates the error message shown in the scan QR code dialog
+   * when scanned codes cannot be decoded or restored.
+   * 
+   * @param {string} error - Error message text to display
+   * @returns {void}
+   */
+  function setScanQrError(error) {
+    scanQrError.value = error;
+  }
+  
+  /**
+   * Opens the QR code password dialog.
+   * This function displays the dialog that asks for the password used to
+   * encrypt the QR codes of a PDF when password encryption is configured.
+   * 
+   * @returns {void}
+   */
+  function openQrPasswordDialog() {
+    qrPasswordDialog.value = true;
+  }
+  
+  /**
+   * Closes the QR code password dialog.
+   * 
+   * @returns {void}
+   */
+  function closeQrPasswordDialog() {
+    qrPasswordDialog.value = false;
+  }
+  
+  /**
+   * Opens the batch PDF dialog.
+   * This function displays the dialog for generating the PDFs of a list of
+   * requisitions and clears any previous error message.
+   * 
+   * @returns {void}
+   */
+  function openBatchPdfDialog() {
+    batchPdfError.value = '';
+    batchPdfDialog.value = true;
+  }
+  
+  /**
+   * Closes the batch PDF dialog and clears its error message.
+   * 
+   * @returns {void}
+   */
+  function closeBatchPdfDialog() {
+    batchPdfDialog.value = false;
+    batchPdfError.value = '';
+  }
+  
+  /**
+   * Sets the batch PDF error message.
+   * 
+   * @param {string} error - The error message to display
+   * @returns {void}
+   */
+  function setBatchPdfError(error) {
+    batchPdfError.value = error;
+  }
+  
+  /**
+   * Sets the progress of the batch PDF generation.
+   * 
+   * @param {{done: number, total: number}|null} progress - Rendered and total requisitions, null when finished
+   * @returns {void}
+   */
+  function setBatchPdfProgress(progress) {
+    batchPdfProgress.value = progress;
+  }
+  
+  /**
+   * Opens the fingerprint verification dialog.
+   * This function displays the dialog for checking form data or scanned QR codes
+   * against the fingerprint printed on a requisition, and clears the previous result.
+   * 
+   * @returns {void}
+   */
+  function openVerifyFingerprintDialog() {
+    verifyFingerprintError.value = '';
+    verifyFingerprintResult.value = null;
+    verifyFingerprintDialog.value = true;
+  }
+  
+  /**
+   * Closes the fingerprint verification dialog and clears its result.
+   * 
+   * @returns {void}
+   */
+  function closeVerifyFingerprintDialog() {
+    verifyFingerprintDialog.value = false;
+    verifyFingerprintError.value = '';
+    verifyFingerprintResult.value = null;
+  }
+  
+  /**
+   * Sets the fingerprint verification error message.
+   * 
+   * @param {string} error - The error message to display
+   * @returns {void}
+   */
+  function setVerifyFingerprintError(error) {
+    verifyFingerprintError.value = error;
+  }
+  
+  /**
+   * Sets the result of the fingerprint verification.
+   * 
+   * @param {Object|null} result - Verification result (see useFingerprintVerify), null to clear it
+   * @returns {void}
+   */
+  function setVerifyFingerprintResult(result) {
+    verifyFingerprintResult.value = result;
+  }
+  
+  /**
+   * Opens the tube labels dialog.
+   * This function displays the dialog for printing specimen tube labels for the current form.
+   * 
+   * @returns {void}
+   */
+  function openTubeLabelsDialog() {
+    tubeLabelsError.value = '';
+    tubeLabelsDialog.value = true;
+  }
+  
+  /**
+   * Closes the tube labels dialog and clears its error message.
+   * 
+   * @returns {void}
+   */
+  function closeTubeLabelsDialog() {
+    tubeLabelsDialog.value = false;
+    tubeLabelsError.value = '';
+  }
+  
+  /**
+   * Sets the tube labels error message.
+   * 
+   * @param {string} error - The error message to display
+   * @returns {void}
+   */
+  function setTubeLabelsError(error) {
+    tubeLabelsError.value = error;
+  }
+  
+  /**
+   * Opens the print dialog.
+   * This function displays the dialog for choosing the sections and copies
+   * of the PDF and managing the print profiles.
+   * 
+   * @returns {void}
+   */
+  function openPrintDialog() {
+    printDialog.value = true;
+  }
+  
+  /**
+   * Closes the print dialog.
+   * 
+   * @returns {void}
+   */
+  function closePrintDialog() {
+    printDialog.value = false;
+  }
+  
   /**
    * Opens the disclaimer modal.
    * This function displays the legal disclaimer dialog that contains
@@ -307,6 +520,17 @@ export const useUiStore = defineStore('ui', () => {
     localStorage.setItem(LOG_VIEWER_VISIBLE_KEY, 'false');
   }
   
+  /**
+   * Toggles the visibility of the PDF preview pane.
+   * The state is kept in localStorage so the pane stays open across reloads.
+   *
+   * @returns {void}
+   */
+  function togglePdfPreview() {
+    showPdfPreview.value = !showPdfPreview.value;
+    localStorage.setItem(PDF_PREVIEW_VISIBLE_KEY, showPdfPreview.value.toString());
+  }
+  
 
   
   return {
@@ -321,10 +545,23 @@ export const useUiStore = defineStore('ui', () => {
     saveDataDialog,
     loadDataDialog,
     pasteDataDialog,
+    scanQrDialog,
+    qrPasswordDialog,
+    batchPdfDialog,
+    printDialog,
+    verifyFingerprintDialog,
+    tubeLabelsDialog,
     showDisclaimerModal,
     showLogViewer,
+    showPdfPreview,
     decryptionError,
     loadDataError,
+    scanQrError,
+    batchPdfError,
+    batchPdfProgress,
+    verifyFingerprintError,
+    verifyFingerprintResult,
+    tubeLabelsError,
     pendingEncryptedValue,
     
     // Actions
@@ -345,10 +582,29 @@ export const useUiStore = defineStore('ui', () => {
     setLoadDataError,
     openPasteDataDialog,
     closePasteDataDialog,
+    openScanQrDialog,
+    closeScanQrDialog,
+    setScanQrError,
+    openQrPasswordDialog,
+    closeQrPasswordDialog,
+    openBatchPdfDialog,
+    closeBatchPdfDialog,
+    setBatchPdfError,
+    setBatchPdfProgress,
+    openVerifyFingerprintDialog,
+    closeVerifyFingerprintDialog,
+    setVerifyFingerprintError,
+    setVerifyFingerprintResult,
+    openTubeLabelsDialog,
+    closeTubeLabelsDialog,
+    setTubeLabelsError,
+    openPrintDialog,
+    closePrintDialog,
     openDisclaimerModal,
     closeDisclaimerModal,
     toggleLogViewer,
     openLogViewer,
     closeLogViewer,
+    togglePdfPreview,
   };
 });
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Requisition lists for batch PDF generation.
+ *
+ * A batch is read from a CSV file, whose columns are mapped to form fields, or from a JSON
+ * array of requisitions (exported form data, patient data with personalInfo, or flat
+ * objects with the same field names as the CSV columns). Every requisition is converted
+ * to the structure of formStore.exportFormData(), so it can be validated with
+ * validatePatientData() and rendered like a saved form.
+ *
+ * Panels and the category of the current form can be used as defaults for requisitions
+ * without their own, which makes cohorts with the same panels a simple name list.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { getFieldMapping } from './dataParser';
+import { validatePatientData } from './validation';
+import { generateOrderId, ORDER_ID_PATTERN } from './qrContents';
+
+// Form fields a CSV column can be mapped to
+export const BATCH_FIELDS = [
+  'firstName', 'lastName', 'birthdate', 'sex', 'insurance', 'insuranceId', 'referrer',
+  'diagnosis', 'comments', 'orderingDate', 'familyHistory', 'panels', 'category', 'orderId'
+];
+
+// Column names recognized besides the synonyms of the paste parser
+const COLUMN_SYNONYMS = {
+  'ordering date': 'orderingDate',
+  'order date': 'orderingDate',
+  'family history': 'familyHistory',
+  'order id': 'orderId',
+  'panel': 'panels',
+  'test': 'panels',
+  // German headers, spreadsheets are often kept in German
+  'vorname': 'firstName',
+  'nachname': 'lastName',
+  'geburtsdatum': 'birthdate',
+  'geschlecht': 'sex',
+  'versicherung': 'insurance',
+  'versichertennummer': 'insuranceId',
+  'einsender': 'referrer',
+  'diagnose': 'diagnosis',
+  'kommentar': 'comments',
+  'bemerkung': 'comments',
+  'anforderungsdatum': 'orderingDate',
+  'familienanamnese': 'familyHistory',
+  'kategorie': 'category',
+  'auftrags id': 'orderId'
+};
+
+// Sex values by their usual spellings (English and German)
+const SEX_VALUES = {
+  m: 'male', male: 'male', männlich: 'male', maennlich: 'male',
+  f: 'female', w: 'female', female: 'female', weiblich: 'female',
+  u: 'undetermined', unknown: 'undetermined', undetermined: 'undetermined', unbekannt: 'undetermined'
+};
+
+// Limits of a batch, dozens of requisitions are typical
+export const MAX_BATCH_SIZE = 500;
+const MAX_FIELD_LENGTH = 1000;
+
+export const DEFAULT_FILE_NAME_TEMPLATE = 'requisition_{index}_{lastName}_{firstName}';
+
+/**
+ * Detects the delimiter of a CSV file from its first line: semicolon (spreadsheets with
+ * German settings), tab or comma.
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [';', '\t', ','].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain delimiters, line breaks and doubled
+ * quotes). The first line is the header.
+ *
+ * @param {string} text - CSV text
+ * @return {{headers: string[], rows: string[][]}} Column headers and the rows without empty lines
+ * @throws {Error} If the text has no header line
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The CSV file has no header line.');
+  }
+  const [headers, ...rows] = nonEmpty;
+  return { headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Returns the form field of a column name, or an empty string if it is not recognized.
+ */
+function findBatchField(name) {
+  // "orderingDate", "ordering_date" and "Ordering Date" are the same column
+  const normalized = String(name || '').trim().replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase().replace(/[\s_-]+/g, ' ');
+  if (COLUMN_SYNONYMS[normalized]) return COLUMN_SYNONYMS[normalized];
+  const direct = BATCH_FIELDS.find(field => field.toLowerCase() === normalized.replace(/ /g, ''));
+  if (direct) return direct;
+  const mapping = getFieldMapping(normalized);
+  if (!mapping) return '';
+  return BATCH_FIELDS.includes(mapping.field) ? mapping.field : '';
+}
+
+/**
+ * Suggests the form field of every CSV column from its header.
+ *
+ * @param {string[]} headers - Column headers
+ * @return {string[]} Form field per column (see BATCH_FIELDS), empty for ignored columns
+ */
+export function suggestColumnMapping(headers) {
+  const used = new Set();
+  return headers.map((header) => {
+    const field = findBatchField(header);
+    if (!field || used.has(field)) return '';
+    used.add(field);
+    return field;
+  });
+}
+
+/**
+ * Normalizes a date to YYYY-MM-DD; German dates (DD.MM.YYYY) are converted, other values
+ * are kept, so validation reports them.
+ */
+function normalizeDate(value) {
+  const german = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(value);
+  return german ? `${german[3]}-${german[2].padStart(2, '0')}-${german[1].padStart(2, '0')}` : value;
+}
+
+/**
+ * Splits a list of panel IDs separated by commas, semicolons or vertical bars.
+ */
+function splitPanels(value) {
+  if (Array.isArray(value)) return value.map(String).map(id => id.trim()).filter(Boolean);
+  return String(value || '').split(/[,;|]/).map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Creates the form data of a requisition from field values.
+ *
+ * @param {Object} values - Values by form field (see BATCH_FIELDS)
+ * @param {Object} [defaults={}] - Defaults for requisitions without their own ({selectedPanels, category})
+ * @return {Object} Form data in the structure of formStore.exportFormData()
+ */
+export function createBatchRequisition(values, defaults = {}) {
+  const text = field => (values[field] === undefined || values[field] === null
+    ? ''
+    : String(values[field]).trim().substring(0, MAX_FIELD_LENGTH));
+  const personalInfo = {
+    firstName: text('firstName'),
+    lastName: text('lastName'),
+    birthdate: normalizeDate(text('birthdate')),
+    sex: SEX_VALUES[text('sex').toLowerCase()] || text('sex').toLowerCase(),
+    insurance: text('insurance'),
+    insuranceId: text('insuranceId'),
+    referrer: text('referrer'),
+    diagnosis: text('diagnosis'),
+    comments: text('comments')
+  };
+  // Legacy field names, as kept by the form
+  Object.assign(personalInfo, {
+    givenName: personalInfo.firstName,
+    familyName: personalInfo.lastName,
+    physicianName: personalInfo.referrer
+  });
+  if (text('orderingDate')) personalInfo.orderingDate = normalizeDate(text('orderingDate'));
+  if (text('familyHistory')) personalInfo.familyHistory = text('familyHistory');
+
+  const panels = splitPanels(values.panels);
+  const selectedPanels = panels.length ? panels : [...(defaults.selectedPanels || [])];
+  const category = text('category') || defaults.category || '';
+  // Every requisition gets an order ID, so file names and the printed IDs match
+  const orderId = ORDER_ID_PATTERN.test(text('orderId')) ? text('orderId') : generateOrderId();
+
+  return {
+    patientData: { personalInfo, selectedPanels, phenotypeData: [], category },
+    selectedPanels,
+    phenotypeData: [],
+    orderId,
+    category
+  };
+}
+
+/**
+ * Creates the requisitions of CSV rows.
+ *
+ * @param {{headers: string[], rows: string[][]}} csv - Parsed CSV (see parseCsv)
+ * @param {string[]} columnMapping - Form field per column, empty for ignored columns
+ * @param {Object} [defaults={}] - Defaults ({selectedPanels, category})
+ * @return {Object[]} Form data per row
+ * @throws {Error} If the file has more rows than a batch may have
+ */
+export function requisitionsFromCsv(csv, columnMapping, defaults = {}) {
+  if (csv.rows.length > MAX_BATCH_SIZE) {
+    throw new Error(`A batch can have at most ${MAX_BATCH_SIZE} requisitions.`);
+  }
+  return csv.rows.map((row) => {
+    const values = {};
+    columnMapping.forEach((field, column) => {
+      if (field) values[field] = row[column] ?? '';
+    });
+    return createBatchRequisition(values, defaults);
+  });
+}
+
+/**
+ * Creates the requisitions of a parsed JSON array. Exported form data is kept as it is,
+ * patient data (with personalInfo) and flat objects are converted.
+ *
+ * @param {*} data - Parsed JSON (sanitized)
+ * @param {Object} [defaults={}] - Defaults ({selectedPanels, category})
+ * @return {Object[]} Form data per item
+ * @throws {Error} If the data is not an array or has more items than a batch may have
+ */
+export function requisitionsFromJson(data, defaults = {}) {
+  if (!Array.isArray(data)) {
+    throw new Error('The JSON file must contain an array of requisitions.');
+  }
+  if (data.length > MAX_BATCH_SIZE) {
+    throw new Error(`A batch can have at most ${MAX_BATCH_SIZE} requisitions.`);
+  }
+  return data.map((item) => {
+    const source = item && typeof item === 'object' ? item : {};
+    if (source.patientData?.personalInfo) {
+      const info = source.patientData.personalInfo;
+      const requisition = createBatchRequisition({
+        ...info,
+        firstName: info.firstName || info.givenName,
+        lastName: info.lastName || info.familyName,
+        referrer: info.referrer || info.physicianName,
+        panels: source.patientData.selectedPanels?.length ? source.patientData.selectedPanels : source.selectedPanels,
+        category: source.patientData.category || source.category,
+        orderId: source.orderId
+      }, defaults);
+      // The rest of a saved form (consent, phenotypes, ...) is printed as it was saved
+      const personalInfo = { ...info, ...requisition.patientData.personalInfo };
+      return {
+        ...source,
+        ...requisition,
+        patientData: { ...source.patientData, ...requisition.patientData, personalInfo, phenotypeData: source.patientData.phenotypeData || [] },
+        phenotypeData: source.phenotypeData || []
+      };
+    }
+    const values = {};
+    Object.entries(source.personalInfo || source).forEach(([key, value]) => {
+      const field = findBatchField(key);
+      if (field && typeof value !== 'object') values[field] = value;
+    });
+    values.panels = source.selectedPanels ?? source.panels ?? values.panels;
+    if (source.category) values.category = source.category;
+    if (source.orderId) values.orderId = source.orderId;
+    return createBatchRequisition(values, defaults);
+  });
+}
+
+/**
+ * Validates the requisitions of a batch with validatePatientData(). Unknown panel IDs are
+ * reported as well, they would be missing on the printed requisition.
+ *
+ * @param {Object[]} requisitions - Form data per requisition
+ * @param {string[]} [knownPanelIds] - IDs of the panels of the test configuration, not checked if omitted
+ * @return {Array<{index: number, name: string, valid: boolean, errors: Array<{key: string, params: Object}>}>} Report per requisition
+ */
+export function validateRequisitions(requisitions, knownPanelIds) {
+  const known = knownPanelIds ? new Set(knownPanelIds) : null;
+  return requisitions.map((requisition, index) => {
+    const personalInfo = requisition.patientData.personalInfo;
+    const result = validatePatientData(requisition.patientData);
+    // The validation lists every error with and without its section prefix
+    const errors = [...new Set(Object.entries(result.errors)
+      .filter(([field]) => !field.includes('.'))
+      .map(([, key]) => key))]
+      .map(key => ({ key, params: {} }));
+    if (known) {
+      requisition.selectedPanels.filter(id => !known.has(id))
+        .forEach(id => errors.push({ key: 'batchPdfDialog.errors.unknownPanel', params: { id } }));
+    }
+    return {
+      index,
+      name: [personalInfo.lastName, personalInfo.firstName].filter(Boolean).join(', '),
+      valid: errors.length === 0,
+      errors
+    };
+  });
+}
+
+/**
+ * Creates the PDF file name of a requisition from a template with the placeholders
+ * {index}, {firstName}, {lastName}, {birthdate} and {orderId}. Characters that are not
+ * allowed in file names are replaced with underscores.
+ *
+ * @param {string} template - File name template without extension
+ * @param {Object} requisition - Form data
+ * @param {number} index - Index of the requisition in the batch
+ * @param {number} count - Number of requisitions, for the width of {index}
+ * @return {string} File name with the .pdf extension
+ */
+export function formatBatchFileName(template, requisition, index, count) {
+  const personalInfo = requisition.patientData?.personalInfo || {};
+  const values = {
+    index: String(index + 1).padStart(String(count).length, '0'),
+    firstName: personalInfo.firstName || '',
+    lastName: personalInfo.lastName || '',
+    birthdate: personalInfo.birthdate || '',
+    orderId: requisition.orderId || ''
+  };
+  const name = (template || DEFAULT_FILE_NAME_TEMPLATE)
+    .replace(/{(\w+)}/g, (match, key) => (key in values ? values[key] : match))
+    .replace(/[^\p{L}\p{N}._-]+/gu, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[_.]+|_+$/g, '');
+  return `${name || `requisition_${values.index}`}.pdf`;
+}
+
+/**
+ * Packs files into a ZIP archive. PDFs are compressed already and are stored as they are;
+ * duplicate file names get a number.
+ *
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Files
+ * @return {Uint8Array} ZIP archive
+ */
+export function createZipArchive(files) {
+  const entries = {};
+  files.forEach(({ name, data }) => {
+    let entryName = name;
+    for (let number = 2; entryName in entries; number++) {
+      entryName = name.replace(/(\.[^.]*)?$/, `_${number}$1`);
+    }
+    entries[entryName] = [typeof data === 'string' ? strToU8(data) : data, { level: 0 }];
+  });
+  return zipSync(entries);
+}
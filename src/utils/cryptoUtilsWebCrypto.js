@@ -20,7 +20,7 @@ const IV_LENGTH_BYTES = 12; // 96 bits IV, standard for GCM
  * @returns {string} The Base64 encoded string.
  * @throws {Error} If Base64 encoding fails.
  */
-function arrayBufferToBase64(buffer) {
+export function arrayBufferToBase64(buffer) {
   let binary = '';
   const bytes = new Uint8Array(buffer);
   const len = bytes.byteLength;
@@ -28,7 +28,7 @@ function arrayBufferToBase64(buffer) {
     binary += String.fromCharCode(bytes[i]);
   }
   try {
-    return window.btoa(binary);
+    return btoa(binary);
   } catch (e) {
     logService.error('Base64 encoding failed:', e);
     throw new Error('Failed to encode data to Base64.');
@@ -42,14 +42,14 @@ function arrayBufferToBase64(buffer) {
  * @returns {ArrayBuffer} The resulting buffer.
  * @throws {Error} If Base64 decoding fails due to invalid characters or other issues.
  */
-function base64ToArrayBuffer(base64) {
+export function base64ToArrayBuffer(base64) {
   try {
     // Replace URL-safe characters and add padding if necessary
     let base64Standard = base64.replace(/-/g, '+').replace(/_/g, '/');
     while (base64Standard.length % 4) {
         base64Standard += '=';
     }
-    const binary_string = window.atob(base64Standard);
+    const binary_string = atob(base64Standard);
     const len = binary_string.length;
     const bytes = new Uint8Array(len);
     for (let i = 0; i < len; i++) {
@@ -10,6 +10,75 @@
  * to paste data from various sources without strict formatting requirements.
  */
 
+// Map of recognized field names to their appropriate location in the data structure
+const FIELD_MAPPINGS = {
+  // Personal information mappings
+  'first name': { section: 'personalInfo', field: 'firstName' },
+  'firstname': { section: 'personalInfo', field: 'firstName' },
+  'given name': { section: 'personalInfo', field: 'firstName' },
+  'givenname': { section: 'personalInfo', field: 'firstName' },
+
+  'last name': { section: 'personalInfo', field: 'lastName' },
+  'lastname': { section: 'personalInfo', field: 'lastName' },
+  'family name': { section: 'personalInfo', field: 'lastName' },
+  'familyname': { section: 'personalInfo', field: 'lastName' },
+
+  'birth date': { section: 'personalInfo', field: 'birthdate' },
+  'birthdate': { section: 'personalInfo', field: 'birthdate' },
+  'date of birth': { section: 'personalInfo', field: 'birthdate' },
+  'dob': { section: 'personalInfo', field: 'birthdate' },
+
+  'sex': { section: 'personalInfo', field: 'sex' },
+  'gender': { section: 'personalInfo', field: 'sex' },
+
+  'insurance': { section: 'personalInfo', field: 'insurance' },
+  'insurance provider': { section: 'personalInfo', field: 'insurance' },
+  'insurance id': { section: 'personalInfo', field: 'insuranceId' },
+  'insuranceid': { section: 'personalInfo', field: 'insuranceId' },
+
+  'physician': { section: 'personalInfo', field: 'referrer' },
+  'physician name': { section: 'personalInfo', field: 'referrer' },
+  'doctor': { section: 'personalInfo', field: 'referrer' },
+  'referrer': { section: 'personalInfo', field: 'referrer' },
+  'referring physician': { section: 'personalInfo', field: 'referrer' },
+
+  'diagnosis': { section: 'personalInfo', field: 'diagnosis' },
+  'diagnose': { section: 'personalInfo', field: 'diagnosis' },
+  'clinical diagnosis': { section: 'personalInfo', field: 'diagnosis' },
+  'clinical suspicion': { section: 'personalInfo', field: 'diagnosis' },
+  'suspected diagnosis': { section: 'personalInfo', field: 'diagnosis' },
+  'suspicion': { section: 'personalInfo', field: 'diagnosis' },
+
+  'comments': { section: 'personalInfo', field: 'comments' },
+  'comment': { section: 'personalInfo', field: 'comments' },
+  'notes': { section: 'personalInfo', field: 'comments' },
+  'note': { section: 'personalInfo', field: 'comments' },
+
+  // Panels and tests
+  'panels': { section: 'special', field: 'panels' },
+  'selected panels': { section: 'special', field: 'panels' },
+  'tests': { section: 'special', field: 'panels' },
+  'selected tests': { section: 'special', field: 'panels' },
+
+  // Category
+  'category': { section: 'root', field: 'category' },
+
+  // Special formats for more complex data
+  'phenotypes': { section: 'special', field: 'phenotypes' },
+};
+
+/**
+ * Returns where a field name (e.g. a pasted key or a CSV column header) belongs in the
+ * patient data model. Names are matched case-insensitively with their synonyms.
+ *
+ * @param {string} name - Field name
+ * @return {{section: string, field: string}|null} Section ("personalInfo", "root" or "special") and field, or null if unknown
+ */
+export function getFieldMapping(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  return FIELD_MAPPINGS[key] || FIELD_MAPPINGS[key.replace(/ /g, '')] || null;
+}
+
 /**
  * Parses a string of normalized data into a structured patient data object.
  * 
@@ -67,62 +136,6 @@ export function parsePastedData(text) {
     // Split the text into lines and process each line
     const lines = text.split('\n');
     
-    // Map of recognized field names to their appropriate location in the data structure
-    const fieldMappings = {
-      // Personal information mappings
-      'first name': { section: 'personalInfo', field: 'firstName' },
-      'firstname': { section: 'personalInfo', field: 'firstName' },
-      'given name': { section: 'personalInfo', field: 'firstName' },
-      'givenname': { section: 'personalInfo', field: 'firstName' },
-      
-      'last name': { section: 'personalInfo', field: 'lastName' },
-      'lastname': { section: 'personalInfo', field: 'lastName' },
-      'family name': { section: 'personalInfo', field: 'lastName' },
-      'familyname': { section: 'personalInfo', field: 'lastName' },
-      
-      'birth date': { section: 'personalInfo', field: 'birthdate' },
-      'birthdate': { section: 'personalInfo', field: 'birthdate' },
-      'date of birth': { section: 'personalInfo', field: 'birthdate' },
-      'dob': { section: 'personalInfo', field: 'birthdate' },
-      
-      'sex': { section: 'personalInfo', field: 'sex' },
-      'gender': { section: 'personalInfo', field: 'sex' },
-      
-      'insurance': { section: 'personalInfo', field: 'insurance' },
-      'insurance provider': { section: 'personalInfo', field: 'insurance' },
-      'insurance id': { section: 'personalInfo', field: 'insuranceId' },
-      'insuranceid': { section: 'personalInfo', field: 'insuranceId' },
-      
-      'physician': { section: 'personalInfo', field: 'referrer' },
-      'physician name': { section: 'personalInfo', field: 'referrer' },
-      'doctor': { section: 'personalInfo', field: 'referrer' },
-      'referrer': { section: 'personalInfo', field: 'referrer' },
-      'referring physician': { section: 'personalInfo', field: 'referrer' },
-      
-      'diagnosis': { section: 'personalInfo', field: 'diagnosis' },
-      'diagnose': { section: 'personalInfo', field: 'diagnosis' },
-      'clinical diagnosis': { section: 'personalInfo', field: 'diagnosis' },
-      'clinical suspicion': { section: 'personalInfo', field: 'diagnosis' },
-      'suspected diagnosis': { section: 'personalInfo', field: 'diagnosis' },
-      'suspicion': { section: 'personalInfo', field: 'diagnosis' },
-      
-      'comments': { section: 'personalInfo', field: 'comments' },
-      'comment': { section: 'personalInfo', field: 'comments' },
-      'notes': { section: 'personalInfo', field: 'comments' },
-      'note': { section: 'personalInfo', field: 'comments' },
-      
-      // Panels and tests
-      'panels': { section: 'special', field: 'panels' },
-      'selected panels': { section: 'special', field: 'panels' },
-      'tests': { section: 'special', field: 'panels' },
-      'selected tests': { section: 'special', field: 'panels' },
-      
-      // Category
-      'category': { section: 'root', field: 'category' },
-      
-      // Special formats for more complex data
-      'phenotypes': { section: 'special', field: 'phenotypes' },
-    };
     
     // Process each line
     for (const line of lines) {
@@ -142,7 +155,7 @@ export function parsePastedData(text) {
       if (!value) continue;
       
       // Map the key to the appropriate field in our data structure
-      const mapping = fieldMappings[key];
+      const mapping = FIELD_MAPPINGS[key];
       if (mapping) {
         if (mapping.section === 'root') {
           // Direct assignment to root level
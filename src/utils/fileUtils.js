@@ -55,6 +55,106 @@ export function downloadJsonFile(data, fileName = 'requiform-data') {
   }
 }
 
+/**
+ * Downloads PDF bytes as a file to the user's device.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - The PDF document
+ * @param {string} [fileName='genetic_test_requisition'] - The name of the file (without extension)
+ * @return {boolean} True if the download was initiated successfully, false otherwise
+ */
+export function downloadPdfFile(bytes, fileName = 'genetic_test_requisition') {
+  try {
+    const pdfBlob = new Blob([bytes], {type: 'application/pdf'});
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(pdfBlob);
+    downloadLink.download = `${fileName}.pdf`;
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+
+    URL.revokeObjectURL(downloadLink.href);
+
+    return true;
+  } catch (error) {
+    console.error('Error saving PDF file:', error);
+    return false;
+  }
+}
+
+/**
+ * Downloads a ZIP archive as a file to the user's device.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - The ZIP archive
+ * @param {string} [fileName='requisitions'] - The name of the file (without extension)
+ * @return {boolean} True if the download was initiated successfully, false otherwise
+ */
+export function downloadZipFile(bytes, fileName = 'requisitions') {
+  try {
+    const zipBlob = new Blob([bytes], {type: 'application/zip'});
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(zipBlob);
+    downloadLink.download = `${fileName}.zip`;
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+
+    URL.revokeObjectURL(downloadLink.href);
+
+    return true;
+  } catch (error) {
+    console.error('Error saving ZIP file:', error);
+    return false;
+  }
+}
+
+/**
+ * Downloads ZPL commands for Zebra label printers as a file to the user's device.
+ *
+ * @param {string} zpl - The ZPL commands
+ * @param {string} [fileName='labels'] - The name of the file (without extension)
+ * @return {boolean} True if the download was initiated successfully, false otherwise
+ */
+export function downloadZplFile(zpl, fileName = 'labels') {
+  try {
+    const zplBlob = new Blob([zpl], {type: 'text/plain'});
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(zplBlob);
+    downloadLink.download = `${fileName}.zpl`;
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+
+    URL.revokeObjectURL(downloadLink.href);
+
+    return true;
+  } catch (error) {
+    console.error('Error saving ZPL file:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads a font file of the PDF templates, served by the app from public/fonts.
+ * Passed to the PDF renderer as loadFont option.
+ *
+ * @param {string} file - Font file name (e.g. "NotoSans-Regular.ttf")
+ * @return {Promise<ArrayBuffer>} Font file contents
+ * @throws {Error} If the font file cannot be fetched
+ */
+export async function fetchPdfFont(file) {
+  const response = await fetch(`${import.meta.env.BASE_URL}fonts/${file}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.arrayBuffer();
+}
+
 /**
  * Reads a file and returns its contents as parsed JSON.
  * 
@@ -97,3 +197,56 @@ export function readJsonFile(file) {
     reader.readAsText(file);
   });
 }
+
+/**
+ * Reads the form data of a requisition PDF: the form data attached in archive mode
+ * (see services/pdf/pdfArchive.js), with the values of form fields filled in a PDF
+ * reader applied on top (see services/pdf/pdfFormFields.js). A PDF without attachment
+ * only carries the filled fields, which are then applied to baseFormData.
+ *
+ * pdf.js and the PDF modules are loaded on demand, as PDFs are rarely loaded.
+ *
+ * @param {File} file - The PDF file to read
+ * @param {Object|null} [baseFormData=null] - Form data the filled fields are applied to if the PDF has no attachment
+ * @return {Promise<Object>} A promise that resolves to the form data
+ * @throws {Error} If no file is provided, the PDF cannot be read, or it has neither form data nor filled form fields
+ */
+export async function readPdfFormData(file, baseFormData = null) {
+  if (!file) {
+    throw new Error('No file provided');
+  }
+
+  const [{ loadPdfJs }, { PDF_FORM_DATA_ATTACHMENT }, { applyFormFieldValues }] = await Promise.all([
+    import('./qrScanner'),
+    import('../services/pdf/pdfArchive'),
+    import('../services/pdf/pdfFormFields')
+  ]);
+  const pdfjs = await loadPdfJs();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    let attachedFormData = null;
+    const attachments = await pdf.getAttachments();
+    const attachment = Object.values(attachments || {}).find(item => item.filename === PDF_FORM_DATA_ATTACHMENT);
+    if (attachment) {
+      try {
+        attachedFormData = JSON.parse(new TextDecoder().decode(attachment.content));
+      } catch {
+        throw new Error('Invalid JSON format');
+      }
+    }
+
+    // Check boxes are reported with their export value when checked and "Off" otherwise
+    const fieldValues = {};
+    Object.entries(await pdf.getFieldObjects() || {}).forEach(([name, [field]]) => {
+      fieldValues[name] = field.type === 'checkbox' ? !!field.value && field.value !== 'Off' : field.value;
+    });
+
+    const { formData, count } = applyFormFieldValues(attachedFormData || baseFormData, fieldValues);
+    if (!attachedFormData && count === 0) {
+      throw new Error('The PDF contains no RequiForm form data');
+    }
+    return formData;
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Fingerprint of the requisition data, printed on the PDF and carried in the
+ * patient QR code, to check that a printed requisition matches the submitted data.
+ *
+ * The fingerprint is a SHA-256 hash over a canonical form of the requisition content: the
+ * fields of the complete QR payload (see qrCodec.js) with sorted test IDs and phenotypes,
+ * sorted keys and trimmed, NFC-normalized values. Left out are the order ID, the hashed
+ * identifier, the consent signatures, the pedigree and what only the application state
+ * decides (template, category, pedigree visibility), so the same data always has the same
+ * fingerprint, wherever it comes from (the form, a saved JSON file or a complete QR code).
+ *
+ * The short fingerprint printed on the PDF is the first 60 bits of the hash in Crockford
+ * base32, grouped as "7K2M-9XQ4-TD3P". When typed in, case, separators and the letters
+ * I, L and O (read as 1, 1 and 0) do not matter.
+ */
+
+import { QR_PAYLOAD_TYPES, createQrPayload } from './qrCodec';
+import { buildCompleteQrData } from './qrService';
+import testsData from '../data/tests.json';
+
+// Version of the canonical form, part of the hashed text
+const FINGERPRINT_VERSION = 1;
+
+// Crockford base32 without I, L, O and U, like the order IDs (see qrContents.js)
+const FINGERPRINT_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const FINGERPRINT_LENGTH = 12;
+const FINGERPRINT_GROUP_LENGTH = 4;
+
+// Compact keys that are not part of the requisition content: order ID and hashed
+// identifier of the patient, category and pedigree visibility of the requisition
+const EXCLUDED_PATIENT_KEYS = ['oid', 'hid'];
+const EXCLUDED_REQUISITION_KEYS = ['cat', 'sp'];
+
+// Phenotype statuses that are part of the requisition ("no input" is left out)
+const PHENOTYPE_STATUSES = ['present', 'absent'];
+
+/**
+ * Pattern of a normalized short fingerprint (see normalizeFingerprint).
+ * @type {RegExp}
+ */
+export const FINGERPRINT_PATTERN = /^[0-9A-HJKMNP-TV-Z]{12}$/;
+
+/**
+ * Returns the ID of the category a phenotype of tests.json belongs to, the preferred
+ * category if it lists the phenotype.
+ */
+function findPhenotypeCategory(phenotypeId, preferredCategoryId) {
+  const categories = testsData.categories.filter(category =>
+    (category.phenotypes || []).some(phenotype => phenotype.id === phenotypeId));
+  return (categories.find(category => category.id === preferredCategoryId) || categories[0])?.id;
+}
+
+/**
+ * Resolves the phenotypes of exported form data as category map ({categoryId: {phenotypeId: status}}).
+ * The PDF renderer, the fingerprint and its checks all use this function, so the printed
+ * fingerprint can be recomputed from the form, a saved file or on the command line.
+ *
+ * The category map of the form (formStore.phenotypeDataObj) is the current state of the
+ * phenotype selector and is used when given. Without it (saved files, the command line)
+ * the phenotype list of the form data is read. Its entries are either
+ * {categoryId, phenotypeId, status} or the statuses of one category ({phenotypeId: status}),
+ * as written by formStore.exportFormData(); the category of these is looked up in tests.json.
+ *
+ * @param {Object} formData - Exported form data
+ * @param {Object} [phenotypeMap] - Category map of the form
+ * @return {Object} Category map with the present and absent phenotypes only
+ */
+export function resolvePhenotypeMap(formData, phenotypeMap) {
+  const result = {};
+  const add = (categoryId, phenotypeId, status) => {
+    if (!categoryId || !phenotypeId || !PHENOTYPE_STATUSES.includes(status)) return;
+    result[categoryId] = result[categoryId] || {};
+    result[categoryId][phenotypeId] = status;
+  };
+
+  if (phenotypeMap && typeof phenotypeMap === 'object') {
+    Object.entries(phenotypeMap).forEach(([categoryId, statuses]) => {
+      Object.entries(statuses || {}).forEach(([phenotypeId, status]) => add(categoryId, phenotypeId, status));
+    });
+    return result;
+  }
+
+  const items = formData?.patientData?.phenotypeData || formData?.phenotypeData || [];
+  const preferredCategoryId = formData?.category || formData?.patientData?.category;
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    if (!item || typeof item !== 'object') return;
+    if (item.categoryId || item.phenotypeId) {
+      add(item.categoryId, item.phenotypeId, item.status);
+    } else {
+      Object.entries(item).forEach(([phenotypeId, status]) =>
+        add(findPhenotypeCategory(phenotypeId, preferredCategoryId), phenotypeId, status));
+    }
+  });
+  return result;
+}
+
+/**
+ * Returns an object without the given keys.
+ */
+function omitKeys(object, keys) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Returns a copy of a value with sorted object keys and trimmed, NFC-normalized strings.
+ * Empty strings, null and undefined are left out.
+ */
+function canonicalize(value) {
+  if (typeof value === 'string') {
+    const text = value.trim().normalize('NFC');
+    return text === '' ? undefined : text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+      const item = canonicalize(value[key]);
+      if (item !== undefined) result[key] = item;
+    });
+    return result;
+  }
+  return value ?? undefined;
+}
+
+/**
+ * Builds the canonical document the fingerprint is computed from.
+ *
+ * @param {Object} data - Complete QR data ({patient, selectedTests, phenotypes, requisition}),
+ *   see buildCompleteQrData or the decoded complete QR payload
+ * @return {Object} Canonical document ({p, ts, ph, r} in the compact keys of the QR format)
+ */
+export function buildFingerprintDocument(data) {
+  const envelope = createQrPayload(QR_PAYLOAD_TYPES.COMPLETE, {
+    patient: data.patient,
+    selectedTests: data.selectedTests,
+    phenotypes: data.phenotypes,
+    requisition: data.requisition
+  });
+  return canonicalize({
+    p: omitKeys(envelope.p, EXCLUDED_PATIENT_KEYS),
+    ts: [...new Set(envelope.ts)].sort(),
+    ph: [...new Set(envelope.ph)].sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)) || a.localeCompare(b)),
+    r: omitKeys(envelope.r, EXCLUDED_REQUISITION_KEYS)
+  });
+}
+
+/**
+ * Formats the first 60 bits of a hash as grouped Crockford base32.
+ */
+function formatShortFingerprint(bytes) {
+  let bits = 0;
+  let value = 0;
+  let text = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5 && text.length < FINGERPRINT_LENGTH) {
+      bits -= 5;
+      text += FINGERPRINT_ALPHABET[(value >> bits) & 31];
+    }
+    value &= (1 << bits) - 1;
+    if (text.length === FINGERPRINT_LENGTH) break;
+  }
+  return formatFingerprint(text);
+}
+
+/**
+ * Groups a normalized fingerprint for printing and display ("7K2M9XQ4TD3P" → "7K2M-9XQ4-TD3P").
+ *
+ * @param {string} fingerprint - Normalized fingerprint (see normalizeFingerprint)
+ * @return {string} Grouped fingerprint, empty for an empty fingerprint
+ */
+export function formatFingerprint(fingerprint) {
+  return (String(fingerprint || '').match(new RegExp(`.{1,${FINGERPRINT_GROUP_LENGTH}}`, 'g')) || []).join('-');
+}
+
+/**
+ * Computes the fingerprint of complete QR data.
+ *
+ * @param {Object} data - Complete QR data ({patient, selectedTests, phenotypes, requisition})
+ * @return {Promise<{fingerprint: string, hash: string}>} Short fingerprint ("7K2M-9XQ4-TD3P")
+ *   and the full SHA-256 hash (hex)
+ */
+export async function computeDataFingerprint(data) {
+  const text = `requiform-fingerprint:${FINGERPRINT_VERSION}:${JSON.stringify(buildFingerprintDocument(data))}`;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  return {
+    fingerprint: formatShortFingerprint(digest),
+    hash: Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('')
+  };
+}
+
+/**
+ * Computes the fingerprint of exported form data (formStore.exportFormData(), a saved JSON
+ * file or an entry of a batch list).
+ *
+ * @param {Object} formData - Exported form data
+ * @param {Object} [phenotypeMap] - Category map of the form, takes precedence over the
+ *   phenotype list of the form data (see resolvePhenotypeMap)
+ * @return {Promise<{fingerprint: string, hash: string}>} Short fingerprint and full hash (hex)
+ */
+export async function computeFormFingerprint(formData, phenotypeMap) {
+  const data = buildCompleteQrData(formData || {}, resolvePhenotypeMap(formData || {}, phenotypeMap));
+  return computeDataFingerprint(data);
+}
+
+/**
+ * Normalizes a typed or scanned fingerprint: upper case, without separators, with I and L
+ * read as 1 and O as 0.
+ *
+ * @param {string} input - Fingerprint as typed
+ * @return {string} Normalized fingerprint, empty if the input is not a valid fingerprint
+ */
+export function normalizeFingerprint(input) {
+  const text = String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+  return FINGERPRINT_PATTERN.test(text) ? text : '';
+}
+
+/**
+ * Checks whether two fingerprints are the same, whatever way they are written.
+ *
+ * @param {string} a - Fingerprint
+ * @param {string} b - Fingerprint
+ * @return {boolean} True if both are valid and equal
+ */
+export function fingerprintsMatch(a, b) {
+  const normalized = normalizeFingerprint(a);
+  return normalized !== '' && normalized === normalizeFingerprint(b);
+}
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Sections, copies and print profiles of the requisition PDF.
+ *
+ * A PDF holds one or more copies of the requisition (e.g. lab, physician and patient copy).
+ * Every copy has its own sections and a label that is printed as watermark on its pages:
+ *
+ *   { label: 'Patient copy', sections: ['requisition', 'consent'] }
+ *
+ * A print profile is a named list of copies ({name, copies}), optionally with the paper to
+ * print on ({size, orientation}, see services/pdf/pdfPage.js). Besides the built-in profiles,
+ * users can save their own, kept in localStorage by the settings store.
+ */
+
+import { PAPER_SIZES, PAGE_ORIENTATIONS } from '@/services/pdf/pdfPage';
+
+// Sections of a requisition PDF, in the order they are printed
+export const PDF_SECTIONS = {
+  REQUISITION: 'requisition', // First page: header, patient data, panels and patient QR code
+  PANEL_OVERFLOW: 'panelOverflow', // Pages the panel list continues on
+  PHENOTYPES: 'phenotypes',
+  PEDIGREE: 'pedigree',
+  CONSENT: 'consent',
+  GENE_APPENDIX: 'geneAppendix',
+  COMPLETE_QR: 'completeQr' // Page with the complete QR code, when enabled in the template (qr.complete)
+};
+
+export const ALL_PDF_SECTIONS = Object.values(PDF_SECTIONS);
+
+// Limits for saved and imported profiles
+const MAX_COPIES = 10;
+const MAX_LABEL_LENGTH = 40;
+const MAX_NAME_LENGTH = 60;
+const MAX_PROFILES = 50;
+
+/**
+ * Built-in print profiles. Their names and copy labels are translation keys, so they are
+ * printed in the language of the application.
+ */
+export const BUILT_IN_PRINT_PROFILES = [
+  {
+    id: 'complete',
+    nameKey: 'printDialog.profiles.complete',
+    copies: [{ labelKey: '', sections: ALL_PDF_SECTIONS }]
+  },
+  {
+    id: 'consent',
+    nameKey: 'printDialog.profiles.consent',
+    copies: [{ labelKey: '', sections: [PDF_SECTIONS.CONSENT] }]
+  },
+  {
+    id: 'routing',
+    nameKey: 'printDialog.profiles.routing',
+    copies: [
+      { labelKey: 'printDialog.copyLabels.lab', sections: ALL_PDF_SECTIONS },
+      {
+        labelKey: 'printDialog.copyLabels.physician',
+        sections: [PDF_SECTIONS.REQUISITION, PDF_SECTIONS.PANEL_OVERFLOW, PDF_SECTIONS.PHENOTYPES, PDF_SECTIONS.PEDIGREE, PDF_SECTIONS.CONSENT]
+      },
+      { labelKey: 'printDialog.copyLabels.patient', sections: [PDF_SECTIONS.REQUISITION, PDF_SECTIONS.CONSENT] }
+    ]
+  }
+];
+
+/**
+ * Validates the copies of a print profile. Unknown sections are dropped, and copies without
+ * any section are left out.
+ *
+ * @param {*} value - Copies from a profile, the print dialog or the CLI
+ * @return {Array<{label: string, sections: string[]}>} Valid copies, sections in print order
+ */
+export function sanitizePrintCopies(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(copy => copy && typeof copy === 'object' && Array.isArray(copy.sections))
+    .map(copy => ({
+      label: typeof copy.label === 'string' ? copy.label.trim().slice(0, MAX_LABEL_LENGTH) : '',
+      sections: ALL_PDF_SECTIONS.filter(section => copy.sections.includes(section))
+    }))
+    .filter(copy => copy.sections.length > 0)
+    .slice(0, MAX_COPIES);
+}
+
+/**
+ * Returns the copies to print: the valid given copies, or one complete copy without label.
+ *
+ * @param {*} copies - Copies of the print options
+ * @return {Array<{label: string, sections: string[]}>} Copies to print
+ */
+export function resolvePrintCopies(copies) {
+  const valid = sanitizePrintCopies(copies);
+  return valid.length > 0 ? valid : [{ label: '', sections: ALL_PDF_SECTIONS }];
+}
+
+/**
+ * Validates the paper of a print profile. Unknown sizes and orientations are dropped, the
+ * template's page applies for them.
+ *
+ * @param {*} value - Paper from a profile, the print dialog or the CLI
+ * @return {{size?: string, orientation?: string}|null} Paper, or null if neither is given
+ */
+export function sanitizePrintPaper(value) {
+  if (!value || typeof value !== 'object') return null;
+  const paper = {};
+  if (Object.keys(PAPER_SIZES).includes(value.size)) paper.size = value.size;
+  if (PAGE_ORIENTATIONS.includes(value.orientation)) paper.orientation = value.orientation;
+  return paper.size || paper.orientation ? paper : null;
+}
+
+/**
+ * Validates a saved print profile.
+ *
+ * @param {*} value - Profile from localStorage
+ * @return {{name: string, copies: Object[], paper?: Object}|null} Profile, or null if it has no name or copies
+ */
+export function sanitizePrintProfile(value) {
+  if (!value || typeof value !== 'object' || typeof value.name !== 'string') return null;
+  const name = value.name.trim().slice(0, MAX_NAME_LENGTH);
+  const copies = sanitizePrintCopies(value.copies);
+  if (!name || copies.length === 0) return null;
+  const paper = sanitizePrintPaper(value.paper);
+  return paper ? { name, copies, paper } : { name, copies };
+}
+
+/**
+ * Validates the list of saved print profiles; of profiles with the same name the last one is kept.
+ *
+ * @param {*} value - Profiles from localStorage
+ * @return {Array<{name: string, copies: Object[]}>} Profiles sorted by name
+ */
+export function sanitizePrintProfiles(value) {
+  if (!Array.isArray(value)) return [];
+  const profiles = new Map();
+  value.map(sanitizePrintProfile).filter(Boolean).forEach(profile => profiles.set(profile.name, profile));
+  return [...profiles.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, MAX_PROFILES);
+}
@@ -0,0 +1,656 @@
+/**
+ * @fileoverview Versioned codec for QR code payloads.
+ *
+ * Every QR code generated by RequiForm carries one payload envelope:
+ *   {v: version, t: type, ...type specific fields}
+ * with the types p (patient), ph (phenotype), pd (pedigree) and c (complete).
+ * The envelope of the current version is described by a JSON Schema
+ * (src/config/qrMappingSchema.json) and validated with Ajv when encoding and decoding.
+ *
+ * Version history:
+ * - v1: Positional arrays ([1, 1, patient, tests], [1, 2, phenotypes],
+ *   [2, pedRows] / [0] / [3, data]) and the complete object {v: "1.0", t: "c", ...}.
+ * - v2: Versioned object envelopes for all payload types.
+ * - v3: The complete payload carries the remaining requisition fields (r): comments,
+ *   ordering date, family history, consanguinity, GenDG consent, variant segregation
+ *   request, category and pedigree visibility. Other payload types are unchanged.
+ * - v4: Patient and complete payloads may carry the fingerprint of the requisition data
+ *   (fp, see formFingerprint.js).
+ *
+ * Payloads of older versions are migrated step by step to the current version
+ * before validation, so QR codes on already printed requisitions stay readable.
+ * Payloads of unknown (e.g. newer) versions are rejected with a clear error.
+ *
+ * Transport concerns (multi-part series, QR image generation) live in qrService.js.
+ */
+
+import Ajv from 'ajv';
+import qrPayloadSchema from '../config/qrMappingSchema.json';
+import logService from '@/services/logService';
+
+/**
+ * Current payload format version written by the encoder.
+ * @type {number}
+ */
+export const QR_CODEC_VERSION = 4;
+
+/**
+ * Payload type identifiers used by the encoder and returned by the decoder.
+ * @type {Object<string, string>}
+ */
+export const QR_PAYLOAD_TYPES = {
+  PATIENT: 'patient',
+  PHENOTYPE: 'phenotype',
+  PEDIGREE: 'pedigree',
+  COMPLETE: 'complete'
+};
+
+// Compact type codes used in the envelope (t)
+const TYPE_CODES = {
+  [QR_PAYLOAD_TYPES.PATIENT]: 'p',
+  [QR_PAYLOAD_TYPES.PHENOTYPE]: 'ph',
+  [QR_PAYLOAD_TYPES.PEDIGREE]: 'pd',
+  [QR_PAYLOAD_TYPES.COMPLETE]: 'c'
+};
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPE_CODES).map(([name, code]) => [code, name]));
+
+// Patient fields and their compact keys, in the order of the v1 patient array.
+// Order ID and hashed identifier are only set by data minimisation (see qrContents.js).
+const PATIENT_FIELDS = [
+  ['firstName', 'fn'],
+  ['lastName', 'ln'],
+  ['birthdate', 'bd'],
+  ['sex', 'sx'],
+  ['insurance', 'ins'],
+  ['insuranceId', 'iid'],
+  ['referrer', 'ref'],
+  ['diagnosis', 'dx'],
+  ['orderId', 'oid'],
+  ['hashedId', 'hid']
+];
+
+// Requisition fields of the complete payload (r) and their compact keys
+const REQUISITION_TEXT_FIELDS = [
+  ['comments', 'cm'],
+  ['orderingDate', 'od'],
+  ['familyHistory', 'fh'],
+  ['parentalConsanguinity', 'pc'],
+  ['variantDetails', 'vd'],
+  ['category', 'cat']
+];
+const REQUISITION_FLAG_FIELDS = [
+  ['variantSegregationRequested', 'vs'],
+  ['showPedigree', 'sp']
+];
+
+// GenDG consent form fields (genDGConsentData.form) and their compact keys
+const CONSENT_FORM_FIELDS = [
+  ['consentName', 'n'],
+  ['consentDate', 'd'],
+  ['questionSecondaryFindings', 'sf'],
+  ['questionMaterial', 'ma'],
+  ['questionExtended', 'ex'],
+  ['questionResearch', 'rs']
+];
+
+const PHENOTYPE_CODE_PATTERN = /^[+-]\d{1,7}$/;
+
+// The payload type (t) selects the schema branch, so errors refer to that type only
+const ajv = new Ajv({ discriminator: true });
+const validateEnvelope = ajv.compile(qrPayloadSchema);
+
+/**
+ * Ultra-compresses phenotype data for minimal QR code size.
+ * Transforms phenotype data from full HPO format to ultra-compact format:
+ * - "HP:0000123: present" → "+123" (+ prefix indicates present phenotype)
+ * - "HP:0000456: absent" → "-456" (- prefix indicates absent phenotype)
+ * - "no input" values are completely excluded
+ *
+ * This ultra-compact format significantly reduces QR code size while maintaining
+ * all essential information for data exchange. The compression achieved can reduce
+ * data size by up to 80% compared to full JSON representation, enabling reliable
+ * QR code scanning even with large phenotype datasets.
+ *
+ * The encoding follows these steps:
+ * 1. Filter out items with no ID or status
+ * 2. Extract the numeric part of the HPO ID (removing "HP:" and leading zeros)
+ * 3. Add "+" prefix for present phenotypes or "-" for absent phenotypes
+ * 4. Return the resulting array of compact strings
+ *
+ * @param {Array} phenotypeData - Array of phenotype objects
+ * @param {string} phenotypeData[].id - HPO ID (e.g. "HP:0000123") or numeric ID
+ * @param {string} phenotypeData[].status - Status of the phenotype ("present" or "absent")
+ * @param {boolean} [phenotypeData[].present] - Alternative format: true=present, false=absent
+ * @return {Array} Ultra-compressed phenotype data array with +/- prefixes
+ * @example
+ * // Input: [{id: "HP:0000123", status: "present"}, {id: "HP:0000456", status: "absent"}]
+ * // Output: ["+123", "-456"]
+ */
+export function encodePhenotypeData(phenotypeData) {
+  if (!phenotypeData || !Array.isArray(phenotypeData)) {
+    logService.warn('Invalid phenotype data provided for QR encoding');
+    return [];
+  }
+
+  try {
+    // Use even more compact format: just a string array with +/- prefixes
+    const encoded = phenotypeData.map(item => {
+      // Skip items without an ID
+      if (!item || !item.id) {
+        logService.debug('Skipping phenotype item with no ID');
+        return null;
+      }
+      
+      let hpoNumber;
+      
+      // Extract just the numeric part from HP:0000123
+      if (typeof item.id === 'string' && item.id.startsWith('HP:')) {
+        // Remove HP: prefix and leading zeros
+        hpoNumber = parseInt(item.id.substring(3), 10);
+        if (isNaN(hpoNumber)) {
+          logService.warn(`Invalid HPO ID format: ${item.id}`);
+          return null;
+        }
+      } else {
+        hpoNumber = item.id;
+      }
+      
+      // Use +/- prefix to indicate present/absent (more compact)
+      const prefix = item.present ? '+' : '-';
+      
+      // Return just a string like "+123" instead of an array
+      return `${prefix}${hpoNumber}`;
+    }).filter(item => item !== null); // Remove any null entries
+    
+    return encoded;
+  } catch (error) {
+    logService.error('Error encoding phenotype data:', error);
+    return [];
+  }
+}
+
+/**
+ * Decodes ultra-compressed phenotype data
+ * Transforms "+123" back to {id: "HP:0000123", present: true}
+ *
+ * @param {Array} encodedPhenotypeData - Array of encoded phenotype strings or arrays
+ * @return {Array} Decoded phenotype data with restored formatting
+ * @example
+ * // Input: ["+123", "-456"]
+ * // Output: [{id: "HP:0000123", present: true}, {id: "HP:0000456", present: false}]
+ */
+export function decodePhenotypeData(encodedPhenotypeData) {
+  if (!encodedPhenotypeData || !Array.isArray(encodedPhenotypeData)) {
+    logService.warn('Invalid encoded phenotype data provided for decoding');
+    return [];
+  }
+
+  try {
+    return encodedPhenotypeData.map(item => {
+      const decoded = {};
+      
+      // Handle new +/- prefix format (string format)
+      if (typeof item === 'string') {
+        // Check for present/absent prefix
+        const isPresent = item.startsWith('+');
+        const isAbsent = item.startsWith('-');
+        
+        if (isPresent || isAbsent) {
+          try {
+            // Extract number part and add leading zeros
+            const numStr = item.substring(1); // Remove +/- prefix
+            
+            // Validate that the remaining part is a number
+            if (!/^\d+$/.test(numStr)) {
+              logService.warn(`Invalid phenotype format: ${item}. Expected +/-NUMBER format.`);
+              return null;
+            }
+            
+            decoded.id = `HP:${numStr.padStart(7, '0')}`;
+            decoded.present = isPresent;
+            return decoded;
+          } catch (error) {
+            logService.warn(`Error decoding phenotype string: ${item}`, error);
+            return null;
+          }
+        } else {
+          logService.warn(`Invalid phenotype string format: ${item}. Missing +/- prefix.`);
+          return null;
+        }
+      }
+      // Item is an array with [id, present, term]
+      else if (Array.isArray(item)) {
+        try {
+          // Element 0: Restore full HP ID with leading zeros
+          if (item[0] !== undefined) {
+            const numStr = String(item[0]);
+            decoded.id = `HP:${numStr.padStart(7, '0')}`;
+          } else {
+            return null; // Skip if no ID
+          }
+          
+          // Element 1: Restore present flag
+          if (item[1] !== undefined) {
+            decoded.present = Boolean(item[1]);
+          }
+          
+          // Element 2: Restore term if present
+          if (item[2] !== undefined) {
+            decoded.term = item[2];
+          }
+          
+          return decoded;
+        } catch (error) {
+          logService.warn('Error decoding phenotype array:', error);
+          return null;
+        }
+      } 
+      // Backward compatibility with object format
+      else if (typeof item === 'object' && item !== null) {
+        try {
+          if (item.i) {
+            if (typeof item.i === 'string' && item.i.startsWith('HP:')) {
+              const numericPart = item.i.substring(3);
+              decoded.id = `HP:${numericPart.padStart(7, '0')}`;
+            } else {
+              decoded.id = `HP:${String(item.i).padStart(7, '0')}`;
+            }
+            
+            if (item.p !== undefined) decoded.present = Boolean(item.p);
+            if (item.t !== undefined) decoded.term = item.t;
+            
+            return decoded;
+          }
+          return null; // Skip if no ID
+        } catch (error) {
+          logService.warn('Error decoding phenotype object:', error);
+          return null;
+        }
+      }
+      
+      logService.warn(`Unsupported phenotype data format: ${typeof item}`);
+      return null;
+    }).filter(item => item !== null); // Remove any items that failed to decode
+  } catch (error) {
+    logService.error('Error decoding phenotype data:', error);
+    return [];
+  }
+}
+
+/**
+ * Converts patient information into the compact patient object (empty fields omitted).
+ *
+ * @param {Object} patient - Patient information with full field names
+ * @return {Object} Compact patient object ({fn, ln, bd, ...})
+ */
+function compactPatient(patient = {}) {
+  const p = {};
+  PATIENT_FIELDS.forEach(([field, key]) => {
+    if (typeof patient[field] === 'string' && patient[field] !== '') {
+      p[key] = patient[field];
+    }
+  });
+  return p;
+}
+
+/**
+ * Expands a compact patient object into patient information with full field names.
+ *
+ * @param {Object} p - Compact patient object
+ * @return {Object} Patient information with all fields present
+ */
+function expandPatient(p = {}) {
+  const patient = {};
+  PATIENT_FIELDS.forEach(([field, key]) => {
+    patient[field] = typeof p[key] === 'string' ? p[key] : '';
+  });
+  return patient;
+}
+
+/**
+ * Converts the requisition fields of the complete payload into a compact object.
+ * Empty values are left out.
+ *
+ * @param {Object} [requisition={}] - Requisition fields with full names
+ * @return {Object} Compact requisition object
+ */
+function compactRequisition(requisition = {}) {
+  const r = {};
+  REQUISITION_TEXT_FIELDS.forEach(([field, key]) => {
+    if (typeof requisition[field] === 'string' && requisition[field] !== '') {
+      r[key] = requisition[field];
+    }
+  });
+  REQUISITION_FLAG_FIELDS.forEach(([field, key]) => {
+    if (requisition[field] === true) r[key] = true;
+  });
+
+  const consent = requisition.genDGConsentData;
+  if (consent && typeof consent === 'object') {
+    const gd = {};
+    if (typeof consent.provided === 'string' && consent.provided !== '') gd.p = consent.provided;
+    CONSENT_FORM_FIELDS.forEach(([field, key]) => {
+      const value = consent.form?.[field];
+      if (typeof value === 'string' && value !== '') gd[key] = value;
+    });
+    if (Object.keys(gd).length > 0) r.gd = gd;
+  }
+  return r;
+}
+
+/**
+ * Expands a compact requisition object into requisition fields with full names.
+ *
+ * @param {Object} [r={}] - Compact requisition object
+ * @return {Object} Requisition fields with all fields present
+ */
+function expandRequisition(r = {}) {
+  const requisition = {};
+  REQUISITION_TEXT_FIELDS.forEach(([field, key]) => {
+    requisition[field] = typeof r[key] === 'string' ? r[key] : '';
+  });
+  REQUISITION_FLAG_FIELDS.forEach(([field, key]) => {
+    requisition[field] = r[key] === true;
+  });
+
+  const gd = r.gd || {};
+  const form = {};
+  CONSENT_FORM_FIELDS.forEach(([field, key]) => {
+    form[field] = typeof gd[key] === 'string' ? gd[key] : '';
+  });
+  requisition.genDGConsentData = { provided: typeof gd.p === 'string' ? gd.p : '', form };
+  return requisition;
+}
+
+/**
+ * Converts pedigree data in any supported input format into the compact pedigree object.
+ * PED data ([2, rows]) is carried as rows; anything else becomes an image reference.
+ *
+ * @param {*} pedigree - Pedigree data ([2, rows], [0], [3, data], {hasImage: true}, ...)
+ * @return {Object} Compact pedigree object ({f: 'ped', d: rows} or {f: 'img'})
+ */
+function compactPedigree(pedigree) {
+  if (Array.isArray(pedigree)) {
+    if (pedigree[0] === 2 && Array.isArray(pedigree[1])) {
+      return { f: 'ped', d: pedigree[1] };
+    }
+    // [3, data] wraps pedigree data that was not in PED format
+    if (pedigree[0] === 3 && pedigree[1]) {
+      return compactPedigree(pedigree[1]);
+    }
+  } else if (pedigree && typeof pedigree === 'object' && Array.isArray(pedigree.d)) {
+    return compactPedigree(pedigree.d);
+  }
+  return { f: 'img' };
+}
+
+/**
+ * Expands a compact pedigree object into PED format data.
+ *
+ * @param {Object} [pd] - Compact pedigree object
+ * @return {Array|null} PED format data ([2, rows]) or null for image references
+ */
+function expandPedigree(pd) {
+  return pd && pd.f === 'ped' ? [2, pd.d] : null;
+}
+
+/**
+ * Encodes phenotype items into validated compact codes ("+123", "-456").
+ *
+ * @param {Array} phenotypes - Phenotype items ({id, present})
+ * @return {string[]} Compact phenotype codes
+ */
+function compactPhenotypes(phenotypes) {
+  return encodePhenotypeData(phenotypes || []).filter(code => {
+    if (PHENOTYPE_CODE_PATTERN.test(code)) return true;
+    logService.warn(`[qrCodec] Skipping phenotype that is not an HPO term: ${code}`);
+    return false;
+  });
+}
+
+/**
+ * Removes the group separators of a fingerprint ("7K2M-9XQ4-TD3P" → "7K2M9XQ4TD3P").
+ *
+ * @param {string} fingerprint - Fingerprint of the requisition data
+ * @return {string} Fingerprint as carried in the payload
+ */
+function compactFingerprint(fingerprint) {
+  return String(fingerprint).replace(/-/g, '').toUpperCase();
+}
+
+/**
+ * Creates the payload envelope of the current version for the given type.
+ *
+ * @param {string} type - One of QR_PAYLOAD_TYPES
+ * @param {Object} data - Payload data
+ * @param {Object} [data.patient] - Patient information (patient, complete)
+ * @param {string[]} [data.selectedTests] - Selected test IDs (patient, complete)
+ * @param {Array} [data.phenotypes] - Phenotype items with id and present flag (phenotype, complete)
+ * @param {*} [data.pedigree] - Pedigree data (pedigree, complete)
+ * @param {Object} [data.requisition] - Remaining requisition fields (complete), see expandRequisition
+ * @param {string} [data.fingerprint] - Fingerprint of the requisition data (patient, complete)
+ * @return {Object} Payload envelope
+ * @throws {Error} If the type is unknown
+ */
+export function createQrPayload(type, data = {}) {
+  const envelope = { v: QR_CODEC_VERSION, t: TYPE_CODES[type] };
+
+  switch (type) {
+    case QR_PAYLOAD_TYPES.PATIENT:
+      envelope.p = compactPatient(data.patient);
+      envelope.ts = data.selectedTests || [];
+      if (data.fingerprint) {
+        envelope.fp = compactFingerprint(data.fingerprint);
+      }
+      break;
+    case QR_PAYLOAD_TYPES.PHENOTYPE:
+      envelope.ph = compactPhenotypes(data.phenotypes);
+      break;
+    case QR_PAYLOAD_TYPES.PEDIGREE:
+      envelope.pd = compactPedigree(data.pedigree);
+      break;
+    case QR_PAYLOAD_TYPES.COMPLETE:
+      envelope.p = compactPatient(data.patient);
+      envelope.ts = data.selectedTests || [];
+      envelope.ph = compactPhenotypes(data.phenotypes);
+      if (data.pedigree) {
+        envelope.pd = compactPedigree(data.pedigree);
+      }
+      if (data.requisition) {
+        envelope.r = compactRequisition(data.requisition);
+      }
+      if (data.fingerprint) {
+        envelope.fp = compactFingerprint(data.fingerprint);
+      }
+      break;
+    default:
+      throw new Error(`Unknown QR payload type: ${type}`);
+  }
+
+  return envelope;
+}
+
+/**
+ * Validates a payload envelope of the current version against the JSON Schema.
+ *
+ * @param {Object} envelope - Payload envelope
+ * @return {void}
+ * @throws {Error} If the envelope does not match the schema
+ */
+export function validateQrPayload(envelope) {
+  if (!validateEnvelope(envelope)) {
+    const details = ajv.errorsText(validateEnvelope.errors, { dataVar: 'payload' });
+    throw new Error(`Invalid QR payload: ${details}`);
+  }
+}
+
+/**
+ * Encodes payload data into the QR code text of the current version.
+ *
+ * @param {string} type - One of QR_PAYLOAD_TYPES
+ * @param {Object} data - Payload data (see createQrPayload)
+ * @return {string} Minified JSON text to encode in the QR code
+ * @throws {Error} If the payload does not match the schema
+ * @example
+ * // encodeQrPayload('phenotype', {phenotypes: [{id: 'HP:0000123', present: true}]})
+ * // → '{"v":4,"t":"ph","ph":["+123"]}'
+ */
+export function encodeQrPayload(type, data) {
+  const envelope = createQrPayload(type, data);
+  validateQrPayload(envelope);
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Migrates a v1 payload (positional arrays or the {v: "1.0"} complete object) to v2.
+ *
+ * @param {Array|Object} payload - v1 payload
+ * @return {Object} v2 payload envelope
+ * @throws {Error} If the v1 payload structure is not recognized
+ */
+function migrateV1ToV2(payload) {
+  if (Array.isArray(payload)) {
+    // Patient: [1, 1, [fn, ln, bd, sx, ins, iid, ref, dx], tests]
+    if (payload[0] === 1 && payload[1] === 1 && Array.isArray(payload[2])) {
+      const p = {};
+      PATIENT_FIELDS.forEach(([, key], index) => {
+        if (typeof payload[2][index] === 'string' && payload[2][index] !== '') {
+          p[key] = payload[2][index];
+        }
+      });
+      return { v: 2, t: 'p', p, ts: Array.isArray(payload[3]) ? payload[3] : [] };
+    }
+    // Phenotype: [1, 2, phenotypes] (phenotypes may use the older array/object item formats)
+    if (payload[0] === 1 && payload[1] === 2 && Array.isArray(payload[2])) {
+      return { v: 2, t: 'ph', ph: compactPhenotypes(decodePhenotypeData(payload[2])) };
+    }
+    // Pedigree: [2, pedRows], [0] (image reference only) or [3, data]
+    if ([0, 2, 3].includes(payload[0])) {
+      return { v: 2, t: 'pd', pd: compactPedigree(payload) };
+    }
+  } else if (payload && typeof payload === 'object' && payload.t === 'c') {
+    // Complete: {v: "1.0", t: "c", p: {fn, ln, bd, sx, ins}, ts, ph, pd: {d, f}}
+    const envelope = {
+      v: 2,
+      t: 'c',
+      p: compactPatient(expandPatient(payload.p)),
+      ts: Array.isArray(payload.ts) ? payload.ts : [],
+      ph: compactPhenotypes(decodePhenotypeData(payload.ph || []))
+    };
+    const pd = compactPedigree(payload.pd?.d);
+    if (pd.f === 'ped' || payload.pd?.f === 'i') {
+      envelope.pd = pd;
+    }
+    return envelope;
+  }
+
+  throw new Error('QR payload format is not recognized.');
+}
+
+/**
+ * Migrates a v2 payload to v3. The v3 envelope only adds optional fields
+ * to the complete payload, so v2 envelopes are valid v3 envelopes.
+ *
+ * @param {Object} payload - v2 payload envelope
+ * @return {Object} v3 payload envelope
+ */
+function migrateV2ToV3(payload) {
+  return { ...payload, v: 3 };
+}
+
+/**
+ * Migrates a v3 payload to v4. The v4 envelope only adds the optional fingerprint
+ * to the patient and complete payloads, so v3 envelopes are valid v4 envelopes.
+ *
+ * @param {Object} payload - v3 payload envelope
+ * @return {Object} v4 payload envelope
+ */
+function migrateV3ToV4(payload) {
+  return { ...payload, v: 4 };
+}
+
+// Migration steps keyed by the version they migrate from
+const MIGRATIONS = {
+  1: migrateV1ToV2,
+  2: migrateV2ToV3,
+  3: migrateV3ToV4
+};
+
+/**
+ * Determines the payload version of a parsed QR payload.
+ *
+ * @param {Array|Object} payload - Parsed QR payload
+ * @return {number} Payload version
+ * @throws {Error} If the payload carries no recognizable version
+ */
+function getPayloadVersion(payload) {
+  if (Array.isArray(payload)) {
+    return 1; // v1 positional arrays carry no envelope
+  }
+  if (payload && typeof payload === 'object') {
+    if (payload.v === '1.0' || payload.v === '1') return 1;
+    if (Number.isInteger(payload.v)) return payload.v;
+  }
+  throw new Error('QR payload has no recognizable version.');
+}
+
+/**
+ * Migrates a parsed payload of any supported version to the current version.
+ *
+ * @param {Array|Object} payload - Parsed QR payload
+ * @return {{envelope: Object, version: number}} Current version envelope and the original version
+ * @throws {Error} If the payload version is unknown or not supported
+ */
+export function migrateQrPayload(payload) {
+  const version = getPayloadVersion(payload);
+
+  if (version > QR_CODEC_VERSION) {
+    throw new Error(`QR payload version ${version} is newer than the supported version ${QR_CODEC_VERSION}. Please update RequiForm to read this QR code.`);
+  }
+  if (version < 1 || (version < QR_CODEC_VERSION && !MIGRATIONS[version])) {
+    throw new Error(`QR payload version ${version} is not supported.`);
+  }
+
+  let envelope = payload;
+  for (let current = version; current < QR_CODEC_VERSION; current++) {
+    envelope = MIGRATIONS[current](envelope);
+    logService.debug(`[qrCodec] Migrated QR payload from v${current} to v${current + 1}`);
+  }
+
+  return { envelope, version };
+}
+
+/**
+ * Decodes the text of a RequiForm QR code.
+ * The payload is parsed, migrated to the current version and validated against the schema.
+ *
+ * @param {string} text - Raw QR code text
+ * @return {{type: string, version: number, data: Object}} Payload type, original version and
+ *   normalized data ({patient, selectedTests, phenotypes, pedigree, requisition, fingerprint} depending on the type)
+ * @throws {Error} If the text is not a valid RequiForm payload or its version is unknown
+ * @example
+ * // decodeQrPayload('[1,2,["+123"]]')
+ * // → {type: 'phenotype', version: 1, data: {phenotypes: [{id: 'HP:0000123', present: true}]}}
+ */
+export function decodeQrPayload(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('QR code does not contain RequiForm data.');
+  }
+
+  const { envelope, version } = migrateQrPayload(parsed);
+  validateQrPayload(envelope);
+
+  const type = TYPE_NAMES[envelope.t];
+  const data = {};
+  if (envelope.p) data.patient = expandPatient(envelope.p);
+  if (envelope.ts) data.selectedTests = envelope.ts;
+  if (envelope.ph) data.phenotypes = decodePhenotypeData(envelope.ph);
+  if (type === QR_PAYLOAD_TYPES.PEDIGREE || envelope.pd) data.pedigree = expandPedigree(envelope.pd);
+  if (envelope.r) data.requisition = expandRequisition(envelope.r);
+  if (envelope.fp) data.fingerprint = envelope.fp;
+
+  return { type, version, data };
+}
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Compressed QR code payloads.
+ *
+ * QR codes store text in byte mode (8 bits per character) unless every character is
+ * part of the alphanumeric set (0-9, A-Z, space and $%*+-./:), which needs 5.5 bits
+ * per character. Minified JSON always falls back to byte mode. To fit more data into
+ * one code, payloads are compressed with deflate (CompressionStream) and the bytes
+ * are packed with base45 (RFC 9285), which only uses alphanumeric characters:
+ *   RQZ:<scheme>:<base45 data>
+ * Scheme 1 is deflate-raw + base45. The header is alphanumeric as well, so the whole
+ * code (including multi-part headers) is encoded in alphanumeric mode.
+ *
+ * The encoded JSON is compressed before it is signed or encrypted: ciphertext does not
+ * compress, and a signature over the compressed text is checked before it is inflated.
+ */
+
+/**
+ * Prefix identifying a compressed QR payload.
+ * @type {string}
+ */
+export const COMPRESSION_PREFIX = 'RQZ';
+
+// Scheme 1: deflate-raw compressed bytes, base45 encoded
+const SCHEME_DEFLATE_BASE45 = '1';
+
+const BASE45_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const COMPRESSED_PATTERN = /^RQZ:(\d):/;
+
+const ALPHANUMERIC_PATTERN = /^[0-9A-Z $%*+\-./:]*$/;
+
+// Upper bound of the decompressed payload size, guards against decompression bombs
+const MAX_DECOMPRESSED_BYTES = 1024 * 1024;
+
+/**
+ * Encodes bytes as base45 (RFC 9285).
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @return {string} Base45 string
+ */
+export function encodeBase45(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      let value = bytes[i] * 256 + bytes[i + 1];
+      for (let k = 0; k < 3; k++) {
+        result += BASE45_CHARSET[value % 45];
+        value = Math.floor(value / 45);
+      }
+    } else {
+      const value = bytes[i];
+      result += BASE45_CHARSET[value % 45] + BASE45_CHARSET[Math.floor(value / 45)];
+    }
+  }
+  return result;
+}
+
+/**
+ * Decodes a base45 string (RFC 9285).
+ *
+ * @param {string} text - Base45 string
+ * @return {Uint8Array} Decoded bytes
+ * @throws {Error} If the string is not valid base45
+ */
+export function decodeBase45(text) {
+  if (text.length % 3 === 1) {
+    throw new Error('Invalid base45 data: unexpected length.');
+  }
+  const values = Array.from(text, char => {
+    const value = BASE45_CHARSET.indexOf(char);
+    if (value < 0) {
+      throw new Error(`Invalid base45 data: unexpected character "${char}".`);
+    }
+    return value;
+  });
+
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    if (i + 2 < values.length) {
+      const value = values[i] + values[i + 1] * 45 + values[i + 2] * 45 * 45;
+      if (value > 0xFFFF) throw new Error('Invalid base45 data: value out of range.');
+      bytes.push(value >> 8, value & 0xFF);
+    } else {
+      const value = values[i] + values[i + 1] * 45;
+      if (value > 0xFF) throw new Error('Invalid base45 data: value out of range.');
+      bytes.push(value);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Estimates the number of data bits a text needs in a QR code,
+ * using alphanumeric mode when possible and byte mode otherwise.
+ *
+ * @param {string} text - Text to encode
+ * @return {number} Approximate number of data bits
+ */
+export function estimateQrDataBits(text) {
+  if (ALPHANUMERIC_PATTERN.test(text)) {
+    return Math.ceil(text.length * 5.5);
+  }
+  return new TextEncoder().encode(text).length * 8;
+}
+
+/**
+ * Runs bytes through a compression or decompression stream.
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @param {number} [maxBytes=Infinity] - Maximum number of output bytes
+ * @return {Promise<Uint8Array>} Output bytes
+ * @throws {Error} If the output exceeds maxBytes or the stream fails
+ */
+async function pipeBytes(bytes, transform, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      throw new Error('Compressed QR payload is too large.');
+    }
+    chunks.push(value);
+  }
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * Checks whether the text of a QR code is a compressed payload.
+ *
+ * @param {string} text - QR code text
+ * @return {boolean} True if the text starts with the compression header
+ */
+export function isCompressedQrPayload(text) {
+  return typeof text === 'string' && COMPRESSED_PATTERN.test(text);
+}
+
+/**
+ * Compresses a QR payload with deflate and base45 when this makes the QR code smaller.
+ *
+ * A payload that is signed or encrypted afterwards is stored in byte mode whatever it
+ * contains, as the signature and encryption headers are not alphanumeric. With byteMode
+ * the sizes are therefore compared in bytes.
+ *
+ * @param {string} payload - Encoded payload text
+ * @param {Object} [options={}] - Compression options
+ * @param {boolean} [options.byteMode=false] - Whether the code is stored in byte mode anyway
+ * @return {Promise<string>} The compressed payload ("RQZ:1:...") if it needs fewer
+ *   QR data bits than the original, otherwise the original payload
+ */
+export async function compressQrPayload(payload, { byteMode = false } = {}) {
+  const bytes = new TextEncoder().encode(payload);
+  const deflated = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+  const compressed = `${COMPRESSION_PREFIX}:${SCHEME_DEFLATE_BASE45}:${encodeBase45(deflated)}`;
+  if (byteMode) {
+    return compressed.length < bytes.length ? compressed : payload;
+  }
+  return estimateQrDataBits(compressed) < estimateQrDataBits(payload) ? compressed : payload;
+}
+
+/**
+ * Decompresses a compressed QR payload. Texts without the compression header are
+ * returned unchanged, so every scanned payload can be passed through this function.
+ *
+ * @param {string} text - QR code text
+ * @return {Promise<string>} Decompressed payload text
+ * @throws {Error} If the scheme is unknown or the data is corrupted
+ */
+export async function decompressQrPayload(text) {
+  const match = typeof text === 'string' ? text.match(COMPRESSED_PATTERN) : null;
+  if (!match) return text;
+  if (match[1] !== SCHEME_DEFLATE_BASE45) {
+    throw new Error(`Unsupported QR compression scheme: ${match[1]}`);
+  }
+
+  const deflated = decodeBase45(text.slice(match[0].length));
+  const bytes = await pipeBytes(deflated, new DecompressionStream('deflate-raw'), MAX_DECOMPRESSED_BYTES);
+  return new TextDecoder().decode(bytes);
+}
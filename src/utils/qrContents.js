@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Data minimisation for QR code contents.
+ *
+ * Each deployment decides which data its QR codes carry (qr.contents in pdfConfig.json).
+ * The policy is applied to the data before it is encoded, so fields that are left out
+ * never reach the QR code (and are not part of signed or encrypted payloads either).
+ *
+ * Patient QR code modes:
+ * - "full":    all personal fields and the selected tests (default)
+ * - "fields":  only the personal fields listed in "fields" ("tests" for the selected tests)
+ * - "hashed":  a salted SHA-256 identifier of the fields in "hashFields" instead of the
+ *              personal data, plus the fields listed in "fields"
+ * - "orderId": a random pseudonymous order ID only, plus the fields listed in "fields"
+ * - "none":    no patient QR code
+ * Phenotype QR code modes: "full" or "none".
+ * Pedigree QR code modes: "full", "reference" (only a reference to the printed pedigree) or "none".
+ */
+
+import logService from '@/services/logService';
+import { arrayBufferToBase64 } from './cryptoUtilsWebCrypto';
+
+/**
+ * Modes of the QR content policy.
+ * @type {Object<string, string>}
+ */
+export const QR_CONTENT_MODES = {
+  FULL: 'full',
+  FIELDS: 'fields',
+  HASHED: 'hashed',
+  ORDER_ID: 'orderId',
+  REFERENCE: 'reference',
+  NONE: 'none'
+};
+
+/**
+ * Personal fields that can be carried by the patient QR code, in legend order.
+ * "tests" stands for the selected tests.
+ * @type {string[]}
+ */
+export const QR_PATIENT_FIELDS = [
+  'firstName', 'lastName', 'birthdate', 'sex', 'insurance', 'insuranceId', 'referrer', 'diagnosis', 'tests'
+];
+
+// Modes supported per QR code type
+const SUPPORTED_MODES = {
+  patient: [QR_CONTENT_MODES.FULL, QR_CONTENT_MODES.FIELDS, QR_CONTENT_MODES.HASHED, QR_CONTENT_MODES.ORDER_ID, QR_CONTENT_MODES.NONE],
+  phenotype: [QR_CONTENT_MODES.FULL, QR_CONTENT_MODES.NONE],
+  pedigree: [QR_CONTENT_MODES.FULL, QR_CONTENT_MODES.REFERENCE, QR_CONTENT_MODES.NONE]
+};
+
+// Default fields hashed into the identifier and fields kept in clear text per mode
+const DEFAULT_HASH_FIELDS = ['firstName', 'lastName', 'birthdate'];
+const DEFAULT_FIELDS = {
+  [QR_CONTENT_MODES.FIELDS]: ['sex', 'tests'],
+  [QR_CONTENT_MODES.HASHED]: ['tests'],
+  [QR_CONTENT_MODES.ORDER_ID]: []
+};
+
+// Crockford base32 without I, L, O and U, so order IDs can be read out and typed
+const ORDER_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Pattern of valid order IDs (generated or entered elsewhere).
+ * @type {RegExp}
+ */
+export const ORDER_ID_PATTERN = /^[A-Za-z0-9-]{4,64}$/;
+
+/**
+ * Generates a random pseudonymous order ID such as "RF-7K2M9XQ4TD".
+ *
+ * @return {string} Order ID
+ */
+export function generateOrderId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  return `RF-${Array.from(bytes, byte => ORDER_ID_ALPHABET[byte % ORDER_ID_ALPHABET.length]).join('')}`;
+}
+
+/**
+ * Resolves the content policy of one QR code type from the configuration.
+ * Unknown modes and fields are ignored with a warning, falling back to the full record.
+ *
+ * @param {string} type - QR code type ("patient", "phenotype" or "pedigree")
+ * @param {Object} [contents] - Content configuration (qr.contents in pdfConfig.json)
+ * @return {{mode: string, fields: string[], hashFields: string[], hashSalt: string}} Resolved policy
+ */
+export function getQrContentPolicy(type, contents) {
+  const config = contents?.[type] || {};
+  let mode = config.mode || QR_CONTENT_MODES.FULL;
+  if (!SUPPORTED_MODES[type]?.includes(mode)) {
+    logService.warn(`[qrContents] Unsupported mode "${mode}" for ${type} QR codes, using "full".`);
+    mode = QR_CONTENT_MODES.FULL;
+  }
+  if (type !== 'patient') {
+    return { mode, fields: [], hashFields: [], hashSalt: '' };
+  }
+
+  const pickFields = (list, fallback) => {
+    const fields = Array.isArray(list) ? list : fallback;
+    const unknown = fields.filter(field => !QR_PATIENT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      logService.warn('[qrContents] Ignoring unknown patient QR fields:', unknown);
+    }
+    return QR_PATIENT_FIELDS.filter(field => fields.includes(field));
+  };
+
+  return {
+    mode,
+    fields: mode === QR_CONTENT_MODES.FULL ? [...QR_PATIENT_FIELDS] : pickFields(config.fields, DEFAULT_FIELDS[mode] || []),
+    hashFields: mode === QR_CONTENT_MODES.HASHED ? pickFields(config.hashFields, DEFAULT_HASH_FIELDS).filter(field => field !== 'tests') : [],
+    hashSalt: typeof config.hashSalt === 'string' ? config.hashSalt : ''
+  };
+}
+
+/**
+ * Computes the hashed patient identifier: SHA-256 over the salt and the normalized
+ * (trimmed, NFC, lower case) field values, truncated to 128 bits, URL-safe Base64.
+ * Receiving labs compute the same identifier from their records with the same salt.
+ *
+ * @param {Object} patient - Patient information with full field names
+ * @param {string[]} hashFields - Fields to include, in this order
+ * @param {string} [salt=''] - Deployment-specific salt
+ * @return {Promise<string>} Hashed identifier (22 characters)
+ */
+export async function hashPatientIdentifier(patient, hashFields, salt = '') {
+  const values = hashFields.map(field => String(patient[field] || '').trim().normalize('NFC').toLowerCase());
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode([salt, ...values].join('\n')));
+  return arrayBufferToBase64(digest.slice(0, 16)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Applies the content policy to the data of the patient QR code.
+ *
+ * @param {Object} patient - Patient information with full field names
+ * @param {string[]} selectedTests - Selected test IDs
+ * @param {Object} policy - Resolved policy (see getQrContentPolicy)
+ * @param {string} [orderId] - Order ID (required in "orderId" mode)
+ * @return {Promise<{patient: Object, selectedTests: string[]}|null>} Minimised data,
+ *   or null if no patient QR code is printed
+ * @throws {Error} If "orderId" mode is configured but no order ID is given
+ */
+export async function applyPatientQrContentPolicy(patient, selectedTests, policy, orderId) {
+  if (policy.mode === QR_CONTENT_MODES.NONE) return null;
+
+  const minimised = {};
+  policy.fields.filter(field => field !== 'tests').forEach(field => {
+    minimised[field] = patient[field] || '';
+  });
+  if (policy.mode === QR_CONTENT_MODES.HASHED) {
+    minimised.hashedId = await hashPatientIdentifier(patient, policy.hashFields, policy.hashSalt);
+  }
+  if (policy.mode === QR_CONTENT_MODES.ORDER_ID) {
+    if (!orderId) {
+      throw new Error('An order ID is required for order ID QR codes.');
+    }
+    minimised.orderId = orderId;
+  }
+
+  return {
+    patient: minimised,
+    selectedTests: policy.fields.includes('tests') ? selectedTests : []
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Encrypted QR code payloads.
+ *
+ * An encrypted QR code wraps the (optionally compressed and signed) payload as:
+ *   RQE:<mode>:<keyId>:<encryptedPackage>
+ * where mode is "P" (password entered when generating the PDF) or "K" (lab key from the
+ * deployment configuration) and the package is the AES-GCM output of encryptData
+ * (see cryptoUtilsWebCrypto.js), the same format used for encrypted links.
+ *
+ * Encryption is applied before a payload is split into a multi-part series, so a
+ * series is reassembled before it is decrypted.
+ */
+
+import { encryptData, decryptData } from './cryptoUtilsWebCrypto';
+
+/**
+ * Prefix identifying an encrypted QR payload.
+ * @type {string}
+ */
+export const ENCRYPTION_PREFIX = 'RQE';
+
+/**
+ * Encryption modes of QR payloads.
+ * @type {Object<string, string>}
+ */
+export const QR_ENCRYPTION_MODES = {
+  NONE: 'none',
+  PASSWORD: 'password',
+  LAB_KEY: 'labKey'
+};
+
+const MODE_CODES = {
+  [QR_ENCRYPTION_MODES.PASSWORD]: 'P',
+  [QR_ENCRYPTION_MODES.LAB_KEY]: 'K'
+};
+const MODE_BY_CODE = Object.fromEntries(Object.entries(MODE_CODES).map(([mode, code]) => [code, mode]));
+
+const ENCRYPTED_PATTERN = /^RQE:([PK]):([A-Za-z0-9_-]{0,16}):([A-Za-z0-9_-]+)$/;
+
+/**
+ * Encrypts a QR payload.
+ *
+ * @param {string} payload - Payload text (encoded, possibly compressed and signed)
+ * @param {Object} encryption - Encryption options
+ * @param {string} encryption.mode - QR_ENCRYPTION_MODES.PASSWORD or QR_ENCRYPTION_MODES.LAB_KEY
+ * @param {string} [encryption.password] - Password (password mode)
+ * @param {string} [encryption.labKey] - Lab key (lab key mode)
+ * @param {string} [encryption.keyId=''] - Identifier of the lab key (lab key mode)
+ * @return {Promise<string>} Encrypted payload text ("RQE:...")
+ * @throws {Error} If the mode is unknown, the secret is missing or encryption fails
+ */
+export async function encryptQrPayload(payload, encryption) {
+  const code = MODE_CODES[encryption.mode];
+  if (!code) {
+    throw new Error(`QR encryption: Unsupported mode "${encryption.mode}".`);
+  }
+  const isLabKey = encryption.mode === QR_ENCRYPTION_MODES.LAB_KEY;
+  const secret = isLabKey ? encryption.labKey : encryption.password;
+  const keyId = isLabKey ? (encryption.keyId || '') : '';
+  if (!secret) {
+    throw new Error(isLabKey ? 'QR encryption: No lab key is configured.' : 'QR encryption: A password is required.');
+  }
+  if (!/^[A-Za-z0-9_-]{0,16}$/.test(keyId)) {
+    throw new Error('QR encryption: The key ID may only contain up to 16 letters, digits, "_" and "-".');
+  }
+
+  return `${ENCRYPTION_PREFIX}:${code}:${keyId}:${await encryptData(payload, secret)}`;
+}
+
+/**
+ * Splits an encrypted QR payload into its parts without decrypting it.
+ *
+ * @param {string} text - QR code text
+ * @return {{mode: string, keyId: string, data: string}|null} Encryption mode, key ID and
+ *   encrypted package, or null if the text is not encrypted
+ */
+export function parseEncryptedQrPayload(text) {
+  const match = typeof text === 'string' ? text.match(ENCRYPTED_PATTERN) : null;
+  if (!match) return null;
+  return { mode: MODE_BY_CODE[match[1]], keyId: match[2], data: match[3] };
+}
+
+/**
+ * Finds the lab key for an encrypted payload.
+ * The deployment's own key is used when the key ID matches, otherwise labKeys[keyId].
+ *
+ * @param {string} keyId - Key ID of the encrypted payload
+ * @param {Object} [config] - Encryption configuration (qrEncryption)
+ * @return {string|null} Lab key or null if none is configured for the key ID
+ */
+export function findLabKey(keyId, config) {
+  if (!config) return null;
+  if ((config.keyId || '') === keyId && config.labKey) return config.labKey;
+  return config.labKeys?.[keyId] || null;
+}
+
+/**
+ * Decrypts an encrypted QR payload.
+ *
+ * @param {string} text - Encrypted QR code text ("RQE:...")
+ * @param {string} secret - Password or lab key
+ * @return {Promise<string>} Decrypted payload text
+ * @throws {Error} If the text is not encrypted or the secret is wrong
+ */
+export async function decryptQrPayload(text, secret) {
+  const encrypted = parseEncryptedQrPayload(text);
+  if (!encrypted) {
+    throw new Error('QR code is not encrypted.');
+  }
+  return decryptData(encrypted.data, secret);
+}
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview QR code scanner utilities for reading requisition QR codes.
+ *
+ * This module extracts the raw text of QR codes from uploaded images, from the
+ * pages of a generated requisition PDF, or from a live webcam stream. It does
+ * not interpret the payloads; that is done by `decodeQrPayload` in qrService.js.
+ *
+ * Detection uses the native BarcodeDetector API when the browser provides it
+ * and falls back to jsQR otherwise. Because jsQR only reports one code per call,
+ * found codes are blanked out on the canvas and the image is scanned again so
+ * pages carrying several QR codes are read completely.
+ *
+ * PDF support (pdfjs-dist) is loaded lazily so it does not affect initial load.
+ */
+
+import jsQR from 'jsqr';
+import logService from '@/services/logService';
+
+// Upper bound of codes read from a single image or PDF page
+const MAX_CODES_PER_IMAGE = 12;
+// Upper bound of PDF pages rendered when scanning a requisition
+const MAX_PDF_PAGES = 20;
+// Render scale for PDF pages (1 = 72 dpi); 3 keeps small QR modules readable
+const PDF_RENDER_SCALE = 3;
+// Minimum delay between two webcam frame scans in milliseconds
+const CAMERA_SCAN_INTERVAL = 250;
+
+let barcodeDetector = null;
+
+/**
+ * Returns a shared BarcodeDetector instance if the browser supports QR detection.
+ *
+ * @returns {Promise<Object|null>} BarcodeDetector instance or null if unavailable
+ */
+async function getBarcodeDetector() {
+  if (barcodeDetector !== null) {
+    return barcodeDetector || null;
+  }
+  barcodeDetector = false;
+  try {
+    if (typeof window !== 'undefined' && 'BarcodeDetector' in window) {
+      const formats = await window.BarcodeDetector.getSupportedFormats();
+      if (formats.includes('qr_code')) {
+        barcodeDetector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      }
+    }
+  } catch (error) {
+    logService.debug('[qrScanner] BarcodeDetector not usable, falling back to jsQR:', error);
+  }
+  return barcodeDetector || null;
+}
+
+/**
+ * Reads all QR codes from a canvas using jsQR.
+ * Each found code is painted over before scanning again, so the canvas is modified.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas holding the image to scan
+ * @returns {string[]} Raw text of all decoded QR codes
+ */
+function scanCanvasWithJsQr(canvas) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const results = [];
+
+  for (let i = 0; i < MAX_CODES_PER_IMAGE; i++) {
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(imageData.data, imageData.width, imageData.height, {
+      inversionAttempts: 'dontInvert'
+    });
+    if (!code) break;
+
+    results.push(code.data);
+
+    // Blank out the found code (with some padding) so the next pass finds the next one
+    const corners = [
+      code.location.topLeftCorner,
+      code.location.topRightCorner,
+      code.location.bottomRightCorner,
+      code.location.bottomLeftCorner
+    ];
+    const xs = corners.map(c => c.x);
+    const ys = corners.map(c => c.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    const pad = Math.max(width, height) * 0.15;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(minX - pad, minY - pad, width + 2 * pad, height + 2 * pad);
+  }
+
+  return results;
+}
+
+/**
+ * Reads all QR codes from a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas holding the image to scan
+ * @returns {Promise<string[]>} Raw text of all decoded QR codes (duplicates removed)
+ */
+export async function scanCanvas(canvas) {
+  let results = [];
+
+  const detector = await getBarcodeDetector();
+  if (detector) {
+    try {
+      const codes = await detector.detect(canvas);
+      results = codes.map(code => code.rawValue).filter(Boolean);
+    } catch (error) {
+      logService.debug('[qrScanner] BarcodeDetector failed, using jsQR:', error);
+    }
+  }
+
+  if (results.length === 0) {
+    results = scanCanvasWithJsQr(canvas);
+  }
+
+  return [...new Set(results)];
+}
+
+/**
+ * Loads an image file into a canvas.
+ *
+ * @param {File|Blob} file - Image file (PNG, JPEG, ...)
+ * @returns {Promise<HTMLCanvasElement>} Canvas containing the image
+ */
+function loadImageToCanvas(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      // White background so transparent PNGs scan like printed paper
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not read the image file.'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Loads the pdf.js library on demand and configures its worker.
+ *
+ * @returns {Promise<Object>} The pdfjs-dist module
+ */
+export async function loadPdfJs() {
+  const pdfjs = await import('pdfjs-dist');
+  if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+    const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+  }
+  return pdfjs;
+}
+
+/**
+ * Reads all QR codes from the pages of a PDF file.
+ *
+ * @param {File|Blob} file - PDF file
+ * @returns {Promise<string[]>} Raw text of all decoded QR codes in page order
+ */
+async function scanPdfFile(file) {
+  const pdfjs = await loadPdfJs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjs.getDocument({ data }).promise;
+  const results = [];
+
+  try {
+    const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+    if (pdf.numPages > MAX_PDF_PAGES) {
+      logService.warn(`[qrScanner] PDF has ${pdf.numPages} pages, only the first ${MAX_PDF_PAGES} are scanned.`);
+    }
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      await page.render({ canvasContext: ctx, viewport }).promise;
+
+      const pageCodes = await scanCanvas(canvas);
+      logService.debug(`[qrScanner] Page ${pageNumber}: found ${pageCodes.length} QR code(s)`);
+      results.push(...pageCodes);
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return results;
+}
+
+/**
+ * Reads all QR codes from an uploaded image or PDF file.
+ *
+ * @param {File} file - Image or PDF file selected by the user
+ * @returns {Promise<string[]>} Raw text of all decoded QR codes
+ * @throws {Error} If the file type is not supported or the file cannot be read
+ */
+export async function scanFile(file) {
+  if (!file) {
+    throw new Error('No file selected.');
+  }
+
+  const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+  if (isPdf) {
+    logService.debug('[qrScanner] Scanning PDF file:', file.name);
+    return scanPdfFile(file);
+  }
+
+  if (file.type && !file.type.startsWith('image/')) {
+    throw new Error(`Unsupported file type: ${file.type}`);
+  }
+
+  logService.debug('[qrScanner] Scanning image file:', file.name);
+  const canvas = await loadImageToCanvas(file);
+  return scanCanvas(canvas);
+}
+
+/**
+ * Checks whether a camera can be requested in this browser.
+ *
+ * @returns {boolean} True if getUserMedia is available
+ */
+export function isCameraSupported() {
+  return typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices &&
+    typeof navigator.mediaDevices.getUserMedia === 'function';
+}
+
+/**
+ * Starts scanning QR codes from the webcam into the given video element.
+ * The callback receives every newly seen code text once.
+ *
+ * @param {HTMLVideoElement} videoElement - Video element used to display the stream
+ * @param {Function} onCode - Callback invoked with the raw text of each new QR code
+ * @returns {Promise<Function>} A function that stops the camera and the scan loop
+ * @throws {Error} If the camera is not available or access is denied
+ */
+export async function startCameraScan(videoElement, onCode) {
+  if (!isCameraSupported()) {
+    throw new Error('Camera access is not supported in this browser.');
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: 'environment' },
+    audio: false
+  });
+  videoElement.srcObject = stream;
+  videoElement.setAttribute('playsinline', 'true');
+  await videoElement.play();
+
+  const canvas = document.createElement('canvas');
+  const seen = new Set();
+  let stopped = false;
+  let timer = null;
+
+  const scanFrame = async () => {
+    if (stopped) return;
+    if (videoElement.readyState >= videoElement.HAVE_ENOUGH_DATA) {
+      canvas.width = videoElement.videoWidth;
+      canvas.height = videoElement.videoHeight;
+      canvas.getContext('2d', { willReadFrequently: true }).drawImage(videoElement, 0, 0);
+      try {
+        const codes = await scanCanvas(canvas);
+        codes.forEach(code => {
+          if (!seen.has(code)) {
+            seen.add(code);
+            onCode(code);
+          }
+        });
+      } catch (error) {
+        logService.debug('[qrScanner] Frame scan failed:', error);
+      }
+    }
+    if (!stopped) {
+      timer = setTimeout(scanFrame, CAMERA_SCAN_INTERVAL);
+    }
+  };
+  scanFrame();
+
+  return function stopCameraScan() {
+    stopped = true;
+    clearTimeout(timer);
+    stream.getTracks().forEach(track => track.stop());
+    videoElement.srcObject = null;
+  };
+}
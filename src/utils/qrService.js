@@ -1,23 +1,25 @@
 /**
- * @fileoverview QR code service module for generating specialized QR codes.
+ * @fileoverview QR code service module for generating and decoding specialized QR codes.
  *
  * This module provides a centralized service for generating QR codes with
  * specific data formats for different parts of the application. It handles
- * patient data, phenotype data, and pedigree data encoding in ultra-compact formats
- * to maximize QR code readability and minimize size.
+ * patient data, phenotype data, and pedigree data, and decodes scanned
+ * payloads back into the form data structure used by the form store.
  * 
- * The ultra-compact format is designed to fit the maximum amount of data into a QR code
- * while maintaining reliable scanning capability across different devices. This format is
- * particularly important for phenotype data where potentially hundreds of HPO terms need
- * to be encoded in a single QR code.
+ * The payload format itself (versioned envelopes, schema validation and migration
+ * of older versions) is implemented in qrCodec.js. This module adds the transport:
+ * QR image generation and splitting of large payloads into multi-part series.
  * 
- * QR Data Format Specification:
+ * QR Data Format Specification (v4, see src/config/qrMappingSchema.json):
  * 
- * - Patient data: [version, type, patientDataArray, selectedTests]
- *   Where patientDataArray contains patient info in a compact array format
- *   Using abbreviated field names (fn=firstName, ln=lastName, bd=birthdate, etc.)
+ * - Every payload is an object {v: version, t: type, ...} with abbreviated property names
  * 
- * - Phenotype data: [version, type, phenotypeArray]
+ * - Patient data: {v, t: "p", p: patient, ts: selectedTests, fp: fingerprint}
+ *   Where patient uses abbreviated field names (fn=firstName, ln=lastName, bd=birthdate,
+ *   sx=sex, ins=insurance, iid=insuranceId, ref=referrer, dx=diagnosis); empty fields are omitted.
+ *   The optional fingerprint identifies the requisition data (see formFingerprint.js)
+ * 
+ * - Phenotype data: {v, t: "ph", ph: phenotypeArray}
  *   Where phenotypeArray contains strings in ultra-compact format "+123" or "-123"
  *   + prefix indicates present phenotype
  *   - prefix indicates absent phenotype
@@ -25,15 +27,29 @@
  *   "no input" values are completely excluded from the QR code
  *   Example: "HP:0000123: present" becomes "+123"
  * 
- * - Pedigree data: [version, type, [pedigreeData, format]]
- *   Where format is either 't' (table) or 'i' (image)
- *   Image format is used when the pedigree is too complex for direct encoding
+ * - Pedigree data: {v, t: "pd", pd: {f: "ped", d: pedRows}} or {v, t: "pd", pd: {f: "img"}}
+ *   The image reference is used when no structured pedigree data is available
+ * 
+ * - Complete data: {v, t: "c", p: patient, ts: tests, ph: phenotypes, pd: pedigree, r: requisition, fp: fingerprint}
+ *   Where requisition carries the remaining form fields (comments, ordering date, GenDG
+ *   consent, variant segregation request, ...), so one code reproduces the whole form
+ * 
+ * - Compressed payloads: the encoded JSON is deflated and base45 encoded as "RQZ:1:<data>"
+ *   when this makes the code smaller, so an unsigned, unencrypted code is stored in
+ *   alphanumeric mode (see qrCompression.js)
+ * 
+ * - Signed payloads: with a signing configuration the (compressed) payload is wrapped as
+ *   "RQS:<algorithm>:<keyId>:<signature>:<payload>" (see qrSignature.js)
  * 
- * - Complete data: Object with all data types in compact format
- *   Structure: {v: version, t: type, p: patient, ts: tests, ph: phenotypes, pd: pedigree}
+ * - Encrypted payloads: with an encryption option the (compressed, signed) payload is wrapped as
+ *   "RQE:<mode>:<keyId>:<AES-GCM package>" (see qrEncryption.js)
  * 
- * The QR code system is designed for maximum space efficiency while maintaining
- * compatibility with the PDF generation system, which uses human-readable formats.
+ * - Multi-part series: payloads too large for one QR code are split into a numbered
+ *   series, each part prefixed with "RQM:<index>/<total>:<crc32>:" (see splitQrPayload).
+ *   All generators therefore resolve to an array of data URLs.
+ * 
+ * QR codes printed with older formats (v1 arrays, the {v: "1.0"} complete object, v2, v3)
+ * remain readable; they are migrated by the codec when decoded.
  * 
  * QR codes are positioned on each relevant page of the PDF output with descriptive titles:
  * - Patient QR code on patient data page
@@ -42,246 +58,19 @@
  */
 
 import QRCode from 'qrcode';
-import qrMappingSchema from '../config/qrMappingSchema.json';
+import testsData from '../data/tests.json';
 import logService from '@/services/logService'; // Import log service
+import {
+  QR_PAYLOAD_TYPES,
+  encodeQrPayload,
+  decodeQrPayload as decodeVersionedPayload
+} from './qrCodec';
+import { signQrPayload, parseSignedQrPayload } from './qrSignature';
+import { encryptQrPayload, parseEncryptedQrPayload, QR_ENCRYPTION_MODES } from './qrEncryption';
+import { compressQrPayload, decompressQrPayload, isCompressedQrPayload } from './qrCompression';
 
-/**
- * Validates if an object conforms to the compact QR mapping schema.
- * This function checks that QR data has the required structure and properties
- * according to our schema specification before generating QR codes.
- *
- * Validation includes:
- * - Checking data type (object)
- * - Verifying schema version
- * - Validating data type code against allowed types
- * - Ensuring all required properties exist
- *
- * @param {Object} data - The data object to validate
- * @param {Array<string>} requiredProperties - Array of properties that must exist in the data
- * @return {boolean} Whether the data is valid according to the schema
- */
-function validateQrData(data, requiredProperties = []) {
-  if (!data || typeof data !== 'object') {
-    logService.error('QR data validation failed: Data must be an object');
-    return false;
-  }
-
-  // Check schema version (v)
-  if (!data.v) {
-    data.v = qrMappingSchema.properties.version.default;
-  }
-
-  // Check data type (t) - map compact types to full types for validation
-  const typeMap = {
-    'p': 'patient',
-    'ph': 'phenotype',
-    'pd': 'pedigree',
-    'c': 'complete'
-  };
-  
-  // Get full type for validation
-  const fullType = typeMap[data.t] || data.t;
-  
-  if (!fullType || !qrMappingSchema.properties.type.enum.includes(fullType)) {
-    logService.error(`QR data validation failed: Invalid type "${data.t}"`);
-    return false;
-  }
-
-  // Check required properties
-  for (const prop of requiredProperties) {
-    if (!data[prop]) {
-      logService.error(`QR data validation failed: Missing required property "${prop}"`);
-      return false;
-    }
-  }
-
-  return true;
-}
-
-/**
- * Ultra-compresses phenotype data for minimal QR code size.
- * Transforms phenotype data from full HPO format to ultra-compact format:
- * - "HP:0000123: present" → "+123" (+ prefix indicates present phenotype)
- * - "HP:0000456: absent" → "-456" (- prefix indicates absent phenotype)
- * - "no input" values are completely excluded
- *
- * This ultra-compact format significantly reduces QR code size while maintaining
- * all essential information for data exchange. The compression achieved can reduce
- * data size by up to 80% compared to full JSON representation, enabling reliable
- * QR code scanning even with large phenotype datasets.
- *
- * The encoding follows these steps:
- * 1. Filter out items with no ID or status
- * 2. Extract the numeric part of the HPO ID (removing "HP:" and leading zeros)
- * 3. Add "+" prefix for present phenotypes or "-" for absent phenotypes
- * 4. Return the resulting array of compact strings
- *
- * @param {Array} phenotypeData - Array of phenotype objects
- * @param {string} phenotypeData[].id - HPO ID (e.g. "HP:0000123") or numeric ID
- * @param {string} phenotypeData[].status - Status of the phenotype ("present" or "absent")
- * @param {boolean} [phenotypeData[].present] - Alternative format: true=present, false=absent
- * @return {Array} Ultra-compressed phenotype data array with +/- prefixes
- * @example
- * // Input: [{id: "HP:0000123", status: "present"}, {id: "HP:0000456", status: "absent"}]
- * // Output: ["+123", "-456"]
- */
-export function encodePhenotypeData(phenotypeData) {
-  if (!phenotypeData || !Array.isArray(phenotypeData)) {
-    logService.warn('Invalid phenotype data provided for QR encoding');
-    return [];
-  }
-
-  try {
-    // Use even more compact format: just a string array with +/- prefixes
-    const encoded = phenotypeData.map(item => {
-      // Skip items without an ID
-      if (!item || !item.id) {
-        logService.debug('Skipping phenotype item with no ID');
-        return null;
-      }
-      
-      let hpoNumber;
-      
-      // Extract just the numeric part from HP:0000123
-      if (typeof item.id === 'string' && item.id.startsWith('HP:')) {
-        // Remove HP: prefix and leading zeros
-        hpoNumber = parseInt(item.id.substring(3), 10);
-        if (isNaN(hpoNumber)) {
-          logService.warn(`Invalid HPO ID format: ${item.id}`);
-          return null;
-        }
-      } else {
-        hpoNumber = item.id;
-      }
-      
-      // Use +/- prefix to indicate present/absent (more compact)
-      const prefix = item.present ? '+' : '-';
-      
-      // Return just a string like "+123" instead of an array
-      return `${prefix}${hpoNumber}`;
-    }).filter(item => item !== null); // Remove any null entries
-    
-    return encoded;
-  } catch (error) {
-    logService.error('Error encoding phenotype data:', error);
-    return [];
-  }
-}
-
-/**
- * Decodes ultra-compressed phenotype data
- * Transforms "+123" back to {id: "HP:0000123", present: true}
- *
- * @param {Array} encodedPhenotypeData - Array of encoded phenotype strings or arrays
- * @return {Array} Decoded phenotype data with restored formatting
- */
-/**
- * Decodes ultra-compressed phenotype data
- * Transforms "+123" back to {id: "HP:0000123", present: true}
- *
- * @param {Array} encodedPhenotypeData - Array of encoded phenotype strings or arrays
- * @return {Array} Decoded phenotype data with restored formatting
- * @example
- * // Input: ["+123", "-456"]
- * // Output: [{id: "HP:0000123", present: true}, {id: "HP:0000456", present: false}]
- */
-export function decodePhenotypeData(encodedPhenotypeData) {
-  if (!encodedPhenotypeData || !Array.isArray(encodedPhenotypeData)) {
-    logService.warn('Invalid encoded phenotype data provided for decoding');
-    return [];
-  }
-
-  try {
-    return encodedPhenotypeData.map(item => {
-      const decoded = {};
-      
-      // Handle new +/- prefix format (string format)
-      if (typeof item === 'string') {
-        // Check for present/absent prefix
-        const isPresent = item.startsWith('+');
-        const isAbsent = item.startsWith('-');
-        
-        if (isPresent || isAbsent) {
-          try {
-            // Extract number part and add leading zeros
-            const numStr = item.substring(1); // Remove +/- prefix
-            
-            // Validate that the remaining part is a number
-            if (!/^\d+$/.test(numStr)) {
-              logService.warn(`Invalid phenotype format: ${item}. Expected +/-NUMBER format.`);
-              return null;
-            }
-            
-            decoded.id = `HP:${numStr.padStart(7, '0')}`;
-            decoded.present = isPresent;
-            return decoded;
-          } catch (error) {
-            logService.warn(`Error decoding phenotype string: ${item}`, error);
-            return null;
-          }
-        } else {
-          logService.warn(`Invalid phenotype string format: ${item}. Missing +/- prefix.`);
-          return null;
-        }
-      }
-      // Item is an array with [id, present, term]
-      else if (Array.isArray(item)) {
-        try {
-          // Element 0: Restore full HP ID with leading zeros
-          if (item[0] !== undefined) {
-            const numStr = String(item[0]);
-            decoded.id = `HP:${numStr.padStart(7, '0')}`;
-          } else {
-            return null; // Skip if no ID
-          }
-          
-          // Element 1: Restore present flag
-          if (item[1] !== undefined) {
-            decoded.present = Boolean(item[1]);
-          }
-          
-          // Element 2: Restore term if present
-          if (item[2] !== undefined) {
-            decoded.term = item[2];
-          }
-          
-          return decoded;
-        } catch (error) {
-          logService.warn('Error decoding phenotype array:', error);
-          return null;
-        }
-      } 
-      // Backward compatibility with object format
-      else if (typeof item === 'object' && item !== null) {
-        try {
-          if (item.i) {
-            if (typeof item.i === 'string' && item.i.startsWith('HP:')) {
-              const numericPart = item.i.substring(3);
-              decoded.id = `HP:${numericPart.padStart(7, '0')}`;
-            } else {
-              decoded.id = `HP:${String(item.i).padStart(7, '0')}`;
-            }
-            
-            if (item.p !== undefined) decoded.present = Boolean(item.p);
-            if (item.t !== undefined) decoded.term = item.t;
-            
-            return decoded;
-          }
-          return null; // Skip if no ID
-        } catch (error) {
-          logService.warn('Error decoding phenotype object:', error);
-          return null;
-        }
-      }
-      
-      logService.warn(`Unsupported phenotype data format: ${typeof item}`);
-      return null;
-    }).filter(item => item !== null); // Remove any items that failed to decode
-  } catch (error) {
-    logService.error('Error decoding phenotype data:', error);
-    return [];
-  }
-}
+// Phenotype encoding and payload types are part of the codec, re-exported for existing imports
+export { QR_PAYLOAD_TYPES, encodePhenotypeData, decodePhenotypeData } from './qrCodec';
 
 /**
  * Calculates optimal QR code size based on data length
@@ -314,6 +103,8 @@ function calculateOptimalQrSize(dataLength, baseSize = 100) {
  * @param {Object} [options.color] - Color options
  * @param {string} [options.color.dark='#000000'] - Color of dark modules
  * @param {string} [options.color.light='#ffffff'] - Color of light modules
+ * @param {string} [options.errorCorrectionLevel] - Error correction level (L, M, Q, H), chosen by data length if not specified
+ * @param {number} [options.version] - QR code version (1-40), the smallest fitting version if not specified
  * @return {Promise<string>} Data URL of the generated QR code
  */
 export async function generateQrCodeDataUrl(data, options = {}) {
@@ -361,6 +152,9 @@ export async function generateQrCodeDataUrl(data, options = {}) {
     // Use provided error correction level or the dynamically selected one
     errorCorrectionLevel: options.errorCorrectionLevel || errorCorrectionLevel,
   };
+  if (options.version) {
+    qrOptions.version = options.version;
+  }
 
   try {
     return await QRCode.toDataURL(dataString, qrOptions);
@@ -370,43 +164,360 @@ export async function generateQrCodeDataUrl(data, options = {}) {
   }
 }
 
+/**
+ * Prefix marking one part of a multi-part QR code series.
+ * Part format: "RQM:<index>/<total>:<checksum>:<chunk>"
+ * where checksum is the CRC-32 (8 uppercase hex digits) of the complete payload.
+ * @type {string}
+ */
+export const MULTIPART_PREFIX = 'RQM';
+
+// Default maximum number of payload characters per QR code of a series
+const DEFAULT_MAX_PART_LENGTH = 800;
+
+// Maximum number of parts accepted in a series (guards against corrupted headers)
+const MAX_PARTS = 99;
+
+const MULTIPART_PATTERN = /^RQM:(\d{1,2})\/(\d{1,2}):([0-9A-F]{8}):/;
+
+let crcTable = null;
+
+/**
+ * Calculates the CRC-32 checksum of a string (over its UTF-8 bytes).
+ *
+ * @param {string} text - Text to checksum
+ * @return {string} Checksum as 8 uppercase hexadecimal digits
+ */
+function crc32(text) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  const bytes = new TextEncoder().encode(text);
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Splits a payload into the parts of a multi-part QR code series.
+ * Payloads that fit into a single QR code are returned unchanged as the only element.
+ *
+ * @param {string} dataString - Complete payload text
+ * @param {number} [maxPartLength=800] - Maximum payload characters per QR code
+ * @return {string[]} Texts to encode, one per QR code
+ * @throws {Error} If the payload would need more parts than supported
+ * @example
+ * // splitQrPayload('[1,2,["+123","-456"]]', 12)
+ * // → ['RQM:1/2:<crc>:[1,2,["+123"', 'RQM:2/2:<crc>:,"-456"]]']
+ */
+export function splitQrPayload(dataString, maxPartLength = DEFAULT_MAX_PART_LENGTH) {
+  if (dataString.length <= maxPartLength) {
+    return [dataString];
+  }
+
+  // Split on code points so multi-byte characters are never cut in half
+  const characters = Array.from(dataString);
+  const total = Math.ceil(characters.length / maxPartLength);
+  if (total > MAX_PARTS) {
+    throw new Error(`QR payload too large: ${total} parts needed, at most ${MAX_PARTS} supported`);
+  }
+
+  const checksum = crc32(dataString);
+  const parts = [];
+  for (let i = 0; i < total; i++) {
+    const chunk = characters.slice(i * maxPartLength, (i + 1) * maxPartLength).join('');
+    parts.push(`${MULTIPART_PREFIX}:${i + 1}/${total}:${checksum}:${chunk}`);
+  }
+
+  logService.debug(`[qrService] Payload of ${dataString.length} characters split into ${total} QR codes`);
+  return parts;
+}
+
+/**
+ * Parses the header of a multi-part QR code.
+ *
+ * @param {string} text - Raw QR code text
+ * @return {{index: number, total: number, checksum: string, chunk: string}|null}
+ *   Part information, or null if the text is not part of a series
+ */
+export function parseQrPart(text) {
+  const match = typeof text === 'string' ? MULTIPART_PATTERN.exec(text) : null;
+  if (!match) return null;
+
+  const index = parseInt(match[1], 10);
+  const total = parseInt(match[2], 10);
+  if (index < 1 || total < 1 || index > total) return null;
+
+  return { index, total, checksum: match[3], chunk: text.substring(match[0].length) };
+}
+
+/**
+ * Reassembles multi-part QR code series from a list of scanned texts.
+ * Parts are grouped by their checksum; the order in which they were scanned does not matter.
+ * Texts that are not multi-part codes are passed through unchanged.
+ *
+ * @param {string[]} texts - Raw QR code texts in any order
+ * @return {{payloads: string[], incomplete: Array<{checksum: string, total: number, missing: number[]}>}}
+ *   Complete payload texts and the series that are still missing parts
+ * @throws {Error} If a reassembled series does not match its checksum
+ */
+export function reassembleQrParts(texts) {
+  const payloads = [];
+  const series = new Map();
+
+  texts.forEach(text => {
+    const part = parseQrPart(text);
+    if (!part) {
+      payloads.push(text);
+      return;
+    }
+    if (!series.has(part.checksum)) {
+      series.set(part.checksum, { total: part.total, chunks: new Map() });
+    }
+    series.get(part.checksum).chunks.set(part.index, part.chunk);
+  });
+
+  const incomplete = [];
+  series.forEach(({ total, chunks }, checksum) => {
+    const missing = [];
+    for (let i = 1; i <= total; i++) {
+      if (!chunks.has(i)) missing.push(i);
+    }
+    if (missing.length > 0) {
+      incomplete.push({ checksum, total, missing });
+      return;
+    }
+
+    const payload = Array.from({ length: total }, (_, i) => chunks.get(i + 1)).join('');
+    if (crc32(payload) !== checksum) {
+      throw new Error(`Checksum mismatch in QR code series ${checksum}`);
+    }
+    payloads.push(payload);
+  });
+
+  return { payloads, incomplete };
+}
+
+// Error correction levels from the strongest to the weakest
+const ERROR_CORRECTION_LEVELS = ['H', 'Q', 'M', 'L'];
+
+// Minimum image resolution in pixels per module for codes fitted to the page
+const FIT_PIXELS_PER_MODULE = 4;
+
+/**
+ * Calculates the largest QR code version whose modules are still large enough
+ * to be scanned reliably when printed at the given size.
+ *
+ * @param {number} size - Printed width of the QR code (e.g. in pt)
+ * @param {number} minModuleSize - Smallest module width that scans reliably (same unit as size)
+ * @param {number} [margin=1] - Quiet zone in modules on each side
+ * @return {number} Largest usable QR code version (1-40)
+ */
+export function getMaxQrVersion(size, minModuleSize, margin = 1) {
+  const modules = Math.floor(size / minModuleSize) - 2 * margin;
+  return Math.max(1, Math.min(40, Math.floor((modules - 17) / 4)));
+}
+
+/**
+ * Selects the strongest error correction level (and its smallest version) at which
+ * a text fits into a QR code of at most the given version.
+ *
+ * @param {string} text - Text to encode
+ * @param {number} maxVersion - Largest usable QR code version
+ * @param {string} [minLevel='M'] - Weakest acceptable error correction level
+ * @return {{version: number, errorCorrectionLevel: string}|null} QR parameters, or null if the text does not fit
+ */
+export function selectQrParameters(text, maxVersion, minLevel = 'M') {
+  const levels = ERROR_CORRECTION_LEVELS.slice(0, ERROR_CORRECTION_LEVELS.indexOf(minLevel) + 1);
+  for (const errorCorrectionLevel of levels) {
+    try {
+      // qrcode picks the smallest version and the most compact encoding modes for the text;
+      // a fixed mask pattern skips the mask evaluation, which does not affect the version
+      const { version } = QRCode.create(text, { errorCorrectionLevel, maskPattern: 0 });
+      if (version <= maxVersion) {
+        return { version, errorCorrectionLevel };
+      }
+    } catch {
+      // Too much data for any version at this level
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a text fits into a QR code of at most the given version at an error
+ * correction level. Cheaper than selectQrParameters, which tries every level.
+ *
+ * @param {string} text - Text to encode
+ * @param {number} maxVersion - Largest usable QR code version
+ * @param {string} errorCorrectionLevel - Error correction level
+ * @return {boolean} True if the text fits
+ */
+function fitsQrVersion(text, maxVersion, errorCorrectionLevel) {
+  try {
+    return QRCode.create(text, { errorCorrectionLevel, maskPattern: 0 }).version <= maxVersion;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Splits a payload into as few QR codes as possible that all fit the printed size.
+ *
+ * The part length is found by bisection on the first part (with the longest part header)
+ * at the weakest error correction level, so a payload is encoded only a few dozen times
+ * instead of once per possible number of parts. As other parts may be denser, every part
+ * is checked afterwards and the series gets one more part while one does not fit.
+ *
+ * @param {string} dataString - Complete payload text
+ * @param {Object} fit - Fit options
+ * @param {number} fit.size - Printed width of each QR code (e.g. in pt)
+ * @param {number} fit.minModuleSize - Smallest module width that scans reliably
+ * @param {string} [fit.minErrorCorrectionLevel='M'] - Weakest acceptable error correction level
+ * @param {number} [margin=1] - Quiet zone in modules on each side
+ * @return {Array<{text: string, version: number, errorCorrectionLevel: string}>} Texts and QR parameters per code
+ * @throws {Error} If the payload does not fit into the supported number of parts
+ */
+export function fitQrPayload(dataString, fit, margin = 1) {
+  const maxVersion = getMaxQrVersion(fit.size, fit.minModuleSize, margin);
+  const minLevel = fit.minErrorCorrectionLevel || 'M';
+
+  const single = selectQrParameters(dataString, maxVersion, minLevel);
+  if (single) {
+    logService.debug(`[qrService] Payload fitted into 1 QR code, version <= ${maxVersion}`);
+    return [{ text: dataString, ...single }];
+  }
+
+  // Longest first chunk that still fits behind the longest possible part header
+  const characters = Array.from(dataString);
+  const header = `${MULTIPART_PREFIX}:${MAX_PARTS}/${MAX_PARTS}:${crc32(dataString)}:`;
+  let low = 0;
+  let high = characters.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (fitsQrVersion(header + characters.slice(0, middle).join(''), maxVersion, minLevel)) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  if (low > 0) {
+    for (let total = Math.ceil(characters.length / low); total <= MAX_PARTS; total++) {
+      const parts = splitQrPayload(dataString, Math.ceil(characters.length / total));
+      const fitted = [];
+      for (const text of parts) {
+        const parameters = selectQrParameters(text, maxVersion, minLevel);
+        if (!parameters) break;
+        fitted.push({ text, ...parameters });
+      }
+      if (fitted.length === parts.length) {
+        logService.debug(`[qrService] Payload fitted into ${parts.length} QR code(s), version <= ${maxVersion}`);
+        return fitted;
+      }
+    }
+  }
+  throw new Error(`QR payload too large: it does not fit into ${MAX_PARTS} QR codes of version ${maxVersion}`);
+}
+
+/**
+ * Generates the QR code images for a payload, splitting it into a numbered
+ * series when it does not fit into a single QR code.
+ *
+ * Without fit options the payload is split by maxPartLength. With fit options the
+ * version and error correction level of each code are chosen to fit the printed size
+ * (strongest error correction first) and the payload is split only when necessary.
+ *
+ * @param {string} dataString - Complete payload text
+ * @param {Object} [options={}] - QR code generation options (see generateQrCodeDataUrl)
+ * @param {number} [options.maxPartLength=800] - Maximum payload characters per QR code (without fit)
+ * @param {Object} [options.fit] - Fit options (see fitQrPayload)
+ * @return {Promise<string[]>} Data URLs of the QR codes in series order
+ */
+export async function generateQrCodeSeries(dataString, options = {}) {
+  const { maxPartLength, fit, ...qrOptions } = options;
+  if (fit) {
+    const margin = qrOptions.margin !== undefined ? qrOptions.margin : 1;
+    const codes = fitQrPayload(dataString, fit, margin);
+    return Promise.all(codes.map(({ text, version, errorCorrectionLevel }) => generateQrCodeDataUrl(text, {
+      ...qrOptions,
+      version,
+      errorCorrectionLevel,
+      // Keep the image sharp enough for dense codes
+      width: Math.max(qrOptions.width || 0, (17 + 4 * version + 2 * margin) * FIT_PIXELS_PER_MODULE)
+    })));
+  }
+  const parts = splitQrPayload(dataString, maxPartLength || DEFAULT_MAX_PART_LENGTH);
+  return Promise.all(parts.map(part => generateQrCodeDataUrl(part, qrOptions)));
+}
+
+/**
+ * Prepares an encoded payload for printing: compresses it unless disabled, signs it
+ * when a signing configuration is enabled, encrypts it when encryption options are
+ * given and splits it into a QR code series. The JSON is compressed first, as
+ * ciphertext does not compress; scanners undo the steps in reverse order.
+ *
+ * @param {string} jsonStr - Encoded payload text
+ * @param {Object} options - Generator options
+ * @param {Object} [options.signing] - Signing configuration (see signQrPayload), used when enabled
+ * @param {Object} [options.encryption] - Encryption options (see encryptQrPayload), unless mode is "none"
+ * @param {boolean} [options.compression=true] - Whether to compress the payload (see compressQrPayload)
+ * @param {Object} [options.qrOptions={}] - QR code generation options
+ * @return {Promise<string[]>} Data URLs of the generated QR code series
+ */
+async function generatePayloadQrCodes(jsonStr, options) {
+  const signing = !!options.signing?.enabled;
+  const encryption = !!options.encryption && options.encryption.mode !== QR_ENCRYPTION_MODES.NONE;
+  let text = jsonStr;
+  if (options.compression !== false) {
+    // Signed and encrypted codes are stored in byte mode, whatever the payload contains
+    const compressed = await compressQrPayload(text, { byteMode: signing || encryption });
+    logService.debug(`[qrService] QR payload compression: ${text.length} -> ${compressed.length} characters`);
+    text = compressed;
+  }
+  if (signing) {
+    text = await signQrPayload(text, options.signing);
+    logService.debug('[qrService] Signed QR payload with key ID:', options.signing.keyId || '(none)');
+  }
+  if (encryption) {
+    text = await encryptQrPayload(text, options.encryption);
+    logService.debug('[qrService] Encrypted QR payload, mode:', options.encryption.mode);
+  }
+  return generateQrCodeSeries(text, options.qrOptions || {});
+}
+
 /**
  * Generates ultra-compact QR code for patient data
  *
  * @param {Object} patientData - Patient personal information
  * @param {Object} [options={}] - Additional options and data
  * @param {Array} [options.selectedTests=[]] - Array of selected test IDs
+ * @param {string} [options.fingerprint] - Fingerprint of the requisition data (see formFingerprint.js)
  * @param {Object} [options.qrOptions={}] - QR code generation options
- * @return {Promise<string>} Data URL of the generated QR code
+ * @param {Object} [options.signing] - Signing configuration (qrSigning); the payload is signed when enabled
+ * @param {Object} [options.encryption] - Encryption options (mode, password or lab key); see encryptQrPayload
+ * @param {boolean} [options.compression=true] - Whether to compress the payload when this makes the code smaller
+ * @return {Promise<string[]>} Data URLs of the generated QR code series (one element if the data fits)
+ * @throws {Error} If the payload does not match the QR payload schema
  */
 export async function generatePatientQrCode(patientData, options = {}) {
-  // Create array of patient values in fixed order
-  // [firstName, lastName, birthdate, sex, insurance, insuranceId, referrer, diagnosis]
-  const p = [
-    patientData.firstName || '',
-    patientData.lastName || '',
-    patientData.birthdate || '',
-    patientData.sex || '',
-    patientData.insurance || '',
-    patientData.insuranceId || '',
-    patientData.referrer || '',
-    patientData.diagnosis || ''
-  ];
-  
-  // Ultra-compact array structure: [version, type, patient_data, test_ids]
-  // 1=v1.0, 1=patient
-  const qrData = [
-    1,             // version
-    1,             // type: patient
-    p,             // patient data array
-    options.selectedTests || [] // tests
-  ];
-
-  // Convert to JSON with no whitespace
-  const jsonStr = JSON.stringify(qrData).replace(/\s/g, '');
+  const jsonStr = encodeQrPayload(QR_PAYLOAD_TYPES.PATIENT, {
+    patient: patientData,
+    selectedTests: options.selectedTests || [],
+    fingerprint: options.fingerprint
+  });
   logService.debug('Patient QR data size:', jsonStr.length, 'characters');
 
-  return generateQrCodeDataUrl(jsonStr, options.qrOptions || {});
+  return generatePayloadQrCodes(jsonStr, options);
 }
 
 /**
@@ -425,158 +536,265 @@ export async function generatePatientQrCode(patientData, options = {}) {
  * @param {boolean} phenotypeData[].present - Whether the phenotype is present or absent
  * @param {Object} [options={}] - Additional options
  * @param {Object} [options.qrOptions={}] - QR code generation options including size, color, etc.
- * @return {Promise<string>} Data URL of the generated QR code
+ * @param {Object} [options.signing] - Signing configuration (qrSigning); the payload is signed when enabled
+ * @param {Object} [options.encryption] - Encryption options (mode, password or lab key); see encryptQrPayload
+ * @param {boolean} [options.compression=true] - Whether to compress the payload when this makes the code smaller
+ * @return {Promise<string[]>} Data URLs of the generated QR code series (one element if the data fits)
+ * @throws {Error} If the payload does not match the QR payload schema
  */
 export async function generatePhenotypeQrCode(phenotypeData, options = {}) {
-  // Ultra-compress the phenotype data 
-  const ph = encodePhenotypeData(phenotypeData || []);
-  
-  // Arrays with no property names for maximum compression
-  // [version, type, phenotype_data]
-  const qrData = [1, 2, ph]; // 1=v1.0, 2=phenotype
-
-  // Convert to JSON with no whitespace
-  const jsonStr = JSON.stringify(qrData).replace(/\s/g, '');
+  const jsonStr = encodeQrPayload(QR_PAYLOAD_TYPES.PHENOTYPE, { phenotypes: phenotypeData || [] });
   logService.debug('Phenotype QR data size:', jsonStr.length, 'characters');
 
-  return generateQrCodeDataUrl(jsonStr, options.qrOptions || {});
+  return generatePayloadQrCodes(jsonStr, options);
 }
 
 /**
- * Generates ultra-compact QR code for pedigree data in array format
+ * Generates ultra-compact QR code for pedigree data.
+ * PED format data ([2, rows]) is encoded as rows; anything else (e.g. {hasImage: true})
+ * is encoded as a reference to the printed pedigree image.
  *
- * @param {Object|Array} pedigreeData - Pedigree data (array for ultra-compact format)
+ * @param {Object|Array|null} pedigreeData - Pedigree data ([2, rows] for PED format)
  * @param {Object} [options={}] - Additional options
- * @param {string} [options.format='c'] - Format code ('c'=compact, 'i'=image)
  * @param {Object} [options.qrOptions={}] - QR code generation options
- * @return {Promise<string>} Data URL of the generated QR code
+ * @param {Object} [options.encryption] - Encryption options (mode, password or lab key); see encryptQrPayload
+ * @param {boolean} [options.compression=true] - Whether to compress the payload when this makes the code smaller
+ * @return {Promise<string[]>} Data URLs of the generated QR code series (one element if the data fits)
+ * @throws {Error} If the payload does not match the QR payload schema
  */
 export async function generatePedigreeQrCode(pedigreeData, options = {}) {
-  if (!pedigreeData) {
-    return generateQrCodeDataUrl('{}', options.qrOptions || {});
-  }
+  const jsonStr = encodeQrPayload(QR_PAYLOAD_TYPES.PEDIGREE, { pedigree: pedigreeData });
+  logService.debug('[qrService] Final pedigree data size:', jsonStr.length, 'chars');
 
-  let d = pedigreeData; // d=data (short variable)
-  
-  // Detect data format
-  // 1. Array format [1, [...]] (ultra-compact numeric arrays)
-  // 2. Object with f/d properties (compact object format)
-  // 3. Legacy object format with format/data
-  // 4. Image reference only (h:1 or hasImage:true)
-  
-  if (Array.isArray(pedigreeData)) {
-    // Check if this is our standard PED format array [2, pedData]
-    if (pedigreeData.length >= 2 && pedigreeData[0] === 2) {
-      logService.debug('[qrService] Using standard PED format');
-      // Already in PED format - use as is
-      d = pedigreeData;
-    } else {
-      logService.debug('[qrService] Using array format');
-      // Some other array format, use as is
-      d = pedigreeData;
-    }
-  } else if (pedigreeData.f === 'c' || pedigreeData.format === 'compact') {
-    // Legacy object format - convert to array if needed
-    logService.debug('[qrService] Converting legacy object format to array');
-    d = pedigreeData;
-  } else if (pedigreeData.h || pedigreeData.hasImage) {
-    // Only reference to image - use simplest format
-    logService.debug('[qrService] Using image reference only');
-    d = [0]; // Format code 0 = image reference only
-  } else {
-    // Unknown format - use as is but log for debugging
-    logService.debug('[qrService] Unknown format:', typeof pedigreeData);
-    d = pedigreeData;
-  }
-
-  // For ultra-compact encoding, just use the data directly if it's already an array
-  // This skips extra wrapping that would add characters
-  try {
-    // Use our flat array format directly for maximum compression
-    const js = Array.isArray(d) ? JSON.stringify(d) : JSON.stringify([3, d]);
-    const compressed = js.replace(/\s/g, '');
-    const size = compressed.length;
-    
-    logService.debug('[qrService] Final pedigree data size:', size, 'chars');
-    
-    // Check if data is too large for a reliable QR code (typical limit ~4000 chars)
-    if (size > 4000) {
-      logService.warn('Pedigree data exceeds limit');
-      // Fall back to image reference
-      return generatePedigreeQrCode([0], { qrOptions: options.qrOptions });
-    }
-    
-    return generateQrCodeDataUrl(compressed, options.qrOptions || {});
-  } catch (error) {
-    logService.error('Error generating pedigree QR:', error);
-    // Fallback to empty QR code
-    return generateQrCodeDataUrl('{}', options.qrOptions || {});
-  }
+  // Large pedigrees are split into a multi-part QR code series
+  return generatePayloadQrCodes(jsonStr, options);
 }
 
 /**
  * Generates a comprehensive QR code containing all available data.
- * Creates a single QR code that combines patient, phenotype, and pedigree data 
- * using the ultra-compact format for maximum space efficiency.
- *
- * This complete QR code is the most space-efficient representation of all data,
- * using abbreviated field names and the ultra-compact phenotype format to maximize
- * data density while maintaining reliable scanning.
- *
- * The complete QR code combines all data types into a single compact structure:
- * - Patient data with minimal field names (fn=firstName, ln=lastName, bd=birthdate, etc.)
- * - Selected test IDs as an array
- * - Phenotype data in ultra-compact format (using +/- prefixes)
- * - Pedigree data with format indicator
+ * Creates a single QR code that combines patient, phenotype, pedigree and the remaining
+ * requisition data using the ultra-compact format for maximum space efficiency.
+ * Use buildCompleteQrData to create fullData from the exported form data.
  *
  * The data structure uses the format: 
- * {v: version, t: "c" (complete), p: patient, ts: tests, ph: phenotypes, pd: pedigree}
+ * {v: version, t: "c" (complete), p: patient, ts: tests, ph: phenotypes, pd: pedigree, r: requisition}
  *
  * @param {Object} fullData - Object containing all data types
  * @param {Object} [fullData.patient={}] - Patient personal information
- * @param {string} [fullData.patient.firstName] - Patient's first name
- * @param {string} [fullData.patient.lastName] - Patient's last name
- * @param {string} [fullData.patient.birthdate] - Patient's birthdate (YYYY-MM-DD format)
- * @param {string} [fullData.patient.sex] - Patient's sex
- * @param {string} [fullData.patient.insurance] - Patient's insurance information
  * @param {Array} [fullData.selectedTests=[]] - Array of selected test IDs
- * @param {Array} [fullData.phenotypes=[]] - Array of phenotype objects with id and status
- * @param {Object} [fullData.pedigree={}] - Pedigree data in any supported format
+ * @param {Array} [fullData.phenotypes=[]] - Array of phenotype objects with id and present flag
+ * @param {Object|Array} [fullData.pedigree] - Pedigree data in any supported format
+ * @param {Object} [fullData.requisition] - Remaining requisition fields (see buildCompleteQrData)
+ * @param {string} [fullData.fingerprint] - Fingerprint of the requisition data (see formFingerprint.js)
  * @param {Object} [options={}] - Additional options
  * @param {string} [options.pedigreeFormat='t'] - Pedigree format code:
  *   - 't': table format (structured pedigree data)
- *   - 'i': image format (for complex pedigrees)
+ *   - 'i': image format (only reference the printed pedigree)
+ * @param {Object} [options.signing] - Signing configuration (qrSigning); the payload is signed when enabled
+ * @param {Object} [options.encryption] - Encryption options (mode, password or lab key); see encryptQrPayload
+ * @param {boolean} [options.compression=true] - Whether to compress the payload when this makes the code smaller
  * @param {Object} [options.qrOptions={}] - QR code generation options (size, colors, etc.)
- * @return {Promise<string>} Data URL of the generated QR code (PNG format, base64-encoded)
- * @throws {Error} If data validation fails against the required schema
+ * @return {Promise<string[]>} Data URLs of the generated QR code series (PNG format, base64-encoded)
+ * @throws {Error} If the payload does not match the QR payload schema
  */
 export async function generateCompleteQrCode(fullData, options = {}) {
-  // Create minimal patient data object
-  const p = {};
-  if (fullData.patient) {
-    if (fullData.patient.firstName) p.fn = fullData.patient.firstName;
-    if (fullData.patient.lastName) p.ln = fullData.patient.lastName;
-    if (fullData.patient.birthdate) p.bd = fullData.patient.birthdate;
-    if (fullData.patient.sex) p.sx = fullData.patient.sex;
-    if (fullData.patient.insurance) p.ins = fullData.patient.insurance;
-  }
-  
-  // Super compact data structure
-  const qrData = {
-    v: "1.0",  // version
-    t: "c",    // type: complete
-    p,         // patient data
-    ts: fullData.selectedTests || [], // tests
-    ph: encodePhenotypeData(fullData.phenotypes || []), // phenotypes
-    pd: {      // pedigree data
-      d: fullData.pedigree || {},
-      f: options.pedigreeFormat || 't' // t=table, i=image
+  const pedigree = options.pedigreeFormat === 'i' ? { hasImage: true } : fullData.pedigree;
+  const jsonStr = encodeQrPayload(QR_PAYLOAD_TYPES.COMPLETE, {
+    patient: fullData.patient || {},
+    selectedTests: fullData.selectedTests || [],
+    phenotypes: fullData.phenotypes || [],
+    pedigree,
+    requisition: fullData.requisition,
+    fingerprint: fullData.fingerprint
+  });
+
+  return generatePayloadQrCodes(jsonStr, options);
+}
+
+/**
+ * Builds the data of the complete QR code from the exported form data.
+ * This is the counterpart of buildFormDataFromQrPayloads: restoring the complete
+ * QR code yields the same form data as formStore.exportFormData().
+ *
+ * @param {Object} formData - Result of formStore.exportFormData()
+ * @param {Object} [phenotypeMap={}] - Phenotypes as category map ({categoryId: {phenotypeId: status}})
+ * @param {Array|null} [pedigree=null] - Pedigree data in PED format ([2, rows])
+ * @return {Object} Data for generateCompleteQrCode ({patient, selectedTests, phenotypes, pedigree, requisition})
+ */
+export function buildCompleteQrData(formData, phenotypeMap = {}, pedigree = null) {
+  const personalInfo = formData.patientData?.personalInfo || {};
+
+  const phenotypes = [];
+  Object.entries(phenotypeMap || {}).forEach(([categoryId, statuses]) => {
+    const category = testsData.categories.find(cat => cat.id === categoryId);
+    Object.entries(statuses || {}).forEach(([phenotypeId, status]) => {
+      if (status !== 'present' && status !== 'absent') return;
+      const hpo = category?.phenotypes?.find(phenotype => phenotype.id === phenotypeId)?.hpo;
+      if (hpo && !phenotypes.some(item => item.id === hpo)) {
+        phenotypes.push({ id: hpo, present: status === 'present' });
+      }
+    });
+  });
+
+  return {
+    patient: { ...personalInfo, orderId: formData.orderId || '' },
+    selectedTests: formData.patientData?.selectedPanels || formData.selectedPanels || [],
+    phenotypes,
+    pedigree,
+    requisition: {
+      comments: personalInfo.comments,
+      orderingDate: personalInfo.orderingDate,
+      familyHistory: personalInfo.familyHistory,
+      parentalConsanguinity: personalInfo.parentalConsanguinity,
+      variantSegregationRequested: personalInfo.variantSegregationRequested,
+      variantDetails: personalInfo.variantDetails,
+      genDGConsentData: personalInfo.genDGConsentData,
+      category: formData.category || '',
+      showPedigree: !!formData.showPedigree
     }
   };
+}
 
-  if (!validateQrData(qrData, [])) {
-    throw new Error('Invalid data for complete QR code');
+/**
+ * Identifies and decodes the raw text of a scanned QR code.
+ * Payloads of all supported versions are accepted (see qrCodec.js); parts of a
+ * multi-part series must be reassembled with reassembleQrParts first.
+ * A signature header is removed but not verified; use verifyQrPayload for that.
+ * Encrypted payloads must be decrypted with decryptQrPayload first.
+ *
+ * @param {string} text - Raw QR code text
+ * @return {{type: string, version: number, data: Object, signed: boolean}} Payload type,
+ *   payload version, normalized data and whether the code carries a signature
+ * @throws {Error} If the text is not a valid RequiForm QR payload
+ * @example
+ * // Input: '{"v":2,"t":"ph","ph":["+123"]}'
+ * // Output: {type: 'phenotype', version: 2, data: {phenotypes: [{id: 'HP:0000123', present: true}]}, signed: false}
+ */
+export function decodeQrPayload(text) {
+  if (parseQrPart(text)) {
+    throw new Error('QR code is one part of a multi-part series; reassemble the series first.');
+  }
+  if (parseEncryptedQrPayload(text)) {
+    throw new Error('QR code is encrypted; decrypt it first.');
   }
+  const signed = parseSignedQrPayload(text);
+  const payload = signed ? signed.payload : text;
+  if (isCompressedQrPayload(payload)) {
+    throw new Error('QR payload is compressed; use unpackQrPayload.');
+  }
+  return { ...decodeVersionedPayload(payload), signed: !!signed };
+}
+
+/**
+ * Decodes a decrypted QR code text whose payload may be compressed, as printed
+ * (compressed, then signed). The signature header is removed but not verified;
+ * verify the text with verifyQrPayload before it is unpacked.
+ *
+ * @param {string} text - Reassembled and decrypted QR code text
+ * @return {Promise<{type: string, version: number, data: Object, signed: boolean}>} See decodeQrPayload
+ * @throws {Error} If the payload cannot be decompressed or is not a valid RequiForm QR payload
+ */
+export async function unpackQrPayload(text) {
+  const signed = parseSignedQrPayload(text);
+  const payload = await decompressQrPayload(signed ? signed.payload : text);
+  return { ...decodeQrPayload(payload), signed: !!signed };
+}
+
+
+/**
+ * Combines decoded QR payloads into the structures used by the form store.
+ *
+ * Personal information and selected tests are returned in the format accepted by
+ * `formStore.importFormData`. Phenotypes are mapped from HPO IDs back to the
+ * category/phenotype IDs of tests.json and returned as the category map used by
+ * the phenotype selector ({categoryId: {phenotypeId: status}}).
+ *
+ * @param {Array<{type: string, data: Object}>} payloads - Results of decodeQrPayload
+ * @return {{formData: Object, phenotypeMap: Object, pedigree: Array|null, unknownPhenotypes: Array<string>}}
+ *   Form data for import, phenotype category map, PED pedigree data and unmatched HPO IDs
+ */
+export function buildFormDataFromQrPayloads(payloads) {
+  let patient = null;
+  let requisition = null;
+  let selectedTests = [];
+  let phenotypes = [];
+  let pedigree = null;
+
+  // Empty fields (e.g. left out by data minimisation) never replace filled ones
+  const filled = fields => Object.fromEntries(Object.entries(fields || {}).filter(([, value]) => value !== ''));
+
+  payloads.forEach(({ type, data }) => {
+    if (data.patient) {
+      // Older complete QR codes carry fewer fields than the patient QR code, so it takes precedence
+      patient = type === QR_PAYLOAD_TYPES.PATIENT
+        ? { ...data.patient, ...filled(patient), ...filled(data.patient) }
+        : { ...data.patient, ...filled(data.patient), ...filled(patient) };
+    }
+    if (data.requisition) {
+      requisition = data.requisition;
+    }
+    if (data.selectedTests?.length) {
+      selectedTests = [...new Set([...selectedTests, ...data.selectedTests])];
+    }
+    if (data.phenotypes?.length) {
+      phenotypes = [...phenotypes, ...data.phenotypes];
+    }
+    if (data.pedigree) {
+      pedigree = data.pedigree;
+    }
+  });
+
+  // Category follows the first selected test that is known in tests.json
+  const categoryOf = testId => testsData.categories.find(cat => cat.tests.some(test => test.id === testId))?.id;
+  const selectedCategories = [...new Set(selectedTests.map(categoryOf).filter(Boolean))];
+
+  // Map HPO IDs back to category/phenotype IDs, preferring categories of the selected tests
+  const phenotypeMap = {};
+  const unknownPhenotypes = [];
+  phenotypes.forEach(({ id, present }) => {
+    let matches = [];
+    testsData.categories.forEach(category => {
+      (category.phenotypes || []).forEach(phenotype => {
+        if (phenotype.hpo === id) matches.push({ categoryId: category.id, phenotypeId: phenotype.id });
+      });
+    });
+    const preferred = matches.filter(match => selectedCategories.includes(match.categoryId));
+    if (preferred.length > 0) matches = preferred;
+
+    if (matches.length === 0) {
+      unknownPhenotypes.push(id);
+      return;
+    }
+
+    matches.forEach(({ categoryId, phenotypeId }) => {
+      if (!phenotypeMap[categoryId]) {
+        // Start with all phenotypes of the category set to "no input"
+        const category = testsData.categories.find(cat => cat.id === categoryId);
+        phenotypeMap[categoryId] = {};
+        category.phenotypes.forEach(ph => { phenotypeMap[categoryId][ph.id] = 'no input'; });
+      }
+      phenotypeMap[categoryId][phenotypeId] = present ? 'present' : 'absent';
+    });
+  });
+
+  if (unknownPhenotypes.length > 0) {
+    logService.warn('[qrService] Phenotypes not found in tests configuration:', unknownPhenotypes);
+  }
+
+  // Requisition fields of the complete QR code live in personalInfo like in the form store.
+  // The order ID is kept at the top level only; the hash of minimised codes identifies the
+  // patient for the lab and is not restored.
+  const { category, showPedigree, ...requisitionFields } = requisition || {};
+  const { orderId, hashedId, ...personalInfo } = patient || {}; // eslint-disable-line no-unused-vars
+  const formData = {
+    patientData: {
+      personalInfo: { ...personalInfo, ...requisitionFields },
+      selectedPanels: selectedTests
+    },
+    category: category || selectedCategories[0] || '',
+    showPedigree: !!pedigree || !!showPedigree,
+    orderId: orderId || ''
+  };
 
-  return generateQrCodeDataUrl(qrData, options.qrOptions || {});
+  return { formData, phenotypeMap, pedigree, unknownPhenotypes };
 }
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Tamper-evident signatures for QR code payloads.
+ *
+ * A signed QR code wraps the encoded payload (see qrCodec.js) with a compact header:
+ *   RQS:<algorithm>:<keyId>:<signature>:<payload>
+ * where algorithm is "E" (ECDSA P-256 with SHA-256) or "H" (HMAC with SHA-256) and the
+ * signature is URL-safe Base64 over the header prefix and the payload, so neither the
+ * payload nor the declared key can be changed without invalidating the signature.
+ *
+ * Keys are configured per deployment (qrSigning in the branding configuration):
+ * - ECDSA: privateKey (JWK) for signing, publicKey (JWK) for verification.
+ *   The public key can be handed to receiving labs without enabling them to sign.
+ * - HMAC: a shared secret used for both signing and verification.
+ *
+ * Signatures show that a payload was generated with the configured key and not edited
+ * afterwards. Keys delivered to the browser can be read by anyone using the deployment,
+ * so a signature does not prove who filled in the form.
+ */
+
+import logService from '@/services/logService';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './cryptoUtilsWebCrypto';
+
+/**
+ * Prefix identifying a signed QR payload.
+ * @type {string}
+ */
+export const SIGNATURE_PREFIX = 'RQS';
+
+/**
+ * Results of {@link verifyQrPayload}.
+ * @type {Object<string, string>}
+ */
+export const SIGNATURE_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  UNSIGNED: 'unsigned'
+};
+
+// Supported algorithms with their header codes and Web Crypto parameters
+const ALGORITHMS = {
+  ECDSA: {
+    code: 'E',
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    signParams: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  HMAC: {
+    code: 'H',
+    importParams: { name: 'HMAC', hash: 'SHA-256' },
+    signParams: { name: 'HMAC' }
+  }
+};
+const ALGORITHM_BY_CODE = Object.fromEntries(Object.entries(ALGORITHMS).map(([name, alg]) => [alg.code, name]));
+
+const SIGNED_PATTERN = /^RQS:([EH]):([A-Za-z0-9_-]{0,16}):([A-Za-z0-9_-]+):/;
+
+// Imported CryptoKeys by algorithm, usage and key material
+const keyCache = new Map();
+
+/**
+ * Imports the key needed for signing or verifying with the given algorithm.
+ *
+ * @param {string} algorithm - "ECDSA" or "HMAC"
+ * @param {Object} keyConfig - Key configuration ({privateKey, publicKey} or {secret})
+ * @param {string} usage - "sign" or "verify"
+ * @return {Promise<CryptoKey>} Imported key
+ * @throws {Error} If the configuration does not contain a key for the usage
+ */
+async function importKey(algorithm, keyConfig, usage) {
+  const alg = ALGORITHMS[algorithm];
+  let format;
+  let keyData;
+
+  if (algorithm === 'HMAC') {
+    if (!keyConfig.secret) {
+      throw new Error('QR signing: HMAC requires a secret.');
+    }
+    format = 'raw';
+    keyData = new TextEncoder().encode(keyConfig.secret);
+  } else if (usage === 'sign') {
+    if (!keyConfig.privateKey) {
+      throw new Error('QR signing: ECDSA requires a private key (JWK) for signing.');
+    }
+    format = 'jwk';
+    keyData = keyConfig.privateKey;
+  } else {
+    // The public key can be derived from the private JWK by dropping the private part
+    const jwk = keyConfig.publicKey || (keyConfig.privateKey && { ...keyConfig.privateKey, d: undefined });
+    if (!jwk) {
+      throw new Error('QR signing: ECDSA requires a public key (JWK) for verification.');
+    }
+    format = 'jwk';
+    const { kty, crv, x, y } = jwk;
+    keyData = { kty, crv, x, y };
+  }
+
+  const cacheKey = `${algorithm}:${usage}:${format === 'raw' ? keyConfig.secret : JSON.stringify(keyData)}`;
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, crypto.subtle.importKey(format, keyData, alg.importParams, false, [usage]));
+  }
+  return keyCache.get(cacheKey);
+}
+
+/**
+ * Converts an ArrayBuffer to URL-safe Base64 without padding.
+ *
+ * @param {ArrayBuffer} buffer - Buffer to convert
+ * @return {string} URL-safe Base64 string
+ */
+function toBase64Url(buffer) {
+  return arrayBufferToBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Signs an encoded QR payload.
+ *
+ * @param {string} payload - Encoded payload text (see encodeQrPayload), possibly compressed
+ * @param {Object} signing - Signing configuration
+ * @param {string} [signing.algorithm='ECDSA'] - "ECDSA" (P-256) or "HMAC" (SHA-256)
+ * @param {string} [signing.keyId=''] - Short key identifier (up to 16 characters of A-Z, a-z, 0-9, _ and -)
+ * @param {Object} [signing.privateKey] - ECDSA private key as JWK
+ * @param {string} [signing.secret] - HMAC shared secret
+ * @return {Promise<string>} Signed payload text ("RQS:...")
+ * @throws {Error} If the configuration is incomplete or signing fails
+ */
+export async function signQrPayload(payload, signing) {
+  const algorithm = signing.algorithm || 'ECDSA';
+  const alg = ALGORITHMS[algorithm];
+  const keyId = signing.keyId || '';
+  if (!alg) {
+    throw new Error(`QR signing: Unsupported algorithm "${algorithm}".`);
+  }
+  if (!/^[A-Za-z0-9_-]{0,16}$/.test(keyId)) {
+    throw new Error('QR signing: The key ID may only contain up to 16 letters, digits, "_" and "-".');
+  }
+
+  const header = `${SIGNATURE_PREFIX}:${alg.code}:${keyId}:`;
+  const key = await importKey(algorithm, signing, 'sign');
+  const signature = await crypto.subtle.sign(alg.signParams, key, new TextEncoder().encode(header + payload));
+
+  return `${header}${toBase64Url(signature)}:${payload}`;
+}
+
+/**
+ * Splits a signed QR payload into its parts without verifying the signature.
+ *
+ * @param {string} text - QR code text
+ * @return {{algorithm: string, keyId: string, signature: string, header: string, payload: string}|null}
+ *   Signature parts, or null if the text is not signed
+ */
+export function parseSignedQrPayload(text) {
+  const match = typeof text === 'string' ? text.match(SIGNED_PATTERN) : null;
+  if (!match) return null;
+  return {
+    algorithm: ALGORITHM_BY_CODE[match[1]],
+    keyId: match[2],
+    signature: match[3],
+    header: `${SIGNATURE_PREFIX}:${match[1]}:${match[2]}:`,
+    payload: text.slice(match[0].length)
+  };
+}
+
+/**
+ * Finds the verification key for a signature among the configured keys.
+ * The deployment's own key is used when the key ID matches, otherwise trustedKeys[keyId].
+ *
+ * @param {string} algorithm - Algorithm declared by the signature
+ * @param {string} keyId - Key ID declared by the signature
+ * @param {Object} [signing] - Signing configuration (qrSigning)
+ * @return {Object|null} Key configuration or null if no matching key is configured
+ */
+function findVerificationKey(algorithm, keyId, signing) {
+  if (!signing) return null;
+  const candidates = [];
+  if ((signing.keyId || '') === keyId) candidates.push(signing);
+  if (signing.trustedKeys?.[keyId]) candidates.push(signing.trustedKeys[keyId]);
+  return candidates.find(candidate => (candidate.algorithm || 'ECDSA') === algorithm &&
+    (candidate.secret || candidate.publicKey || candidate.privateKey)) || null;
+}
+
+/**
+ * Verifies the signature of a QR payload.
+ *
+ * @param {string} text - QR code text (signed or unsigned)
+ * @param {Object} [signing] - Signing configuration with the verification keys (qrSigning)
+ * @return {Promise<{status: string, payload: string, keyId: (string|null), reason: (string|null)}>}
+ *   Status from SIGNATURE_STATUS, the payload without signature header, the declared key ID
+ *   and for invalid signatures the reason ("unknownKey" or "mismatch")
+ */
+export async function verifyQrPayload(text, signing) {
+  const signed = parseSignedQrPayload(text);
+  if (!signed) {
+    return { status: SIGNATURE_STATUS.UNSIGNED, payload: text, keyId: null, reason: null };
+  }
+
+  const result = { status: SIGNATURE_STATUS.INVALID, payload: signed.payload, keyId: signed.keyId, reason: 'mismatch' };
+  const keyConfig = findVerificationKey(signed.algorithm, signed.keyId, signing);
+  if (!keyConfig) {
+    logService.warn(`[qrSignature] No verification key configured for key ID "${signed.keyId}" (${signed.algorithm})`);
+    return { ...result, reason: 'unknownKey' };
+  }
+
+  try {
+    const key = await importKey(signed.algorithm, keyConfig, 'verify');
+    const valid = await crypto.subtle.verify(
+      ALGORITHMS[signed.algorithm].signParams,
+      key,
+      base64ToArrayBuffer(signed.signature),
+      new TextEncoder().encode(signed.header + signed.payload)
+    );
+    if (valid) {
+      return { ...result, status: SIGNATURE_STATUS.VALID, reason: null };
+    }
+  } catch (error) {
+    logService.warn('[qrSignature] Signature could not be verified:', error.message);
+  }
+  return result;
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Handwritten signatures of the consent (genDGConsentData.signatures).
+ *
+ * A signature is kept as vector strokes in the coordinates of the signature pad it was
+ * drawn on, with the time it was signed:
+ *
+ *   { strokes: [[[x, y], [x, y], ...], ...], width: 400, height: 120, signedAt: ISO date }
+ *
+ * The consent holds one per signer ({patient, physician}). In exported files the
+ * signatures can be encrypted with a password, they are then stored as {encrypted: string}
+ * (AES-GCM, see cryptoUtilsWebCrypto) and are neither shown nor printed until unlocked.
+ */
+
+import { encryptData, decryptData } from './cryptoUtilsWebCrypto';
+
+// Signers of the consent
+export const SIGNERS = ['patient', 'physician'];
+
+// Limits for imported signatures, a signature on a pad has a few hundred points
+const MAX_STROKES = 200;
+const MAX_POINTS = 5000;
+const MAX_PAD_SIZE = 4000;
+const MAX_ENCRYPTED_LENGTH = 1024 * 1024;
+
+/**
+ * Checks whether signatures are stored encrypted.
+ *
+ * @param {Object} signatures - Signatures of the consent
+ * @return {boolean} True for {encrypted: string}
+ */
+export function isEncryptedSignatures(signatures) {
+  return typeof signatures?.encrypted === 'string' && signatures.encrypted.length > 0;
+}
+
+/**
+ * Checks whether a signature has at least one stroke.
+ *
+ * @param {Object} signature - Signature
+ * @return {boolean} True if something was signed
+ */
+export function hasSignature(signature) {
+  return Array.isArray(signature?.strokes) && signature.strokes.some(stroke => stroke.length > 0);
+}
+
+/**
+ * Validates a signature and copies it with rounded coordinates. Points outside the pad,
+ * non-numeric values and strokes beyond the limits are dropped.
+ *
+ * @param {*} value - Signature from a file or the form
+ * @return {Object|null} Signature, or null if the value is not a signature
+ */
+export function sanitizeSignature(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.strokes)) return null;
+  const width = Number(value.width);
+  const height = Number(value.height);
+  if (!(width > 0 && width <= MAX_PAD_SIZE && height > 0 && height <= MAX_PAD_SIZE)) return null;
+
+  let pointCount = 0;
+  const strokes = [];
+  for (const stroke of value.strokes.slice(0, MAX_STROKES)) {
+    if (!Array.isArray(stroke)) continue;
+    const points = stroke
+      .filter(point => Array.isArray(point) && point.length >= 2
+        && Number.isFinite(point[0]) && Number.isFinite(point[1])
+        && point[0] >= 0 && point[0] <= width && point[1] >= 0 && point[1] <= height)
+      .slice(0, MAX_POINTS - pointCount)
+      .map(([x, y]) => [Math.round(x * 10) / 10, Math.round(y * 10) / 10]);
+    if (points.length === 0) continue;
+    pointCount += points.length;
+    strokes.push(points);
+  }
+  if (strokes.length === 0) return null;
+
+  const signedAt = typeof value.signedAt === 'string' && !Number.isNaN(Date.parse(value.signedAt))
+    ? new Date(value.signedAt).toISOString()
+    : '';
+  return { strokes, width, height, signedAt };
+}
+
+/**
+ * Validates the signatures of a consent.
+ *
+ * @param {*} value - Signatures from a file or the form
+ * @return {Object} Signatures by signer, or {encrypted} for encrypted signatures
+ */
+export function sanitizeSignatures(value) {
+  if (!value || typeof value !== 'object') return {};
+  if (isEncryptedSignatures(value)) {
+    return value.encrypted.length <= MAX_ENCRYPTED_LENGTH ? { encrypted: value.encrypted } : {};
+  }
+  const signatures = {};
+  SIGNERS.forEach((signer) => {
+    const signature = sanitizeSignature(value[signer]);
+    if (signature) signatures[signer] = signature;
+  });
+  return signatures;
+}
+
+/**
+ * Encrypts the signatures of a consent with a password.
+ *
+ * @param {Object} signatures - Signatures by signer
+ * @param {string} password - Password
+ * @return {Promise<{encrypted: string}>} Encrypted signatures
+ */
+export async function encryptSignatures(signatures, password) {
+  return { encrypted: await encryptData(JSON.stringify(signatures), password) };
+}
+
+/**
+ * Decrypts encrypted signatures.
+ *
+ * @param {{encrypted: string}} signatures - Encrypted signatures
+ * @param {string} password - Password
+ * @return {Promise<Object>} Signatures by signer
+ * @throws {Error} If the password is wrong or the data is damaged
+ */
+export async function decryptSignatures(signatures, password) {
+  const decrypted = await decryptData(signatures.encrypted, password);
+  return sanitizeSignatures(JSON.parse(decrypted));
+}
@@ -0,0 +1,178 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_BATCH_SIZE,
+  parseCsv,
+  requisitionsFromCsv,
+  requisitionsFromJson,
+  suggestColumnMapping,
+  validateRequisitions
+} from '@/utils/batchRequisitions';
+
+const HEADER = 'First Name,Last Name,Birthdate,Sex,Insurance,Referrer,Diagnosis,Panels';
+
+describe('parseCsv', () => {
+  it('reads the header and the rows', () => {
+    expect(parseCsv(`${HEADER}\nErika,Mustermann,1980-01-02,f,AOK,Dr. Beispiel,CKD,nephronophthise\n`)).toEqual({
+      headers: HEADER.split(','),
+      rows: [['Erika', 'Mustermann', '1980-01-02', 'f', 'AOK', 'Dr. Beispiel', 'CKD', 'nephronophthise']]
+    });
+  });
+
+  it('reads quoted fields with delimiters, line breaks and doubled quotes', () => {
+    const csv = 'Name,Diagnosis,Panels\n'
+      + '"Mustermann, Erika","Chronic kidney disease\nsince 2019, ""stage 3""","nephronophthise,alport_thin_basement"\n'
+      + 'Muster,"",\n';
+    expect(parseCsv(csv).rows).toEqual([
+      ['Mustermann, Erika', 'Chronic kidney disease\nsince 2019, "stage 3"', 'nephronophthise,alport_thin_basement'],
+      ['Muster', '', '']
+    ]);
+  });
+
+  it('keeps quotes inside unquoted fields', () => {
+    expect(parseCsv('Name,Comment\nErika,5" tall\n').rows).toEqual([['Erika', '5" tall']]);
+  });
+
+  it('removes a byte order mark and reads CRLF line breaks', () => {
+    const { headers, rows } = parseCsv('\uFEFF"First Name",Last Name\r\nErika,Mustermann\r\n"Max\r\nPeter",Muster\r\n');
+    expect(headers).toEqual(['First Name', 'Last Name']);
+    expect(rows).toEqual([['Erika', 'Mustermann'], ['Max\r\nPeter', 'Muster']]);
+  });
+
+  it('detects semicolons and tabs as delimiters', () => {
+    expect(parseCsv('Vorname;Nachname;Diagnose\nErika;Mustermann;"CKD; Stadium 3"').rows)
+      .toEqual([['Erika', 'Mustermann', 'CKD; Stadium 3']]);
+    expect(parseCsv('First Name\tLast Name\nErika\tMustermann, geb. Muster').rows)
+      .toEqual([['Erika', 'Mustermann, geb. Muster']]);
+  });
+
+  it('skips empty lines and trims the headers', () => {
+    expect(parseCsv('\n First Name , Last Name\n\nErika,Mustermann\n,\n\n')).toEqual({
+      headers: ['First Name', 'Last Name'],
+      rows: [['Erika', 'Mustermann']]
+    });
+  });
+
+  it('rejects files without a header line', () => {
+    expect(() => parseCsv('')).toThrow('The CSV file has no header line.');
+    expect(() => parseCsv('\uFEFF\r\n , \r\n')).toThrow('The CSV file has no header line.');
+  });
+});
+
+describe('suggestColumnMapping', () => {
+  it('maps English, German and camel case headers to form fields', () => {
+    expect(suggestColumnMapping([
+      'First Name', 'nachname', 'Geburtsdatum', 'sex', 'Versicherung', 'ordering_date',
+      'familyHistory', 'Order ID', 'Test', 'Kategorie'
+    ])).toEqual([
+      'firstName', 'lastName', 'birthdate', 'sex', 'insurance', 'orderingDate',
+      'familyHistory', 'orderId', 'panels', 'category'
+    ]);
+  });
+
+  it('ignores unknown columns and repeated fields', () => {
+    expect(suggestColumnMapping(['Lab number', 'Vorname', 'First Name', ''])).toEqual(['', 'firstName', '', '']);
+  });
+});
+
+describe('requisitionsFromCsv', () => {
+  it('creates form data from the mapped columns', () => {
+    const csv = parseCsv(`Lab number,${HEADER},Ordering Date,Order ID\n`
+      + '17,Erika,Mustermann,02.01.1980,W,AOK,Dr. Beispiel,"CKD, stage 3","nephronophthise; alport_thin_basement",5.3.2024,RF-AAAA-0001\n');
+    const [requisition] = requisitionsFromCsv(csv, suggestColumnMapping(csv.headers));
+    expect(requisition.patientData.personalInfo).toMatchObject({
+      firstName: 'Erika',
+      lastName: 'Mustermann',
+      birthdate: '1980-01-02',
+      sex: 'female',
+      diagnosis: 'CKD, stage 3',
+      orderingDate: '2024-03-05',
+      givenName: 'Erika',
+      familyName: 'Mustermann',
+      physicianName: 'Dr. Beispiel'
+    });
+    expect(requisition.selectedPanels).toEqual(['nephronophthise', 'alport_thin_basement']);
+    expect(requisition.patientData.selectedPanels).toEqual(requisition.selectedPanels);
+    expect(requisition.orderId).toBe('RF-AAAA-0001');
+  });
+
+  it('uses the defaults for rows without panels and category, and generates missing order IDs', () => {
+    const csv = parseCsv('First Name,Panels,Order ID\nErika,,\nMax,nephronophthise,not an ID!\n');
+    const defaults = { selectedPanels: ['alport_thin_basement'], category: 'nephrology' };
+    const [erika, max] = requisitionsFromCsv(csv, suggestColumnMapping(csv.headers), defaults);
+    expect(erika.selectedPanels).toEqual(['alport_thin_basement']);
+    expect(erika.category).toBe('nephrology');
+    expect(max.selectedPanels).toEqual(['nephronophthise']);
+    expect(max.orderId).not.toBe('not an ID!');
+    expect(erika.orderId).not.toBe(max.orderId);
+  });
+
+  it('fills columns missing at the end of a row with empty values', () => {
+    const csv = parseCsv(`${HEADER}\nErika,Mustermann\n`);
+    const [requisition] = requisitionsFromCsv(csv, suggestColumnMapping(csv.headers));
+    expect(requisition.patientData.personalInfo).toMatchObject({ firstName: 'Erika', birthdate: '', diagnosis: '' });
+  });
+
+  it('rejects more rows than a batch may have', () => {
+    const csv = parseCsv(`First Name\n${'Erika\n'.repeat(MAX_BATCH_SIZE + 1)}`);
+    expect(() => requisitionsFromCsv(csv, ['firstName']))
+      .toThrow(`A batch can have at most ${MAX_BATCH_SIZE} requisitions.`);
+  });
+});
+
+describe('requisitionsFromJson', () => {
+  it('reads flat objects and patient data with personalInfo', () => {
+    const [flat, patient] = requisitionsFromJson([
+      { vorname: 'Erika', nachname: 'Mustermann', panels: 'nephronophthise' },
+      { personalInfo: { givenName: 'Max', familyName: 'Muster' }, selectedPanels: ['alport_thin_basement'] }
+    ]);
+    expect(flat.patientData.personalInfo).toMatchObject({ firstName: 'Erika', lastName: 'Mustermann' });
+    expect(flat.selectedPanels).toEqual(['nephronophthise']);
+    expect(patient.patientData.personalInfo).toMatchObject({ firstName: 'Max', lastName: 'Muster' });
+    expect(patient.selectedPanels).toEqual(['alport_thin_basement']);
+  });
+
+  it('rejects data that is not an array', () => {
+    expect(() => requisitionsFromJson({ firstName: 'Erika' })).toThrow('The JSON file must contain an array of requisitions.');
+  });
+});
+
+describe('validateRequisitions', () => {
+  it('reports the errors of every row', () => {
+    const csv = parseCsv(`${HEADER}\n`
+      + 'Erika,Mustermann,1980-01-02,f,AOK,Dr. Beispiel,CKD,nephronophthise\n'
+      + 'Max,,1980/01/02,m,AOK,Dr. Beispiel,CKD,"nephronophthise,unknown_panel"\n'
+      + ',Muster,,,AOK,Dr. Beispiel,CKD,\n');
+    const requisitions = requisitionsFromCsv(csv, suggestColumnMapping(csv.headers));
+    expect(validateRequisitions(requisitions, ['nephronophthise'])).toEqual([
+      { index: 0, name: 'Mustermann, Erika', valid: true, errors: [] },
+      {
+        index: 1,
+        name: 'Max',
+        valid: false,
+        errors: [
+          { key: 'validation.required.lastName', params: {} },
+          { key: 'validation.invalid.birthdate', params: {} },
+          { key: 'batchPdfDialog.errors.unknownPanel', params: { id: 'unknown_panel' } }
+        ]
+      },
+      {
+        index: 2,
+        name: 'Muster',
+        valid: false,
+        errors: [
+          { key: 'validation.required.firstName', params: {} },
+          { key: 'validation.required.birthdate', params: {} },
+          { key: 'validation.required.sex', params: {} }
+        ]
+      }
+    ]);
+  });
+
+  it('does not check panels without a list of known panels', () => {
+    const requisitions = requisitionsFromJson([{
+      firstName: 'Erika', lastName: 'Mustermann', birthdate: '1980-01-02', sex: 'f',
+      insurance: 'AOK', referrer: 'Dr. Beispiel', diagnosis: 'CKD', panels: 'unknown_panel'
+    }]);
+    expect(validateRequisitions(requisitions)[0]).toMatchObject({ valid: true, errors: [] });
+  });
+});
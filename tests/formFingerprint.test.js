@@ -0,0 +1,81 @@
+// Regression check: a form with phenotypes has the same fingerprint whether it is printed
+// from the app, checked with the verify action or printed with the command line tool.
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createPinia, setActivePinia } from 'pinia';
+import { useFormStore } from '@/stores/formStore';
+import { renderRequisitionPdf } from '@/services/pdf/pdfRenderer';
+import { computeFormFingerprint, resolvePhenotypeMap } from '@/utils/formFingerprint';
+
+const PHENOTYPES = {
+  nephrology: { vesikoureteraler_reflux: 'present', megaureter: 'absent' }
+};
+
+/**
+ * Reads the fingerprint printed in the footer of a requisition PDF.
+ */
+function printedFingerprint(pdfBytes) {
+  const text = new TextDecoder('latin1').decode(pdfBytes);
+  return text.match(/Fingerprint: ([0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4})/)?.[1];
+}
+
+/**
+ * Fills the form store the way the form does: patient data, panels and the phenotype
+ * selector (which only sets the category map of the store).
+ */
+function fillForm(formStore, phenotypes) {
+  formStore.updatePatientData({
+    firstName: 'Erika',
+    lastName: 'Mustermann',
+    birthdate: '1980-01-02',
+    sex: 'female',
+    referrer: 'Dr. Beispiel'
+  });
+  formStore.patientData.selectedPanels = ['nephronophthise'];
+  formStore.patientData.category = 'nephrology';
+  formStore.orderId = 'RF-TEST-0001';
+  formStore.phenotypeDataObj = phenotypes;
+}
+
+describe('form fingerprint with phenotypes', () => {
+  let formStore;
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    formStore = useFormStore();
+  });
+
+  it('is the same for the app PDF, the verify action and the command line', async () => {
+    fillForm(formStore, PHENOTYPES);
+
+    // PDF printed from the app (see PdfGenerator.vue)
+    const appPdf = await renderRequisitionPdf(
+      { patientData: formStore.patientData, orderId: formStore.orderId },
+      { phenotypeMap: formStore.phenotypeDataObj }
+    );
+    const appFingerprint = printedFingerprint(appPdf);
+    expect(appFingerprint).toBeTruthy();
+
+    // Verify action on the current form and on the saved file
+    const formFingerprint = await computeFormFingerprint(formStore.exportFormData(), formStore.phenotypeDataObj);
+    const savedFile = JSON.parse(JSON.stringify(formStore.exportFormData()));
+    const fileFingerprint = await computeFormFingerprint(savedFile);
+
+    // Command line tool on the saved file (see cli/requiform-pdf.js)
+    const cliFingerprint = printedFingerprint(await renderRequisitionPdf(savedFile));
+
+    expect(resolvePhenotypeMap(savedFile)).toEqual(PHENOTYPES);
+    expect(formFingerprint.fingerprint).toBe(appFingerprint);
+    expect(fileFingerprint.fingerprint).toBe(appFingerprint);
+    expect(cliFingerprint).toBe(appFingerprint);
+  });
+
+  it('changes with the phenotypes', async () => {
+    fillForm(formStore, PHENOTYPES);
+    const withPhenotypes = await computeFormFingerprint(formStore.exportFormData());
+
+    formStore.phenotypeDataObj = {};
+    const withoutPhenotypes = await computeFormFingerprint(formStore.exportFormData());
+
+    expect(withoutPhenotypes.fingerprint).not.toBe(withPhenotypes.fingerprint);
+  });
+});
@@ -0,0 +1,76 @@
+// Reads the pages of the uncompressed PDFs jsPDF writes: their content streams and the
+// QR codes of the images they draw.
+import jsQR from 'jsqr';
+
+// White border added around images before scanning, as QR images carry a small margin only
+const SCAN_PADDING = 16;
+
+/**
+ * Splits a PDF into its objects: {number: {dict, stream}}, stream as latin1 string.
+ */
+function readObjects(text) {
+  const objects = {};
+  const pattern = /(\d+) 0 obj\s*([\s\S]*?)endobj/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const body = match[2];
+    const streamStart = body.search(/stream\r?\n/);
+    if (streamStart < 0) {
+      objects[match[1]] = { dict: body, stream: null };
+    } else {
+      const start = streamStart + body.slice(streamStart).indexOf('\n') + 1;
+      objects[match[1]] = { dict: body.slice(0, streamStart), stream: body.slice(start, body.lastIndexOf('endstream')) };
+    }
+  }
+  return objects;
+}
+
+/**
+ * Decodes an unfiltered 8-bit RGB or gray image XObject into RGBA pixels with a white border.
+ */
+function toImageData({ dict, stream }) {
+  if (/\/Filter/.test(dict)) {
+    throw new Error('Filtered images are not supported');
+  }
+  const width = Number(dict.match(/\/Width (\d+)/)[1]);
+  const height = Number(dict.match(/\/Height (\d+)/)[1]);
+  const colors = /\/DeviceGray/.test(dict) ? 1 : 3;
+  const paddedWidth = width + 2 * SCAN_PADDING;
+  const paddedHeight = height + 2 * SCAN_PADDING;
+  const data = new Uint8ClampedArray(paddedWidth * paddedHeight * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * colors;
+      const target = ((y + SCAN_PADDING) * paddedWidth + x + SCAN_PADDING) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[target + c] = stream.charCodeAt(source + (colors === 1 ? 0 : c));
+      }
+    }
+  }
+  return { data, width: paddedWidth, height: paddedHeight };
+}
+
+/**
+ * Returns the pages of a PDF in order, with the text of their content stream and the
+ * decoded QR codes of the images drawn on them (null for images without QR code).
+ *
+ * @param {Uint8Array} bytes - PDF written by jsPDF without compression
+ * @return {{content: string, qrCodes: Array<string|null>}[]} Pages
+ */
+export function readPdfPages(bytes) {
+  const objects = readObjects(new TextDecoder('latin1').decode(bytes));
+  const pageTree = Object.values(objects).find(object => /\/Type \/Pages\b/.test(object.dict));
+  const kids = [...pageTree.dict.match(/\/Kids \[([^\]]*)\]/)[1].matchAll(/(\d+) 0 R/g)].map(match => match[1]);
+  const resources = Object.values(objects).map(object => object.dict).join('\n');
+  const xObjects = Object.fromEntries([...resources.matchAll(/\/(I\d+) (\d+) 0 R/g)].map(match => [match[1], match[2]]));
+
+  return kids.map((pageNumber) => {
+    const contentNumber = objects[pageNumber].dict.match(/\/Contents (\d+) 0 R/)[1];
+    const content = objects[contentNumber].stream;
+    const qrCodes = [...content.matchAll(/\/(I\d+) Do/g)].map(([, name]) => {
+      const image = toImageData(objects[xObjects[name]]);
+      return jsQR(image.data, image.width, image.height)?.data ?? null;
+    });
+    return { content, qrCodes };
+  });
+}
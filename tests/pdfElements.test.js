@@ -0,0 +1,102 @@
+import { describe, expect, it, vi } from 'vitest';
+import { jsPDF } from 'jspdf';
+import { renderSection, usesTemplatePlaceholder } from '@/services/pdf/pdfElements';
+
+// Three lines of 10 pt, so the text grows by 20 pt beyond its template position
+const FLOWING = { type: 'text', content: 'First line\nSecond line\nThird line', maxWidth: 400, lineHeight: 10 };
+
+/**
+ * Renders a section and returns the y position each line of text was drawn at.
+ */
+function renderLines(elements, mapping = {}) {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const text = vi.spyOn(doc, 'text');
+  renderSection(doc, { elements }, mapping, 'en');
+  return Object.fromEntries(text.mock.calls.map(([line, , y]) => [line, y]));
+}
+
+/**
+ * Returns a text element at a template position.
+ */
+function text(content, y, extra = {}) {
+  return { type: 'text', content, position: { x: 40, y }, ...extra };
+}
+
+describe('renderSection layout', () => {
+  it('moves elements below flowing text down by the lines it adds', () => {
+    const lines = renderLines([
+      text('Above', 90),
+      { ...FLOWING, position: { x: 40, y: 100 } },
+      text('Beside', 100),
+      text('Below', 120),
+      { type: 'line', start: { x: 40, y: 130 }, end: { x: 200, y: 130 } }
+    ]);
+    expect(lines).toEqual({
+      Above: 90,
+      'First line': 100,
+      'Second line': 110,
+      'Third line': 120,
+      Beside: 100,
+      Below: 140
+    });
+  });
+
+  it('repeats elements per item, step apart, and moves the elements below by the added items', () => {
+    const lines = renderLines([
+      { type: 'repeat', each: 'panels', as: 'panel', step: 14, position: { x: 0, y: 200 }, elements: [text('{{index}}. {{panel.name}}', 0)] },
+      text('After', 220)
+    ], { panels: [{ name: 'A' }, { name: 'B' }, { name: 'C' }] });
+    expect(lines).toEqual({ '1. A': 200, '2. B': 214, '3. C': 228, After: 248 });
+  });
+
+  it('moves the elements below up by one step if the list is empty', () => {
+    const lines = renderLines([
+      { type: 'repeat', each: 'panels', step: 14, position: { x: 0, y: 200 }, elements: [text('{{item.name}}', 0)] },
+      text('After', 220)
+    ], { panels: [] });
+    expect(lines).toEqual({ After: 206 });
+  });
+
+  it('adds the growth of flowing text in an item to the items after it', () => {
+    const lines = renderLines([
+      { type: 'repeat', each: 'panels', step: 14, position: { x: 0, y: 200 }, elements: [
+        { ...FLOWING, content: '{{item.name}}', position: { x: 40, y: 0 }, if: 'item.long' },
+        text('{{item.name}}', 0, { if: '!item.long' })
+      ] },
+      text('After', 220)
+    ], { panels: [{ name: 'Short' }, { name: 'Long\nLong 2\nLong 3', long: true }, { name: 'Last' }] });
+    expect(lines).toEqual({ Short: 200, Long: 214, 'Long 2': 224, 'Long 3': 234, Last: 248, After: 268 });
+  });
+
+  it('moves elements below a repeat under flowing text by both', () => {
+    const lines = renderLines([
+      { ...FLOWING, position: { x: 40, y: 100 } },
+      { type: 'repeat', each: 'panels', step: 14, position: { x: 0, y: 200 }, elements: [text('{{item.name}}', 0)] },
+      text('After', 220)
+    ], { panels: [{ name: 'A' }, { name: 'B' }] });
+    expect(lines).toMatchObject({ A: 220, B: 234, After: 254 });
+  });
+
+  it('does not move elements for skipped or failing elements', () => {
+    const lines = renderLines([
+      { ...FLOWING, position: { x: 40, y: 100 }, if: 'hidden' },
+      { type: 'repeat', each: 'panels', as: 'not a name', position: { x: 0, y: 150 }, elements: [] },
+      text('Below', 200)
+    ], { panels: [{}, {}] });
+    expect(lines).toEqual({ Below: 200 });
+  });
+});
+
+describe('usesTemplatePlaceholder', () => {
+  it('finds placeholders in texts, localized texts, image sources and repeats', () => {
+    expect(usesTemplatePlaceholder([text('Page {{ page }}', 0)], 'page')).toBe(true);
+    expect(usesTemplatePlaceholder([{ ...text('', 0), contents: { de: 'Seite {{page}}' } }], 'page')).toBe(true);
+    expect(usesTemplatePlaceholder([{ type: 'image', source: '{{page}}' }], 'page')).toBe(true);
+    expect(usesTemplatePlaceholder([{ type: 'repeat', elements: [text('{{page}}', 0)] }], 'page')).toBe(true);
+  });
+
+  it('does not take other placeholders for the name', () => {
+    expect(usesTemplatePlaceholder([text('{{pageCount}} {{item.page}}', 0)], 'page')).toBe(false);
+    expect(usesTemplatePlaceholder(undefined, 'page')).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import {
+  evaluateTemplateExpression,
+  isTemplateValueTrue,
+  resolveTemplatePath
+} from '@/services/pdf/pdfExpressions';
+
+const DATA = {
+  patient: { firstName: 'Erika', sex: 'female', age: 9 },
+  panels: [{ name: 'Nephronophthisis' }],
+  urgent: true,
+  comments: '',
+  count: 0
+};
+
+describe('resolveTemplatePath', () => {
+  it('reads nested values and list items', () => {
+    expect(resolveTemplatePath(DATA, 'patient.firstName')).toBe('Erika');
+    expect(resolveTemplatePath(DATA, 'panels.0.name')).toBe('Nephronophthisis');
+    expect(resolveTemplatePath(DATA, 'panels.length')).toBe(1);
+  });
+
+  it('returns undefined for missing paths', () => {
+    expect(resolveTemplatePath(DATA, 'patient.lastName')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, 'insurance.name')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, 'patient.firstName.first')).toBeUndefined();
+    expect(resolveTemplatePath(null, 'patient')).toBeUndefined();
+  });
+
+  it('does not read __proto__, constructor or prototype', () => {
+    // Parsed JSON can have these names as own properties
+    const data = JSON.parse('{"__proto__": {"x": 1}, "constructor": {"x": 2}, "item": {"prototype": {"x": 3}}}');
+    expect(resolveTemplatePath(data, '__proto__.x')).toBeUndefined();
+    expect(resolveTemplatePath(data, 'constructor.x')).toBeUndefined();
+    expect(resolveTemplatePath(data, 'item.prototype.x')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, '__proto__')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, 'constructor')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, 'patient.constructor.prototype')).toBeUndefined();
+  });
+
+  it('reads own properties only', () => {
+    expect(resolveTemplatePath(DATA, 'toString')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, 'patient.hasOwnProperty')).toBeUndefined();
+    expect(resolveTemplatePath(DATA, 'panels.map')).toBeUndefined();
+  });
+});
+
+describe('isTemplateValueTrue', () => {
+  it('takes empty values, zero and false as false', () => {
+    [undefined, null, false, 0, '', '  ', []].forEach(value => expect(isTemplateValueTrue(value)).toBe(false));
+    [true, 1, 'no', ['x'], {}].forEach(value => expect(isTemplateValueTrue(value)).toBe(true));
+  });
+});
+
+describe('evaluateTemplateExpression', () => {
+  it('binds ! tighter than && and && tighter than ||', () => {
+    expect(evaluateTemplateExpression('true || false && false', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('(true || false) && false', DATA)).toBe(false);
+    expect(evaluateTemplateExpression('!false && false', DATA)).toBe(false);
+    expect(evaluateTemplateExpression('!(false && false)', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('!!urgent', DATA)).toBe(true);
+  });
+
+  it('binds comparisons tighter than ! and the logical operators', () => {
+    expect(evaluateTemplateExpression('patient.sex == "female" && patient.age < 18', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('patient.sex == "male" || patient.age >= 9', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('!patient.sex == "male"', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('!(patient.sex == "female")', DATA)).toBe(false);
+  });
+
+  it('returns the value of a path or literal', () => {
+    expect(evaluateTemplateExpression('panels', DATA)).toBe(DATA.panels);
+    expect(evaluateTemplateExpression('"a \\"quoted\\" text"', DATA)).toBe('a "quoted" text');
+    expect(evaluateTemplateExpression('null', DATA)).toBeNull();
+    expect(evaluateTemplateExpression('1.5', DATA)).toBe(1.5);
+  });
+
+  it('compares as strings unless both values are numbers', () => {
+    expect(evaluateTemplateExpression('patient.age == "9"', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('patient.age == 9.0', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('patient.age > 10', DATA)).toBe(false);
+    expect(evaluateTemplateExpression('"b" > "a"', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('patient.firstName != "Erika"', DATA)).toBe(false);
+  });
+
+  it('takes missing and empty values as equal to "" and null', () => {
+    expect(evaluateTemplateExpression('comments == ""', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('comments == null', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('patient.lastName == ""', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('patient.lastName', DATA)).toBeUndefined();
+    expect(evaluateTemplateExpression('patient.lastName && true', DATA)).toBe(false);
+    expect(evaluateTemplateExpression('count || comments', DATA)).toBe(false);
+  });
+
+  it('does not read blocked names in expressions', () => {
+    expect(evaluateTemplateExpression('constructor', DATA)).toBeUndefined();
+    expect(evaluateTemplateExpression('__proto__', DATA)).toBeUndefined();
+    expect(evaluateTemplateExpression('hasOwnProperty', DATA)).toBeUndefined();
+    expect(evaluateTemplateExpression('patient.__proto__ == null', DATA)).toBe(true);
+    expect(evaluateTemplateExpression('!toString', DATA)).toBe(true);
+  });
+
+  it('rejects malformed expressions', () => {
+    const errors = {
+      'urgent &': 'unexpected character at position 8',
+      'urgent = 1': 'unexpected character at position 8',
+      'patient.': 'unexpected character at position 8',
+      '-1': 'unexpected character at position 1',
+      'urgent &&': 'unexpected end',
+      '(urgent': 'missing ")"',
+      'urgent)': 'unexpected ")"',
+      'urgent urgent': 'unexpected "urgent"',
+      'count == 1 == 1': 'unexpected "=="',
+      '"open': 'unexpected character at position 1',
+      '': 'empty expression',
+      '  ': 'empty expression'
+    };
+    Object.entries(errors).forEach(([expression, reason]) => {
+      expect(() => evaluateTemplateExpression(expression, DATA))
+        .toThrow(`Invalid template expression "${expression}": ${reason}`);
+    });
+  });
+});
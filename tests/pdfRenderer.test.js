@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { renderRequisitionBatchPdf, renderRequisitionPdf } from '@/services/pdf/pdfRenderer';
+import { QR_ENCRYPTION_MODES } from '@/utils/qrEncryption';
+import defaultConfig from '@/data/pdfConfig.json';
+import { readPdfPages } from './helpers/pdfContent';
+
+/**
+ * Exported form data of a requisition with the default template.
+ */
+function requisition(orderId, firstName) {
+  return {
+    patientData: {
+      personalInfo: { firstName, lastName: 'Mustermann', birthdate: '1980-01-02', sex: 'female' },
+      selectedPanels: ['nephronophthise']
+    },
+    orderId
+  };
+}
+
+// Lab key mode with a key ID the encryption refuses, as after a misconfiguration
+const BROKEN_ENCRYPTION = { mode: QR_ENCRYPTION_MODES.LAB_KEY, labKey: 'lab-key', keyId: 'not a key ID' };
+const PHENOTYPES = { nephrology: { vesikoureteraler_reflux: 'present' } };
+
+/**
+ * Returns the page numbers ("Page 1 of 2") printed on every page of a PDF.
+ */
+function printedPageNumbers(pdf) {
+  return readPdfPages(pdf).map(({ content }) => content.match(/Page \d+ of \d+/g));
+}
+
+describe('renderRequisitionPdf', () => {
+  it('reports QR codes that could not be generated', async () => {
+    const warnings = [];
+    const pdf = await renderRequisitionPdf(requisition('RF-AAAA-0001', 'Erika'), {
+      locale: 'en',
+      phenotypeMap: PHENOTYPES,
+      qrEncryption: BROKEN_ENCRYPTION,
+      onWarning: warning => warnings.push(warning)
+    });
+
+    expect(warnings.map(warning => warning.qrCode)).toEqual(['patient', 'phenotype']);
+    warnings.forEach(warning => expect(warning.message).toMatch(/key ID/));
+    // The PDF is still rendered, with the order ID QR code of the banner only
+    expect(readPdfPages(pdf).flatMap(page => page.qrCodes).filter(Boolean)).toEqual(['RF-AAAA-0001', 'RF-AAAA-0001']);
+  });
+
+  it('reports nothing when all QR codes are generated', async () => {
+    const warnings = [];
+    await renderRequisitionPdf(requisition('RF-AAAA-0001', 'Erika'), {
+      phenotypeMap: PHENOTYPES,
+      onWarning: warning => warnings.push(warning)
+    });
+    expect(warnings).toEqual([]);
+  });
+});
+
+describe('page numbers', () => {
+  const banner = defaultConfig.patientBanner;
+
+  it('prints the page number once, in the patient banner of the default template', async () => {
+    const pages = printedPageNumbers(await renderRequisitionPdf(requisition('RF-AAAA-0001', 'Erika'), { locale: 'en', phenotypeMap: PHENOTYPES }));
+    expect(pages).toEqual([['Page 1 of 2'], ['Page 2 of 2']]);
+  });
+
+  it('prints the page number footer without the patient banner', async () => {
+    const pdfConfig = { ...defaultConfig, patientBanner: { ...banner, enabled: false } };
+    const pdf = await renderRequisitionPdf(requisition('RF-AAAA-0001', 'Erika'), { locale: 'en', phenotypeMap: PHENOTYPES, pdfConfig });
+    expect(printedPageNumbers(pdf)).toEqual([['Page 1 of 2'], ['Page 2 of 2']]);
+    expect(readPdfPages(pdf)[0].content).not.toMatch(/Order ID RF-AAAA-0001/);
+  });
+
+  it('prints the page number footer if the patient banner does not show the page number', async () => {
+    const elements = banner.elements.filter(element => element.id !== 'patientBannerPage');
+    const pdfConfig = { ...defaultConfig, patientBanner: { ...banner, elements } };
+    const pdf = await renderRequisitionPdf(requisition('RF-AAAA-0001', 'Erika'), { locale: 'en', phenotypeMap: PHENOTYPES, pdfConfig });
+    expect(printedPageNumbers(pdf)).toEqual([['Page 1 of 2'], ['Page 2 of 2']]);
+    expect(readPdfPages(pdf)[0].content).toMatch(/Order ID RF-AAAA-0001/);
+  });
+});
+
+describe('renderRequisitionBatchPdf', () => {
+  it('reports missing QR codes with the index of their requisition', async () => {
+    const warnings = [];
+    await renderRequisitionBatchPdf([requisition('RF-AAAA-0001', 'Erika'), requisition('RF-BBBB-0002', 'Anna')], {
+      qrSigning: { enabled: true, algorithm: 'HMAC', keyId: 'lab1' },
+      onWarning: warning => warnings.push(warning)
+    });
+    expect(warnings.map(({ index, qrCode }) => ({ index, qrCode }))).toEqual([
+      { index: 0, qrCode: 'patient' },
+      { index: 1, qrCode: 'patient' }
+    ]);
+  });
+
+  it('prints the order ID of its own requisition in the patient banner QR code of every page', async () => {
+    const pages = readPdfPages(await renderRequisitionBatchPdf([
+      requisition('RF-AAAA-0001', 'Erika'),
+      requisition('RF-BBBB-0002', 'Anna')
+    ], { locale: 'en' }));
+
+    const banners = pages.map(({ content, qrCodes }) => ({
+      printed: content.match(/Order ID (RF-[A-Z0-9-]+)/)[1],
+      qrCodes
+    }));
+    expect(banners.map(banner => banner.printed)).toContain('RF-AAAA-0001');
+    expect(banners.map(banner => banner.printed)).toContain('RF-BBBB-0002');
+    banners.forEach(({ printed, qrCodes }) => {
+      const orderIds = qrCodes.filter(code => /^RF-/.test(code || ''));
+      expect(orderIds).toEqual([printed]);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, expect, it } from 'vitest';
+import {
+  QR_CODEC_VERSION,
+  QR_PAYLOAD_TYPES,
+  decodeQrPayload,
+  encodeQrPayload,
+  migrateQrPayload,
+  validateQrPayload
+} from '@/utils/qrCodec';
+
+const PATIENT = {
+  firstName: 'Erika',
+  lastName: 'Mustermann',
+  birthdate: '1980-01-02',
+  sex: 'female',
+  insurance: 'AOK',
+  insuranceId: 'A123456789',
+  referrer: 'Dr. Beispiel',
+  diagnosis: 'CKD',
+  orderId: '',
+  hashedId: ''
+};
+
+describe('decodeQrPayload with v1 payloads', () => {
+  it('reads the positional patient array', () => {
+    const v1 = [1, 1, ['Erika', 'Mustermann', '1980-01-02', 'female', 'AOK', 'A123456789', 'Dr. Beispiel', 'CKD'], ['nephronophthise']];
+    expect(decodeQrPayload(JSON.stringify(v1))).toEqual({
+      type: QR_PAYLOAD_TYPES.PATIENT,
+      version: 1,
+      data: { patient: PATIENT, selectedTests: ['nephronophthise'] }
+    });
+  });
+
+  it('reads the phenotype array with the string, array and object item formats', () => {
+    const { type, version, data } = decodeQrPayload('[1,2,["+123","-456",[789,1],{"i":"HP:0000012","p":false}]]');
+    expect(type).toBe(QR_PAYLOAD_TYPES.PHENOTYPE);
+    expect(version).toBe(1);
+    expect(data.phenotypes).toEqual([
+      { id: 'HP:0000123', present: true },
+      { id: 'HP:0000456', present: false },
+      { id: 'HP:0000789', present: true },
+      { id: 'HP:0000012', present: false }
+    ]);
+  });
+
+  it('reads PED rows and image references of the pedigree', () => {
+    expect(decodeQrPayload('[2,[[1,1,0,0,1,2]]]').data.pedigree).toEqual([2, [[1, 1, 0, 0, 1, 2]]]);
+    expect(decodeQrPayload('[3,[2,[[1,1,0,0,1,2]]]]').data.pedigree).toEqual([2, [[1, 1, 0, 0, 1, 2]]]);
+    expect(decodeQrPayload('[0]')).toEqual({ type: QR_PAYLOAD_TYPES.PEDIGREE, version: 1, data: { pedigree: null } });
+  });
+
+  it('reads the complete object', () => {
+    const v1 = { v: '1.0', t: 'c', p: { fn: 'Erika', ln: 'Mustermann' }, ts: ['nephronophthise'], ph: ['+123'], pd: { f: 'ped', d: [2, [[1, 1, 0, 0, 2, 1]]] } };
+    const { type, version, data } = decodeQrPayload(JSON.stringify(v1));
+    expect(type).toBe(QR_PAYLOAD_TYPES.COMPLETE);
+    expect(version).toBe(1);
+    expect(data.patient).toMatchObject({ firstName: 'Erika', lastName: 'Mustermann', birthdate: '' });
+    expect(data.selectedTests).toEqual(['nephronophthise']);
+    expect(data.phenotypes).toEqual([{ id: 'HP:0000123', present: true }]);
+    expect(data.pedigree).toEqual([2, [[1, 1, 0, 0, 2, 1]]]);
+  });
+});
+
+describe('migrateQrPayload', () => {
+  it('migrates v1 to the current version', () => {
+    const { envelope, version } = migrateQrPayload([1, 1, ['Erika', 'Mustermann'], ['nephronophthise']]);
+    expect(version).toBe(1);
+    expect(envelope).toEqual({ v: QR_CODEC_VERSION, t: 'p', p: { fn: 'Erika', ln: 'Mustermann' }, ts: ['nephronophthise'] });
+  });
+
+  it('migrates v1 phenotypes and drops codes that are not HPO terms', () => {
+    const { envelope } = migrateQrPayload([1, 2, ['+123', '+12345678', 'x1']]);
+    expect(envelope).toEqual({ v: QR_CODEC_VERSION, t: 'ph', ph: ['+123'] });
+  });
+
+  it('migrates v2 envelopes unchanged apart from the version', () => {
+    const v2 = { v: 2, t: 'c', p: { fn: 'Erika' }, ts: [], ph: ['-456'], pd: { f: 'img' } };
+    const { envelope, version } = migrateQrPayload(v2);
+    expect(version).toBe(2);
+    expect(envelope).toEqual({ ...v2, v: QR_CODEC_VERSION });
+    expect(() => validateQrPayload(envelope)).not.toThrow();
+  });
+
+  it('migrates v3 envelopes with requisition fields unchanged apart from the version', () => {
+    const v3 = { v: 3, t: 'c', p: {}, ts: [], ph: [], r: { cm: 'Urgent', vs: true, gd: { p: 'form', n: 'Erika' } } };
+    const { envelope, version } = migrateQrPayload(v3);
+    expect(version).toBe(3);
+    expect(envelope).toEqual({ ...v3, v: QR_CODEC_VERSION });
+    expect(decodeQrPayload(JSON.stringify(v3)).data.requisition).toMatchObject({
+      comments: 'Urgent',
+      variantSegregationRequested: true,
+      genDGConsentData: { provided: 'form', form: { consentName: 'Erika' } }
+    });
+  });
+
+  it('keeps envelopes of the current version as they are', () => {
+    const current = { v: QR_CODEC_VERSION, t: 'p', p: {}, ts: [], fp: '7K2M9XQ4TD3P' };
+    expect(migrateQrPayload(current)).toEqual({ envelope: current, version: QR_CODEC_VERSION });
+  });
+});
+
+describe('unknown versions', () => {
+  it('rejects newer versions', () => {
+    expect(() => decodeQrPayload(JSON.stringify({ v: QR_CODEC_VERSION + 1, t: 'p', p: {}, ts: [] })))
+      .toThrow(`QR payload version ${QR_CODEC_VERSION + 1} is newer than the supported version ${QR_CODEC_VERSION}`);
+  });
+
+  it('rejects versions below 1', () => {
+    expect(() => decodeQrPayload('{"v":0,"t":"p","p":{},"ts":[]}')).toThrow('QR payload version 0 is not supported.');
+  });
+
+  it('rejects payloads without a recognizable version', () => {
+    expect(() => decodeQrPayload('{"v":"2.0","t":"p","p":{},"ts":[]}')).toThrow('QR payload has no recognizable version.');
+    expect(() => decodeQrPayload('"RF-AAAA-0001"')).toThrow('QR payload has no recognizable version.');
+  });
+
+  it('rejects v1 arrays of an unknown structure', () => {
+    expect(() => decodeQrPayload('[9,9]')).toThrow('QR payload format is not recognized.');
+  });
+
+  it('rejects text that is not JSON', () => {
+    expect(() => decodeQrPayload('RF-AAAA-0001')).toThrow('QR code does not contain RequiForm data.');
+  });
+});
+
+describe('schema validation', () => {
+  const invalid = {
+    'an unknown type': { v: QR_CODEC_VERSION, t: 'x' },
+    'a missing required field': { v: QR_CODEC_VERSION, t: 'p', p: {} },
+    'an unknown field': { v: QR_CODEC_VERSION, t: 'p', p: {}, ts: [], extra: 1 },
+    'an unknown patient field': { v: QR_CODEC_VERSION, t: 'p', p: { name: 'Erika' }, ts: [] },
+    'a phenotype code that is not an HPO term': { v: QR_CODEC_VERSION, t: 'ph', ph: ['+abc'] },
+    'an order ID with other characters': { v: QR_CODEC_VERSION, t: 'p', p: { oid: 'RF 0001' }, ts: [] },
+    'a malformed fingerprint': { v: QR_CODEC_VERSION, t: 'p', p: {}, ts: [], fp: '7K2M-9XQ4-TD3P' },
+    'PED rows of the wrong length': { v: QR_CODEC_VERSION, t: 'pd', pd: { f: 'ped', d: [[1, 1, 0]] } }
+  };
+
+  Object.entries(invalid).forEach(([name, envelope]) => {
+    it(`rejects ${name}`, () => {
+      expect(() => validateQrPayload(envelope)).toThrow(/^Invalid QR payload: /);
+      expect(() => decodeQrPayload(JSON.stringify(envelope))).toThrow(/^Invalid QR payload: /);
+    });
+  });
+
+  it('validates migrated payloads, so invalid v1 data is rejected', () => {
+    expect(() => decodeQrPayload(JSON.stringify([1, 1, ['x'.repeat(201)], []]))).toThrow(/^Invalid QR payload: /);
+  });
+});
+
+describe('encodeQrPayload', () => {
+  it('round-trips the payload types of the current version', () => {
+    const patient = { ...PATIENT, orderId: 'RF-AAAA-0001' };
+    const text = encodeQrPayload(QR_PAYLOAD_TYPES.PATIENT, {
+      patient,
+      selectedTests: ['nephronophthise'],
+      fingerprint: '7K2M-9XQ4-TD3P'
+    });
+    expect(JSON.parse(text)).toMatchObject({ v: QR_CODEC_VERSION, t: 'p', fp: '7K2M9XQ4TD3P' });
+    expect(decodeQrPayload(text)).toEqual({
+      type: QR_PAYLOAD_TYPES.PATIENT,
+      version: QR_CODEC_VERSION,
+      data: { patient, selectedTests: ['nephronophthise'], fingerprint: '7K2M9XQ4TD3P' }
+    });
+
+    const phenotypes = [{ id: 'HP:0000123', present: true }, { id: 'HP:0000456', present: false }];
+    expect(decodeQrPayload(encodeQrPayload(QR_PAYLOAD_TYPES.PHENOTYPE, { phenotypes })).data.phenotypes).toEqual(phenotypes);
+  });
+
+  it('refuses to encode data that does not match the schema', () => {
+    expect(() => encodeQrPayload(QR_PAYLOAD_TYPES.PATIENT, { patient: { firstName: 'x'.repeat(201) } }))
+      .toThrow(/^Invalid QR payload: /);
+    expect(() => encodeQrPayload('unknown', {})).toThrow('Unknown QR payload type: unknown');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import {
+  compressQrPayload,
+  decodeBase45,
+  decompressQrPayload,
+  encodeBase45,
+  estimateQrDataBits,
+  isCompressedQrPayload
+} from '@/utils/qrCompression';
+
+const PAYLOAD = JSON.stringify({
+  v: 4,
+  t: 'c',
+  p: { fn: 'Erika', ln: 'Mustermann', bd: '1980-01-02', sx: 'female', dx: 'Chronic kidney disease, chronic kidney disease' },
+  ts: ['nephronophthise', 'nephrotisches_syndrom_fsgs_alport', 'alport_thin_basement'],
+  ph: ['+123', '-456', '+789', '-1012', '+3456', '-7890']
+});
+
+describe('base45', () => {
+  // Test vectors of RFC 9285
+  const vectors = [
+    ['AB', 'BB8'],
+    ['Hello!!', '%69 VD92EX0'],
+    ['base-45', 'UJCLQE7W581'],
+    ['ietf!', 'QED8WEX0']
+  ];
+
+  vectors.forEach(([text, encoded]) => {
+    it(`encodes and decodes "${text}"`, () => {
+      const bytes = new TextEncoder().encode(text);
+      expect(encodeBase45(bytes)).toBe(encoded);
+      expect(new TextDecoder().decode(decodeBase45(encoded))).toBe(text);
+    });
+  });
+
+  it('rejects invalid base45 data', () => {
+    expect(() => decodeBase45('GGW')).toThrow('Invalid base45 data: value out of range.');
+    expect(() => decodeBase45('ABCD')).toThrow('Invalid base45 data: unexpected length.');
+    expect(() => decodeBase45('ab!')).toThrow('Invalid base45 data: unexpected character "a".');
+  });
+});
+
+describe('compressQrPayload', () => {
+  it('round-trips a payload through deflate and base45', async () => {
+    const compressed = await compressQrPayload(PAYLOAD);
+    expect(compressed).toMatch(/^RQZ:1:[0-9A-Z $%*+\-./:]+$/);
+    expect(isCompressedQrPayload(compressed)).toBe(true);
+    expect(estimateQrDataBits(compressed)).toBeLessThan(estimateQrDataBits(PAYLOAD));
+    expect(await decompressQrPayload(compressed)).toBe(PAYLOAD);
+  });
+
+  it('keeps payloads that do not get smaller', async () => {
+    const payload = '{"v":4,"t":"ph","ph":["+123"]}';
+    expect(await compressQrPayload(payload)).toBe(payload);
+  });
+
+  it('compares the sizes in bytes in byte mode', async () => {
+    // Smaller in alphanumeric mode, but base45 takes more bytes than deflate saves
+    expect(await compressQrPayload(PAYLOAD)).not.toBe(PAYLOAD);
+    expect(await compressQrPayload(PAYLOAD, { byteMode: true })).toBe(PAYLOAD);
+
+    const large = JSON.stringify({ v: 4, t: 'ph', ph: Array.from({ length: 200 }, (_, index) => `+${1000 + index}`) });
+    const compressed = await compressQrPayload(large, { byteMode: true });
+    expect(compressed.length).toBeLessThan(large.length);
+    expect(await decompressQrPayload(compressed)).toBe(large);
+  });
+});
+
+describe('decompressQrPayload', () => {
+  it('returns texts without the compression header unchanged', async () => {
+    expect(await decompressQrPayload(PAYLOAD)).toBe(PAYLOAD);
+    expect(await decompressQrPayload('RQS:H::abc:RQZ:1:ABC')).toBe('RQS:H::abc:RQZ:1:ABC');
+  });
+
+  it('rejects unknown schemes and corrupted data', async () => {
+    await expect(decompressQrPayload('RQZ:2:ABC')).rejects.toThrow('Unsupported QR compression scheme: 2');
+    await expect(decompressQrPayload('RQZ:1:ABCD')).rejects.toThrow('Invalid base45 data');
+    await expect(decompressQrPayload('RQZ:1:ZZZZZZ')).rejects.toThrow();
+  });
+
+  it('stops at 1 MB of decompressed data', async () => {
+    const bomb = await compressQrPayload('0'.repeat(1024 * 1024 + 1));
+    await expect(decompressQrPayload(bomb)).rejects.toThrow('Compressed QR payload is too large.');
+  });
+});
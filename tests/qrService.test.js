@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import {
+  fitQrPayload,
+  getMaxQrVersion,
+  parseQrPart,
+  reassembleQrParts,
+  selectQrParameters,
+  splitQrPayload
+} from '@/utils/qrService';
+
+// Payload with multi-byte characters, which must not be cut in half
+const PAYLOAD = JSON.stringify({ v: 4, t: 'p', p: { fn: 'Jürgen', ln: 'Müller-Łukasiewicz' }, ts: ['nephronophthise', 'alport_thin_basement'] });
+
+/**
+ * Returns a reproducible text of base45 characters, which deflate cannot shrink,
+ * like a compressed payload.
+ */
+function compressedLikeText(length) {
+  const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+  let seed = 42;
+  return 'RQZ:1:' + Array.from({ length }, () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return charset[seed % charset.length];
+  }).join('');
+}
+
+describe('multi-part QR code series', () => {
+  it('keeps a payload that fits into one QR code unchanged', () => {
+    expect(splitQrPayload(PAYLOAD, PAYLOAD.length)).toEqual([PAYLOAD]);
+  });
+
+  it('splits a payload into numbered parts with the checksum of the payload', () => {
+    const parts = splitQrPayload(PAYLOAD, 20);
+    expect(parts.length).toBe(Math.ceil(Array.from(PAYLOAD).length / 20));
+    parts.forEach((part, index) => {
+      const parsed = parseQrPart(part);
+      expect(parsed).toMatchObject({ index: index + 1, total: parts.length });
+      expect(parsed.checksum).toMatch(/^[0-9A-F]{8}$/);
+      expect(Array.from(parsed.chunk).length).toBeLessThanOrEqual(20);
+    });
+    expect(new Set(parts.map(part => parseQrPart(part).checksum)).size).toBe(1);
+  });
+
+  it('reassembles the parts to the payload', () => {
+    expect(reassembleQrParts(splitQrPayload(PAYLOAD, 20))).toEqual({ payloads: [PAYLOAD], incomplete: [] });
+  });
+
+  it('reassembles parts scanned in any order, next to other codes and series', () => {
+    const other = 'x'.repeat(50);
+    const parts = splitQrPayload(PAYLOAD, 20);
+    const otherParts = splitQrPayload(other, 20);
+    const scanned = ['RF-AAAA-0001', ...otherParts.slice(1), ...parts.slice().reverse(), otherParts[0]];
+
+    const { payloads, incomplete } = reassembleQrParts(scanned);
+    expect(incomplete).toEqual([]);
+    expect(payloads).toHaveLength(3);
+    expect(payloads).toEqual(expect.arrayContaining(['RF-AAAA-0001', PAYLOAD, other]));
+  });
+
+  it('ignores parts scanned twice', () => {
+    const parts = splitQrPayload(PAYLOAD, 20);
+    expect(reassembleQrParts([...parts, parts[1]]).payloads).toEqual([PAYLOAD]);
+  });
+
+  it('reports a series with missing parts as incomplete', () => {
+    const parts = splitQrPayload(PAYLOAD, 20);
+    const { payloads, incomplete } = reassembleQrParts(parts.filter((part, index) => index !== 1 && index !== 3));
+    expect(payloads).toEqual([]);
+    expect(incomplete).toEqual([{ checksum: parseQrPart(parts[0]).checksum, total: parts.length, missing: [2, 4] }]);
+  });
+
+  it('rejects a series whose payload does not match its checksum', () => {
+    const parts = splitQrPayload(PAYLOAD, 20);
+    const { index, total, checksum, chunk } = parseQrPart(parts[0]);
+    parts[0] = `RQM:${index}/${total}:${checksum}:${chunk.replace('v', 'w')}`;
+    expect(() => reassembleQrParts(parts)).toThrow(`Checksum mismatch in QR code series ${checksum}`);
+  });
+
+  it('supports at most 99 parts', () => {
+    const payload = 'x'.repeat(99 * 10);
+    const parts = splitQrPayload(payload, 10);
+    expect(parts).toHaveLength(99);
+    expect(parseQrPart(parts[98])).toMatchObject({ index: 99, total: 99 });
+    expect(reassembleQrParts(parts).payloads).toEqual([payload]);
+
+    expect(() => splitQrPayload(`${payload}x`, 10)).toThrow('QR payload too large: 100 parts needed, at most 99 supported');
+  });
+
+  it('does not take malformed part headers for parts', () => {
+    expect(parseQrPart('RQM:100/100:00000000:x')).toBeNull();
+    expect(parseQrPart('RQM:3/2:00000000:x')).toBeNull();
+    expect(parseQrPart('RQM:0/2:00000000:x')).toBeNull();
+    expect(parseQrPart('RQM:1/2:0000000g:x')).toBeNull();
+    expect(reassembleQrParts(['RQM:3/2:00000000:x'])).toEqual({ payloads: ['RQM:3/2:00000000:x'], incomplete: [] });
+  });
+});
+
+describe('fitQrPayload', () => {
+  const fit = { size: 90, minModuleSize: 1.5 };
+  const maxVersion = getMaxQrVersion(fit.size, fit.minModuleSize);
+
+  it('keeps a payload that fits into one QR code in one code with the strongest error correction', () => {
+    const [code, ...others] = fitQrPayload(PAYLOAD, fit);
+    expect(others).toEqual([]);
+    expect(code).toEqual({ text: PAYLOAD, ...selectQrParameters(PAYLOAD, maxVersion) });
+  });
+
+  it('splits a payload into as few codes as fit the printed size', () => {
+    const payload = compressedLikeText(3000);
+    const codes = fitQrPayload(payload, fit);
+    expect(codes.length).toBeGreaterThan(1);
+    codes.forEach(({ text, version, errorCorrectionLevel }) => {
+      expect(version).toBeLessThanOrEqual(maxVersion);
+      expect(selectQrParameters(text, maxVersion)).toEqual({ version, errorCorrectionLevel });
+    });
+    expect(reassembleQrParts(codes.map(code => code.text)).payloads).toEqual([payload]);
+
+    // One part less does not fit
+    const fewer = splitQrPayload(payload, Math.ceil(payload.length / (codes.length - 1)));
+    expect(fewer.some(text => !selectQrParameters(text, maxVersion))).toBe(true);
+  });
+
+  it('uses weaker error correction only down to the given level', () => {
+    const payload = compressedLikeText(3000);
+    const codes = fitQrPayload(payload, { ...fit, minErrorCorrectionLevel: 'Q' });
+    codes.forEach(({ errorCorrectionLevel }) => expect(['H', 'Q']).toContain(errorCorrectionLevel));
+    expect(codes.length).toBeGreaterThanOrEqual(fitQrPayload(payload, fit).length);
+  });
+
+  it('rejects a payload that does not fit into 99 codes', () => {
+    const small = { size: 40, minModuleSize: 1.5 };
+    expect(() => fitQrPayload(compressedLikeText(20000), small))
+      .toThrow(`QR payload too large: it does not fit into 99 QR codes of version ${getMaxQrVersion(small.size, small.minModuleSize)}`);
+  });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createPinia, setActivePinia } from 'pinia';
+import { useQrRestore } from '@/composables/useQrRestore';
+import { renderRequisitionPdf } from '@/services/pdf/pdfRenderer';
+import { QR_PAYLOAD_TYPES, encodeQrPayload } from '@/utils/qrCodec';
+import { reassembleQrParts } from '@/utils/qrService';
+import { compressQrPayload, isCompressedQrPayload } from '@/utils/qrCompression';
+import { QR_ENCRYPTION_MODES, decryptQrPayload, encryptQrPayload } from '@/utils/qrEncryption';
+import { SIGNATURE_STATUS, parseSignedQrPayload, signQrPayload, verifyQrPayload } from '@/utils/qrSignature';
+import { readPdfPages } from './helpers/pdfContent';
+
+// The composable only needs the translation function outside of a component, and the
+// UI store reads its pane settings from localStorage, which Node does not have
+vi.mock('vue-i18n', () => ({ useI18n: () => ({ t: key => key }) }));
+vi.stubGlobal('localStorage', { getItem: () => null, setItem: () => {} });
+
+const SIGNING = { enabled: true, algorithm: 'HMAC', keyId: 'lab1', secret: 'shared-secret-of-the-lab' };
+const ENCRYPTION = { mode: QR_ENCRYPTION_MODES.PASSWORD, password: 'correct horse battery staple' };
+
+const PATIENT = {
+  firstName: 'Erika',
+  lastName: 'Mustermann',
+  birthdate: '1980-01-02',
+  sex: 'female',
+  // Long enough to compress in byte mode
+  diagnosis: 'Chronic kidney disease. '.repeat(8).trim()
+};
+
+describe('decodeScannedCodes', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+  });
+
+  it('reads codes printed compressed, then signed and encrypted', async () => {
+    const pdf = await renderRequisitionPdf({
+      patientData: { personalInfo: PATIENT, selectedPanels: ['nephronophthise'] },
+      orderId: 'RF-AAAA-0001'
+    }, {
+      locale: 'en',
+      phenotypeMap: { nephrology: { vesikoureteraler_reflux: 'present', megaureter: 'absent' } },
+      qrSigning: SIGNING,
+      qrEncryption: ENCRYPTION
+    });
+    const codes = readPdfPages(pdf).flatMap(page => page.qrCodes).filter(Boolean);
+
+    // Encrypted outside and signed inside; payloads that get smaller are compressed under the signature
+    const encrypted = reassembleQrParts(codes).payloads.filter(text => text.startsWith('RQE:'));
+    const signed = await Promise.all(encrypted.map(text => decryptQrPayload(text, ENCRYPTION.password)));
+    expect(signed.length).toBeGreaterThan(0);
+    for (const text of signed) {
+      expect((await verifyQrPayload(text, SIGNING)).status).toBe(SIGNATURE_STATUS.VALID);
+    }
+    expect(signed.some(text => isCompressedQrPayload(parseSignedQrPayload(text).payload))).toBe(true);
+
+    const { decodeScannedCodes } = useQrRestore();
+    const { payloads, incomplete, locked } = await decodeScannedCodes(codes, ENCRYPTION.password);
+    expect(incomplete).toEqual([]);
+    expect(locked).toEqual([]);
+    const patient = payloads.find(payload => payload.type === QR_PAYLOAD_TYPES.PATIENT);
+    expect(patient.signed).toBe(true);
+    expect(patient.data.patient).toMatchObject(PATIENT);
+    expect(patient.data.selectedTests).toEqual(['nephronophthise']);
+    expect(payloads.find(payload => payload.type === QR_PAYLOAD_TYPES.PHENOTYPE).data.phenotypes).toHaveLength(2);
+  });
+
+  it('reads codes printed signed, encrypted and then compressed as a whole', async () => {
+    const json = encodeQrPayload(QR_PAYLOAD_TYPES.PATIENT, { patient: PATIENT, selectedTests: ['nephronophthise'] });
+    const signed = await signQrPayload(json, SIGNING);
+    const legacy = await compressQrPayload(await encryptQrPayload(signed, ENCRYPTION));
+    expect(isCompressedQrPayload(legacy)).toBe(true);
+
+    const { decodeScannedCodes } = useQrRestore();
+    const { payloads, rejected, locked } = await decodeScannedCodes([legacy], ENCRYPTION.password);
+    expect(rejected).toEqual([]);
+    expect(locked).toEqual([]);
+    expect(payloads).toHaveLength(1);
+    expect(payloads[0].signed).toBe(true);
+    expect(payloads[0].data.patient).toMatchObject(PATIENT);
+  });
+
+  it('reads unencrypted codes compressed as a whole', async () => {
+    const json = encodeQrPayload(QR_PAYLOAD_TYPES.PATIENT, { patient: PATIENT, selectedTests: ['nephronophthise'] });
+    const legacy = await compressQrPayload(await signQrPayload(json, SIGNING));
+
+    const { decodeScannedCodes } = useQrRestore();
+    const { payloads } = await decodeScannedCodes([legacy]);
+    expect(payloads.map(payload => payload.data.patient)).toEqual([expect.objectContaining(PATIENT)]);
+  });
+
+  it('reports encrypted codes without the password as locked', async () => {
+    const json = encodeQrPayload(QR_PAYLOAD_TYPES.PATIENT, { patient: PATIENT, selectedTests: [] });
+    const encrypted = await encryptQrPayload(await compressQrPayload(json, { byteMode: true }), ENCRYPTION);
+
+    const { decodeScannedCodes } = useQrRestore();
+    expect((await decodeScannedCodes([encrypted])).locked).toEqual([
+      { mode: QR_ENCRYPTION_MODES.PASSWORD, keyId: '', reason: 'passwordRequired' }
+    ]);
+    expect((await decodeScannedCodes([encrypted], 'wrong')).locked).toEqual([
+      { mode: QR_ENCRYPTION_MODES.PASSWORD, keyId: '', reason: 'decryptionFailed' }
+    ]);
+  });
+});
@@ -0,0 +1,25 @@
+// vite.cli.config.js
+// Builds the requiform-pdf command line tool (cli/requiform-pdf.js) for Node.
+// Dependencies stay external and are loaded from node_modules at runtime.
+import { defineConfig } from 'vite';
+import { fileURLToPath, URL } from 'url';
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+  build: {
+    ssr: 'cli/requiform-pdf.js',
+    outDir: 'dist-cli',
+    target: 'node20',
+    sourcemap: false,
+    rollupOptions: {
+      output: {
+        entryFileNames: 'requiform-pdf.js',
+        banner: '#!/usr/bin/env node'
+      }
+    }
+  }
+});